@@ -0,0 +1,171 @@
+/**
+ * Accessibility Announcer Module
+ * Non-visual feedback for the verification flow. Announcements always go to
+ * two ARIA live regions (polite for guidance and timing, assertive for
+ * challenge prompts and outcomes) so screen readers pick them up. In
+ * accessibility mode they are also spoken with the Web Speech API in the UI
+ * language, and mobile devices vibrate on prompts, timer warnings and outcomes.
+ */
+class AccessibilityAnnouncer {
+    /**
+     * @param {Object} options - Announcer options
+     * @param {HTMLElement} options.politeRegion - aria-live="polite" element
+     * @param {HTMLElement} options.assertiveRegion - aria-live="assertive" element
+     * @param {Boolean} options.speech - Speak announcements (default: false)
+     * @param {Boolean} options.haptics - Vibrate on supported devices (default: false)
+     * @param {Function} options.getLanguage - Current UI language code (e.g. 'en', 'ar', 'fr-CA')
+     */
+    constructor(options = {}) {
+        this.politeRegion = options.politeRegion || null;
+        this.assertiveRegion = options.assertiveRegion || null;
+        this.speech = !!options.speech;
+        this.haptics = !!options.haptics;
+        this.getLanguage = options.getLanguage || (() => 'en');
+
+        this.lastGuidance = null;
+        this.lastGuidanceAt = 0;
+        this.timerWarnings = new Set();
+    }
+
+    static isSpeechSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+            typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    static isHapticsSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    }
+
+    /**
+     * @param {Object} settings - { speech, haptics }
+     */
+    configure(settings) {
+        if (settings.speech !== undefined) this.speech = !!settings.speech;
+        if (settings.haptics !== undefined) this.haptics = !!settings.haptics;
+        if (!this.speech) this.cancelSpeech();
+    }
+
+    /**
+     * @param {String} text - Text to announce
+     * @param {Object} options - { assertive (default: false), speak (default: true), interrupt: cancel current speech }
+     */
+    announce(text, options = {}) {
+        const { assertive = false, speak = true, interrupt = assertive } = options;
+        if (!text) return;
+
+        const region = assertive ? this.assertiveRegion : this.politeRegion;
+        if (region) {
+            // Clear first so repeating the same text is announced again
+            region.textContent = '';
+            setTimeout(() => { region.textContent = text; }, AccessibilityAnnouncer.REGION_DELAY);
+        }
+        if (speak) this.say(text, interrupt);
+    }
+
+    /**
+     * Prompt for a new challenge
+     * @param {String} instruction - Localized instruction
+     */
+    challengeStarted(instruction) {
+        this.timerWarnings.clear();
+        this.announce(instruction, { assertive: true });
+        this.vibrate(AccessibilityAnnouncer.PATTERNS.prompt);
+    }
+
+    /**
+     * Announce the remaining time once at each warning point
+     * @param {Number} progress - Share of the challenge time used (0-100)
+     * @param {Number} remainingSeconds - Seconds left
+     * @param {String} text - Localized "n seconds left" message
+     */
+    challengeProgress(progress, remainingSeconds, text) {
+        const point = AccessibilityAnnouncer.TIMER_WARNINGS.find(p => progress >= p && !this.timerWarnings.has(p));
+        if (point === undefined || remainingSeconds < 1) return;
+        AccessibilityAnnouncer.TIMER_WARNINGS.filter(p => p <= progress).forEach(p => this.timerWarnings.add(p));
+        this.announce(text, { interrupt: false });
+        this.vibrate(AccessibilityAnnouncer.PATTERNS.tick);
+    }
+
+    /**
+     * @param {Boolean} success - Challenge outcome
+     * @param {String} text - Localized outcome message
+     */
+    challengeCompleted(success, text) {
+        this.announce(text, { assertive: true });
+        this.vibrate(success ? AccessibilityAnnouncer.PATTERNS.success : AccessibilityAnnouncer.PATTERNS.failure);
+    }
+
+    /**
+     * Positioning guidance (e.g. "Move closer"), announced when it changes and at most every few seconds
+     * @param {String} text - Localized guidance
+     */
+    guide(text) {
+        const now = Date.now();
+        if (text === this.lastGuidance || now - this.lastGuidanceAt < AccessibilityAnnouncer.GUIDANCE_INTERVAL) return;
+        this.lastGuidance = text;
+        this.lastGuidanceAt = now;
+        this.announce(text, { interrupt: false });
+    }
+
+    /**
+     * @param {Array<Number>|Number} pattern - navigator.vibrate() pattern
+     */
+    vibrate(pattern) {
+        if (!this.haptics || !AccessibilityAnnouncer.isHapticsSupported()) return;
+        try {
+            navigator.vibrate(pattern);
+        } catch (error) {
+            // Vibration can be blocked (e.g. before user interaction); it is only a hint
+        }
+    }
+
+    say(text, interrupt) {
+        if (!this.speech || !AccessibilityAnnouncer.isSpeechSupported()) return;
+        if (interrupt) window.speechSynthesis.cancel();
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const language = this.getLanguage();
+        utterance.lang = AccessibilityAnnouncer.SPEECH_LANGUAGES[language] || language;
+        const voice = window.speechSynthesis.getVoices().find(v => v.lang && v.lang.startsWith(language));
+        if (voice) utterance.voice = voice;
+        window.speechSynthesis.speak(utterance);
+    }
+
+    cancelSpeech() {
+        if (AccessibilityAnnouncer.isSpeechSupported()) window.speechSynthesis.cancel();
+    }
+
+    reset() {
+        this.cancelSpeech();
+        this.lastGuidance = null;
+        this.lastGuidanceAt = 0;
+        this.timerWarnings.clear();
+    }
+}
+
+// Share of the challenge time (%) at which the remaining time is announced
+AccessibilityAnnouncer.TIMER_WARNINGS = [50, 75];
+
+// Minimum ms between two different guidance announcements
+AccessibilityAnnouncer.GUIDANCE_INTERVAL = 3000;
+
+// ms between clearing a live region and writing the new text
+AccessibilityAnnouncer.REGION_DELAY = 50;
+
+AccessibilityAnnouncer.SPEECH_LANGUAGES = {
+    en: 'en-US',
+    ar: 'ar-SA',
+    fr: 'fr-FR',
+    es: 'es-ES'
+};
+
+AccessibilityAnnouncer.PATTERNS = {
+    prompt: 80,
+    tick: 40,
+    success: [120, 60, 120],
+    failure: [400]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityAnnouncer;
+}
@@ -0,0 +1,147 @@
+/**
+ * Analysis Client Module
+ * Main-thread side of the analysis pipeline. Starts js/analysisWorker.js and
+ * forwards requests to it as messages, transferring frames as ImageBitmaps so
+ * the TF.js models and pixel loops never block the UI. Without Worker,
+ * OffscreenCanvas or createImageBitmap support (or if the worker fails to
+ * load its models) the same AnalysisEngine runs on the main thread instead.
+ */
+class AnalysisClient {
+    /**
+     * @param {Object} options - { useWorker (default: true), workerUrl }
+     */
+    constructor(options = {}) {
+        this.useWorker = options.useWorker ?? true;
+        this.workerUrl = options.workerUrl || AnalysisClient.WORKER_URL;
+        this.worker = null;
+        this.engine = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    static isWorkerSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Where the pipeline runs: 'worker', 'main' or null before initialize()
+     */
+    get mode() {
+        if (this.worker) return 'worker';
+        return this.engine ? 'main' : null;
+    }
+
+    /**
+     * Start the engine and load the models
+     * @param {Object} policy - ScorePolicy definition for the analyzers' isReal cut-offs
+     * @param {Function} onStage - Called with 'loadDetector' | 'loadFaceMesh' | 'initAnalyzers'
+     */
+    async initialize(policy, onStage = () => {}) {
+        if (this.useWorker && AnalysisClient.isWorkerSupported()) {
+            try {
+                this.startWorker();
+                await this.loadModels(policy, onStage);
+                return this.mode;
+            } catch (error) {
+                // e.g. no WebGL in workers: the models still load on the main thread
+                console.warn('Analysis worker unavailable, analyzing on the main thread:', error);
+                this.terminate();
+            }
+        }
+
+        this.engine = new AnalysisEngine();
+        await this.loadModels(policy, onStage);
+        return this.mode;
+    }
+
+    startWorker() {
+        this.worker = new Worker(this.workerUrl);
+        this.worker.onmessage = ({ data }) => this.onReply(data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.rejectPending(new Error(event.message || 'Analysis worker failed to start'));
+        };
+    }
+
+    async loadModels(policy, onStage) {
+        await this.request('ping');
+        onStage('loadDetector');
+        await this.request('loadDetector');
+        onStage('loadFaceMesh');
+        await this.request('loadFaceMesh');
+        onStage('initAnalyzers');
+        await this.request('initAnalyzers', { policy });
+    }
+
+    /**
+     * Send a request to the engine
+     * @param {String} type - AnalysisEngine.handle() request type
+     * @param {Object} payload - Request data
+     * @param {Array} transfer - Transferable objects in the payload
+     * @returns {Promise<*>} Reply
+     */
+    request(type, payload = {}, transfer = []) {
+        if (this.engine) return this.engine.handle(type, payload);
+        if (!this.worker) return Promise.reject(new Error('Analysis engine is not running'));
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    onReply({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+    }
+
+    /**
+     * Analyze the current frame of a video element
+     * @param {HTMLVideoElement} videoElement - Camera preview or seeked file
+     * @param {Number} timestamp - Capture time (ms since epoch) or media time (ms)
+     * @returns {Promise<Object>} AnalysisEngine.processFrame() result
+     */
+    async processFrame(videoElement, timestamp) {
+        if (this.engine) return this.request('frame', { source: videoElement, timestamp });
+
+        const bitmap = await createImageBitmap(videoElement);
+        return this.request('frame', { source: bitmap, timestamp }, [bitmap]);
+    }
+
+    /**
+     * @param {HTMLImageElement} image - Reference ID photo
+     * @returns {Promise<Object>} { success, reason }
+     */
+    async setReference(image) {
+        if (this.engine) return this.request('setReference', { image });
+
+        const bitmap = await createImageBitmap(image);
+        return this.request('setReference', { image: bitmap }, [bitmap]);
+    }
+
+    rejectPending(error) {
+        this.pending.forEach(({ reject }) => reject(error));
+        this.pending.clear();
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectPending(new Error('Analysis worker terminated'));
+    }
+}
+
+// Worker script, relative to the page (the SDK bundle points this at dist/liveness-worker.js)
+AnalysisClient.WORKER_URL = 'js/analysisWorker.js';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisClient;
+}
@@ -0,0 +1,306 @@
+/**
+ * Analysis Engine Module
+ * The detection and analysis pipeline without the page: both TF.js models,
+ * the pixel analyzers, the face quality gate and the frame scheduler. It runs
+ * inside js/analysisWorker.js, or on the main thread when workers with
+ * OffscreenCanvas are unavailable (see AnalysisClient).
+ *
+ * Requests go through handle(type, payload) and every reply is a plain,
+ * structured-cloneable object, so the same engine serves both transports.
+ */
+class AnalysisEngine {
+    constructor() {
+        this.faceDetector = new FaceDetector();
+        this.depthEstimator = new DepthEstimator();
+        this.passiveLiveness = new PassiveLiveness();
+        this.antiSpoofing = new AntiSpoofing();
+        this.eyeReflection = new EyeReflection();
+        this.microExpression = new MicroExpression();
+        this.faceMatcher = new FaceMatcher();
+        this.headPose = new HeadPoseEstimator();
+        this.colorFlash = new ColorFlashAnalyzer();
+        this.faceQuality = new FaceQualityGate(this.faceDetector);
+        this.identity = new IdentityTracker(this.faceMatcher);
+        this.streamIntegrity = new StreamIntegrityAnalyzer();
+
+        // The scheduler sets each module's rate, so the analyzers' own frame skipping is turned off
+        this.scheduler = new FrameScheduler();
+        [this.depthEstimator, this.passiveLiveness, this.antiSpoofing, this.eyeReflection,
+            this.microExpression, this.faceMatcher].forEach(analyzer => { analyzer.frameSkip = 1; });
+
+        this.canvas = null;
+        this.isReady = false;
+        this.live = true;          // camera session (detection, adaptive rates) vs. recorded file
+        this.qualityGate = false;  // run FaceQualityGate on each detection
+        this.frameUpdate = null;
+        this.resetState();
+        this.registerTasks();
+    }
+
+    /**
+     * Dispatch one request
+     * @param {String} type - Request type
+     * @param {Object} payload - Request data
+     * @returns {Promise<*>} Reply
+     */
+    async handle(type, payload = {}) {
+        switch (type) {
+            case 'ping': return true;
+            case 'loadDetector': return this.faceDetector.initialize();
+            case 'loadFaceMesh': return this.depthEstimator.initialize();
+            case 'initAnalyzers': return this.initializeAnalyzers(payload.policy);
+            case 'configure': return this.configure(payload);
+            case 'frame': return this.processFrame(payload.source, payload.timestamp);
+            case 'reset': return this.reset();
+            case 'getResults': return this.getAnalyzerResults();
+            case 'colorFlashStart': return this.colorFlash.start(payload.sequence, payload.startedAt);
+            case 'colorFlashFinish': return this.finishColorFlash();
+            case 'setReference': return this.setReference(payload.image);
+            case 'clearReference': return this.faceMatcher.clearReference();
+            case 'streamTrack': return this.streamIntegrity.setTrack(payload.camera);
+            case 'streamTiming': return this.streamIntegrity.observeTiming(payload);
+            default: throw new Error(`Unknown analysis request "${type}"`);
+        }
+    }
+
+    /**
+     * @param {Object} policy - ScorePolicy definition (policy.toJSON()) for the isReal cut-offs
+     */
+    async initializeAnalyzers(policy) {
+        await this.passiveLiveness.initialize();
+        await this.antiSpoofing.initialize();
+        await this.eyeReflection.initialize();
+        await this.microExpression.initialize();
+        await this.faceMatcher.initialize(this.depthEstimator.faceMesh);
+        await this.colorFlash.initialize(this.eyeReflection);
+
+        if (policy) {
+            new ScorePolicy(policy).applyTo({
+                passive: this.passiveLiveness,
+                antiSpoof: this.antiSpoofing,
+                depth: this.depthEstimator,
+                eyeReflection: this.eyeReflection,
+                microExpression: this.microExpression
+            });
+        }
+
+        this.canvas = FrameBuffer.createCanvas();
+        this.isReady = true;
+        return true;
+    }
+
+    /**
+     * @param {Object} options - { live: camera session (default) or recorded file, qualityGate }
+     */
+    configure(options = {}) {
+        if (options.live !== undefined) {
+            this.live = !!options.live;
+            // Recorded files are clocked by media time: fixed rates, nothing to adapt to
+            this.scheduler.adaptive = this.live;
+        }
+        if (options.qualityGate !== undefined) {
+            this.qualityGate = !!options.qualityGate;
+            this.faceQuality.reset();
+        }
+        return { live: this.live, qualityGate: this.qualityGate };
+    }
+
+    registerTasks() {
+        const rates = AnalysisEngine.FRAME_RATES;
+        const scheduler = this.scheduler;
+
+        scheduler.register('detection', async (frame) => {
+            const detection = await this.faceDetector.detect(frame.source);
+            if (this.qualityGate) {
+                detection.quality = this.faceQuality.check(detection, frame);
+            }
+            this.identity.observeDetection(detection, frame.timestamp);
+            this.frameUpdate.detection = detection;
+        }, { interval: rates.detection, when: () => this.live });
+
+        // Virtual camera checks only make sense on a live camera
+        scheduler.register('streamIntegrity', (frame) => {
+            this.streamIntegrity.analyze(frame);
+        }, { interval: rates.streamIntegrity, when: () => this.live });
+
+        // Screen-light challenge: sample skin and eye highlights while the colors are shown
+        scheduler.register('colorFlash', (frame) => {
+            this.colorFlash.analyze(frame, this.latestKeypoints);
+        }, { interval: rates.colorFlash, when: () => this.colorFlash.isRunning() });
+
+        scheduler.register('depth', async (frame) => {
+            const depthResult = await this.depthEstimator.estimateDepth(frame.source);
+            this.frameResults.depthResult = depthResult;
+            if (depthResult) {
+                this.scores.depth = depthResult.score;
+                this.latestKeypoints = depthResult.keypoints || null;
+                this.latestPose = this.headPose.estimate(depthResult.keypoints, frame.width, frame.height);
+                this.frameUpdate.mesh = this.latestKeypoints;
+                // Same frame as the keypoints, so the aligned texture crop lines up
+                this.identity.analyze(frame, this.latestKeypoints, this.latestPose);
+            }
+        }, { interval: rates.depth });
+
+        scheduler.register('passive', async (frame) => {
+            const passiveResult = await this.passiveLiveness.analyze(frame, this.latestKeypoints);
+            this.frameResults.passiveResult = passiveResult;
+            if (passiveResult) {
+                this.scores.passive = passiveResult.overallScore;
+            }
+        }, { interval: rates.passive });
+
+        scheduler.register('antiSpoof', async (frame) => {
+            const { depthResult, passiveResult } = this.frameResults;
+            const antiSpoofResult = await this.antiSpoofing.analyze(frame, depthResult, passiveResult);
+            if (antiSpoofResult) {
+                this.scores.antiSpoof = antiSpoofResult.overallScore;
+            }
+        }, { interval: rates.antiSpoof });
+
+        // The rest need FaceMesh keypoints
+        scheduler.register('eyeReflection', (frame) => {
+            if (!this.latestKeypoints) return;
+            const eyeResult = this.eyeReflection.analyze(frame, this.latestKeypoints);
+            if (eyeResult) {
+                this.scores.eyeReflection = eyeResult.score;
+            }
+        }, { interval: rates.eyeReflection });
+
+        scheduler.register('microExpression', () => {
+            if (!this.latestKeypoints) return;
+            const microResult = this.microExpression.analyze(this.latestKeypoints);
+            if (microResult) {
+                this.scores.microExpression = microResult.score;
+            }
+        }, { interval: rates.microExpression });
+
+        // 1:1 match against the reference photo (only if one was uploaded)
+        scheduler.register('faceMatch', (frame) => {
+            if (!this.latestKeypoints) return;
+            const matchResult = this.faceMatcher.analyze(frame.source, this.latestKeypoints);
+            if (matchResult) {
+                this.faceMatchResult = matchResult;
+            }
+        }, { interval: rates.faceMatch });
+    }
+
+    /**
+     * Run the due tasks on one frame
+     * @param {ImageBitmap|HTMLVideoElement} source - Frame (bitmaps are closed afterwards)
+     * @param {Number} timestamp - Capture time (ms since epoch) or media time (ms) for files
+     * @returns {Promise<Object>} { detection, mesh, pose, scores, faceMatch, identity, attacksDetected, stats }
+     *   `detection` is set when face detection ran on this frame; `mesh` (FaceMesh keypoints, or
+     *   null for no face) when FaceMesh did
+     */
+    async processFrame(source, timestamp) {
+        if (!this.isReady) throw new Error('Models are not loaded yet');
+
+        this.frameUpdate = {};
+        try {
+            await this.scheduler.process(new FrameBuffer(source, this.canvas, timestamp), timestamp);
+        } finally {
+            if (typeof source.close === 'function') source.close();
+        }
+
+        const antiSpoofResult = this.antiSpoofing.getResults();
+        const identity = this.identity.getResults();
+        const attacksDetected = antiSpoofResult ? [...antiSpoofResult.attacksDetected] : [];
+        [identity, this.streamIntegrity.getResults()].forEach(result => result.attacksDetected.forEach(code => {
+            if (!attacksDetected.includes(code)) attacksDetected.push(code);
+        }));
+
+        return {
+            ...this.frameUpdate,
+            pose: this.latestPose,
+            scores: { ...this.scores },
+            faceMatch: this.faceMatchResult,
+            identity,
+            attacksDetected,
+            stats: this.scheduler.getStats()
+        };
+    }
+
+    /**
+     * Score the screen-light response once the color sequence has ended
+     * @returns {Object} ColorFlashAnalyzer.finish() result
+     */
+    finishColorFlash() {
+        const result = this.colorFlash.finish();
+        this.antiSpoofing.reportLightResponse(result);
+        return result;
+    }
+
+    /**
+     * Every analyzer's latest getResults(), for the verification report
+     * @returns {Object} { passive, antiSpoof, depth, eyeReflection, microExpression, colorFlash, faceMatch, headPose, identity,
+     *   streamIntegrity }
+     */
+    getAnalyzerResults() {
+        return {
+            passive: this.passiveLiveness.getResults(),
+            antiSpoof: this.antiSpoofing.getResults(),
+            depth: this.depthEstimator.getResults(),
+            eyeReflection: this.eyeReflection.getResults(),
+            microExpression: this.microExpression.getResults(),
+            colorFlash: this.colorFlash.getResults(),
+            faceMatch: this.faceMatcher.getResults(),
+            headPose: this.headPose.getResults(),
+            identity: this.identity.getResults(),
+            streamIntegrity: this.streamIntegrity.getResults()
+        };
+    }
+
+    async setReference(image) {
+        try {
+            return await this.faceMatcher.setReference(image);
+        } finally {
+            if (typeof image.close === 'function') image.close();
+        }
+    }
+
+    resetState() {
+        this.scores = { passive: 0, antiSpoof: 0, depth: 0, eyeReflection: 0, microExpression: 0 };
+        this.latestKeypoints = null;
+        this.latestPose = null;
+        this.frameResults = { depthResult: null, passiveResult: null };
+        this.faceMatchResult = null;
+    }
+
+    /**
+     * Clear all per-session analyzer state (the reference photo is kept)
+     */
+    reset() {
+        this.depthEstimator.reset();
+        this.passiveLiveness.reset();
+        this.antiSpoofing.reset();
+        this.eyeReflection.reset();
+        this.microExpression.reset();
+        this.faceMatcher.reset();
+        this.headPose.reset();
+        this.colorFlash.reset();
+        this.faceQuality.reset();
+        this.identity.reset();
+        this.streamIntegrity.reset();
+        this.scheduler.reset();
+        this.qualityGate = false;
+        this.resetState();
+        return true;
+    }
+}
+
+// Target ms between frame task runs (the adaptive scheduler stretches them on slow devices)
+AnalysisEngine.FRAME_RATES = {
+    detection: 100,
+    streamIntegrity: 250,
+    colorFlash: 100,
+    depth: 400,
+    passive: 400,
+    antiSpoof: 600,
+    eyeReflection: 600,
+    microExpression: 400,
+    faceMatch: 600
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisEngine;
+}
@@ -0,0 +1,51 @@
+/**
+ * Analysis Worker
+ * Hosts an AnalysisEngine off the main thread. Messages are
+ * { id, type, payload } requests answered with { id, result } or
+ * { id, error }; frames arrive as transferred ImageBitmaps.
+ */
+/* global importScripts, AnalysisEngine */
+
+// TensorFlow.js runtime and models (same versions as index.html)
+const TF_SCRIPTS = [
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.0.7',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@1.0.2'
+];
+
+// Engine sources, relative to this file (tools/build-sdk.js inlines them for dist/liveness-worker.js)
+const ENGINE_SCRIPTS = [
+    'frameBuffer.js',
+    'frameScheduler.js',
+    'faceDetector.js',
+    'depthEstimator.js',
+    'headPose.js',
+    'moireAnalyzer.js',
+    'passiveLiveness.js',
+    'antiSpoofing.js',
+    'eyeReflection.js',
+    'microExpression.js',
+    'colorFlashAnalyzer.js',
+    'faceMatcher.js',
+    'identityTracker.js',
+    'streamIntegrityAnalyzer.js',
+    'faceQuality.js',
+    'scorePolicy.js',
+    'analysisEngine.js'
+];
+
+if (typeof tf === 'undefined') importScripts(...TF_SCRIPTS);
+if (typeof AnalysisEngine === 'undefined') importScripts(...ENGINE_SCRIPTS);
+
+const engine = new AnalysisEngine();
+
+self.onmessage = async ({ data }) => {
+    const { id, type, payload } = data;
+    try {
+        const result = await engine.handle(type, payload);
+        self.postMessage({ id, result });
+    } catch (error) {
+        console.error(`Analysis worker: ${type} failed:`, error);
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
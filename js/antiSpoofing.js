@@ -10,6 +10,9 @@ class AntiSpoofing {
         this.lastResult = null;
         this.cachedResult = null;
         this.frameCount = 0;
+        this.frameSkip = 3; // analyze every 3rd call
+        this.realThreshold = 80; // isReal cut-off (0-100), set by the score policy
+        this.lightResponse = null; // ColorFlashAnalyzer result, once the colorFlash challenge ran
     }
 
     async initialize() {
@@ -18,28 +21,21 @@ class AntiSpoofing {
         return true;
     }
 
-    async analyze(videoElement, canvas, depthResult, passiveResult) {
+    /**
+     * @param {FrameBuffer} frame - Shared frame (same pixels the passive analyzer read)
+     * @param {Object} depthResult - DepthEstimator result for this frame
+     * @param {Object} passiveResult - PassiveLiveness result for this frame
+     */
+    async analyze(frame, depthResult, passiveResult) {
         if (!this.isReady) return this.cachedResult;
 
-        // Skip frames for performance (analyze every 3rd frame)
+        // Skip frames for performance (1 when the frame scheduler sets the rate)
         this.frameCount++;
-        if (this.frameCount % 3 !== 0 && this.cachedResult) {
+        if (this.frameCount % this.frameSkip !== 0 && this.cachedResult) {
             return this.cachedResult;
         }
 
-        // Reuse passive result's canvas data when possible
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-        // Use smaller resolution
-        const scale = 0.4;
-        const w = Math.floor(videoElement.videoWidth * scale);
-        const h = Math.floor(videoElement.videoHeight * scale);
-
-        canvas.width = w;
-        canvas.height = h;
-        ctx.drawImage(videoElement, 0, 0, w, h);
-
-        const imageData = ctx.getImageData(0, 0, w, h);
+        const imageData = frame.getImageData(0.5);
 
         // Optimized analysis - leverage existing results
         const photoScore = this.detectPhotoFast(imageData, depthResult);
@@ -70,12 +66,13 @@ class AntiSpoofing {
                 deepfakeScore * 0.15 + cutoutScore * 0.15 + temporalBonus * 0.10) * 100
         );
 
-        result.isReal = result.overallScore > 80; // Raised from 55 to 80 for high security
+        result.isReal = result.overallScore > this.realThreshold;
 
         if (photoScore < 0.5) result.attacksDetected.push('PHOTO_ATTACK');
         if (screenScore < 0.5) result.attacksDetected.push('SCREEN_REPLAY');
         if (maskScore < 0.5) result.attacksDetected.push('MASK_DETECTED');
         if (deepfakeScore < 0.5) result.attacksDetected.push('DEEPFAKE_SUSPECTED');
+        this.applyLightResponse(result);
 
         result.confidence = result.overallScore > 85 ? 'high' : (result.overallScore > 70 ? 'medium' : 'low');
 
@@ -263,9 +260,27 @@ class AntiSpoofing {
         return Math.max(0.3, 1.0 - Math.min(variance / 0.2, 0.5));
     }
 
+    /**
+     * Record the screen-light challenge outcome. A face that did not reflect
+     * the flashed colors is reported as LIGHT_RESPONSE_MISMATCH.
+     * @param {Object} lightResponse - ColorFlashAnalyzer.finish() result
+     */
+    reportLightResponse(lightResponse) {
+        this.lightResponse = lightResponse;
+        if (this.lastResult) this.applyLightResponse(this.lastResult);
+    }
+
+    applyLightResponse(result) {
+        if (this.lightResponse && this.lightResponse.attack &&
+            !result.attacksDetected.includes('LIGHT_RESPONSE_MISMATCH')) {
+            result.attacksDetected.push('LIGHT_RESPONSE_MISMATCH');
+        }
+    }
+
     getResults() { return this.lastResult; }
 
     reset() {
+        this.lightResponse = null;
         this.analysisHistory = [];
         this.lastResult = null;
         this.cachedResult = null;
@@ -0,0 +1,234 @@
+/**
+ * Audit Log Module
+ * Keeps a record of every verification session in IndexedDB for compliance
+ * review: scores, challenge history and durations, attack codes, the policy
+ * decision, device details and (optionally) the session video. Videos live
+ * in their own object store so listing sessions never loads a blob.
+ *
+ * Retention is enforced after every write: sessions beyond `maxSessions` or
+ * older than `maxAgeDays` are deleted, and the oldest videos are dropped
+ * (keeping their session records) once the videos exceed `maxVideoBytes`.
+ */
+class AuditLog {
+    /**
+     * @param {Object} options - { dbName, maxSessions, maxAgeDays, storeVideo, maxVideoBytes }
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'livenessguard-audit';
+        this.maxSessions = options.maxSessions ?? 200;
+        this.maxAgeDays = options.maxAgeDays ?? 90;
+        this.storeVideo = options.storeVideo ?? false;
+        this.maxVideoBytes = options.maxVideoBytes ?? 200 * 1024 * 1024;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!AuditLog.isSupported()) return Promise.reject(new Error('IndexedDB is not available'));
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, AuditLog.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                sessions.createIndex('createdAt', 'createdAt');
+                db.createObjectStore('videos', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema must not be blocked by this connection
+                this.db.onversionchange = () => this.close();
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Audit log database is blocked by another tab'));
+        });
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Store a session record
+     * @param {Object} record - Session record (see LivenessApp.buildAuditRecord); `id` and `createdAt` are filled in when missing
+     * @param {Blob} video - Session video, kept only when `storeVideo` is on
+     * @returns {Promise<Object>} The stored record
+     */
+    async add(record, video = null) {
+        const keepVideo = !!(this.storeVideo && video && video.size > 0);
+        const stored = {
+            ...record,
+            id: record.id || AuditLog.createId(),
+            createdAt: record.createdAt || Date.now(),
+            video: keepVideo ? { type: video.type, size: video.size } : null
+        };
+
+        await this.transaction(['sessions', 'videos'], 'readwrite', ({ sessions, videos }) => {
+            sessions.put(stored);
+            if (keepVideo) videos.put({ id: stored.id, blob: video });
+        });
+        await this.enforceRetention();
+        return stored;
+    }
+
+    /**
+     * @returns {Promise<Array>} All session records, newest first
+     */
+    async list() {
+        const records = await this.transaction(['sessions'], 'readonly', ({ sessions }) =>
+            sessions.index('createdAt').getAll());
+        return records.reverse();
+    }
+
+    /**
+     * @param {String} id - Session id
+     * @returns {Promise<Object|null>} Session record
+     */
+    async get(id) {
+        const record = await this.transaction(['sessions'], 'readonly', ({ sessions }) => sessions.get(id));
+        return record || null;
+    }
+
+    /**
+     * @param {String} id - Session id
+     * @returns {Promise<Blob|null>} Stored session video
+     */
+    async getVideo(id) {
+        const entry = await this.transaction(['videos'], 'readonly', ({ videos }) => videos.get(id));
+        return entry ? entry.blob : null;
+    }
+
+    /**
+     * Merge changes into a stored record (e.g. a manual review decision)
+     * @param {String} id - Session id
+     * @param {Object} changes - Fields to set; `id`, `createdAt` and `video` cannot be changed
+     * @returns {Promise<Object>} The updated record
+     */
+    async update(id, changes) {
+        const { id: ignoredId, createdAt, video, ...fields } = changes;
+        let updated = null;
+        await this.transaction(['sessions'], 'readwrite', ({ sessions }) => {
+            const request = sessions.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                updated = { ...request.result, ...fields };
+                sessions.put(updated);
+            };
+        });
+        if (!updated) throw new Error(`Session ${id} is not in the audit log`);
+        return updated;
+    }
+
+    /**
+     * @param {String} id - Session id (its video is deleted with it)
+     */
+    async delete(id) {
+        await this.transaction(['sessions', 'videos'], 'readwrite', ({ sessions, videos }) => {
+            sessions.delete(id);
+            videos.delete(id);
+        });
+    }
+
+    async clear() {
+        await this.transaction(['sessions', 'videos'], 'readwrite', ({ sessions, videos }) => {
+            sessions.clear();
+            videos.clear();
+        });
+    }
+
+    /**
+     * Export session records as a JSON file (videos are exported separately)
+     * @param {Array<String>} ids - Sessions to export (default: all)
+     * @returns {Promise<Blob>} application/json
+     */
+    async export(ids = null) {
+        const records = await this.list();
+        const sessions = ids ? records.filter(r => ids.includes(r.id)) : records;
+        const payload = { exportedAt: new Date().toISOString(), format: AuditLog.EXPORT_FORMAT, sessions };
+        return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Apply the age, count and video size limits
+     * @returns {Promise<Object>} { sessionsDeleted, videosDeleted }
+     */
+    async enforceRetention() {
+        const records = await this.list();
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+
+        const expired = records.filter((record, i) => i >= this.maxSessions || record.createdAt < cutoff);
+        const kept = records.filter(record => !expired.includes(record));
+
+        // Oldest videos go first once the total exceeds the budget
+        const droppedVideos = [];
+        let videoBytes = 0;
+        kept.forEach(record => {
+            if (!record.video) return;
+            videoBytes += record.video.size;
+            if (videoBytes > this.maxVideoBytes) droppedVideos.push(record);
+        });
+
+        if (expired.length === 0 && droppedVideos.length === 0) {
+            return { sessionsDeleted: 0, videosDeleted: 0 };
+        }
+
+        await this.transaction(['sessions', 'videos'], 'readwrite', ({ sessions, videos }) => {
+            expired.forEach(record => {
+                sessions.delete(record.id);
+                videos.delete(record.id);
+            });
+            droppedVideos.forEach(record => {
+                sessions.put({ ...record, video: null, videoDropped: true });
+                videos.delete(record.id);
+            });
+        });
+        return { sessionsDeleted: expired.length, videosDeleted: droppedVideos.length };
+    }
+
+    /**
+     * Run `work` in one transaction and resolve once it has committed
+     * @param {Array<String>} storeNames - Object stores to open
+     * @param {String} mode - 'readonly' | 'readwrite'
+     * @param {Function} work - Called with { storeName: IDBObjectStore }; may return an IDBRequest
+     * @returns {Promise<*>} Result of the returned request, if any
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+
+            const request = work(stores);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Audit log transaction aborted'));
+        });
+    }
+
+    static createId() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+AuditLog.DB_VERSION = 1;
+AuditLog.EXPORT_FORMAT = 'livenessguard-audit/1';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLog;
+}
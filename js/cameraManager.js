@@ -0,0 +1,269 @@
+/**
+ * Camera Manager Module
+ * Lists the video inputs, opens the chosen one (or the front camera) and
+ * steps down through CameraManager.RESOLUTIONS when a driver refuses a mode.
+ * Flags cameras that look virtual (OBS, ManyCam, ...) from their label and
+ * track capabilities, watches for the active camera being unplugged, and
+ * sorts getUserMedia failures into reasons the UI can explain.
+ */
+class CameraManager {
+    /**
+     * @param {Object} options - Camera options
+     * @param {String} options.deviceId - Camera to open (default: the front camera)
+     * @param {String} options.facingMode - Used when no deviceId is set (default: 'user')
+     * @param {Array} options.resolutions - { width, height } steps to try in order; null is the browser default
+     */
+    constructor(options = {}) {
+        this.deviceId = options.deviceId || null;
+        this.facingMode = options.facingMode || 'user';
+        this.resolutions = options.resolutions || CameraManager.RESOLUTIONS;
+
+        this.stream = null;
+        this.track = null;
+        this.settings = null;
+        this.capabilities = null;
+        this.resolutionStep = null;  // index in this.resolutions that opened
+        this.virtual = null;         // { suspected, reasons } for the open camera
+
+        // Called with the lost track when the open camera ends or is unplugged
+        this.onTrackEnded = null;
+        // Called with the new device list after a camera is connected or removed
+        this.onDevicesChanged = null;
+
+        this.handleEnded = () => this.trackEnded();
+        this.handleDeviceChange = () => this.devicesChanged();
+        this.isWatching = false;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.mediaDevices &&
+            typeof navigator.mediaDevices.getUserMedia === 'function';
+    }
+
+    /**
+     * @param {Error} error - getUserMedia / open() failure
+     * @returns {String} One of CameraManager.ERROR_REASONS
+     */
+    static classifyError(error) {
+        if (!CameraManager.isSupported()) return 'unsupported';
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'PermissionDeniedError':
+            case 'SecurityError':
+                return 'permissionDenied';
+            case 'NotFoundError':
+            case 'DevicesNotFoundError':
+            case 'OverconstrainedError':
+                return 'noCamera';
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return 'cameraBusy';
+            default:
+                return 'unknown';
+        }
+    }
+
+    /**
+     * Virtual camera signals from the device label and track capabilities
+     * @param {Object} camera - { label, capabilities }
+     * @returns {Object} { suspected, reasons }
+     */
+    static assess(camera) {
+        const reasons = [];
+        if (CameraManager.VIRTUAL_LABEL.test(camera.label || '')) reasons.push('label');
+
+        const capabilities = camera.capabilities;
+        if (capabilities && Object.keys(capabilities).length > 0) {
+            // Physical webcams expose at least some sensor controls; rendered sources have none
+            if (!CameraManager.SENSOR_CONTROLS.some(control => control in capabilities)) {
+                reasons.push('noSensorControls');
+            }
+            if (capabilities.width && capabilities.height &&
+                capabilities.width.min === capabilities.width.max &&
+                capabilities.height.min === capabilities.height.max) {
+                reasons.push('fixedResolution');
+            }
+        }
+
+        // A capability gap alone is common on built-in cameras, so it takes two
+        return { suspected: reasons.includes('label') || reasons.length >= 2, reasons };
+    }
+
+    /**
+     * Video inputs; labels are empty until the page has been granted camera access
+     * @returns {Promise<Array>} [{ deviceId, groupId, label, virtual }]
+     */
+    async listDevices() {
+        if (!CameraManager.isSupported() || !navigator.mediaDevices.enumerateDevices) return [];
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map(device => ({
+                deviceId: device.deviceId,
+                groupId: device.groupId,
+                label: device.label,
+                virtual: CameraManager.assess({ label: device.label }).suspected
+            }));
+    }
+
+    /**
+     * Open a camera, stepping down the resolutions on driver errors
+     * @param {String} deviceId - Camera to open (default: this.deviceId)
+     * @returns {Promise<MediaStream>} Camera stream
+     */
+    async open(deviceId = this.deviceId) {
+        if (!CameraManager.isSupported()) {
+            throw new Error('Camera access is not available (a secure context and a current browser are required)');
+        }
+        this.stop();
+
+        let lastError = null;
+        let step = 0;
+        while (step < this.resolutions.length) {
+            try {
+                const stream = await navigator.mediaDevices.getUserMedia({
+                    video: this.getConstraints(deviceId, this.resolutions[step]),
+                    audio: false
+                });
+                this.attach(stream, step);
+                return stream;
+            } catch (error) {
+                lastError = error;
+                if (deviceId && error.name === 'OverconstrainedError' && error.constraint === 'deviceId') {
+                    // The chosen camera is gone; try the default one at the same resolution
+                    console.warn('Selected camera not found, using the default camera');
+                    deviceId = null;
+                    continue;
+                }
+                if (!CameraManager.RETRY_ERRORS.includes(error.name)) throw error;
+                console.warn(`Camera could not open at step ${step} (${error.name}), trying a lower resolution`);
+                step++;
+            }
+        }
+        throw lastError;
+    }
+
+    getConstraints(deviceId, resolution) {
+        const video = deviceId ? { deviceId: { exact: deviceId } } : { facingMode: this.facingMode };
+        if (resolution) {
+            video.width = { ideal: resolution.width };
+            video.height = { ideal: resolution.height };
+        }
+        return video;
+    }
+
+    attach(stream, step) {
+        this.stream = stream;
+        this.track = stream.getVideoTracks()[0] || null;
+        this.resolutionStep = step;
+        this.settings = this.track && this.track.getSettings ? this.track.getSettings() : null;
+        this.capabilities = this.track && this.track.getCapabilities ? this.track.getCapabilities() : null;
+        this.virtual = this.track ? CameraManager.assess({ label: this.track.label, capabilities: this.capabilities }) : null;
+
+        if (this.track) this.track.addEventListener('ended', this.handleEnded);
+        this.watchDevices();
+    }
+
+    /**
+     * Open camera, for the audit record
+     * @returns {Object|null} { label, width, height, frameRate, resolutionStep, virtual }
+     */
+    getInfo() {
+        if (!this.track) return null;
+        const settings = this.settings || {};
+        return {
+            label: this.track.label || null,
+            width: settings.width,
+            height: settings.height,
+            frameRate: settings.frameRate,
+            resolutionStep: this.resolutionStep,
+            virtual: this.virtual
+        };
+    }
+
+    /**
+     * Start listening for cameras being connected or removed
+     */
+    watchDevices() {
+        if (this.isWatching || !CameraManager.isSupported() || !navigator.mediaDevices.addEventListener) return;
+        navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        this.isWatching = true;
+    }
+
+    async devicesChanged() {
+        let devices = [];
+        try {
+            devices = await this.listDevices();
+        } catch (error) {
+            console.error('Error listing cameras:', error);
+        }
+
+        // Some browsers remove the device without ending its track
+        const deviceId = this.settings && this.settings.deviceId;
+        if (this.track && this.track.readyState === 'live' && deviceId &&
+            devices.length > 0 && !devices.some(device => device.deviceId === deviceId)) {
+            this.trackEnded();
+        }
+
+        if (typeof this.onDevicesChanged === 'function') this.onDevicesChanged(devices);
+    }
+
+    trackEnded() {
+        const track = this.track;
+        if (!track) return;
+        this.stop();
+        if (typeof this.onTrackEnded === 'function') this.onTrackEnded(track);
+    }
+
+    /**
+     * Stop the camera (stopping a track ourselves does not fire `ended`)
+     */
+    stop() {
+        if (this.track) this.track.removeEventListener('ended', this.handleEnded);
+        if (this.stream) this.stream.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.track = null;
+        this.settings = null;
+        this.capabilities = null;
+        this.resolutionStep = null;
+        this.virtual = null;
+    }
+
+    /**
+     * Stop the camera and the device-change listener
+     */
+    destroy() {
+        this.stop();
+        if (this.isWatching) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+            this.isWatching = false;
+        }
+    }
+}
+
+// Tried in order; null leaves the resolution to the browser
+CameraManager.RESOLUTIONS = [
+    { width: 1280, height: 720 },
+    { width: 960, height: 540 },
+    { width: 640, height: 480 },
+    null
+];
+
+// getUserMedia errors worth retrying at a lower resolution
+CameraManager.RETRY_ERRORS = ['OverconstrainedError', 'NotReadableError', 'TrackStartError', 'AbortError'];
+
+CameraManager.ERROR_REASONS = ['permissionDenied', 'noCamera', 'cameraBusy', 'disconnected', 'unsupported', 'unknown'];
+
+// Drivers and apps that expose a rendered or relayed stream as a webcam
+CameraManager.VIRTUAL_LABEL = /\b(obs|virtual|manycam|snap camera|xsplit|camtwist|e2esoft|splitcam|youcam|mmhmm|ndi|vcam|droidcam|epoccam|iriun|fake)\b/i;
+
+// Image Capture controls reported by physical sensors
+CameraManager.SENSOR_CONTROLS = [
+    'exposureMode', 'exposureCompensation', 'exposureTime', 'whiteBalanceMode', 'colorTemperature',
+    'focusMode', 'focusDistance', 'brightness', 'contrast', 'saturation', 'sharpness', 'zoom'
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CameraManager;
+}
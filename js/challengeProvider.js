@@ -0,0 +1,207 @@
+/**
+ * Challenge Provider Module
+ * Issues one-time challenge sequences (order + seed) so the page cannot pick
+ * or predict them, and validates the reported challenge history against what
+ * was issued. Providers share one interface:
+ *
+ *   requestSequence(count, { exclude }) -> { sequenceId, sequence, seed, issuedAt, expiresAt, excluded }
+ *   verifyResults(sequenceId, history)  -> { valid, reasons }
+ *
+ * `exclude` lists challenges the user cannot perform (accessibility mode);
+ * at most `maxExclusions` are honoured so the remaining pool stays varied,
+ * and REQUIRED_CHALLENGES (the screen-light replay check) are never excluded.
+ * The issued `excluded` list goes into the signed result and the audit record.
+ *
+ * LocalChallengeProvider is the reference implementation. It runs in the page
+ * for offline use and is also what server/backend.js serves over HTTP.
+ */
+class LocalChallengeProvider {
+    /**
+     * @param {Array} pool - Available challenges ({ id, duration })
+     * @param {Object} options - Timing options
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool.map(({ id, duration }) => ({ id, duration }));
+        this.sequenceTtl = options.sequenceTtl ?? 5 * 60 * 1000; // 5 minutes
+        this.minResponseTime = options.minResponseTime ?? 300;   // faster than a human can react
+        this.timingTolerance = options.timingTolerance ?? 1500;  // timer + network slack
+        this.maxExclusions = options.maxExclusions ?? LocalChallengeProvider.MAX_EXCLUSIONS;
+        this.now = options.now || (() => Date.now());
+        this.issued = new Map();
+    }
+
+    async requestSequence(count, options = {}) {
+        return this.issue(count, options);
+    }
+
+    async verifyResults(sequenceId, history) {
+        return this.validate(sequenceId, history);
+    }
+
+    /**
+     * Issue a random, one-time challenge order
+     * @param {Number} count - Number of challenges
+     * @param {Object} options - { exclude: challenge ids the user cannot perform }
+     * @returns {Object} Issued sequence
+     */
+    issue(count, options = {}) {
+        this.pruneExpired();
+
+        const excluded = [...new Set(Array.isArray(options.exclude) ? options.exclude : [])]
+            .filter(id => this.pool.some(c => c.id === id));
+        if (excluded.length > this.maxExclusions) {
+            throw new Error(`At most ${this.maxExclusions} challenges can be excluded`);
+        }
+        const required = excluded.filter(id => LocalChallengeProvider.REQUIRED_CHALLENGES.includes(id));
+        if (required.length > 0) {
+            throw new Error(`Challenges cannot be excluded: ${required.join(', ')}`);
+        }
+        const ids = this.pool.map(c => c.id).filter(id => !excluded.includes(id));
+        if (ids.length < count) {
+            throw new Error('Not enough challenges left after exclusions');
+        }
+
+        // Fisher-Yates with a CSPRNG
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = this.randomInt(i + 1);
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+
+        const issuedAt = this.now();
+        const entry = {
+            sequenceId: crypto.randomUUID(),
+            sequence: ids.slice(0, Math.min(count, ids.length)),
+            seed: this.randomInt(0x100000000),
+            issuedAt,
+            expiresAt: issuedAt + this.sequenceTtl,
+            excluded
+        };
+        this.issued.set(entry.sequenceId, { ...entry, used: false });
+        return entry;
+    }
+
+    /**
+     * Check a challenge history against the issued sequence (single use)
+     * @param {String} sequenceId - Issued sequence id
+     * @param {Array} history - LivenessChallenger.getHistory()
+     * @returns {Object} { valid, reasons, excluded }
+     */
+    validate(sequenceId, history) {
+        const issued = this.issued.get(sequenceId);
+        if (!issued) return { valid: false, reasons: ['UNKNOWN_SEQUENCE'] };
+        if (issued.used) return { valid: false, reasons: ['SEQUENCE_REUSED'] };
+        issued.used = true;
+
+        const now = this.now();
+        if (now > issued.expiresAt) return { valid: false, reasons: ['SEQUENCE_EXPIRED'] };
+
+        const reasons = [];
+        const entries = Array.isArray(history) ? history : [];
+        let expectedIndex = 0;
+        let previousEnd = -Infinity;
+
+        for (const entry of entries) {
+            // Failed attempts are retries of the challenge currently expected
+            if (!entry || entry.id !== issued.sequence[expectedIndex]) {
+                this.addReason(reasons, 'ORDER_MISMATCH');
+                break;
+            }
+
+            const challenge = this.pool.find(c => c.id === entry.id);
+            const duration = Number(entry.duration);
+            const startedAt = Number(entry.startedAt);
+
+            if (!Number.isFinite(duration) || !Number.isFinite(startedAt) || startedAt < previousEnd) {
+                this.addReason(reasons, 'TIMING_MISMATCH');
+            } else if (entry.success) {
+                if (duration < this.minResponseTime || duration > challenge.duration + this.timingTolerance) {
+                    this.addReason(reasons, 'TIMING_MISMATCH');
+                }
+            } else if (duration < challenge.duration - this.timingTolerance) {
+                // Challenges only fail by timing out
+                this.addReason(reasons, 'TIMING_MISMATCH');
+            }
+
+            previousEnd = startedAt + duration;
+            if (entry.success) expectedIndex++;
+        }
+
+        if (expectedIndex < issued.sequence.length && !reasons.includes('ORDER_MISMATCH')) {
+            reasons.push('SEQUENCE_INCOMPLETE');
+        }
+
+        // Client clocks may be skewed, so compare spans rather than absolute times
+        if (entries.length > 0 && reasons.length === 0) {
+            const span = previousEnd - Number(entries[0].startedAt);
+            if (span > (now - issued.issuedAt) + this.timingTolerance) {
+                reasons.push('TIMING_MISMATCH');
+            }
+        }
+
+        return { valid: reasons.length === 0, reasons, excluded: issued.excluded };
+    }
+
+    addReason(reasons, reason) {
+        if (!reasons.includes(reason)) reasons.push(reason);
+    }
+
+    randomInt(max) {
+        const buffer = new Uint32Array(1);
+        crypto.getRandomValues(buffer);
+        return Math.floor((buffer[0] / 0x100000000) * max);
+    }
+
+    pruneExpired() {
+        const now = this.now();
+        for (const [id, entry] of this.issued) {
+            if (now > entry.expiresAt) this.issued.delete(id);
+        }
+    }
+}
+
+/**
+ * Provider backed by the verifier service (server/backend.js)
+ */
+class RemoteChallengeProvider {
+    /**
+     * @param {String} endpoint - Verifier service base URL
+     */
+    constructor(endpoint) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+    }
+
+    async requestSequence(count, options = {}) {
+        const issued = await this.post('/challenges', { count, exclude: options.exclude || [] });
+        if (!Array.isArray(issued.sequence)) {
+            throw new Error(issued.error || 'Challenge provider did not issue a sequence');
+        }
+        return issued;
+    }
+
+    async verifyResults(sequenceId, history) {
+        return this.post('/challenges/verify', { sequenceId, history });
+    }
+
+    async post(path, body) {
+        const response = await fetch(`${this.endpoint}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json().catch(() => null);
+        if (!data) {
+            throw new Error(`Challenge provider request failed (${response.status})`);
+        }
+        return data;
+    }
+}
+
+// Challenges a user may opt out of in accessibility mode
+LocalChallengeProvider.MAX_EXCLUSIONS = 3;
+
+// Never excludable: the screen-light response is the check a replayed or injected video cannot fake
+LocalChallengeProvider.REQUIRED_CHALLENGES = ['colorFlash'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocalChallengeProvider, RemoteChallengeProvider };
+}
@@ -0,0 +1,139 @@
+/**
+ * Challenge Timeline Module
+ * Sidecar timeline for the session recording: when each challenge was asked,
+ * how far its timer had run and when it passed or failed, in seconds from the
+ * start of the recording. Events come from LivenessChallenger.onEvent.
+ * Exported as WebVTT (plays as captions next to the video) or JSON.
+ */
+class ChallengeTimeline {
+    /**
+     * @param {Object} options - { progressStep: record progress every n percent (default: 25) }
+     */
+    constructor(options = {}) {
+        this.progressStep = options.progressStep ?? 25;
+        this.reset();
+    }
+
+    /**
+     * @param {Number} startedAt - Recording start (ms since epoch): time 0 of the timeline
+     */
+    start(startedAt = Date.now()) {
+        this.reset();
+        this.startedAt = startedAt;
+    }
+
+    /**
+     * @param {Object} event - LivenessChallenger event { type, challengeId, name, timestamp, ... }
+     */
+    record(event) {
+        if (this.startedAt === null) return;
+
+        const entry = {
+            type: event.type,
+            time: Math.max(0, event.timestamp - this.startedAt) / 1000,
+            challengeId: event.challengeId,
+            name: event.name
+        };
+
+        if (event.type === 'start') {
+            entry.instruction = event.instruction;
+            this.lastProgressStep = 0;
+        } else if (event.type === 'progress') {
+            // The challenger reports every 100 ms; keep one entry per step
+            const step = Math.floor(event.progress / this.progressStep) * this.progressStep;
+            if (step <= this.lastProgressStep) return;
+            this.lastProgressStep = step;
+            entry.progress = step;
+        } else if (event.type === 'complete') {
+            entry.success = event.success;
+            entry.duration = event.duration;
+        }
+
+        this.events.push(entry);
+    }
+
+    /**
+     * @returns {Object} { format, startedAt (ISO), events: [{ type, time (s), challengeId, name, ... }] }
+     */
+    toJSON() {
+        return {
+            format: ChallengeTimeline.FORMAT,
+            startedAt: this.startedAt !== null ? new Date(this.startedAt).toISOString() : null,
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+
+    /**
+     * One cue per challenge (prompt until completion), one per progress step and one for the outcome
+     * @returns {String} WebVTT document
+     */
+    toWebVTT() {
+        const cues = [];
+        let open = null;
+
+        this.events.forEach((event, i) => {
+            if (event.type === 'start') {
+                open = event;
+            } else if (event.type === 'progress') {
+                const next = this.events.slice(i + 1).find(e => e.challengeId === event.challengeId);
+                const end = next ? next.time : event.time + 1;
+                cues.push([event.time, end, `${event.name}: ${event.progress}% of time used`]);
+            } else if (event.type === 'complete') {
+                if (open && open.challengeId === event.challengeId) {
+                    cues.push([open.time, event.time, `${event.name}: ${open.instruction || 'challenge asked'}`]);
+                    open = null;
+                }
+                const outcome = event.success ? 'PASSED' : 'FAILED';
+                cues.push([event.time, event.time + ChallengeTimeline.OUTCOME_CUE_SECONDS,
+                    `${event.name}: ${outcome} after ${(event.duration / 1000).toFixed(1)} s`]);
+            }
+        });
+        // Still asked when the recording stopped
+        if (open) cues.push([open.time, open.time + 1, `${open.name}: ${open.instruction || 'challenge asked'}`]);
+
+        cues.sort((a, b) => a[0] - b[0]);
+        const body = cues.map(([start, end, text], i) =>
+            `${i + 1}\n${ChallengeTimeline.formatTime(start)} --> ${ChallengeTimeline.formatTime(end)}\n${text}`);
+        return ['WEBVTT', ...body].join('\n\n') + '\n';
+    }
+
+    reset() {
+        this.startedAt = null;
+        this.events = [];
+        this.lastProgressStep = 0;
+    }
+
+    /**
+     * Rebuild a timeline from toJSON() output (e.g. a stored session or report)
+     * @param {Object} data - { startedAt, events }
+     * @returns {ChallengeTimeline} Timeline
+     */
+    static fromJSON(data) {
+        const timeline = new ChallengeTimeline();
+        if (data && Array.isArray(data.events)) {
+            timeline.startedAt = data.startedAt ? Date.parse(data.startedAt) : 0;
+            timeline.events = data.events.map(event => ({ ...event }));
+        }
+        return timeline;
+    }
+
+    /**
+     * @param {Number} seconds - Time from the start
+     * @returns {String} hh:mm:ss.ttt
+     */
+    static formatTime(seconds) {
+        const ms = Math.round(seconds * 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+            `${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+    }
+}
+
+ChallengeTimeline.FORMAT = 'livenessguard-timeline/1';
+
+// How long the pass/fail caption stays up
+ChallengeTimeline.OUTCOME_CUE_SECONDS = 2;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChallengeTimeline;
+}
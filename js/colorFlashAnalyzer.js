@@ -0,0 +1,193 @@
+/**
+ * Color Flash Analyzer Module
+ * Uses the screen as a light source: while the colorFlash challenge shows a
+ * random sequence of colors, a live face reflects each color on its skin and
+ * in its corneal highlights with ~100 ms delay. A replayed video or a photo
+ * cannot follow a sequence it has never seen.
+ *
+ * Each segment's skin / highlight chromaticity is compared with the unlit
+ * baseline segment; a segment matches when the flashed channel gained the most.
+ */
+class ColorFlashAnalyzer {
+    constructor() {
+        this.isReady = false;
+        this.eyeReflection = null;
+        this.sequence = null;
+        this.startedAt = null;
+        this.samples = [];
+        this.lastResult = null;
+        this.cachedResult = null;
+        this.realThreshold = 60;  // isReal cut-off (0-100)
+        this.settleTime = 250;    // ms after a color change before sampling (display + camera latency)
+        this.minShift = 0.004;    // minimum chromaticity gain of the flashed channel
+        this.scale = 0.5;         // shares the analyzers' frame read-back
+
+        // Skin patches: forehead, left cheek, right cheek
+        this.skinPoints = [151, 50, 280];
+    }
+
+    /**
+     * @param {EyeReflection} eyeReflection - Supplies corneal highlight colors
+     */
+    async initialize(eyeReflection = null) {
+        this.eyeReflection = eyeReflection;
+        this.isReady = true;
+        console.log('Color flash analyzer initialized');
+        return true;
+    }
+
+    /**
+     * Begin collecting samples for a flash sequence
+     * @param {Array} sequence - [{ color, rgb, start, end }] from LivenessChallenger, times relative to startedAt
+     * @param {Number} startedAt - When the first segment was shown (ms since epoch)
+     */
+    start(sequence, startedAt = Date.now()) {
+        this.sequence = sequence;
+        this.startedAt = startedAt;
+        this.samples = [];
+        this.lastResult = null;
+        this.cachedResult = null;
+    }
+
+    isRunning() {
+        return !!this.sequence && !this.lastResult;
+    }
+
+    /**
+     * Sample the current frame
+     * @param {FrameBuffer} frame - Shared camera frame
+     * @param {Array} keypoints - FaceMesh keypoints
+     * @param {Number} timestamp - Frame time (ms since epoch)
+     * @returns {Object|null} Result once the sequence has ended
+     */
+    analyze(frame, keypoints, timestamp = frame.timestamp) {
+        if (!this.isReady || !this.isRunning() || !keypoints || keypoints.length < 400) {
+            return this.cachedResult;
+        }
+
+        const elapsed = timestamp - this.startedAt;
+        const segmentIndex = this.sequence.findIndex(s => elapsed >= s.start + this.settleTime && elapsed < s.end);
+        if (segmentIndex === -1) return this.cachedResult;
+
+        const imageData = frame.getImageData(this.scale);
+
+        const skin = this.sampleSkin(imageData, keypoints);
+        const highlight = this.eyeReflection
+            ? this.eyeReflection.getHighlightColor(imageData, keypoints, this.scale)
+            : null;
+
+        if (skin) {
+            this.samples.push({ segment: segmentIndex, skin, highlight });
+        }
+        return this.cachedResult;
+    }
+
+    sampleSkin(imageData, keypoints) {
+        const data = imageData.data;
+        const { width, height } = imageData;
+        const radius = 2;
+        const sum = [0, 0, 0];
+        let count = 0;
+
+        for (const index of this.skinPoints) {
+            const point = keypoints[index];
+            if (!point) continue;
+            const cx = Math.floor(point.x * this.scale);
+            const cy = Math.floor(point.y * this.scale);
+
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    const x = cx + dx, y = cy + dy;
+                    if (x < 0 || x >= width || y < 0 || y >= height) continue;
+                    const idx = (y * width + x) << 2;
+                    sum[0] += data[idx];
+                    sum[1] += data[idx + 1];
+                    sum[2] += data[idx + 2];
+                    count++;
+                }
+            }
+        }
+
+        return count > 0 ? sum.map(v => v / count) : null;
+    }
+
+    /**
+     * Score the collected samples against the sequence (call when the sequence ends)
+     * @returns {Object} { complete, conclusive, isReal, attack, score, skinMatches, highlightMatches, segments }
+     */
+    finish() {
+        if (!this.sequence) return null;
+
+        const baselineIndex = this.sequence.findIndex(s => !s.rgb);
+        const colored = this.sequence.map((s, i) => ({ ...s, index: i })).filter(s => s.rgb);
+
+        const skin = this.matchSegments(baselineIndex, colored, 'skin');
+        const highlight = this.matchSegments(baselineIndex, colored, 'highlight');
+
+        // Need the baseline and most colored segments observed before judging
+        const conclusive = skin.observed >= Math.max(2, Math.ceil(colored.length * 0.75));
+        const skinScore = skin.observed > 0 ? skin.matched / skin.observed : 0;
+        const useHighlights = highlight.observed >= Math.ceil(colored.length / 2);
+        const highlightScore = useHighlights ? highlight.matched / highlight.observed : null;
+
+        const overall = highlightScore === null ? skinScore : skinScore * 0.7 + highlightScore * 0.3;
+        const score = Math.round(overall * 100);
+
+        const result = {
+            complete: true,
+            conclusive,
+            isReal: conclusive && score > this.realThreshold,
+            attack: conclusive && score <= this.realThreshold,
+            score,
+            skinMatches: `${skin.matched}/${skin.observed}`,
+            highlightMatches: useHighlights ? `${highlight.matched}/${highlight.observed}` : null,
+            segments: colored.length,
+            samples: this.samples.length
+        };
+
+        this.lastResult = result;
+        this.cachedResult = result;
+        return result;
+    }
+
+    matchSegments(baselineIndex, colored, key) {
+        const baseline = this.meanChromaticity(baselineIndex, key);
+        if (!baseline) return { matched: 0, observed: 0 };
+
+        let matched = 0, observed = 0;
+        for (const segment of colored) {
+            const chroma = this.meanChromaticity(segment.index, key);
+            if (!chroma) continue;
+            observed++;
+
+            const gain = chroma.map((c, i) => c - baseline[i]);
+            const expected = segment.rgb.indexOf(Math.max(...segment.rgb));
+            const strongest = gain.indexOf(Math.max(...gain));
+            if (strongest === expected && gain[expected] > this.minShift) matched++;
+        }
+        return { matched, observed };
+    }
+
+    meanChromaticity(segmentIndex, key) {
+        const values = this.samples.filter(s => s.segment === segmentIndex && s[key]).map(s => s[key]);
+        if (values.length === 0) return null;
+
+        const mean = [0, 1, 2].map(c => values.reduce((sum, v) => sum + v[c], 0) / values.length);
+        const total = mean[0] + mean[1] + mean[2];
+        return total > 0 ? mean.map(v => v / total) : null;
+    }
+
+    getResults() { return this.lastResult; }
+
+    reset() {
+        this.sequence = null;
+        this.startedAt = null;
+        this.samples = [];
+        this.lastResult = null;
+        this.cachedResult = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorFlashAnalyzer;
+}
@@ -10,6 +10,8 @@ class DepthEstimator {
         this.maxHistory = 10; // Reduced from 20
         this.cachedResult = null;
         this.frameCount = 0;
+        this.frameSkip = 2; // run FaceMesh every 2nd call
+        this.realThreshold = 60; // isReal cut-off (0-100), set by the score policy
 
         // Key facial points (reduced set)
         this.keyPoints = { noseTip: 1, leftEye: 33, rightEye: 263, chin: 152, forehead: 10 };
@@ -20,7 +22,7 @@ class DepthEstimator {
             console.log('Loading FaceMesh model (optimized)...');
             this.faceMesh = await faceLandmarksDetection.createDetector(
                 faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
-                { runtime: 'tfjs', refineLandmarks: false, maxFaces: 1 } // refineLandmarks: false for speed
+                { runtime: 'tfjs', refineLandmarks: true, maxFaces: 1 } // refineLandmarks: iris points for the eye movement challenge
             );
             this.isModelLoaded = true;
             console.log('FaceMesh model loaded successfully');
@@ -36,7 +38,7 @@ class DepthEstimator {
 
         // Skip frames for performance
         this.frameCount++;
-        if (this.frameCount % 2 !== 0 && this.cachedResult) {
+        if (this.frameCount % this.frameSkip !== 0 && this.cachedResult) {
             return this.cachedResult;
         }
 
@@ -57,7 +59,7 @@ class DepthEstimator {
             const combinedScore = (depthScore * 0.6) + (consistencyScore * 0.4);
 
             const result = {
-                isReal: combinedScore > 0.6,
+                isReal: combinedScore * 100 > this.realThreshold,
                 score: Math.round(combinedScore * 100),
                 depthScore: Math.round(depthScore * 100),
                 consistencyScore: Math.round(consistencyScore * 100),
@@ -133,6 +135,16 @@ class DepthEstimator {
         return this.depthHistory.length > 0 ? this.depthHistory[this.depthHistory.length - 1] : null;
     }
 
+    /**
+     * Latest result without the FaceMesh keypoints
+     * @returns {Object|null} { isReal, score, depthScore, consistencyScore, features }
+     */
+    getResults() {
+        if (!this.cachedResult) return null;
+        const { keypoints, ...result } = this.cachedResult;
+        return result;
+    }
+
     reset() {
         this.depthHistory = [];
         this.cachedResult = null;
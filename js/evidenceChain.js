@@ -0,0 +1,191 @@
+/**
+ * Evidence Chain Module
+ * Hash-chains the recording as MediaRecorder delivers it, so the exported
+ * file can be tied back to the session that captured it:
+ *
+ *   h0 = SHA-256("livenessguard-video/1:" + session nonce)
+ *   hi = SHA-256(hi-1 || SHA-256(chunk i))
+ *
+ * The final digest goes into the signed result (and so into the result
+ * hash); the manifest of chunk sizes and hashes goes into the report. The
+ * downloaded file is the chunks concatenated, so verify() can cut it back
+ * into chunks, recompute the chain and name the first chunk that differs.
+ */
+class EvidenceChain {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Begin a chain for a new recording
+     * @param {String} seed - Session nonce (binds the chain to the signing session)
+     */
+    start(seed = '') {
+        this.reset();
+        this.seed = seed;
+        this.queue = EvidenceChain.sha256Text(`${EvidenceChain.DOMAIN}:${seed}`).then(head => {
+            this.head = head;
+        });
+    }
+
+    /**
+     * Add the next recorded chunk. Chunks are hashed strictly in arrival order.
+     * @param {Blob} chunk - MediaRecorder dataavailable blob
+     */
+    append(chunk) {
+        if (!this.queue) this.start();
+        this.queue = this.queue.then(async () => {
+            const chunkHash = await EvidenceChain.sha256(await chunk.arrayBuffer());
+            this.head = await EvidenceChain.link(this.head, chunkHash);
+            this.chunks.push({ size: chunk.size, hash: chunkHash });
+        });
+        // Keep the queue usable after a failed hash; finalize() reports the error
+        this.queue = this.queue.catch(error => {
+            this.error = error;
+        });
+    }
+
+    /**
+     * Wait for the pending chunks and describe the chain
+     * @returns {Promise<Object>} { algorithm, seed, chunks: [{ size, hash }], chunkCount, totalSize, digest }
+     */
+    async finalize() {
+        if (!this.queue) throw new Error('Evidence chain was never started');
+        await this.queue;
+        if (this.error) throw this.error;
+
+        return {
+            algorithm: EvidenceChain.ALGORITHM,
+            seed: this.seed,
+            chunks: this.chunks.map(chunk => ({ ...chunk })),
+            chunkCount: this.chunks.length,
+            totalSize: this.chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+            digest: this.head
+        };
+    }
+
+    reset() {
+        this.seed = '';
+        this.queue = null;
+        this.head = null;
+        this.chunks = [];
+        this.error = null;
+    }
+
+    /**
+     * The part of a manifest that goes into the signed result
+     * @param {Object} manifest - finalize() result
+     * @returns {Object} { algorithm, digest, chunkCount, totalSize }
+     */
+    static summarize(manifest) {
+        const { algorithm, digest, chunkCount, totalSize } = manifest;
+        return { algorithm, digest, chunkCount, totalSize };
+    }
+
+    /**
+     * Recompute a manifest's chain over a file
+     * @param {Blob} video - Downloaded recording
+     * @param {Object} manifest - EvidenceChain manifest ({ seed, chunks, digest })
+     * @returns {Promise<Object>} { valid, digest, firstBadChunk, reason }
+     */
+    static async verifyChain(video, manifest) {
+        const expectedSize = manifest.chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+        if (video.size !== expectedSize) {
+            return { valid: false, digest: null, firstBadChunk: null, reason: 'SIZE_MISMATCH' };
+        }
+
+        let head = await EvidenceChain.sha256Text(`${EvidenceChain.DOMAIN}:${manifest.seed}`);
+        let offset = 0;
+        let firstBadChunk = null;
+
+        for (let i = 0; i < manifest.chunks.length; i++) {
+            const { size, hash } = manifest.chunks[i];
+            const chunkHash = await EvidenceChain.sha256(await video.slice(offset, offset + size).arrayBuffer());
+            if (chunkHash !== hash && firstBadChunk === null) firstBadChunk = i;
+            head = await EvidenceChain.link(head, chunkHash);
+            offset += size;
+        }
+
+        if (firstBadChunk !== null) {
+            return { valid: false, digest: head, firstBadChunk, reason: 'CHUNK_MISMATCH' };
+        }
+        if (head !== manifest.digest) {
+            return { valid: false, digest: head, firstBadChunk: null, reason: 'DIGEST_MISMATCH' };
+        }
+        return { valid: true, digest: head, firstBadChunk: null, reason: null };
+    }
+
+    /**
+     * Check that a recording and a verification report (ReportExporter JSON) belong together
+     * @param {Blob} video - Downloaded recording
+     * @param {Object} report - Verification report
+     * @returns {Promise<Object>} { valid, reasons, checks: { chain, signedDigest, videoHash, resultHash }, firstBadChunk }
+     *   Checks that cannot run (e.g. an unsigned report has no signed digest) are null
+     */
+    static async verify(video, report) {
+        const integrity = (report && report.integrity) || {};
+        const manifest = integrity.videoChain;
+        const signedPayload = integrity.signedPayload;
+        const reasons = [];
+        const checks = { chain: null, signedDigest: null, videoHash: null, resultHash: null };
+        let firstBadChunk = null;
+
+        if (!manifest || !Array.isArray(manifest.chunks)) {
+            return { valid: false, reasons: ['MISSING_VIDEO_CHAIN'], checks, firstBadChunk };
+        }
+
+        const chain = await EvidenceChain.verifyChain(video, manifest);
+        checks.chain = chain.valid;
+        firstBadChunk = chain.firstBadChunk;
+        if (!chain.valid) reasons.push(chain.reason);
+
+        if (signedPayload) {
+            // The digest the HMAC covers must be the manifest's, and the manifest must come from this session
+            const signedChain = signedPayload.videoChain;
+            checks.signedDigest = !!signedChain && signedChain.digest === manifest.digest &&
+                manifest.seed === signedPayload.nonce;
+            if (!checks.signedDigest) reasons.push('SIGNED_DIGEST_MISMATCH');
+
+            if (signedPayload.videoHash) {
+                checks.videoHash = await EvidenceChain.sha256(await video.arrayBuffer()) === signedPayload.videoHash;
+                if (!checks.videoHash) reasons.push('VIDEO_HASH_MISMATCH');
+            }
+
+            if (integrity.resultHash && integrity.hashOf === 'signedPayload') {
+                checks.resultHash = await EvidenceChain.sha256Text(ResultSigner.canonicalize(signedPayload)) === integrity.resultHash;
+                if (!checks.resultHash) reasons.push('RESULT_HASH_MISMATCH');
+            }
+        }
+
+        return { valid: reasons.length === 0, reasons, checks, firstBadChunk };
+    }
+
+    static async link(previous, chunkHash) {
+        const bytes = new Uint8Array(64);
+        bytes.set(EvidenceChain.fromHex(previous), 0);
+        bytes.set(EvidenceChain.fromHex(chunkHash), 32);
+        return EvidenceChain.sha256(bytes);
+    }
+
+    static async sha256(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return ResultSigner.toHex(new Uint8Array(digest));
+    }
+
+    static sha256Text(text) {
+        return EvidenceChain.sha256(new TextEncoder().encode(text));
+    }
+
+    static fromHex(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return bytes;
+    }
+}
+
+EvidenceChain.ALGORITHM = 'sha256-chain';
+EvidenceChain.DOMAIN = 'livenessguard-video/1';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EvidenceChain;
+}
@@ -0,0 +1,198 @@
+/**
+ * Evidence Compositor Module
+ * Draws the camera frame, the face overlay canvas, the current challenge
+ * prompt with its timer and the live module scores into one canvas, and
+ * exposes it as a MediaStream. VideoRecorder records that stream instead of
+ * the raw camera when annotated recordings are enabled, so a reviewer sees
+ * what the user was asked and what the analyzers scored at every moment.
+ */
+class EvidenceCompositor {
+    /**
+     * @param {HTMLVideoElement} video - Camera preview
+     * @param {HTMLCanvasElement} overlay - FaceDetector overlay canvas (same size as the video)
+     * @param {Object} options - { frameRate (default: 30) }
+     */
+    constructor(video, overlay, options = {}) {
+        this.video = video;
+        this.overlay = overlay;
+        this.frameRate = options.frameRate || 30;
+        this.canvas = null;
+        this.ctx = null;
+        this.stream = null;
+        this.frameHandle = null;
+        this.isRunning = false;
+        this.startedAt = null;
+
+        this.challenge = null;
+        this.progress = 0;
+        this.scores = null;
+    }
+
+    /**
+     * Start drawing (the video must have loaded its metadata)
+     * @returns {MediaStream} Composited stream to record
+     */
+    start() {
+        if (this.isRunning) return this.stream;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.video.videoWidth || 1280;
+        this.canvas.height = this.video.videoHeight || 720;
+        this.ctx = this.canvas.getContext('2d');
+        this.stream = this.canvas.captureStream(this.frameRate);
+        this.startedAt = Date.now();
+        this.isRunning = true;
+
+        this.draw();
+        this.scheduleFrame();
+        return this.stream;
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.frameHandle !== null) {
+            if (this.video.cancelVideoFrameCallback) {
+                this.video.cancelVideoFrameCallback(this.frameHandle);
+            } else {
+                cancelAnimationFrame(this.frameHandle);
+            }
+            this.frameHandle = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * @param {Object|null} challenge - { name, instruction } being asked, or null between challenges
+     */
+    setChallenge(challenge) {
+        this.challenge = challenge;
+        this.progress = 0;
+    }
+
+    /**
+     * @param {Number} progress - Share of the challenge time used (0-100)
+     */
+    setProgress(progress) {
+        this.progress = progress;
+    }
+
+    /**
+     * @param {Object} scores - Module scores (LivenessApp.securityScores)
+     */
+    setScores(scores) {
+        this.scores = { ...scores };
+    }
+
+    /**
+     * Draw on every new camera frame, or every animation frame where
+     * requestVideoFrameCallback is unavailable
+     */
+    scheduleFrame() {
+        const next = () => {
+            if (!this.isRunning) return;
+            this.draw();
+            this.scheduleFrame();
+        };
+        this.frameHandle = this.video.requestVideoFrameCallback
+            ? this.video.requestVideoFrameCallback(next)
+            : requestAnimationFrame(next);
+    }
+
+    draw() {
+        const { ctx, canvas } = this;
+        const { width, height } = canvas;
+        const scale = width / 1280;
+
+        ctx.drawImage(this.video, 0, 0, width, height);
+        if (this.overlay && this.overlay.width > 0) {
+            ctx.drawImage(this.overlay, 0, 0, width, height);
+        }
+
+        ctx.font = `${Math.round(22 * scale)}px sans-serif`;
+        ctx.textBaseline = 'middle';
+
+        if (this.challenge) this.drawPrompt(scale);
+        if (this.scores) this.drawScores(scale);
+        this.drawClock(scale);
+    }
+
+    drawPrompt(scale) {
+        const { ctx, canvas } = this;
+        const bannerHeight = 64 * scale;
+        const top = canvas.height - bannerHeight;
+
+        ctx.fillStyle = EvidenceCompositor.COLORS.panel;
+        ctx.fillRect(0, top, canvas.width, bannerHeight);
+        ctx.fillStyle = EvidenceCompositor.COLORS.text;
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.challenge.name}: ${this.challenge.instruction}`, canvas.width / 2, top + bannerHeight * 0.42);
+
+        // Time used, as on the challenge overlay
+        const barHeight = 6 * scale;
+        ctx.fillStyle = EvidenceCompositor.COLORS.progress;
+        ctx.fillRect(0, canvas.height - barHeight, canvas.width * Math.min(100, this.progress) / 100, barHeight);
+    }
+
+    drawScores(scale) {
+        const { ctx } = this;
+        const entries = Object.entries(this.scores);
+        const padding = 10 * scale;
+        const lineHeight = 26 * scale;
+        const boxWidth = 250 * scale;
+
+        ctx.fillStyle = EvidenceCompositor.COLORS.panel;
+        ctx.fillRect(padding, padding, boxWidth, padding * 2 + lineHeight * entries.length);
+
+        ctx.textAlign = 'left';
+        entries.forEach(([module, score], i) => {
+            const y = padding * 2 + lineHeight * (i + 0.5);
+            ctx.fillStyle = EvidenceCompositor.COLORS.text;
+            ctx.fillText(EvidenceCompositor.SCORE_LABELS[module] || module, padding * 2, y);
+            ctx.fillStyle = score >= 70 ? EvidenceCompositor.COLORS.pass
+                : (score >= 50 ? EvidenceCompositor.COLORS.warn : EvidenceCompositor.COLORS.fail);
+            ctx.textAlign = 'right';
+            ctx.fillText(`${Math.round(score)}%`, padding + boxWidth - padding, y);
+            ctx.textAlign = 'left';
+        });
+    }
+
+    drawClock(scale) {
+        const { ctx, canvas } = this;
+        const now = Date.now();
+        const elapsed = ((now - this.startedAt) / 1000).toFixed(1);
+        const text = `${new Date(now).toISOString()}  +${elapsed} s`;
+        const padding = 10 * scale;
+
+        ctx.textAlign = 'right';
+        const textWidth = ctx.measureText(text).width;
+        ctx.fillStyle = EvidenceCompositor.COLORS.panel;
+        ctx.fillRect(canvas.width - textWidth - padding * 3, padding, textWidth + padding * 2, 36 * scale);
+        ctx.fillStyle = EvidenceCompositor.COLORS.text;
+        ctx.fillText(text, canvas.width - padding * 2, padding + 18 * scale);
+    }
+}
+
+EvidenceCompositor.SCORE_LABELS = {
+    active: 'Active',
+    passive: 'Passive',
+    antiSpoof: 'Anti-spoof',
+    depth: 'Depth',
+    eyeReflection: 'Eye reflection',
+    microExpression: 'Micro-expr.'
+};
+
+EvidenceCompositor.COLORS = {
+    panel: 'rgba(15, 23, 42, 0.7)',
+    text: '#ffffff',
+    progress: '#667eea',
+    pass: '#10b981',
+    warn: '#f59e0b',
+    fail: '#ef4444'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EvidenceCompositor;
+}
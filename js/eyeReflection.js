@@ -10,6 +10,8 @@ class EyeReflection {
         this.lastResult = null;
         this.cachedResult = null;
         this.frameCount = 0;
+        this.frameSkip = 3; // analyze every 3rd call
+        this.realThreshold = 70; // isReal cut-off (0-100), set by the score policy
     }
 
     async initialize() {
@@ -18,28 +20,23 @@ class EyeReflection {
         return true;
     }
 
-    analyze(videoElement, canvas, keypoints) {
+    /**
+     * @param {FrameBuffer} frame - Shared frame
+     * @param {Array} keypoints - FaceMesh keypoints for the frame
+     */
+    analyze(frame, keypoints) {
         if (!this.isReady || !keypoints || keypoints.length < 400) {
             return this.cachedResult;
         }
 
-        // Skip frames
+        // Skip frames (1 when the frame scheduler sets the rate)
         this.frameCount++;
-        if (this.frameCount % 3 !== 0 && this.cachedResult) {
+        if (this.frameCount % this.frameSkip !== 0 && this.cachedResult) {
             return this.cachedResult;
         }
 
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-        // Use small canvas
         const scale = 0.5;
-        const w = Math.floor(videoElement.videoWidth * scale);
-        const h = Math.floor(videoElement.videoHeight * scale);
-        canvas.width = w;
-        canvas.height = h;
-        ctx.drawImage(videoElement, 0, 0, w, h);
-
-        const imageData = ctx.getImageData(0, 0, w, h);
+        const imageData = frame.getImageData(scale);
 
         // Quick eye region analysis
         const leftEyeScore = this.analyzeEyeRegionFast(imageData, keypoints, 'left', scale);
@@ -54,7 +51,7 @@ class EyeReflection {
         const overallScore = specularScore * 0.5 + consistencyScore * 0.25 + temporalScore * 0.25;
 
         const result = {
-            isReal: overallScore > 0.70, // Raised from 0.55
+            isReal: overallScore * 100 > this.realThreshold,
             score: Math.round(overallScore * 100),
             consistencyScore: Math.round(consistencyScore * 100),
             specularScore: Math.round(specularScore * 100),
@@ -107,6 +104,48 @@ class EyeReflection {
         return brightRatio > 0.15 ? 0.4 : 0.3 + brightRatio * 10;
     }
 
+    /**
+     * Mean color of the corneal highlights (brightest pixels around both irises)
+     * @param {ImageData} imageData - Frame scaled by `scale`
+     * @param {Array} keypoints - FaceMesh keypoints
+     * @param {Number} scale - imageData scale relative to the keypoints
+     * @returns {Array|null} [r, g, b] or null when no highlight is visible
+     */
+    getHighlightColor(imageData, keypoints, scale) {
+        // Iris centers with refineLandmarks, eye corners otherwise
+        const centers = keypoints.length > 473 ? [468, 473] : [33, 263];
+        const data = imageData.data;
+        const w = imageData.width;
+        const size = Math.max(2, Math.round(7 * scale / 0.5));
+        const sum = [0, 0, 0];
+        let count = 0;
+
+        for (const index of centers) {
+            const eye = keypoints[index];
+            if (!eye) continue;
+            const cx = Math.floor(eye.x * scale);
+            const cy = Math.floor(eye.y * scale);
+
+            for (let dy = -size; dy <= size; dy++) {
+                for (let dx = -size; dx <= size; dx++) {
+                    const x = cx + dx, y = cy + dy;
+                    if (x < 0 || x >= w || y < 0 || y >= imageData.height) continue;
+
+                    const idx = (y * w + x) << 2;
+                    // Max channel, so a saturated red or blue highlight still counts
+                    if (Math.max(data[idx], data[idx + 1], data[idx + 2]) > 200) {
+                        sum[0] += data[idx];
+                        sum[1] += data[idx + 1];
+                        sum[2] += data[idx + 2];
+                        count++;
+                    }
+                }
+            }
+        }
+
+        return count > 0 ? sum.map(v => v / count) : null;
+    }
+
     addToHistory(result) {
         this.reflectionHistory.push(result);
         if (this.reflectionHistory.length > this.maxHistory) {
@@ -4,6 +4,8 @@ class FaceDetector {
         this.isModelLoaded = false;
         this.detectionInterval = null;
         this.onDetectionCallback = null;
+        this.videoElement = null;
+        this.ctx = null;
         this.highResMesh = null; // Store mesh to draw
     }
 
@@ -34,135 +36,49 @@ class FaceDetector {
             console.error('Model not loaded. Call initialize() first.');
             return;
         }
+        this.attach(videoElement, canvas, callback);
 
+        // Run detection every 100ms
+        this.detectionInterval = setInterval(async () => {
+            await this.detectFrame();
+        }, 100);
+    }
+
+    /**
+     * Bind the video and overlay without a timer, for callers that drive
+     * detection per frame or only draw results computed elsewhere
+     * @param {HTMLVideoElement} videoElement - Video element to detect faces from
+     * @param {HTMLCanvasElement} canvas - Canvas for drawing detection boxes
+     * @param {Function} callback - Callback function for detection results
+     */
+    attach(videoElement, canvas, callback = null) {
+        this.videoElement = videoElement;
         this.onDetectionCallback = callback;
-        const ctx = canvas.getContext('2d');
+        this.ctx = canvas.getContext('2d');
 
         // Set canvas size to match video
         canvas.width = videoElement.videoWidth;
         canvas.height = videoElement.videoHeight;
+    }
 
-        // Run detection every 100ms
-        this.detectionInterval = setInterval(async () => {
-            await this.detectFaces(videoElement, ctx);
-        }, 100);
+    /**
+     * Detect faces in one frame of the attached video
+     * @param {HTMLVideoElement} source - Frame source (defaults to the attached video)
+     */
+    async detectFrame(source = this.videoElement) {
+        if (!this.ctx || !source) return;
+        await this.detectFaces(source, this.ctx);
     }
 
     /**
-     * Detect faces in the current video frame
+     * Detect faces in the current video frame, draw them and report them to the callback
      * @param {HTMLVideoElement} videoElement - Video element
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      */
     async detectFaces(videoElement, ctx) {
         try {
-            const predictions = await this.model.estimateFaces(videoElement, false);
-
-            // Clear previous drawings
-            ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-
-            // Draw High-Res Mesh if available (Persisted)
-            if (this.highResMesh && this.highResMesh.length > 10) {
-                ctx.fillStyle = 'rgba(100, 255, 218, 0.6)'; // Cyan-ish
-                const size = 1.5; // Small dots
-                for (let i = 0; i < this.highResMesh.length; i++) {
-                    const p = this.highResMesh[i];
-                    const x = p.x || p[0]; // Handle object or array
-                    const y = p.y || p[1];
-                    // Simple check if cached mesh matches current frame size roughly?
-                    // Just draw it.
-                    ctx.beginPath();
-                    ctx.fillRect(x, y, size, size); // Fastest draw
-                    // ctx.arc(x, y, 1, 0, 2 * Math.PI); ctx.fill(); 
-                }
-            }
-
-            let detectionResult = {
-                faceDetected: predictions.length > 0,
-                multipleFaces: predictions.length > 1,
-                faceCount: predictions.length,
-                predictions: predictions,
-                confidence: 0,
-                landmarks: null
-            };
-
-            if (predictions.length > 0) {
-                const face = predictions[0];
-
-                // Calculate confidence (BlazeFace returns probability)
-                detectionResult.confidence = Math.round((face.probability[0] || 0) * 100);
-
-                // Get face landmarks
-                detectionResult.landmarks = face.landmarks;
-
-                // Draw bounding box
-                const start = face.topLeft;
-                const end = face.bottomRight;
-                const size = [end[0] - start[0], end[1] - start[1]];
-
-                // Draw face box with gradient
-                ctx.strokeStyle = predictions.length === 1 ? '#10b981' : '#ef4444';
-                ctx.lineWidth = 3;
-                ctx.strokeRect(start[0], start[1], size[0], size[1]);
-
-                // Draw landmarks (eyes, nose, mouth, ears)
-                if (face.landmarks && !detectionResult.isHighRes) {
-                    ctx.fillStyle = '#667eea';
-                    face.landmarks.forEach(landmark => {
-                        ctx.beginPath();
-                        ctx.arc(landmark[0], landmark[1], 3, 0, 2 * Math.PI);
-                        ctx.fill();
-                    });
-                }
-
-                // Draw High-Res Mesh if available (passed from main.js usually? 
-                // actually FaceDetector doesn't know about FaceMesh unless we pass it or integrate it.
-                // The user said "frame annotation didn't track me". This logic is in `detectFaces`.
-                // `detectFaces` runs on loop independently. 
-                // To show FaceMesh tracking, we need to draw it here OR in main.js
-                // `main.js` calls `faceDetector.startDetection`.
-                // FaceDetector draws on `ctx`.
-
-                // To fix tracking visual, we should allow FaceDetector to receive external landmarks OR
-                // Update main.js to draw the mesh on the overlay canvas overlaying everything.
-                // But FaceDetector CLEARS the canvas every frame: `ctx.clearRect(0, 0...)`
-                // So FaceDetector must do the drawing.
-
-                // Hack: We can add a property `externalLandmarks` to FaceDetector and set it from main loop?
-                // Or just rely on BlazeFace landmarks which ARE drawn here?
-                // BlazeFace landmarks are only 6 points. That looks like "bad tracking".
-                // We want the COOL mesh. 
-
-                // Let's modify FaceDetector to accept specific draw calls or expose ctx?
-                // No, simpler: Main.js has reference to `faceDetector`.
-                // `main.js` gets FaceMesh keypoints in `startPassiveAnalysis` (every 1s? No, too slow for tracking).
-                // Wait, `startPassiveAnalysis` runs interval 1000ms. Tracking needs 30fps.
-                // So FaceMesh is NOT running at 30fps unless we change it.
-                // Running FaceMesh at 30fps is heavy on CPU/GPU.
-
-                // User wants "another detector". 
-                // If we run FaceMesh at 30fps, we solve tracking AND accuracy.
-                // Can we? `FaceDetector.js` uses `blazeface`. 
-                // Let's SWITCH FaceDetector to use FaceMesh if possible, or run both?
-                // FaceMesh is ~15-30fps on GPU. It's viable.
-
-                // Plan: Edit `FaceDetector.js` to try loading FaceMesh INSTEAD of BlazeFace if requested?
-                // Or just improve BlazeFace drawing?
-                // User asked for "another detector".
-                // I will add a `drawHighRes(ctx, keypoints)` method and call it from main?
-                // Implemenation detail: FaceDetector clears canvas.
-
-                // Let's stick to modifying `FaceDetector.js` to draw what it sees.
-                // If we want better tracking, we need FaceMesh running frequently.
-                // The user already has `DepthEstimator` running FaceMesh but infrequently.
-                // I will NOT force FaceMesh to 30fps without strict requirement as it might lag low-end devices.
-                // Instead, I'll Ensure BlazeFace 6 points are drawn clearly.
-                // AND I will add a 'setHighResLandmarks' method that FaceDetector can render if available.
-
-                // Draw confidence text
-                ctx.fillStyle = '#ffffff';
-                ctx.font = 'bold 16px Inter';
-                ctx.fillText(`${detectionResult.confidence}%`, start[0], start[1] - 10);
-            }
+            const detectionResult = await this.detect(videoElement);
+            this.drawDetection(detectionResult, ctx);
 
             // Call the callback with detection results
             if (this.onDetectionCallback) {
@@ -174,6 +90,139 @@ class FaceDetector {
         }
     }
 
+    /**
+     * Run BlazeFace on one frame without drawing (also used inside the analysis worker)
+     * @param {HTMLVideoElement|ImageBitmap} source - Frame
+     * @returns {Promise<Object>} Detection result
+     */
+    async detect(source) {
+        const predictions = await this.model.estimateFaces(source, false);
+
+        let detectionResult = {
+            faceDetected: predictions.length > 0,
+            multipleFaces: predictions.length > 1,
+            faceCount: predictions.length,
+            predictions: predictions,
+            confidence: 0,
+            landmarks: null
+        };
+
+        if (predictions.length > 0) {
+            const face = predictions[0];
+
+            // Calculate confidence (BlazeFace returns probability)
+            detectionResult.confidence = Math.round((face.probability[0] || 0) * 100);
+
+            // Get face landmarks
+            detectionResult.landmarks = face.landmarks;
+        }
+
+        return detectionResult;
+    }
+
+    /**
+     * Draw a detection result and the latest FaceMesh points on the overlay
+     * @param {Object} detectionResult - detect() result
+     * @param {CanvasRenderingContext2D} ctx - Overlay context (defaults to the attached canvas)
+     */
+    drawDetection(detectionResult, ctx = this.ctx) {
+        if (!ctx) return;
+        const predictions = detectionResult.predictions;
+
+        // Clear previous drawings
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+
+        // Draw High-Res Mesh if available (Persisted)
+        if (this.highResMesh && this.highResMesh.length > 10) {
+            ctx.fillStyle = 'rgba(100, 255, 218, 0.6)'; // Cyan-ish
+            const size = 1.5; // Small dots
+            for (let i = 0; i < this.highResMesh.length; i++) {
+                const p = this.highResMesh[i];
+                const x = p.x || p[0]; // Handle object or array
+                const y = p.y || p[1];
+                // Simple check if cached mesh matches current frame size roughly?
+                // Just draw it.
+                ctx.beginPath();
+                ctx.fillRect(x, y, size, size); // Fastest draw
+                // ctx.arc(x, y, 1, 0, 2 * Math.PI); ctx.fill(); 
+            }
+        }
+
+        if (predictions.length > 0) {
+            const face = predictions[0];
+
+            // Draw bounding box
+            const start = face.topLeft;
+            const end = face.bottomRight;
+            const size = [end[0] - start[0], end[1] - start[1]];
+
+            // Draw face box with gradient
+            ctx.strokeStyle = predictions.length === 1 ? '#10b981' : '#ef4444';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(start[0], start[1], size[0], size[1]);
+
+            // Draw landmarks (eyes, nose, mouth, ears)
+            if (face.landmarks && !detectionResult.isHighRes) {
+                ctx.fillStyle = '#667eea';
+                face.landmarks.forEach(landmark => {
+                    ctx.beginPath();
+                    ctx.arc(landmark[0], landmark[1], 3, 0, 2 * Math.PI);
+                    ctx.fill();
+                });
+            }
+
+            // Draw High-Res Mesh if available (passed from main.js usually? 
+            // actually FaceDetector doesn't know about FaceMesh unless we pass it or integrate it.
+            // The user said "frame annotation didn't track me". This logic is in `detectFaces`.
+            // `detectFaces` runs on loop independently. 
+            // To show FaceMesh tracking, we need to draw it here OR in main.js
+            // `main.js` calls `faceDetector.startDetection`.
+            // FaceDetector draws on `ctx`.
+
+            // To fix tracking visual, we should allow FaceDetector to receive external landmarks OR
+            // Update main.js to draw the mesh on the overlay canvas overlaying everything.
+            // But FaceDetector CLEARS the canvas every frame: `ctx.clearRect(0, 0...)`
+            // So FaceDetector must do the drawing.
+
+            // Hack: We can add a property `externalLandmarks` to FaceDetector and set it from main loop?
+            // Or just rely on BlazeFace landmarks which ARE drawn here?
+            // BlazeFace landmarks are only 6 points. That looks like "bad tracking".
+            // We want the COOL mesh. 
+
+            // Let's modify FaceDetector to accept specific draw calls or expose ctx?
+            // No, simpler: Main.js has reference to `faceDetector`.
+            // `main.js` gets FaceMesh keypoints in `startPassiveAnalysis` (every 1s? No, too slow for tracking).
+            // Wait, `startPassiveAnalysis` runs interval 1000ms. Tracking needs 30fps.
+            // So FaceMesh is NOT running at 30fps unless we change it.
+            // Running FaceMesh at 30fps is heavy on CPU/GPU.
+
+            // User wants "another detector". 
+            // If we run FaceMesh at 30fps, we solve tracking AND accuracy.
+            // Can we? `FaceDetector.js` uses `blazeface`. 
+            // Let's SWITCH FaceDetector to use FaceMesh if possible, or run both?
+            // FaceMesh is ~15-30fps on GPU. It's viable.
+
+            // Plan: Edit `FaceDetector.js` to try loading FaceMesh INSTEAD of BlazeFace if requested?
+            // Or just improve BlazeFace drawing?
+            // User asked for "another detector".
+            // I will add a `drawHighRes(ctx, keypoints)` method and call it from main?
+            // Implemenation detail: FaceDetector clears canvas.
+
+            // Let's stick to modifying `FaceDetector.js` to draw what it sees.
+            // If we want better tracking, we need FaceMesh running frequently.
+            // The user already has `DepthEstimator` running FaceMesh but infrequently.
+            // I will NOT force FaceMesh to 30fps without strict requirement as it might lag low-end devices.
+            // Instead, I'll Ensure BlazeFace 6 points are drawn clearly.
+            // AND I will add a 'setHighResLandmarks' method that FaceDetector can render if available.
+
+            // Draw confidence text
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 16px Inter';
+            ctx.fillText(`${detectionResult.confidence}%`, start[0], start[1] - 10);
+        }
+
+    }
+
     /**
      * Stop face detection
      */
@@ -0,0 +1,274 @@
+/**
+ * Face Matcher Module (1:1 verification)
+ * Compares the live FaceMesh face against an uploaded reference ID photo
+ * using a landmark-geometry embedding plus an aligned LBP texture embedding.
+ *
+ * Both embeddings are hand-built, not a trained face recognition model, so
+ * the similarity is a heuristic: its false-match and false-non-match rates
+ * have not been measured. Treat `isMatch` as a hint for review, not as proof
+ * that the person is the one on the ID.
+ */
+class FaceMatcher {
+    constructor() {
+        this.faceMesh = null;
+        this.isReady = false;
+        this.reference = null;
+        this.liveSamples = [];
+        this.maxSamples = 12;
+        this.lastResult = null;
+        this.cachedResult = null;
+        this.frameCount = 0;
+        this.frameSkip = 3; // match every 3rd call
+
+        // Verdict threshold on the combined similarity (0-1); set by hand, not calibrated to a false-match rate
+        this.matchThreshold = 0.72;
+
+        // Rigid landmarks (little affected by expression): eye corners, nose, chin, brows, cheeks
+        this.geometryIndices = [33, 133, 362, 263, 1, 4, 168, 6, 152, 10, 234, 454, 70, 300, 61, 291];
+
+        // Aligned crop: eyes placed at a fixed position in a 64x64 patch
+        this.cropSize = 64;
+        this.cropEyeY = 24;
+        this.cropEyeDistance = 28;
+        this.gridCells = 4;
+
+        this.cropCanvas = null;
+        this.lbpLookup = this.buildUniformLookup();
+    }
+
+    /**
+     * Initialize with a FaceMesh detector (shared with DepthEstimator to avoid loading it twice)
+     * @param {Object} faceMesh - face-landmarks-detection detector
+     */
+    async initialize(faceMesh) {
+        this.faceMesh = faceMesh || null;
+        this.cropCanvas = FrameBuffer.createCanvas(this.cropSize, this.cropSize);
+        this.isReady = !!this.faceMesh;
+        console.log('Face matcher initialized');
+        return this.isReady;
+    }
+
+    hasReference() {
+        return this.reference !== null;
+    }
+
+    /**
+     * Extract the reference embedding from an ID photo
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - Reference image
+     * @returns {Promise<Object>} { success, reason }
+     */
+    async setReference(image) {
+        if (!this.isReady) return { success: false, reason: 'Face matcher not initialized' };
+
+        try {
+            const faces = await this.faceMesh.estimateFaces(image);
+            if (faces.length === 0) {
+                this.reference = null;
+                return { success: false, reason: 'No face found in reference image' };
+            }
+
+            this.reference = this.extractEmbedding(image, faces[0].keypoints);
+            this.liveSamples = [];
+            this.cachedResult = null;
+            return { success: true, reason: null };
+        } catch (error) {
+            console.error('Error processing reference image:', error);
+            this.reference = null;
+            return { success: false, reason: 'Could not process reference image' };
+        }
+    }
+
+    clearReference() {
+        this.reference = null;
+        this.reset();
+    }
+
+    /**
+     * Compare the current live frame against the reference
+     * @param {HTMLVideoElement|ImageBitmap} videoElement - Live frame
+     * @param {Array} keypoints - FaceMesh keypoints for the current frame
+     * @returns {Object|null} Match result
+     */
+    analyze(videoElement, keypoints) {
+        if (!this.isReady || !this.reference || !keypoints || keypoints.length < 400) {
+            return this.cachedResult;
+        }
+
+        // Skip frames
+        this.frameCount++;
+        if (this.frameCount % this.frameSkip !== 0 && this.cachedResult) {
+            return this.cachedResult;
+        }
+
+        const live = this.extractEmbedding(videoElement, keypoints);
+        const geometryScore = this.compareGeometry(this.reference.geometry, live.geometry);
+        const appearanceScore = this.compareAppearance(this.reference.texture, live.texture);
+
+        this.liveSamples.push({ geometryScore, appearanceScore });
+        if (this.liveSamples.length > this.maxSamples) {
+            this.liveSamples.shift();
+        }
+
+        // Median over recent frames is robust to blinks and motion blur
+        const geometry = this.median(this.liveSamples.map(s => s.geometryScore));
+        const appearance = this.median(this.liveSamples.map(s => s.appearanceScore));
+        const similarity = geometry * 0.4 + appearance * 0.6;
+
+        const result = {
+            isMatch: similarity >= this.matchThreshold && this.liveSamples.length >= 3,
+            similarity: Math.round(similarity * 100),
+            geometryScore: Math.round(geometry * 100),
+            appearanceScore: Math.round(appearance * 100),
+            samples: this.liveSamples.length
+        };
+
+        this.lastResult = result;
+        this.cachedResult = result;
+        return result;
+    }
+
+    extractEmbedding(source, keypoints) {
+        const leftEye = this.midpoint(keypoints[33], keypoints[133]);
+        const rightEye = this.midpoint(keypoints[362], keypoints[263]);
+        const angle = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+        const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y) || 1;
+        const center = this.midpoint(leftEye, rightEye);
+
+        return {
+            geometry: this.extractGeometry(keypoints, center, angle, eyeDistance),
+            texture: this.extractTexture(source, center, angle, eyeDistance)
+        };
+    }
+
+    /**
+     * Landmarks normalized for translation, roll and scale (eye distance = 1)
+     */
+    extractGeometry(keypoints, center, angle, eyeDistance) {
+        const cos = Math.cos(-angle), sin = Math.sin(-angle);
+        const points = new Float32Array(this.geometryIndices.length * 2);
+
+        this.geometryIndices.forEach((idx, i) => {
+            const dx = keypoints[idx].x - center.x;
+            const dy = keypoints[idx].y - center.y;
+            points[i * 2] = (dx * cos - dy * sin) / eyeDistance;
+            points[i * 2 + 1] = (dx * sin + dy * cos) / eyeDistance;
+        });
+
+        return points;
+    }
+
+    /**
+     * Uniform LBP histograms over a grid of an eye-aligned grayscale crop
+     */
+    extractTexture(source, center, angle, eyeDistance) {
+        const size = this.cropSize;
+        const ctx = this.cropCanvas.getContext('2d', { willReadFrequently: true });
+        const scale = this.cropEyeDistance / eyeDistance;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, size, size);
+        ctx.translate(size / 2, this.cropEyeY);
+        ctx.scale(scale, scale);
+        ctx.rotate(-angle);
+        ctx.translate(-center.x, -center.y);
+        ctx.drawImage(source, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        const data = ctx.getImageData(0, 0, size, size).data;
+        const gray = new Float32Array(size * size);
+        for (let i = 0; i < gray.length; i++) {
+            const idx = i << 2;
+            gray[i] = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+        }
+
+        const cells = this.gridCells;
+        const cellSize = size / cells;
+        const histogram = new Float32Array(cells * cells * 59);
+
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const c = gray[y * size + x];
+                let code = 0;
+                if (gray[(y - 1) * size + x - 1] >= c) code |= 1;
+                if (gray[(y - 1) * size + x] >= c) code |= 2;
+                if (gray[(y - 1) * size + x + 1] >= c) code |= 4;
+                if (gray[y * size + x + 1] >= c) code |= 8;
+                if (gray[(y + 1) * size + x + 1] >= c) code |= 16;
+                if (gray[(y + 1) * size + x] >= c) code |= 32;
+                if (gray[(y + 1) * size + x - 1] >= c) code |= 64;
+                if (gray[y * size + x - 1] >= c) code |= 128;
+
+                const cell = ((y / cellSize) | 0) * cells + ((x / cellSize) | 0);
+                histogram[cell * 59 + this.lbpLookup[code]]++;
+            }
+        }
+
+        // Hellinger normalization (sqrt of L1-normalized histogram)
+        let total = 0;
+        for (let i = 0; i < histogram.length; i++) total += histogram[i];
+        for (let i = 0; i < histogram.length; i++) histogram[i] = Math.sqrt(histogram[i] / (total || 1));
+
+        return histogram;
+    }
+
+    compareGeometry(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i += 2) {
+            sum += Math.hypot(a[i] - b[i], a[i + 1] - b[i + 1]);
+        }
+        const meanError = sum / (a.length / 2);
+        // Hand-picked: ~0.05 eye-distances of error for the same person, 0.25+ for different people
+        return Math.max(0, Math.min(1, 1 - (meanError - 0.05) / 0.2));
+    }
+
+    compareAppearance(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        const cosine = normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+        // Map the hand-picked cosine range (0.75 different person .. 0.95 same person) to 0-1
+        return Math.max(0, Math.min(1, (cosine - 0.75) / 0.2));
+    }
+
+    buildUniformLookup() {
+        // 58 uniform patterns (<= 2 bit transitions) get their own bin, the rest share bin 58
+        const lookup = new Uint8Array(256);
+        let next = 0;
+        for (let code = 0; code < 256; code++) {
+            let transitions = 0;
+            for (let bit = 0; bit < 8; bit++) {
+                const a = (code >> bit) & 1;
+                const b = (code >> ((bit + 1) % 8)) & 1;
+                if (a !== b) transitions++;
+            }
+            lookup[code] = transitions <= 2 ? next++ : 58;
+        }
+        return lookup;
+    }
+
+    midpoint(p1, p2) {
+        return { x: (p1.x + p2.x) * 0.5, y: (p1.y + p2.y) * 0.5 };
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = sorted.length >> 1;
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) * 0.5;
+    }
+
+    getResults() { return this.lastResult; }
+
+    reset() {
+        this.liveSamples = [];
+        this.lastResult = null;
+        this.cachedResult = null;
+        this.frameCount = 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FaceMatcher;
+}
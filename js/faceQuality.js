@@ -0,0 +1,156 @@
+/**
+ * Face Quality Gate Module
+ * Pre-check run before any challenge timer starts: the face must be alone,
+ * centered, at the right distance, in focus and evenly lit for a short
+ * continuous period. Each check reports a translation key for live guidance.
+ */
+class FaceQualityGate {
+    /**
+     * @param {FaceDetector} faceDetector - Supplies getFacePosition / getFaceSize
+     * @param {Object} options - Threshold overrides
+     */
+    constructor(faceDetector, options = {}) {
+        this.faceDetector = faceDetector;
+        this.stableTime = options.stableTime ?? 1000;      // ms all checks must pass continuously
+        this.minSharpness = options.minSharpness ?? 40;    // Laplacian variance of the face crop
+        this.minBrightness = options.minBrightness ?? 60;  // mean face luminance (0-255)
+        this.maxBrightness = options.maxBrightness ?? 210;
+        this.maxClipped = options.maxClipped ?? 0.25;      // share of blown-out face pixels
+        this.maxBacklight = options.maxBacklight ?? 60;    // background brighter than the face by
+        this.maxImbalance = options.maxImbalance ?? 0.35;  // left/right face luminance difference (relative)
+
+        this.cropSize = 96;
+        this.canvas = null;
+        this.passingSince = null;
+        this.lastResult = null;
+    }
+
+    /**
+     * Evaluate one detection frame
+     * @param {Object} detection - FaceDetector result ({ faceDetected, multipleFaces, predictions })
+     * @param {FrameBuffer} frame - Camera frame
+     * @param {Number} now - Timestamp (ms)
+     * @returns {Object} { ready, passing, issue (translation key | null), metrics }
+     */
+    check(detection, frame, now = frame.timestamp) {
+        const { width, height } = frame;
+        let issue = null;
+        let metrics = null;
+
+        if (!detection.faceDetected) {
+            issue = 'noFaceDetected';
+        } else if (detection.multipleFaces) {
+            issue = 'multipleFaces';
+        } else {
+            const size = this.faceDetector.getFaceSize(detection.predictions, width, height);
+            const position = this.faceDetector.getFacePosition(detection.predictions, width, height);
+
+            if (size.tooSmall) issue = 'qualityMoveCloser';
+            else if (size.tooLarge) issue = 'qualityMoveBack';
+            else if (!position.centered) issue = 'qualityCenter';
+            else {
+                metrics = this.measureImage(frame, detection.predictions[0]);
+                issue = this.imageIssue(metrics);
+            }
+            metrics = { sizeRatio: size.ratio, offsetX: position.x, offsetY: position.y, ...metrics };
+        }
+
+        const passing = issue === null;
+        if (!passing) {
+            this.passingSince = null;
+        } else if (this.passingSince === null) {
+            this.passingSince = now;
+        }
+
+        const ready = passing && now - this.passingSince >= this.stableTime;
+        this.lastResult = { ready, passing, issue: passing && !ready ? 'qualityHoldStill' : issue, metrics };
+        return this.lastResult;
+    }
+
+    imageIssue(metrics) {
+        if (metrics.brightness < this.minBrightness) return 'qualityTooDark';
+        if (metrics.brightness > this.maxBrightness || metrics.clipped > this.maxClipped) return 'qualityTooBright';
+        if (metrics.background - metrics.brightness > this.maxBacklight) return 'qualityBacklight';
+        if (metrics.imbalance > this.maxImbalance) return 'qualityUnevenLight';
+        if (metrics.sharpness < this.minSharpness) return 'qualityBlurry';
+        return null;
+    }
+
+    /**
+     * Luminance, exposure and focus of the face box plus the background around it
+     */
+    measureImage(frame, face) {
+        if (!this.canvas) this.canvas = FrameBuffer.createCanvas();
+        const size = this.cropSize;
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        canvas.width = size;
+        canvas.height = size * 2;
+
+        // Top: face crop. Bottom: whole frame, for the background level
+        const [x1, y1] = face.topLeft;
+        const [x2, y2] = face.bottomRight;
+        ctx.drawImage(frame.source, x1, y1, x2 - x1, y2 - y1, 0, 0, size, size);
+        ctx.drawImage(frame.source, 0, 0, frame.width, frame.height, 0, size, size, size);
+
+        const pixels = ctx.getImageData(0, 0, size, size * 2).data;
+        const luma = new Float32Array(size * size);
+        let sum = 0, clipped = 0, left = 0, right = 0;
+
+        for (let i = 0; i < size * size; i++) {
+            const idx = i << 2;
+            const y = 0.299 * pixels[idx] + 0.587 * pixels[idx + 1] + 0.114 * pixels[idx + 2];
+            luma[i] = y;
+            sum += y;
+            if (y >= 250) clipped++;
+            if (i % size < size / 2) left += y; else right += y;
+        }
+        const brightness = sum / luma.length;
+
+        // Background: frame pixels outside the (scaled) face box
+        const fx1 = (x1 / frame.width) * size, fx2 = (x2 / frame.width) * size;
+        const fy1 = (y1 / frame.height) * size, fy2 = (y2 / frame.height) * size;
+        let background = 0, backgroundCount = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (x >= fx1 && x <= fx2 && y >= fy1 && y <= fy2) continue;
+                const idx = ((y + size) * size + x) << 2;
+                background += 0.299 * pixels[idx] + 0.587 * pixels[idx + 1] + 0.114 * pixels[idx + 2];
+                backgroundCount++;
+            }
+        }
+
+        // Focus: variance of the 4-neighbour Laplacian
+        let lapSum = 0, lapSq = 0, lapCount = 0;
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                const i = y * size + x;
+                const lap = luma[i - 1] + luma[i + 1] + luma[i - size] + luma[i + size] - 4 * luma[i];
+                lapSum += lap;
+                lapSq += lap * lap;
+                lapCount++;
+            }
+        }
+        const lapMean = lapSum / lapCount;
+
+        const half = (size * size) / 2;
+        return {
+            brightness: Math.round(brightness),
+            clipped: Math.round((clipped / luma.length) * 100) / 100,
+            background: Math.round(backgroundCount > 0 ? background / backgroundCount : brightness),
+            imbalance: brightness > 0 ? Math.round((Math.abs(left - right) / half / brightness) * 100) / 100 : 0,
+            sharpness: Math.round(lapSq / lapCount - lapMean * lapMean)
+        };
+    }
+
+    getResults() { return this.lastResult; }
+
+    reset() {
+        this.passingSince = null;
+        this.lastResult = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FaceQualityGate;
+}
@@ -0,0 +1,62 @@
+/**
+ * Frame Buffer Module
+ * One captured video frame shared by every analyzer that runs on it: the
+ * pixels are drawn and read back once per scale, however many modules ask.
+ */
+class FrameBuffer {
+    /**
+     * @param {HTMLVideoElement|ImageBitmap} source - Frame source (anything drawImage accepts)
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Scratch canvas used for the read-back
+     * @param {Number} timestamp - Capture time (ms)
+     */
+    constructor(source, canvas, timestamp = Date.now()) {
+        this.source = source;
+        this.canvas = canvas;
+        this.timestamp = timestamp;
+        this.width = source.videoWidth || source.width;
+        this.height = source.videoHeight || source.height;
+        this.imageData = new Map(); // scale -> ImageData
+    }
+
+    /**
+     * Downscaled RGBA pixels of the frame
+     * @param {Number} scale - Fraction of the source resolution
+     * @returns {ImageData} Cached after the first call for this scale
+     */
+    getImageData(scale = FrameBuffer.DEFAULT_SCALE) {
+        if (this.imageData.has(scale)) return this.imageData.get(scale);
+
+        const w = Math.floor(this.width * scale);
+        const h = Math.floor(this.height * scale);
+        const canvas = this.canvas;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        canvas.width = w;
+        canvas.height = h;
+        ctx.drawImage(this.source, 0, 0, w, h);
+
+        const imageData = ctx.getImageData(0, 0, w, h);
+        this.imageData.set(scale, imageData);
+        return imageData;
+    }
+
+    /**
+     * Scratch canvas that also works inside a worker
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+     */
+    static createCanvas(width = 1, height = 1) {
+        if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+}
+
+// Analysis resolution shared by the pixel-based analyzers
+FrameBuffer.DEFAULT_SCALE = 0.5;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameBuffer;
+}
@@ -0,0 +1,257 @@
+/**
+ * Frame Scheduler Module
+ * Single analysis loop driven by requestVideoFrameCallback: each new camera
+ * frame is captured once into a FrameBuffer and handed to whichever
+ * registered tasks are due. Task rates are targets, stretched together when
+ * the measured camera FPS drops or the tasks take more of the frame time than
+ * the device can spare.
+ */
+class FrameScheduler {
+    /**
+     * @param {Object} options - { adaptive, targetLoad, minFps, maxSlowdown, adjustInterval }
+     */
+    constructor(options = {}) {
+        this.adaptive = options.adaptive ?? true;
+        this.targetLoad = options.targetLoad ?? 0.5;        // share of wall time the tasks may use
+        this.minFps = options.minFps ?? 15;                 // below this the camera feed is starving
+        this.maxSlowdown = options.maxSlowdown ?? 3;        // intervals never stretch beyond 3x their target
+        this.adjustInterval = options.adjustInterval ?? 1000; // ms between rate adjustments
+
+        this.tasks = [];
+        this.video = null;
+        this.canvas = null;
+        this.running = false;
+        this.busy = false;
+        this.frameHandle = null;
+        this.usesVideoFrameCallback = false;
+
+        this.fps = 0;
+        this.frameInterval = 0;
+        this.lastFrameTime = null;
+        this.slowdown = 1;
+        this.lastAdjust = 0;
+
+        // Camera frame intervals for StreamIntegrityAnalyzer, drained by takeFrameTimes()
+        this.frameClock = null;
+        this.frameIntervals = [];
+        this.lastCapture = null;
+    }
+
+    /**
+     * Add a task to the loop. Tasks run in registration order on a frame.
+     * @param {String} name - Task id (used in stats and error logs)
+     * @param {Function} run - async (frame: FrameBuffer) => void
+     * @param {Object} options - { interval: target ms between runs, when: () => Boolean gate }
+     * @returns {FrameScheduler} this
+     */
+    register(name, run, options = {}) {
+        this.tasks.push({
+            name,
+            run,
+            interval: options.interval ?? 0,
+            when: options.when || null,
+            lastRun: -Infinity,
+            cost: 0
+        });
+        return this;
+    }
+
+    /**
+     * Start pulling frames from a playing video element
+     * @param {HTMLVideoElement} videoElement - Camera preview
+     * @param {HTMLCanvasElement} canvas - Scratch canvas for the shared frame buffer
+     */
+    start(videoElement, canvas) {
+        this.stop();
+        this.video = videoElement;
+        this.canvas = canvas;
+        this.running = true;
+        this.usesVideoFrameCallback = typeof videoElement.requestVideoFrameCallback === 'function';
+        this.requestFrame();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frameHandle !== null && this.video) {
+            if (this.usesVideoFrameCallback) {
+                this.video.cancelVideoFrameCallback(this.frameHandle);
+            } else {
+                cancelAnimationFrame(this.frameHandle);
+            }
+        }
+        this.frameHandle = null;
+    }
+
+    requestFrame() {
+        // Browsers without requestVideoFrameCallback fall back to display refresh
+        this.frameHandle = this.usesVideoFrameCallback
+            ? this.video.requestVideoFrameCallback((now, metadata) => this.onVideoFrame(now, metadata))
+            : requestAnimationFrame((now) => this.onVideoFrame(now));
+    }
+
+    async onVideoFrame(now, metadata = null) {
+        if (!this.running) return;
+        this.requestFrame();
+        this.measureFrameRate(now);
+        this.recordFrameTime(now, metadata);
+
+        // Still working on an earlier frame: drop this one
+        if (this.busy || this.video.readyState < 2) return;
+
+        this.busy = true;
+        try {
+            await this.runFrame(new FrameBuffer(this.video, this.canvas), now);
+        } finally {
+            this.busy = false;
+        }
+        this.maybeAdjustRates(now);
+    }
+
+    /**
+     * Feed one frame from outside the loop (frames posted to a worker, a seeked video file)
+     * @param {FrameBuffer} frame - Captured frame
+     * @param {Number} now - Frame time (ms, same clock for every call)
+     */
+    async process(frame, now) {
+        this.measureFrameRate(now);
+        await this.runFrame(frame, now);
+        this.maybeAdjustRates(now);
+    }
+
+    async runFrame(frame, now) {
+        const frameStart = performance.now();
+        // Frame timestamps jitter; a task is due within half a frame of its slot
+        const slack = this.frameInterval / 2;
+
+        for (const task of this.tasks) {
+            if (task.when && !task.when()) continue;
+            if (now - task.lastRun + slack < this.getInterval(task)) continue;
+
+            const started = performance.now();
+            task.lastRun = now;
+            try {
+                await task.run(frame);
+            } catch (error) {
+                console.error(`Error in ${task.name} task:`, error);
+            }
+            const cost = performance.now() - started;
+            task.cost = task.cost > 0 ? task.cost * 0.8 + cost * 0.2 : cost;
+
+            // Over budget: remaining due tasks go first on the next frame
+            if (this.adaptive && this.frameInterval > 0 && performance.now() - frameStart > this.frameInterval) break;
+        }
+    }
+
+    measureFrameRate(now) {
+        if (this.lastFrameTime !== null && now > this.lastFrameTime) {
+            const delta = now - this.lastFrameTime;
+            this.frameInterval = this.frameInterval > 0 ? this.frameInterval * 0.9 + delta * 0.1 : delta;
+            this.fps = 1000 / this.frameInterval;
+        }
+        this.lastFrameTime = now;
+    }
+
+    /**
+     * Keep the interval to the previous camera frame. Camera capture timestamps are
+     * used when the browser reports them; intervals spanning a skipped callback are left out.
+     * @param {Number} now - Callback time
+     * @param {Object} metadata - requestVideoFrameCallback metadata (null for animation frames)
+     */
+    recordFrameTime(now, metadata) {
+        let capture = { time: now, frames: null };
+        this.frameClock = 'display';
+        if (metadata) {
+            const hasCaptureTime = typeof metadata.captureTime === 'number';
+            this.frameClock = hasCaptureTime ? 'capture' : 'presentation';
+            capture = {
+                time: hasCaptureTime ? metadata.captureTime : metadata.presentationTime ?? now,
+                frames: metadata.presentedFrames ?? null
+            };
+        }
+
+        const last = this.lastCapture;
+        if (last && capture.time > last.time && (capture.frames === null || capture.frames - last.frames === 1)) {
+            this.frameIntervals.push(capture.time - last.time);
+            if (this.frameIntervals.length > FrameScheduler.MAX_FRAME_INTERVALS) this.frameIntervals.shift();
+        }
+        this.lastCapture = capture;
+    }
+
+    /**
+     * Hand over the frame intervals recorded since the last call
+     * @returns {Object} { clock: 'capture' | 'presentation' | 'display', intervals (ms) }
+     */
+    takeFrameTimes() {
+        const intervals = this.frameIntervals;
+        this.frameIntervals = [];
+        return { clock: this.frameClock, intervals };
+    }
+
+    getInterval(task) {
+        const interval = this.adaptive ? task.interval * this.slowdown : task.interval;
+        return Math.max(interval, this.adaptive ? this.frameInterval : 0);
+    }
+
+    /**
+     * Share of wall time the tasks currently use at their effective rates
+     */
+    getLoad() {
+        return this.tasks.reduce((load, task) => {
+            const interval = Math.max(this.getInterval(task), 1);
+            return load + (task.cost > 0 ? task.cost / interval : 0);
+        }, 0);
+    }
+
+    maybeAdjustRates(now) {
+        if (this.adaptive && now - this.lastAdjust >= this.adjustInterval) {
+            this.adjustRates();
+            this.lastAdjust = now;
+        }
+    }
+
+    adjustRates() {
+        const load = this.getLoad();
+        const starving = this.fps > 0 && this.fps < this.minFps;
+
+        if (load > this.targetLoad || starving) {
+            this.slowdown = Math.min(this.maxSlowdown, this.slowdown * 1.25);
+        } else if (load < this.targetLoad / 2) {
+            this.slowdown = Math.max(1, this.slowdown / 1.25);
+        }
+    }
+
+    getStats() {
+        const tasks = {};
+        this.tasks.forEach(task => {
+            tasks[task.name] = { interval: Math.round(this.getInterval(task)), cost: Math.round(task.cost * 10) / 10 };
+        });
+        return {
+            fps: Math.round(this.fps),
+            slowdown: Math.round(this.slowdown * 100) / 100,
+            load: Math.round(this.getLoad() * 100) / 100,
+            tasks
+        };
+    }
+
+    reset() {
+        this.tasks.forEach(task => {
+            task.lastRun = -Infinity;
+            task.cost = 0;
+        });
+        this.fps = 0;
+        this.frameInterval = 0;
+        this.lastFrameTime = null;
+        this.slowdown = 1;
+        this.lastAdjust = 0;
+        this.frameClock = null;
+        this.frameIntervals = [];
+        this.lastCapture = null;
+    }
+}
+
+// Intervals kept between takeFrameTimes() calls
+FrameScheduler.MAX_FRAME_INTERVALS = 300;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameScheduler;
+}
@@ -0,0 +1,186 @@
+/**
+ * Head Pose Estimator Module
+ * Solves yaw, pitch and roll from FaceMesh keypoints against a canonical 3D
+ * face model with POSIT (a perspective-n-point solver for non-coplanar points).
+ *
+ * Angles are in degrees, as seen by the camera (unmirrored image):
+ *   yaw   > 0  face turned toward image right
+ *   pitch > 0  chin up (nodding up)
+ *   roll  > 0  head tilted clockwise in the image
+ */
+class HeadPoseEstimator {
+    constructor() {
+        // Generic face model (mm), camera-style axes: x right, y down, z away from the viewer
+        this.modelPoints = [
+            { index: 1, x: 0, y: 0, z: 0 },            // nose tip (reference point)
+            { index: 152, x: 0, y: 330, z: 65 },       // chin
+            { index: 33, x: -225, y: -170, z: 135 },   // eye outer corner (image left)
+            { index: 263, x: 225, y: -170, z: 135 },   // eye outer corner (image right)
+            { index: 61, x: -150, y: 150, z: 125 },    // mouth corner (image left)
+            { index: 291, x: 150, y: 150, z: 125 }     // mouth corner (image right)
+        ];
+
+        this.iterations = 10;
+        this.smoothing = 0.5; // EMA factor for jitter reduction
+        this.lastPose = null;
+
+        // Pseudo-inverse of the model matrix is constant, compute it once
+        this.modelPseudoInverse = this.pseudoInverse(this.modelPoints.slice(1).map(p => [
+            p.x - this.modelPoints[0].x,
+            p.y - this.modelPoints[0].y,
+            p.z - this.modelPoints[0].z
+        ]));
+    }
+
+    /**
+     * Estimate head pose from FaceMesh keypoints
+     * @param {Array} keypoints - FaceMesh keypoints ({x, y} in video pixels)
+     * @param {Number} width - Video width
+     * @param {Number} height - Video height
+     * @returns {Object|null} { yaw, pitch, roll, translation }
+     */
+    estimate(keypoints, width, height) {
+        if (!keypoints || keypoints.length < 400 || !width || !height) {
+            return null;
+        }
+
+        // Image points relative to the principal point; focal length ~ image width (≈ 60° FOV)
+        const focal = width;
+        const image = this.modelPoints.map(p => ({
+            x: keypoints[p.index].x - width / 2,
+            y: keypoints[p.index].y - height / 2
+        }));
+
+        const pose = this.posit(image, focal);
+        if (!pose) return this.lastPose;
+
+        const angles = this.toEuler(pose.rotation);
+        const result = {
+            yaw: angles.yaw,
+            pitch: angles.pitch,
+            roll: angles.roll,
+            translation: pose.translation
+        };
+
+        if (this.lastPose) {
+            const a = this.smoothing;
+            result.yaw = a * result.yaw + (1 - a) * this.lastPose.yaw;
+            result.pitch = a * result.pitch + (1 - a) * this.lastPose.pitch;
+            result.roll = a * result.roll + (1 - a) * this.lastPose.roll;
+        }
+
+        result.yaw = Math.round(result.yaw * 10) / 10;
+        result.pitch = Math.round(result.pitch * 10) / 10;
+        result.roll = Math.round(result.roll * 10) / 10;
+
+        this.lastPose = result;
+        return result;
+    }
+
+    /**
+     * POSIT (DeMenthon & Davis): iterate scaled orthographic projection toward full perspective
+     */
+    posit(image, focal) {
+        const model = this.modelPoints;
+        const n = model.length;
+        const epsilon = new Float64Array(n);
+        let rotation = null, translation = null;
+
+        for (let iter = 0; iter < this.iterations; iter++) {
+            const xs = [], ys = [];
+            for (let i = 1; i < n; i++) {
+                xs.push(image[i].x * (1 + epsilon[i]) - image[0].x);
+                ys.push(image[i].y * (1 + epsilon[i]) - image[0].y);
+            }
+
+            const I = this.multiply(this.modelPseudoInverse, xs);
+            const J = this.multiply(this.modelPseudoInverse, ys);
+            const normI = Math.hypot(I[0], I[1], I[2]);
+            const normJ = Math.hypot(J[0], J[1], J[2]);
+            if (normI === 0 || normJ === 0) return null;
+
+            const scale = (normI + normJ) / 2;
+            const r1 = I.map(v => v / normI);
+            let r2 = J.map(v => v / normJ);
+            // I and J are only orthogonal for noise-free points: r1 x r2 is shorter than 1 otherwise
+            const r3 = this.normalize(this.cross(r1, r2));
+            if (!r3) return null;
+            // Re-orthogonalize the second row and keep it unit length
+            r2 = this.normalize(this.cross(r3, r1));
+
+            const z0 = focal / scale;
+            rotation = [r1, r2, r3];
+            translation = { x: image[0].x / scale, y: image[0].y / scale, z: z0 };
+
+            for (let i = 1; i < n; i++) {
+                const dx = model[i].x - model[0].x;
+                const dy = model[i].y - model[0].y;
+                const dz = model[i].z - model[0].z;
+                epsilon[i] = (r3[0] * dx + r3[1] * dy + r3[2] * dz) / z0;
+            }
+        }
+
+        return { rotation, translation };
+    }
+
+    toEuler(R) {
+        // camera = R * model, R = Rz(roll) * Ry(yaw) * Rx(pitch)
+        const toDeg = 180 / Math.PI;
+        const yaw = Math.asin(Math.max(-1, Math.min(1, -R[2][0])));
+        const pitch = Math.atan2(R[2][1], R[2][2]);
+        const roll = Math.atan2(R[1][0], R[0][0]);
+
+        // Flip signs so positive values match the conventions documented above
+        return { yaw: -yaw * toDeg, pitch: -pitch * toDeg, roll: roll * toDeg };
+    }
+
+    pseudoInverse(A) {
+        // (A^T A)^-1 A^T for an N x 3 matrix
+        const AtA = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (const row of A) {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) AtA[r][c] += row[r] * row[c];
+            }
+        }
+        const inv = this.invert3(AtA);
+        return [0, 1, 2].map(r => A.map(row => inv[r][0] * row[0] + inv[r][1] * row[1] + inv[r][2] * row[2]));
+    }
+
+    invert3(m) {
+        const [a, b, c] = m[0], [d, e, f] = m[1], [g, h, i] = m[2];
+        const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        return [
+            [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+            [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+            [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    multiply(M, v) {
+        return M.map(row => row.reduce((sum, m, k) => sum + m * v[k], 0));
+    }
+
+    cross(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    normalize(v) {
+        const length = Math.hypot(v[0], v[1], v[2]);
+        return length === 0 ? null : v.map(x => x / length);
+    }
+
+    getResults() { return this.lastPose; }
+
+    reset() {
+        this.lastPose = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadPoseEstimator;
+}
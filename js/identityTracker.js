@@ -0,0 +1,164 @@
+/**
+ * Identity Tracker Module
+ * Makes sure the same person stays in front of the camera for the whole
+ * session. The first frontal FaceMesh samples form a session signature
+ * (FaceMatcher's landmark-geometry and LBP texture embeddings); every later
+ * sample is compared against it. A sustained drop in similarity is reported
+ * as FACE_SWAP, a second face that stays in view as MULTIPLE_FACES.
+ */
+class IdentityTracker {
+    /**
+     * @param {FaceMatcher} faceMatcher - Supplies the embeddings and their comparison
+     * @param {Object} options - Threshold overrides
+     */
+    constructor(faceMatcher, options = {}) {
+        this.faceMatcher = faceMatcher;
+        this.enrollSamples = options.enrollSamples ?? 4;       // frontal samples forming the signature
+        this.swapThreshold = options.swapThreshold ?? 0.5;     // combined similarity (0-1) below which a sample mismatches
+        this.swapSamples = options.swapSamples ?? 3;           // consecutive mismatching samples to report a swap
+        this.updateThreshold = options.updateThreshold ?? 0.75; // only confident matches refine the signature
+        this.updateRate = options.updateRate ?? 0.1;           // follows slow lighting changes
+        this.multiFaceTime = options.multiFaceTime ?? 500;     // ms a second face must stay in view
+        this.maxYaw = options.maxYaw ?? 20;                    // the embeddings are not pose invariant
+        this.maxPitch = options.maxPitch ?? 20;
+
+        this.reset();
+    }
+
+    /**
+     * Track extra faces from a face detection
+     * @param {Object} detection - FaceDetector result ({ faceDetected, multipleFaces, faceCount })
+     * @param {Number} timestamp - Frame time (ms)
+     */
+    observeDetection(detection, timestamp) {
+        if (!detection.multipleFaces) {
+            this.multiFaceSince = null;
+            return;
+        }
+
+        if (this.multiFaceSince === null) {
+            this.multiFaceSince = timestamp;
+            this.multiFaceReported = false;
+        }
+        if (!this.multiFaceReported && timestamp - this.multiFaceSince >= this.multiFaceTime) {
+            this.multiFaceReported = true;
+            this.flag('MULTIPLE_FACES', timestamp, { faceCount: detection.faceCount });
+        }
+    }
+
+    /**
+     * Compare the current face against the session signature
+     * @param {FrameBuffer} frame - Frame the keypoints were estimated on
+     * @param {Array} keypoints - FaceMesh keypoints (null when no face was found)
+     * @param {Object} pose - HeadPoseEstimator result for the keypoints
+     * @returns {Object} getResults()
+     */
+    analyze(frame, keypoints, pose) {
+        if (!this.faceMatcher.isReady || !keypoints || keypoints.length < 400) {
+            return this.getResults();
+        }
+        if (pose && (Math.abs(pose.yaw) > this.maxYaw || Math.abs(pose.pitch) > this.maxPitch)) {
+            return this.getResults();
+        }
+
+        const sample = this.faceMatcher.extractEmbedding(frame.source, keypoints);
+        this.samples++;
+
+        if (this.enrolled.length < this.enrollSamples) {
+            this.enrolled.push(sample);
+            if (this.enrolled.length === this.enrollSamples) {
+                this.signature = this.averageEmbeddings(this.enrolled);
+            }
+            return this.getResults();
+        }
+
+        const similarity = this.compare(this.signature, sample);
+        this.lastSimilarity = similarity;
+        this.minSimilarity = Math.min(this.minSimilarity, similarity);
+
+        if (similarity >= this.swapThreshold) {
+            this.mismatchCount = 0;
+            if (similarity >= this.updateThreshold) {
+                this.blendInto(this.signature, sample, this.updateRate);
+            }
+        } else {
+            this.mismatchCount++;
+            // One report per mismatch streak; the signature keeps the session's first face
+            if (this.mismatchCount === this.swapSamples) {
+                this.flag('FACE_SWAP', frame.timestamp, { similarity: Math.round(similarity * 100) });
+            }
+        }
+
+        return this.getResults();
+    }
+
+    /**
+     * Combined similarity with FaceMatcher's weighting (0-1)
+     */
+    compare(a, b) {
+        const geometry = this.faceMatcher.compareGeometry(a.geometry, b.geometry);
+        const appearance = this.faceMatcher.compareAppearance(a.texture, b.texture);
+        return geometry * 0.4 + appearance * 0.6;
+    }
+
+    averageEmbeddings(embeddings) {
+        const mean = (key) => {
+            const result = new Float32Array(embeddings[0][key].length);
+            embeddings.forEach(e => {
+                for (let i = 0; i < result.length; i++) result[i] += e[key][i] / embeddings.length;
+            });
+            return result;
+        };
+        return { geometry: mean('geometry'), texture: mean('texture') };
+    }
+
+    blendInto(target, sample, rate) {
+        ['geometry', 'texture'].forEach(key => {
+            for (let i = 0; i < target[key].length; i++) {
+                target[key][i] += (sample[key][i] - target[key][i]) * rate;
+            }
+        });
+    }
+
+    flag(type, timestamp, details) {
+        this.events.push({ type, timestamp, ...details });
+        if (!this.attacksDetected.includes(type)) {
+            this.attacksDetected.push(type);
+        }
+    }
+
+    /**
+     * @returns {Object} { enrolled, samples, similarity, minSimilarity, mismatch, events, attacksDetected }
+     *   Similarities are 0-100 (null before the signature exists); `mismatch` is true while a
+     *   different face than the session's is in view
+     */
+    getResults() {
+        const hasSignature = this.signature !== null;
+        return {
+            enrolled: hasSignature,
+            samples: this.samples,
+            similarity: hasSignature && this.lastSimilarity !== null ? Math.round(this.lastSimilarity * 100) : null,
+            minSimilarity: hasSignature && this.minSimilarity <= 1 ? Math.round(this.minSimilarity * 100) : null,
+            mismatch: this.mismatchCount >= this.swapSamples,
+            events: this.events.map(event => ({ ...event })),
+            attacksDetected: [...this.attacksDetected]
+        };
+    }
+
+    reset() {
+        this.enrolled = [];
+        this.signature = null;
+        this.samples = 0;
+        this.lastSimilarity = null;
+        this.minSimilarity = Infinity;
+        this.mismatchCount = 0;
+        this.multiFaceSince = null;
+        this.multiFaceReported = false;
+        this.events = [];
+        this.attacksDetected = [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IdentityTracker;
+}
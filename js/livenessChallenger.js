@@ -1,11 +1,12 @@
 class LivenessChallenger {
     constructor() {
-        // Only 3 challenges as requested: smile, head turn, blink
         this.challenges = [
             {
                 id: 'blink',
                 name: 'Blink Detection',
                 instruction: 'Please blink your eyes twice',
+                i18nKey: 'challengeBlink',
+                i18nParams: () => ({ count: this.blinkRequired }),
                 icon: '👁️',
                 duration: 10000,
                 verify: this.verifyBlink.bind(this)
@@ -14,6 +15,7 @@ class LivenessChallenger {
                 id: 'smile',
                 name: 'Smile Detection',
                 instruction: 'Please smile naturally',
+                i18nKey: 'challengeSmile',
                 icon: '😊',
                 duration: 8000,
                 verify: this.verifySmile.bind(this)
@@ -22,26 +24,105 @@ class LivenessChallenger {
                 id: 'turnHead',
                 name: 'Head Turn',
                 instruction: 'Turn your head slowly left, then right',
+                i18nKey: 'challengeHeadTurn',
                 icon: '↔️',
                 duration: 12000,
                 verify: this.verifyHeadTurn.bind(this)
+            },
+            {
+                id: 'nod',
+                name: 'Head Nod',
+                instruction: 'Nod your head slowly up, then down',
+                i18nKey: 'challengeNod',
+                icon: '↕️',
+                duration: 12000,
+                verify: this.verifyNod.bind(this)
+            },
+            {
+                id: 'tilt',
+                name: 'Head Tilt',
+                instruction: 'Tilt your head toward one shoulder, then the other',
+                i18nKey: 'challengeTilt',
+                icon: '🔄',
+                duration: 12000,
+                verify: this.verifyTilt.bind(this)
+            },
+            {
+                id: 'mouthOpen',
+                name: 'Mouth Opening',
+                instruction: 'Please open your mouth',
+                i18nKey: 'challengeMouthOpen',
+                icon: '😮',
+                duration: 8000,
+                verify: this.verifyMouthOpen.bind(this)
+            },
+            {
+                id: 'eyebrowRaise',
+                name: 'Eyebrow Raise',
+                instruction: 'Please raise your eyebrows',
+                i18nKey: 'challengeEyebrowRaise',
+                icon: '🤨',
+                duration: 8000,
+                verify: this.verifyEyebrowRaise.bind(this)
+            },
+            {
+                id: 'eyeMovement',
+                name: 'Eye Movement',
+                instruction: 'Look left, then right with your eyes',
+                i18nKey: 'challengeEyeMovement',
+                icon: '👀',
+                duration: 10000,
+                verify: this.verifyEyeMovement.bind(this)
+            },
+            {
+                id: 'colorFlash',
+                name: 'Screen Light',
+                instruction: 'Hold still and look at the screen while it changes color',
+                i18nKey: 'challengeColorFlash',
+                icon: '🌈',
+                duration: 8000,
+                verify: this.verifyColorFlash.bind(this)
             }
         ];
 
+        // Screen colors for the colorFlash challenge
+        this.flashColors = [
+            { color: 'red', rgb: [255, 0, 0] },
+            { color: 'green', rgb: [0, 255, 0] },
+            { color: 'blue', rgb: [0, 0, 255] }
+        ];
+        this.flashSegments = 4;
+        this.flashLeadIn = 1000;       // unlit baseline while the instruction is read (ms)
+        this.flashSegmentDuration = 700;
+        this.flashSequence = null;
+        this.flashResult = null;
+
         this.currentChallenge = null;
         this.challengeHistory = [];
         this.isActive = false;
         this.startTime = null;
 
+        // Observer for challenge start / progress / complete events (e.g. ChallengeTimeline)
+        this.onEvent = null;
+
+        // Sequence issued by a challenge provider (see challengeProvider.js)
+        this.issuedSequence = null;
+        this.random = Math.random;
+
         // Enhanced tracking variables
         this.landmarkHistory = [];
         this.maxHistoryLength = 30; // Track last 30 frames
         this.blinkCount = 0;
         this.blinkRequired = 2; // User requested blink twice
+        this.blinkTracker = this.createBlinkTracker();
         this.headTurnStates = { left: false, center: false, right: false };
+        this.nodStates = { up: false, center: false, down: false };
+        this.tiltStates = { left: false, center: false, right: false };
         this.eyeMovementStates = { left: false, center: false, right: false };
         this.mouthOpenDetected = false;
+        this.mouthClosedSeen = false;
         this.eyebrowRaiseDetected = false;
+        this.browBaselineSamples = [];
 
         // Baseline measurements
         this.baseline = {
@@ -53,7 +134,47 @@ class LivenessChallenger {
     }
 
     /**
-     * Get a random challenge
+     * Use a provider-issued challenge order and seed instead of picking locally
+     * @param {Object|null} issued - { sequenceId, sequence, seed } from a challenge provider
+     */
+    setSequence(issued) {
+        this.issuedSequence = issued || null;
+        this.random = issued && Number.isFinite(issued.seed) ? this.createSeededRandom(issued.seed) : Math.random;
+    }
+
+    /**
+     * Next challenge of the issued sequence that has not been passed yet
+     * @returns {Object|null} Challenge object
+     */
+    getNextChallenge() {
+        if (!this.issuedSequence) {
+            return this.getRandomChallenge();
+        }
+
+        const passed = this.challengeHistory.filter(h => h.success).length;
+        const nextId = this.issuedSequence.sequence[passed];
+        return this.challenges.find(c => c.id === nextId) || null;
+    }
+
+    /**
+     * Deterministic PRNG (mulberry32) over the provider-issued seed, so the flash
+     * colors and fallback picks follow the provider's seed instead of Math.random
+     * @param {Number} seed - 32-bit seed
+     * @returns {Function} Random function in [0, 1)
+     */
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Get a random challenge (fallback when no sequence was issued)
      * @returns {Object} Challenge object
      */
     getRandomChallenge() {
@@ -66,7 +187,7 @@ class LivenessChallenger {
             return null;
         }
 
-        const randomIndex = Math.floor(Math.random() * availableChallenges.length);
+        const randomIndex = Math.floor(this.random() * availableChallenges.length);
         return availableChallenges[randomIndex];
     }
 
@@ -88,11 +209,17 @@ class LivenessChallenger {
         // Reset all tracking variables
         this.landmarkHistory = [];
         this.blinkCount = 0;
-        this.blinkState = 'OPEN';
+        this.blinkTracker = this.createBlinkTracker();
         this.headTurnStates = { left: false, center: false, right: false };
+        this.nodStates = { up: false, center: false, down: false };
+        this.tiltStates = { left: false, center: false, right: false };
         this.eyeMovementStates = { left: false, center: false, right: false };
         this.mouthOpenDetected = false;
+        this.mouthClosedSeen = false;
         this.eyebrowRaiseDetected = false;
+        this.browBaselineSamples = [];
+        this.flashSequence = this.currentChallenge.id === 'colorFlash' ? this.createFlashSequence() : null;
+        this.flashResult = null;
         this.baseline = {
             eyeDistance: null,
             mouthWidth: null,
@@ -101,10 +228,13 @@ class LivenessChallenger {
         };
 
         console.log(`Starting challenge: ${this.currentChallenge.name}`);
+        this.emitEvent('start', { instruction: this.getInstruction(this.currentChallenge) });
 
         // Monitor challenge timeout
+        const startTime = this.startTime;
         setTimeout(() => {
-            if (this.isActive && this.currentChallenge) { // Check if still active/same challenge
+            // Ignore timers left over from an earlier challenge
+            if (this.isActive && this.currentChallenge && this.startTime === startTime) {
                 // Only fail if we haven't succeeded yet
                 this.completeChallenge(false, onComplete);
             }
@@ -123,11 +253,22 @@ class LivenessChallenger {
             if (onProgress) {
                 onProgress(progress);
             }
+            this.emitEvent('progress', { progress });
         }, 100);
     }
 
-    startChallenge(onComplete, onProgress) {
-        this.currentChallenge = this.getRandomChallenge();
+    /**
+     * Start the next challenge
+     * @param {Function} onComplete - Callback when challenge completes
+     * @param {Function} onProgress - Callback for progress updates
+     * @param {Object} issued - Optional provider-issued { sequenceId, sequence, seed }
+     */
+    startChallenge(onComplete, onProgress, issued = null) {
+        if (issued && issued !== this.issuedSequence) {
+            this.setSequence(issued);
+        }
+
+        this.currentChallenge = this.getNextChallenge();
 
         if (!this.currentChallenge) {
             onComplete({ success: true, allChallengesComplete: true });
@@ -168,10 +309,15 @@ class LivenessChallenger {
             id: this.currentChallenge.id,
             name: this.currentChallenge.name,
             success: success,
+            startedAt: this.startTime,
             duration: Date.now() - this.startTime
         };
 
+        const details = this.getChallengeDetails();
+        if (details) result.details = details;
+
         this.challengeHistory.push(result);
+        this.emitEvent('complete', { success, duration: result.duration });
 
         console.log(`Challenge ${this.currentChallenge.name}: ${success ? 'SUCCESS' : 'FAILED'}`);
 
@@ -182,6 +328,35 @@ class LivenessChallenger {
         this.currentChallenge = null;
     }
 
+    /**
+     * Instruction in the UI language; the English literal where Translations is not loaded (e.g. Node)
+     * @param {Object} challenge - Entry of this.challenges
+     */
+    getInstruction(challenge) {
+        if (!challenge.i18nKey || typeof Translations === 'undefined') return challenge.instruction;
+        return Translations.t(challenge.i18nKey, challenge.i18nParams ? challenge.i18nParams() : {});
+    }
+
+    /**
+     * Report a challenge event to the onEvent observer
+     * @param {String} type - 'start' | 'progress' | 'complete'
+     * @param {Object} data - Event fields
+     */
+    emitEvent(type, data = {}) {
+        if (typeof this.onEvent !== 'function' || !this.currentChallenge) return;
+        try {
+            this.onEvent({
+                type,
+                challengeId: this.currentChallenge.id,
+                name: this.currentChallenge.name,
+                timestamp: Date.now(),
+                ...data
+            });
+        } catch (error) {
+            console.error('Error in challenge event observer:', error);
+        }
+    }
+
     addToHistory(landmarks) {
         this.landmarkHistory.push(landmarks);
         if (this.landmarkHistory.length > this.maxHistoryLength) {
@@ -211,33 +386,9 @@ class LivenessChallenger {
 
 
     verifyBlink(detectionData) {
-        // High-Res (FaceMesh) Logic
+        // High-Res (FaceMesh) Logic: calibrated EAR with an open -> closed -> open state machine
         if (detectionData.isHighRes && detectionData.landmarks.length > 10) {
-            const lm = detectionData.landmarks;
-            // Left Eye: 159 (upper), 145 (lower)
-            // Right Eye: 386 (upper), 374 (lower)
-            // We need to handle if keypoints are array of {x,y,z} or flat array.
-            // FaceMesh usually returns array of objects {x,y,z}.
-
-            const getP = (idx) => lm[idx];
-            const dist = (p1, p2) => Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
-
-            const leftEAR = dist(getP(159), getP(145)) / dist(getP(33), getP(133)); // Vertical / Horizontal
-            const rightEAR = dist(getP(386), getP(374)) / dist(getP(362), getP(263));
-
-            const avgEAR = (leftEAR + rightEAR) / 2;
-
-            // EAR (Eye Aspect Ratio) < 0.15 usually means closed
-            if (avgEAR < 0.15) {
-                this.blinkCount++;
-                console.log(`High-Res Blink Detected! EAR: ${avgEAR.toFixed(3)}`);
-                // Debounce?
-            }
-            // Simple logic for now: High quality blink check
-            // We need persistent state to count distinct blinks.
-            // Simplified: Just pass if eyes closed.
-            if (this.blinkCount >= this.blinkRequired) return true;
-            return false;
+            return this.updateBlinkTracker(detectionData.landmarks);
         }
 
         // Fallback to Low-Res (BlazeFace) Logic
@@ -277,6 +428,111 @@ class LivenessChallenger {
         return this.blinkCount >= this.blinkRequired;
     }
 
+    createBlinkTracker() {
+        return {
+            state: 'CALIBRATING',   // CALIBRATING -> OPEN <-> CLOSED
+            calibration: [],        // open-eye EAR samples from the first second
+            baseline: null,
+            closeThreshold: null,
+            openThreshold: null,
+            closedAt: null,
+            reopenedAt: -Infinity,
+            durations: [],
+            earTrace: [],
+            lastKeypoints: null
+        };
+    }
+
+    /**
+     * Eye Aspect Ratio averaged over both eyes
+     * EAR = (|p2-p6| + |p3-p5|) / (2 * |p1-p4|)
+     */
+    calculateEAR(lm) {
+        const dist = (p1, p2) => Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+        const leftEAR = (dist(lm[159], lm[145]) + dist(lm[158], lm[153])) / (2 * dist(lm[33], lm[133]));
+        const rightEAR = (dist(lm[386], lm[374]) + dist(lm[385], lm[380])) / (2 * dist(lm[362], lm[263]));
+        return (leftEAR + rightEAR) / 2;
+    }
+
+    updateBlinkTracker(lm) {
+        const tracker = this.blinkTracker;
+
+        // The same FaceMesh result can be delivered on several detection ticks
+        if (lm === tracker.lastKeypoints) return this.blinkCount >= this.blinkRequired;
+        tracker.lastKeypoints = lm;
+
+        const now = Date.now();
+        const ear = this.calculateEAR(lm);
+        const elapsed = now - this.startTime;
+        if (tracker.earTrace.length < 600) {
+            tracker.earTrace.push({ t: elapsed, ear: Math.round(ear * 1000) / 1000 });
+        }
+
+        // Per-user thresholds from the first second of open-eye EAR values
+        const calibrationMs = 1000;
+        const minClosedMs = 40;      // shorter is landmark jitter
+        const maxClosedMs = 1000;    // longer is holding the eyes shut, not a blink
+        const refractoryMs = 150;    // debounce between blinks
+
+        if (tracker.state === 'CALIBRATING') {
+            tracker.calibration.push(ear);
+            if (elapsed < calibrationMs || tracker.calibration.length < 3) return false;
+
+            // Median ignores an early blink during calibration
+            const sorted = [...tracker.calibration].sort((a, b) => a - b);
+            tracker.baseline = sorted[sorted.length >> 1];
+            tracker.closeThreshold = tracker.baseline * 0.60;
+            tracker.openThreshold = tracker.baseline * 0.80; // hysteresis
+            tracker.state = 'OPEN';
+            console.log(`Blink calibrated. Baseline EAR: ${tracker.baseline.toFixed(3)}`);
+            return false;
+        }
+
+        if (tracker.state === 'OPEN') {
+            if (ear < tracker.closeThreshold && now - tracker.reopenedAt >= refractoryMs) {
+                tracker.state = 'CLOSED';
+                tracker.closedAt = now;
+            }
+        } else if (tracker.state === 'CLOSED' && ear > tracker.openThreshold) {
+            const duration = now - tracker.closedAt;
+            tracker.state = 'OPEN';
+            tracker.reopenedAt = now;
+
+            if (duration >= minClosedMs && duration <= maxClosedMs) {
+                this.blinkCount++;
+                tracker.durations.push(duration);
+                console.log(`Blink detected! Count: ${this.blinkCount}/${this.blinkRequired}, ${duration}ms`);
+            }
+        }
+
+        return this.blinkCount >= this.blinkRequired;
+    }
+
+    /**
+     * Challenge-specific measurements attached to the result
+     * @returns {Object|null} Details for the current challenge
+     */
+    getChallengeDetails() {
+        if (this.currentChallenge.id === 'blink' && this.blinkTracker.earTrace.length > 0) {
+            const tracker = this.blinkTracker;
+            const round = (v) => v === null ? null : Math.round(v * 1000) / 1000;
+            return {
+                blinkCount: this.blinkCount,
+                baselineEAR: round(tracker.baseline),
+                closeThreshold: round(tracker.closeThreshold),
+                blinkDurations: tracker.durations,
+                earTrace: tracker.earTrace
+            };
+        }
+        if (this.currentChallenge.id === 'colorFlash' && this.flashSequence) {
+            return {
+                colors: this.flashSequence.filter(s => s.rgb).map(s => s.color),
+                lightResponse: this.flashResult
+            };
+        }
+        return null;
+    }
+
     verifySmile(detectionData) {
         // High-Res (FaceMesh) Logic
         if (detectionData.isHighRes && detectionData.landmarks.length > 10) {
@@ -335,6 +591,22 @@ class LivenessChallenger {
     }
 
     verifyHeadTurn(detectionData) {
+        // Head pose (PnP) Logic: yaw in degrees
+        if (detectionData.pose) {
+            const { yaw } = detectionData.pose;
+
+            if (yaw < -20) {
+                this.headTurnStates.left = true;
+            } else if (yaw > 20) {
+                this.headTurnStates.right = true;
+            } else if (Math.abs(yaw) < 8) {
+                this.headTurnStates.center = true;
+            }
+
+            return this.headTurnStates.left && this.headTurnStates.right && this.headTurnStates.center;
+        }
+
+        // Fallback Logic
         if (!detectionData.landmarks || detectionData.landmarks.length < 6) {
             return false;
         }
@@ -375,7 +647,63 @@ class LivenessChallenger {
         return this.headTurnStates.left && this.headTurnStates.right && this.headTurnStates.center;
     }
 
+    verifyNod(detectionData) {
+        // Requires head pose (FaceMesh); BlazeFace points cannot resolve pitch
+        if (!detectionData.pose) return false;
+
+        const { pitch } = detectionData.pose;
+
+        if (pitch > 12) {
+            this.nodStates.up = true;
+            console.log('Head nodded UP');
+        } else if (pitch < -12) {
+            this.nodStates.down = true;
+            console.log('Head nodded DOWN');
+        } else if (Math.abs(pitch) < 6) {
+            this.nodStates.center = true;
+        }
+
+        return this.nodStates.up && this.nodStates.down && this.nodStates.center;
+    }
+
+    verifyTilt(detectionData) {
+        if (!detectionData.pose) return false;
+
+        const { roll } = detectionData.pose;
+
+        if (roll < -15) {
+            this.tiltStates.left = true;
+            console.log('Head tilted LEFT');
+        } else if (roll > 15) {
+            this.tiltStates.right = true;
+            console.log('Head tilted RIGHT');
+        } else if (Math.abs(roll) < 6) {
+            this.tiltStates.center = true;
+        }
+
+        return this.tiltStates.left && this.tiltStates.right && this.tiltStates.center;
+    }
+
     verifyMouthOpen(detectionData) {
+        // High-Res (FaceMesh) Logic: inner lip aperture relative to mouth width
+        if (detectionData.isHighRes && detectionData.landmarks.length > 10) {
+            const lm = detectionData.landmarks;
+            const dist = (p1, p2) => Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+
+            // Inner lips: 13 (upper), 14 (lower); mouth corners: 61, 291
+            const aperture = dist(lm[13], lm[14]) / dist(lm[61], lm[291]);
+
+            // Require a closed mouth first so a still photo with an open mouth cannot pass
+            if (aperture < 0.15) {
+                this.mouthClosedSeen = true;
+            } else if (this.mouthClosedSeen && aperture > 0.40) {
+                this.mouthOpenDetected = true;
+                console.log(`High-Res Mouth Open Detected! Aperture: ${aperture.toFixed(3)}`);
+            }
+            return this.mouthOpenDetected;
+        }
+
+        // Fallback Logic
         if (!detectionData.landmarks || detectionData.landmarks.length < 6) {
             return false;
         }
@@ -411,6 +739,32 @@ class LivenessChallenger {
     }
 
     verifyEyebrowRaise(detectionData) {
+        // High-Res (FaceMesh) Logic: brow-to-upper-lid distance relative to eye span
+        if (detectionData.isHighRes && detectionData.landmarks.length > 10) {
+            const lm = detectionData.landmarks;
+            const dist = (p1, p2) => Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+
+            // Brows: 105 (left), 334 (right); upper lids: 159, 386; outer eye corners: 33, 263
+            const eyeSpan = dist(lm[33], lm[263]);
+            const browHeight = (dist(lm[105], lm[159]) + dist(lm[334], lm[386])) / (2 * eyeSpan);
+
+            // Baseline from the first frames (median, brows at rest)
+            if (this.browBaselineSamples.length < 5) {
+                this.browBaselineSamples.push(browHeight);
+                return false;
+            }
+            const sorted = [...this.browBaselineSamples].sort((a, b) => a - b);
+            const baseline = sorted[sorted.length >> 1];
+
+            const raiseThreshold = 1.15; // 15% higher than rest
+            if (browHeight > baseline * raiseThreshold) {
+                this.eyebrowRaiseDetected = true;
+                console.log(`High-Res Eyebrow Raise Detected! Ratio: ${(browHeight / baseline).toFixed(3)}`);
+            }
+            return this.eyebrowRaiseDetected;
+        }
+
+        // Fallback Logic
         if (!detectionData.landmarks || detectionData.landmarks.length < 6) {
             return false;
         }
@@ -448,6 +802,32 @@ class LivenessChallenger {
     }
 
     verifyEyeMovement(detectionData) {
+        // High-Res (FaceMesh) Logic: iris position between the eye corners
+        if (detectionData.isHighRes && detectionData.landmarks.length > 10) {
+            const lm = detectionData.landmarks;
+            // Iris centers (468, 473) only exist with refineLandmarks enabled
+            if (lm.length < 478) return false;
+
+            const offset = this.getIrisOffset(lm);
+
+            const leftThreshold = -0.12;
+            const rightThreshold = 0.12;
+            const centerThreshold = 0.05;
+
+            if (offset < leftThreshold) {
+                this.eyeMovementStates.left = true;
+                console.log('Eyes looking LEFT');
+            } else if (offset > rightThreshold) {
+                this.eyeMovementStates.right = true;
+                console.log('Eyes looking RIGHT');
+            } else if (Math.abs(offset) < centerThreshold) {
+                this.eyeMovementStates.center = true;
+            }
+
+            return this.eyeMovementStates.left && this.eyeMovementStates.right && this.eyeMovementStates.center;
+        }
+
+        // Fallback Logic
         if (!detectionData.landmarks || detectionData.landmarks.length < 6) {
             return false;
         }
@@ -489,6 +869,66 @@ class LivenessChallenger {
         return this.eyeMovementStates.left && this.eyeMovementStates.right && this.eyeMovementStates.center;
     }
 
+    /**
+     * Random color order for the colorFlash challenge (no color twice in a row),
+     * drawn from the provider seed when one was issued
+     * @returns {Array} [{ color, rgb, start, end }] with times relative to the challenge start
+     */
+    createFlashSequence() {
+        const sequence = [{ color: 'none', rgb: null, start: 0, end: this.flashLeadIn }];
+        let previous = null;
+
+        for (let i = 0; i < this.flashSegments; i++) {
+            const options = this.flashColors.filter(c => c !== previous);
+            const pick = options[Math.floor(this.random() * options.length)];
+            const start = this.flashLeadIn + i * this.flashSegmentDuration;
+            sequence.push({ color: pick.color, rgb: pick.rgb, start, end: start + this.flashSegmentDuration });
+            previous = pick;
+        }
+        return sequence;
+    }
+
+    getFlashSequence() {
+        return this.flashSequence;
+    }
+
+    verifyColorFlash(detectionData) {
+        // ColorFlashAnalyzer result, attached by the app once the sequence has ended
+        const result = detectionData.colorFlash;
+        if (!result || !result.complete) return false;
+
+        this.flashResult = { score: result.score, conclusive: result.conclusive };
+        // A mismatch is left to time out like any other failed challenge
+        return result.isReal;
+    }
+
+    /**
+     * Horizontal iris offset averaged over both eyes
+     * @param {Array} lm - FaceMesh keypoints with iris refinement
+     * @returns {Number} -0.5 (image left) .. 0.5 (image right), 0 = centered
+     */
+    getIrisOffset(lm) {
+        // Position of a point along the corner-to-corner axis (0 = first corner, 1 = second)
+        const project = (p, a, b) => {
+            const ax = b.x - a.x, ay = b.y - a.y;
+            return ((p.x - a.x) * ax + (p.y - a.y) * ay) / (ax * ax + ay * ay);
+        };
+
+        // Corners ordered left-to-right in the image: 33 -> 133 and 362 -> 263
+        const eyeA = { a: lm[33], b: lm[133] };
+        const eyeB = { a: lm[362], b: lm[263] };
+
+        // Assign each iris to the nearer eye (index order differs between model versions)
+        const irisA = lm[468], irisB = lm[473];
+        const centerAx = (eyeA.a.x + eyeA.b.x) / 2;
+        const swap = Math.abs(irisA.x - centerAx) > Math.abs(irisB.x - centerAx);
+
+        const tA = project(swap ? irisB : irisA, eyeA.a, eyeA.b);
+        const tB = project(swap ? irisA : irisB, eyeB.a, eyeB.b);
+
+        return (tA + tB) / 2 - 0.5;
+    }
+
     /**
      * Get current challenge information
      * @returns {Object|null} Current challenge or null
@@ -529,14 +969,23 @@ class LivenessChallenger {
     reset() {
         this.currentChallenge = null;
         this.challengeHistory = [];
+        this.issuedSequence = null;
+        this.random = Math.random;
         this.isActive = false;
         this.startTime = null;
         this.landmarkHistory = [];
         this.blinkCount = 0;
+        this.blinkTracker = this.createBlinkTracker();
         this.headTurnStates = { left: false, center: false, right: false };
+        this.nodStates = { up: false, center: false, down: false };
+        this.tiltStates = { left: false, center: false, right: false };
         this.eyeMovementStates = { left: false, center: false, right: false };
         this.mouthOpenDetected = false;
+        this.mouthClosedSeen = false;
         this.eyebrowRaiseDetected = false;
+        this.browBaselineSamples = [];
+        this.flashSequence = null;
+        this.flashResult = null;
         this.baseline = {
             eyeDistance: null,
             mouthWidth: null,
@@ -1,64 +1,181 @@
 class LivenessApp {
-    constructor() {
+    /**
+     * @param {Object} options - App options
+     * @param {HTMLElement|Document} options.root - Element containing the app markup (default: document)
+     * @param {String} options.verifierUrl - Verification service base URL (optional)
+     * @param {String|Object} options.policy - Score policy preset id, JSON URL or definition
+     * @param {Number} options.requiredChallenges - Challenges to pass (default: 2)
+     * @param {String} options.language - Initial UI language (e.g. 'en', 'ar', 'fr-CA'; default: the saved choice)
+     * @param {Object} options.locales - Extra or overridden locales for the language picker:
+     *   { code: { name, dir, fallback, url, messages } } (see Translations.registerLocale)
+     * @param {Object} options.camera - CameraManager options: { deviceId, facingMode, resolutions } (the
+     *   camera the user picked on this device takes precedence over deviceId)
+     * @param {Boolean} options.useWorker - Run detection and analysis in a Web Worker when supported (default: true)
+     * @param {String} options.workerUrl - Analysis worker script (default: js/analysisWorker.js)
+     * @param {Boolean|Object} options.auditLog - Keep session records in IndexedDB (default: true); an
+     *   object is passed to AuditLog as options (e.g. { storeVideo: true, maxAgeDays: 30 })
+     * @param {Boolean} options.annotateRecording - Record the camera with the face overlay, challenge
+     *   prompt and scores burned in (default: false)
+     * @param {Boolean} options.accessibility - Start in accessibility mode: spoken prompts, haptics and
+     *   alternative challenges (default: false; the user's saved choice takes precedence)
+     * @param {Boolean} options.reviewer - Offer the review console in the session history (default: false).
+     *   Its decisions are local, unauthenticated notes, not an authoritative verdict
+     */
+    constructor(options = {}) {
+        this.options = {
+            root: document,
+            verifierUrl: null,
+            policy: 'standard',
+            requiredChallenges: 2,
+            language: null,
+            locales: null,
+            camera: null,
+            useWorker: true,
+            workerUrl: null,
+            auditLog: true,
+            annotateRecording: false,
+            accessibility: false,
+            reviewer: false,
+            ...options
+        };
+        this.root = this.options.root;
+
+        // Event listeners (see LivenessApp.EVENTS); `onComplete` is also honoured
+        this.listeners = {};
+        this.onComplete = null;
+
         // Core modules
         this.faceDetector = new FaceDetector();
         this.livenessChallenger = new LivenessChallenger();
         this.videoRecorder = new VideoRecorder();
-
-        // Enterprise modules
-        this.depthEstimator = new DepthEstimator();
-        this.passiveLiveness = new PassiveLiveness();
-        this.antiSpoofing = new AntiSpoofing();
-        this.eyeReflection = new EyeReflection();
-        this.microExpression = new MicroExpression();
-
-        // DOM elements
+        this.camera = new CameraManager({
+            ...this.options.camera,
+            deviceId: this.loadCameraChoice() || (this.options.camera && this.options.camera.deviceId)
+        });
+        this.timeline = new ChallengeTimeline();
+        this.compositor = null; // EvidenceCompositor while an annotated recording runs
+
+        // Detection and analysis run in AnalysisEngine (a worker when supported);
+        // this class only captures frames, draws and applies the results
+        this.analysis = new AnalysisClient({ useWorker: this.options.useWorker, workerUrl: this.options.workerUrl });
+        this.frameScheduler = new FrameScheduler({ adaptive: false });
+        this.resultSigner = new ResultSigner(this.options.verifierUrl);
+        this.reportExporter = new ReportExporter();
+        this.auditLog = this.options.auditLog && AuditLog.isSupported()
+            ? new AuditLog(typeof this.options.auditLog === 'object' ? this.options.auditLog : {})
+            : null;
+        this.reviewConsole = null; // created with the DOM elements below (needs the audit log)
+        this.challengeProvider = this.options.verifierUrl
+            ? new RemoteChallengeProvider(this.options.verifierUrl)
+            : new LocalChallengeProvider(this.livenessChallenger.challenges);
+
+        // DOM elements (looked up inside the root so the app can be mounted in a container)
+        const $ = (id) => this.root.querySelector(`#${id}`);
         this.elements = {
-            welcomeScreen: document.getElementById('welcomeScreen'),
-            cameraScreen: document.getElementById('cameraScreen'),
-            resultsScreen: document.getElementById('resultsScreen'),
-            videoElement: document.getElementById('videoElement'),
-            overlayCanvas: document.getElementById('overlayCanvas'),
-            faceOutline: document.getElementById('faceOutline'),
-            challengeOverlay: document.getElementById('challengeOverlay'),
-            challengeIcon: document.getElementById('challengeIcon'),
-            challengeText: document.getElementById('challengeText'),
-            challengeProgress: document.getElementById('challengeProgress'),
-            systemStatus: document.getElementById('systemStatus'),
-            detectionStatus: document.getElementById('detectionStatus'),
-            confidenceValue: document.getElementById('confidenceValue'),
-            challengeCounter: document.getElementById('challengeCounter'),
-            recordingIndicator: document.getElementById('recordingIndicator'),
-            startBtn: document.getElementById('startBtn'),
-            cancelBtn: document.getElementById('cancelBtn'),
-            retryBtn: document.getElementById('retryBtn'),
-            downloadBtn: document.getElementById('downloadBtn'),
-            newVerificationBtn: document.getElementById('newVerificationBtn'),
-            resultIcon: document.getElementById('resultIcon'),
-            resultTitle: document.getElementById('resultTitle'),
-            resultMessage: document.getElementById('resultMessage'),
-            verificationTime: document.getElementById('verificationTime'),
-            challengesCompleted: document.getElementById('challengesCompleted'),
-            avgConfidence: document.getElementById('avgConfidence'),
-            timestamp: document.getElementById('timestamp'),
-            loadingOverlay: document.getElementById('loadingOverlay'),
-            loadingText: document.getElementById('loadingText'),
+            welcomeScreen: $('welcomeScreen'),
+            cameraScreen: $('cameraScreen'),
+            resultsScreen: $('resultsScreen'),
+            cameraErrorScreen: $('cameraErrorScreen'),
+            cameraErrorTitle: $('cameraErrorTitle'),
+            cameraErrorMessage: $('cameraErrorMessage'),
+            cameraErrorBackBtn: $('cameraErrorBackBtn'),
+            cameraErrorRetryBtn: $('cameraErrorRetryBtn'),
+            historyScreen: $('historyScreen'),
+            reviewScreen: $('reviewScreen'),
+            videoElement: $('videoElement'),
+            overlayCanvas: $('overlayCanvas'),
+            faceOutline: $('faceOutline'),
+            challengeOverlay: $('challengeOverlay'),
+            screenFlash: $('screenFlash'),
+            challengeIcon: $('challengeIcon'),
+            challengeText: $('challengeText'),
+            challengeProgress: $('challengeProgress'),
+            challengeTimer: $('challengeTimer'),
+            systemStatus: $('systemStatus'),
+            detectionStatus: $('detectionStatus'),
+            confidenceValue: $('confidenceValue'),
+            challengeCounter: $('challengeCounter'),
+            recordingIndicator: $('recordingIndicator'),
+            startBtn: $('startBtn'),
+            referenceInput: $('referenceInput'),
+            referenceStatus: $('referenceStatus'),
+            recordingInput: $('recordingInput'),
+            recordingStatus: $('recordingStatus'),
+            historyBtn: $('historyBtn'),
+            cameraPicker: $('cameraPicker'),
+            cameraSelect: $('cameraSelect'),
+            accessibilityToggle: $('accessibilityToggle'),
+            alternativeChallenges: $('alternativeChallenges'),
+            alternativeChallengeList: $('alternativeChallengeList'),
+            a11yPolite: $('a11yPolite'),
+            a11yAssertive: $('a11yAssertive'),
+            historyList: $('historyList'),
+            historyEmpty: $('historyEmpty'),
+            historyDetail: $('historyDetail'),
+            historyBackBtn: $('historyBackBtn'),
+            historyExportBtn: $('historyExportBtn'),
+            historyClearBtn: $('historyClearBtn'),
+            reviewUpload: $('reviewUpload'),
+            reviewFileInput: $('reviewFileInput'),
+            reviewFileStatus: $('reviewFileStatus'),
+            cancelBtn: $('cancelBtn'),
+            retryBtn: $('retryBtn'),
+            downloadBtn: $('downloadBtn'),
+            reportJsonBtn: $('reportJsonBtn'),
+            reportPdfBtn: $('reportPdfBtn'),
+            timelineBtn: $('timelineBtn'),
+            newVerificationBtn: $('newVerificationBtn'),
+            resultIcon: $('resultIcon'),
+            resultTitle: $('resultTitle'),
+            resultMessage: $('resultMessage'),
+            verificationTime: $('verificationTime'),
+            challengesCompleted: $('challengesCompleted'),
+            avgConfidence: $('avgConfidence'),
+            timestamp: $('timestamp'),
+            policyDecision: $('policyDecision'),
+            signatureStatus: $('signatureStatus'),
+            loadingOverlay: $('loadingOverlay'),
+            loadingText: $('loadingText'),
             // Security score elements
-            activeScore: document.getElementById('activeScore'),
-            activeScoreValue: document.getElementById('activeScoreValue'),
-            passiveScore: document.getElementById('passiveScore'),
-            passiveScoreValue: document.getElementById('passiveScoreValue'),
-            antiSpoofScore: document.getElementById('antiSpoofScore'),
-            antiSpoofScoreValue: document.getElementById('antiSpoofScoreValue'),
-            depthScore: document.getElementById('depthScore'),
-            depthScoreValue: document.getElementById('depthScoreValue'),
-            eyeScore: document.getElementById('eyeScore'),
-            eyeScoreValue: document.getElementById('eyeScoreValue'),
-            microScore: document.getElementById('microScore'),
-            microScoreValue: document.getElementById('microScoreValue'),
-            combinedScore: document.getElementById('combinedScore')
+            activeScore: $('activeScore'),
+            activeScoreValue: $('activeScoreValue'),
+            passiveScore: $('passiveScore'),
+            passiveScoreValue: $('passiveScoreValue'),
+            antiSpoofScore: $('antiSpoofScore'),
+            antiSpoofScoreValue: $('antiSpoofScoreValue'),
+            depthScore: $('depthScore'),
+            depthScoreValue: $('depthScoreValue'),
+            eyeScore: $('eyeScore'),
+            eyeScoreValue: $('eyeScoreValue'),
+            microScore: $('microScore'),
+            microScoreValue: $('microScoreValue'),
+            faceMatchItem: $('faceMatchItem'),
+            faceMatchScore: $('faceMatchScore'),
+            faceMatchScoreValue: $('faceMatchScoreValue'),
+            faceMatchVerdict: $('faceMatchVerdict'),
+            combinedScore: $('combinedScore')
         };
 
+        // Live-region announcements always; speech and haptics in accessibility mode
+        this.accessibility = this.loadAccessibilitySettings();
+        this.announcer = new AccessibilityAnnouncer({
+            politeRegion: this.elements.a11yPolite,
+            assertiveRegion: this.elements.a11yAssertive,
+            speech: this.accessibility.enabled,
+            haptics: this.accessibility.enabled,
+            getLanguage: () => (typeof Translations !== 'undefined' ? Translations.currentLang : 'en')
+        });
+
+        if (this.auditLog && this.options.reviewer) {
+            this.reviewConsole = new ReviewConsole({
+                root: this.root,
+                auditLog: this.auditLog,
+                t: (key) => this.t(key),
+                scoreLabels: LivenessApp.SCORE_LABELS
+            });
+            this.reviewConsole.onClose = () => this.showHistory();
+        }
+
         // State
         this.stream = null;
         this.isVerifying = false;
@@ -66,12 +183,11 @@ class LivenessApp {
         this.detectionData = null;
         this.recordedVideoBlob = null;
         this.confidenceHistory = [];
-        this.requiredChallenges = 2; // Only 2 challenges required
+        this.requiredChallenges = this.options.requiredChallenges;
         this.completedChallenges = 0;
 
         // Enterprise state
-        this.analysisCanvas = document.createElement('canvas');
-        this.passiveAnalysisInterval = null;
+        this.flashAnimation = null;
         this.securityScores = {
             active: 0,
             passive: 0,
@@ -81,17 +197,91 @@ class LivenessApp {
             microExpression: 0
         };
         this.latestKeypoints = null;
-
+        this.latestPose = null;
+        this.faceMatchResult = null;
+        this.identityResult = null;  // engine IdentityTracker state (face swaps, extra faces)
+        this.analysisAttacks = [];   // AntiSpoofing and identity attack codes reported by the engine
+        this.colorFlashResult = null;
+        this.frameStats = null;      // engine FrameScheduler stats
+        this.lastScoreUpdate = 0;
+        this.lastStreamTiming = 0;   // last frame-interval batch sent to the engine's StreamIntegrityAnalyzer
+        this.referenceLoaded = false;
+        this.cameraInfo = null;      // CameraManager.getInfo() of the session's camera, for the audit record
+        this.cameraRecoveries = 0;   // automatic restarts after the camera was lost
+        this.keyFrames = [];         // JPEG snapshots taken as each challenge completes
+        this.analyzerResults = null; // every analyzer's getResults() at the end of the session
+        this.sessionResult = null;   // `complete` payload of the finished session
+        this.videoChain = null;      // EvidenceChain manifest of the recording
+        this.scoreHistory = [];      // { time (s into the recording), scores, combined } for the review console
+        this.verificationResult = null;
+        this.challengeSequence = null;
+        this.policy = null;
+        this.policyDecision = null;
+        this.sessionAttacks = new Set(); // attack codes raised outside AntiSpoofing
+        this.faceVisible = false;
+        this.isReady = false;
+        this.awaitingQuality = false; // quality gate runs before the first challenge
+        this.qualityWaitStartedAt = 0;
+        this.endReason = null;        // why the session ended before its challenges (e.g. 'qualityTimeout')
+        this.isAnalyzingFile = false;
+
+        this.frameScheduler.register('analysis', (frame) => this.analyzeLiveFrame(frame));
+        this.livenessChallenger.onEvent = (event) => this.timeline.record(event);
+        this.camera.onTrackEnded = () => this.handleCameraLost();
+        this.camera.onDevicesChanged = (devices) => this.renderCameraPicker(devices);
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
-        await this.loadModels();
-        // Initialize translations
+        // Translations first, so the model loading messages are already in the user's language
         if (typeof Translations !== 'undefined') {
-            Translations.init();
+            Object.entries(this.options.locales || {}).forEach(([code, { messages, ...meta }]) => {
+                Translations.registerLocale(code, meta, messages);
+            });
+            await Translations.init(this.options.language);
+        }
+        this.camera.watchDevices();
+        this.renderCameraPicker();
+        await this.loadPolicy();
+        await this.loadModels();
+    }
+
+    /**
+     * Subscribe to an app event
+     * @param {String} event - One of LivenessApp.EVENTS
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        if (!LivenessApp.EVENTS.includes(event)) {
+            throw new Error(`Unknown event "${event}"`);
         }
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+    }
+
+    /**
+     * @returns {Boolean} Whether any handler received the event
+     */
+    emit(event, payload) {
+        const handlers = [...(this.listeners[event] || [])];
+        if (event === 'complete' && typeof this.onComplete === 'function') {
+            handlers.push(this.onComplete);
+        }
+
+        handlers.forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        });
+        return handlers.length > 0;
     }
 
     setupEventListeners() {
@@ -99,29 +289,64 @@ class LivenessApp {
         this.elements.cancelBtn.addEventListener('click', () => this.cancelVerification());
         this.elements.retryBtn.addEventListener('click', () => this.startVerification());
         this.elements.downloadBtn.addEventListener('click', () => this.downloadRecording());
+        this.elements.reportJsonBtn.addEventListener('click', () => this.downloadReport('json'));
+        this.elements.reportPdfBtn.addEventListener('click', () => this.downloadReport('pdf'));
+        this.elements.timelineBtn.addEventListener('click', () => this.downloadTimeline('vtt'));
         this.elements.newVerificationBtn.addEventListener('click', () => this.resetApp());
+        this.elements.cameraSelect.addEventListener('change', (e) => this.selectCamera(e.target.value));
+        this.elements.cameraErrorBackBtn.addEventListener('click', () => this.resetApp());
+        this.elements.cameraErrorRetryBtn.addEventListener('click', () => this.startVerification());
+        this.elements.referenceInput.addEventListener('change', (e) => this.loadReferenceImage(e.target.files[0]));
+        this.elements.recordingInput.addEventListener('change', (e) => {
+            this.analyzeRecording([...e.target.files]);
+            e.target.value = '';
+        });
+
+        this.elements.accessibilityToggle.checked = this.accessibility.enabled;
+        this.elements.accessibilityToggle.addEventListener('change', (e) => this.setAccessibilityMode(e.target.checked));
+        this.renderAlternativeChallenges();
+
+        if (this.auditLog) {
+            this.elements.historyBtn.addEventListener('click', () => this.showHistory());
+            this.elements.historyBackBtn.addEventListener('click', () => this.showScreen('welcomeScreen'));
+            this.elements.historyExportBtn.addEventListener('click', () => this.exportHistory());
+            this.elements.historyClearBtn.addEventListener('click', () => this.clearHistory());
+            if (this.reviewConsole) {
+                this.elements.reviewUpload.hidden = false;
+                this.elements.reviewFileInput.addEventListener('change', (e) => {
+                    this.openReviewFiles([...e.target.files]);
+                    e.target.value = '';
+                });
+            }
+        } else {
+            this.elements.historyBtn.style.display = 'none';
+        }
     }
 
-    async loadModels() {
+    async loadPolicy() {
         try {
-            this.updateLoadingText(this.t('loadingText'));
-
-            // Load BlazeFace for basic detection
-            await this.faceDetector.initialize();
-            this.updateLoadingText(this.t('loadingDepth'));
-
-            // Load FaceMesh for depth and micro-expressions
-            await this.depthEstimator.initialize();
-            this.updateLoadingText(this.t('loadingPassive'));
+            this.policy = await ScorePolicy.load(this.options.policy);
+        } catch (error) {
+            // Never fall back to a weaker policy silently
+            console.error('Error loading score policy:', error);
+            this.policy = ScorePolicy.fromPreset('highSecurity');
+        }
+        console.log(`Score policy: ${this.policy.name}`);
+    }
 
-            // Initialize passive analyzers
-            await this.passiveLiveness.initialize();
-            await this.antiSpoofing.initialize();
-            await this.eyeReflection.initialize();
-            await this.microExpression.initialize();
+    async loadModels() {
+        try {
+            // BlazeFace, then FaceMesh (depth and micro-expressions), then the passive analyzers
+            const stageText = { loadDetector: 'loadingText', loadFaceMesh: 'loadingDepth', initAnalyzers: 'loadingPassive' };
+            const mode = await this.analysis.initialize(this.policy.toJSON(), (stage) => {
+                this.updateLoadingText(this.t(stageText[stage]));
+            });
+            console.log(`Analysis running on the ${mode === 'worker' ? 'worker' : 'main'} thread`);
 
             this.updateLoadingText(this.t('loadingComplete'));
             this.updateSystemStatus(this.t('statusReady'), 'success');
+            this.isReady = true;
+            this.emit('ready', { policy: this.policy.id });
 
             setTimeout(() => {
                 this.elements.loadingOverlay.classList.add('hidden');
@@ -130,26 +355,98 @@ class LivenessApp {
             console.error('Error loading models:', error);
             this.updateLoadingText(this.t('loadingError'));
             this.updateSystemStatus(this.t('statusError'), 'error');
+            this.emit('error', { stage: 'models', error });
         }
     }
 
     // Helper method for translations
-    t(key) {
+    t(key, params) {
         if (typeof Translations !== 'undefined') {
-            return Translations.t(key);
+            return Translations.t(key, params);
         }
         return key;
     }
 
-    async startVerification() {
+    async loadReferenceImage(file) {
+        if (!file) {
+            this.clearReference();
+            this.updateReferenceStatus('', null);
+            return;
+        }
+
+        this.updateReferenceStatus(this.t('referenceProcessing'), null);
+
+        const url = URL.createObjectURL(file);
         try {
-            this.showScreen('cameraScreen');
-            this.updateSystemStatus(this.t('statusStartingCamera'), 'warning');
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+                image.src = url;
+            });
+
+            const { success } = await this.analysis.setReference(image);
+            this.referenceLoaded = success;
+            this.updateReferenceStatus(this.t(success ? 'referenceReady' : 'referenceNoFace'), success);
+        } catch (error) {
+            console.error('Error loading reference image:', error);
+            this.clearReference();
+            this.updateReferenceStatus(this.t('referenceNoFace'), false);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    clearReference() {
+        this.referenceLoaded = false;
+        this.analysis.request('clearReference').catch(() => {});
+    }
+
+    updateReferenceStatus(text, success) {
+        const status = this.elements.referenceStatus;
+        status.textContent = text;
+        status.classList.remove('success', 'error');
+        if (success !== null) status.classList.add(success ? 'success' : 'error');
+    }
 
-            this.stream = await navigator.mediaDevices.getUserMedia({
-                video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: 'user' },
-                audio: false
+    /**
+     * @param {Object} options - { recovery: restarting after the camera was lost (default: false) }
+     */
+    async startVerification(options = {}) {
+        if (!options.recovery) this.cameraRecoveries = 0;
+
+        // Spoken here, inside the click, so browsers that gate speech on a user gesture allow it
+        this.announcer.announce(this.t('statusStartingCamera'));
+
+        this.showScreen('cameraScreen');
+        this.updateSystemStatus(this.t('statusStartingCamera'), 'warning');
+
+        try {
+            // Session nonce + key used to sign the final result
+            await this.resultSigner.startSession();
+
+            // Challenge order comes from the provider, not from the page
+            this.challengeSequence = await this.challengeProvider.requestSequence(this.requiredChallenges, {
+                exclude: this.accessibility.enabled ? this.accessibility.exclude : []
             });
+            this.livenessChallenger.setSequence(this.challengeSequence);
+        } catch (error) {
+            // The verifier service or challenge provider refused or is unreachable: not a camera problem
+            console.error('Error starting the verification session:', error);
+            this.emit('error', { stage: 'session', error });
+            this.resetApp();
+            this.showStartError('sessionError');
+            return;
+        }
+
+        try {
+            this.stream = await this.camera.open();
+            this.cameraInfo = this.camera.getInfo();
+            if (this.cameraInfo && this.cameraInfo.virtual && this.cameraInfo.virtual.suspected) {
+                console.warn('Camera looks virtual:', this.cameraInfo.label, this.cameraInfo.virtual.reasons);
+            }
+            // Device labels are only listed once camera access is granted
+            this.renderCameraPicker();
 
             this.elements.videoElement.srcObject = this.stream;
 
@@ -160,18 +457,27 @@ class LivenessApp {
                 };
             });
 
-            this.videoRecorder.initialize(this.stream);
-            this.videoRecorder.startRecording();
+            if (this.options.annotateRecording) {
+                this.compositor = new EvidenceCompositor(this.elements.videoElement, this.elements.overlayCanvas);
+            }
+            this.videoRecorder.initialize(this.stream, { compositor: this.compositor });
+            // Chunks are hash-chained from the session nonce as they are recorded
+            this.videoRecorder.startRecording(1000, this.resultSigner.session.nonce);
+            // Timeline times are relative to the start of the recording
+            this.timeline.start(Date.now());
             this.elements.recordingIndicator.classList.add('active');
 
-            this.faceDetector.startDetection(
-                this.elements.videoElement,
-                this.elements.overlayCanvas,
-                (data) => this.handleDetection(data)
-            );
+            this.faceDetector.attach(this.elements.videoElement, this.elements.overlayCanvas);
 
-            // Start passive analysis
-            this.startPassiveAnalysis();
+            // Challenges start once the face quality gate passes (see checkFaceQuality)
+            await this.analysis.request('configure', { live: true, qualityGate: true });
+            // Virtual camera checks start from the track's label and capabilities
+            await this.analysis.request('streamTrack', { camera: this.cameraInfo });
+            this.awaitingQuality = true;
+            this.qualityWaitStartedAt = Date.now();
+
+            // Detection and passive analysis share one frame loop
+            this.startFrameLoop();
 
             this.isVerifying = true;
             this.verificationStartTime = Date.now();
@@ -180,91 +486,345 @@ class LivenessApp {
 
             this.updateSystemStatus(this.t('statusVerifying'), 'warning');
 
-            setTimeout(() => {
-                this.startNextChallenge();
-            }, 2000);
-
         } catch (error) {
             console.error('Error starting verification:', error);
-            alert('Could not access camera. Please ensure camera permissions are granted.');
-            this.showScreen('welcomeScreen');
+            const reason = CameraManager.classifyError(error);
+            this.emit('error', { stage: 'camera', error, reason });
+            this.resetApp();
+            this.showCameraError(reason);
         }
     }
 
-    startPassiveAnalysis() {
-        // Run passive analysis every 1000ms (relaxed for better UX like Persona)
-        this.passiveAnalysisInterval = setInterval(async () => {
-            if (!this.isVerifying) return;
+    /**
+     * The camera ended or was unplugged mid-session. The recording's hash chain and
+     * timeline cannot continue on another stream, so the session starts over on
+     * whichever camera is still available.
+     */
+    async handleCameraLost() {
+        if (!this.isVerifying) return;
+        console.warn('Camera lost during verification');
+        this.emit('error', { stage: 'camera', error: new Error('The camera was disconnected'), reason: 'disconnected' });
+        this.resetApp();
+
+        let devices = [];
+        try {
+            devices = await this.camera.listDevices();
+        } catch (error) {
+            console.error('Error listing cameras:', error);
+        }
+        if (devices.length === 0 || this.cameraRecoveries >= LivenessApp.MAX_CAMERA_RECOVERIES) {
+            this.showCameraError('disconnected');
+            return;
+        }
 
-            try {
-                // Depth analysis
-                const depthResult = await this.depthEstimator.estimateDepth(this.elements.videoElement);
-                if (depthResult) {
-                    this.securityScores.depth = depthResult.score;
-                    this.latestKeypoints = depthResult.keypoints;
-                    // Update visual tracking
-                    if (this.faceDetector && this.latestKeypoints) {
-                        this.faceDetector.setHighResMesh(this.latestKeypoints);
-                    }
-                }
-
-                // Passive liveness
-                const passiveResult = await this.passiveLiveness.analyze(
-                    this.elements.videoElement,
-                    this.analysisCanvas
-                );
-                if (passiveResult) {
-                    this.securityScores.passive = passiveResult.overallScore;
-                }
-
-                // Anti-spoofing
-                const antiSpoofResult = await this.antiSpoofing.analyze(
-                    this.elements.videoElement,
-                    this.analysisCanvas,
-                    depthResult,
-                    passiveResult
-                );
-                if (antiSpoofResult) {
-                    this.securityScores.antiSpoof = antiSpoofResult.overallScore;
-                }
-
-                // Eye reflection (needs FaceMesh keypoints)
-                if (depthResult && depthResult.keypoints) {
-                    const eyeResult = this.eyeReflection.analyze(
-                        this.elements.videoElement,
-                        this.analysisCanvas,
-                        depthResult.keypoints
-                    );
-                    if (eyeResult) {
-                        this.securityScores.eyeReflection = eyeResult.score;
-                    }
-
-                    // Micro-expressions
-                    const microResult = this.microExpression.analyze(depthResult.keypoints);
-                    if (microResult) {
-                        this.securityScores.microExpression = microResult.score;
-                    }
-                }
+        this.cameraRecoveries++;
+        this.announcer.announce(this.t('cameraReconnecting'), { assertive: true });
+        // A camera that was picked and is now gone falls back to the default one (see CameraManager.open)
+        await this.startVerification({ recovery: true });
+    }
+
+    /**
+     * Explain why the camera could not be used
+     * @param {String} reason - One of CameraManager.ERROR_REASONS
+     */
+    showCameraError(reason) {
+        this.showStartError(LivenessApp.CAMERA_ERROR_KEYS[reason] || LivenessApp.CAMERA_ERROR_KEYS.unknown);
+    }
 
+    /**
+     * Show the start error screen
+     * @param {String} key - Translation key prefix (`${key}Title`, `${key}Msg`)
+     */
+    showStartError(key) {
+        const { cameraErrorTitle, cameraErrorMessage } = this.elements;
+        // data-i18n keeps the text in step with later language changes
+        cameraErrorTitle.setAttribute('data-i18n', `${key}Title`);
+        cameraErrorTitle.textContent = this.t(`${key}Title`);
+        cameraErrorMessage.setAttribute('data-i18n', `${key}Msg`);
+        cameraErrorMessage.textContent = this.t(`${key}Msg`);
+
+        this.showScreen('cameraErrorScreen');
+        this.updateSystemStatus(this.t('statusError'), 'error');
+        this.announcer.announce(`${cameraErrorTitle.textContent}. ${cameraErrorMessage.textContent}`, { assertive: true });
+        this.elements.cameraErrorRetryBtn.focus();
+    }
+
+    /**
+     * Offer the cameras in a picker when there is more than one to choose from
+     * @param {Array} devices - CameraManager.listDevices() result (listed here when omitted)
+     */
+    async renderCameraPicker(devices = null) {
+        const { cameraPicker, cameraSelect } = this.elements;
+        if (!devices) {
+            try {
+                devices = await this.camera.listDevices();
             } catch (error) {
-                console.error('Error in passive analysis:', error);
+                console.error('Error listing cameras:', error);
+                devices = [];
+            }
+        }
+        // Some browsers hide device ids until camera access is granted
+        const selectable = devices.filter(device => device.deviceId);
+        cameraPicker.hidden = selectable.length < 2;
+
+        const addOption = (value, key, params, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            if (key) {
+                // Translations.updateUI() relabels it when the language changes
+                option.setAttribute('data-i18n', key);
+                option.setAttribute('data-i18n-params', JSON.stringify(params));
+                option.textContent = this.t(key, params);
+            } else {
+                option.textContent = label;
+            }
+            cameraSelect.appendChild(option);
+        };
+
+        cameraSelect.innerHTML = '';
+        addOption('', 'cameraDefault', {});
+        selectable.forEach((device, index) => {
+            if (!device.label) {
+                addOption(device.deviceId, 'cameraUnnamed', { index: index + 1 });
+            } else if (device.virtual) {
+                addOption(device.deviceId, 'cameraVirtual', { label: device.label });
+            } else {
+                addOption(device.deviceId, null, null, device.label);
             }
-        }, 200); // 200ms for responsiveness (was 1000ms)
+        });
+        cameraSelect.value = selectable.some(device => device.deviceId === this.camera.deviceId) ? this.camera.deviceId : '';
     }
 
-    stopPassiveAnalysis() {
-        if (this.passiveAnalysisInterval) {
-            clearInterval(this.passiveAnalysisInterval);
-            this.passiveAnalysisInterval = null;
+    /**
+     * @param {String} deviceId - Camera for the next session ('' for the default camera)
+     */
+    selectCamera(deviceId) {
+        this.camera.deviceId = deviceId || null;
+        try {
+            if (deviceId) {
+                localStorage.setItem(LivenessApp.CAMERA_STORAGE_KEY, deviceId);
+            } else {
+                localStorage.removeItem(LivenessApp.CAMERA_STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not save the camera choice:', error);
+        }
+    }
+
+    loadCameraChoice() {
+        try {
+            return localStorage.getItem(LivenessApp.CAMERA_STORAGE_KEY);
+        } catch (error) {
+            // Storage unavailable (e.g. privacy mode)
+            return null;
+        }
+    }
+
+    /**
+     * Send one camera frame to the analysis engine and apply what comes back.
+     * The next frame is only captured once this one is answered.
+     * @param {FrameBuffer} frame - Current frame (only its source and timestamp are used here)
+     */
+    async analyzeLiveFrame(frame) {
+        const result = await this.analysis.processFrame(frame.source, frame.timestamp);
+        if (!this.isVerifying) return;
+
+        this.applyFrameResult(result);
+        if (result.detection) {
+            this.faceDetector.drawDetection(result.detection);
+            this.handleDetection(result.detection);
+        }
+        if (this.timeline.startedAt !== null) {
+            this.recordScoreSample((Date.now() - this.timeline.startedAt) / 1000);
+        }
+
+        if (frame.timestamp - this.lastScoreUpdate >= LivenessApp.SCORE_UPDATE_INTERVAL) {
+            this.lastScoreUpdate = frame.timestamp;
+            if (this.compositor) this.compositor.setScores(this.securityScores);
+            this.emit('scoreUpdate', { scores: { ...this.securityScores }, faceMatch: this.faceMatchResult });
+        }
+
+        // Frame cadence is measured here, where every camera frame is seen
+        if (frame.timestamp - this.lastStreamTiming >= LivenessApp.STREAM_TIMING_INTERVAL) {
+            this.lastStreamTiming = frame.timestamp;
+            this.analysis.request('streamTiming', this.frameScheduler.takeFrameTimes()).catch(() => {});
+        }
+    }
+
+    /**
+     * Take over the engine's module scores, keypoints and attack codes
+     * @param {Object} result - AnalysisEngine.processFrame() result
+     */
+    applyFrameResult(result) {
+        if (result.mesh !== undefined) {
+            this.latestKeypoints = result.mesh;
+            // Update visual tracking
+            this.faceDetector.setHighResMesh(result.mesh);
+        }
+        this.latestPose = result.pose;
+        Object.assign(this.securityScores, result.scores);
+        this.faceMatchResult = result.faceMatch;
+        this.identityResult = result.identity;
+        this.analysisAttacks = result.attacksDetected;
+        this.frameStats = result.stats;
+    }
+
+    /**
+     * Keep the module scores for the review console's score curves
+     * @param {Number} time - Seconds into the recording
+     */
+    recordScoreSample(time) {
+        const last = this.scoreHistory[this.scoreHistory.length - 1];
+        if (last && time - last.time < LivenessApp.SCORE_SAMPLE_INTERVAL) return;
+        this.scoreHistory.push({
+            time: Math.round(time * 100) / 100,
+            scores: { ...this.securityScores },
+            combined: this.policy.combine(this.securityScores)
+        });
+    }
+
+    startFrameLoop() {
+        this.frameScheduler.reset();
+        this.frameScheduler.start(this.elements.videoElement, null);
+    }
+
+    stopFrameLoop() {
+        this.frameScheduler.stop();
+    }
+
+    /**
+     * Re-score a recorded session without a camera: every sampled frame of the
+     * file runs through the passive analyzers, then the current score policy
+     * decides. Challenges cannot be replayed from video, so the original
+     * session's challenge history (if supplied) is re-counted instead.
+     * @param {File|Blob} file - A downloadRecording() file or a partner submission
+     * @param {Object} options - { challenges: original challenge history, onProgress(percent) }
+     * @returns {Promise<Object>} Result with the same shape as the `complete` event
+     */
+    async analyzeVideoFile(file, options = {}) {
+        if (!this.isReady) throw new Error('Models are not loaded yet');
+        if (this.isVerifying || this.isAnalyzingFile) throw new Error('A verification is already running');
+
+        this.isAnalyzingFile = true;
+        this.resetSessionState();
+
+        const source = new VideoFileSource();
+        const frames = { total: 0, withFace: 0 };
+
+        try {
+            // Same tasks and rates as the live loop, clocked by media time
+            await this.resetAnalyzers();
+            await this.analysis.request('configure', { live: false });
+
+            const { duration } = await source.open(file);
+
+            await source.forEachFrame(async (video, frame) => {
+                this.applyFrameResult(await this.analysis.processFrame(video, frame.time * 1000));
+                this.recordScoreSample(frame.time);
+                frames.total++;
+                if (this.latestKeypoints) frames.withFace++;
+
+                this.emit('scoreUpdate', { scores: { ...this.securityScores }, faceMatch: this.faceMatchResult });
+                if (options.onProgress) options.onProgress(frame.progress);
+            });
+
+            const challenges = Array.isArray(options.challenges) ? options.challenges : [];
+            const { scores, completedChallenges, ...decision } = this.policy.evaluateRecording({
+                scores: this.securityScores,
+                challenges,
+                requiredChallenges: this.requiredChallenges,
+                attacksDetected: this.collectAttacks(),
+                faceMatch: this.referenceLoaded
+                    ? (this.faceMatchResult || { isMatch: false, similarity: 0 })
+                    : null
+            });
+            this.securityScores = scores;
+            this.completedChallenges = completedChallenges;
+            this.policyDecision = decision;
+            this.recordedVideoBlob = file;
+            this.analyzerResults = await this.fetchAnalyzerResults();
+
+            const result = {
+                ...this.getResult(Math.round(duration * 1000), challenges),
+                source: 'file',
+                frames
+            };
+            this.sessionResult = result;
+            this.recordSession(result);
+            return result;
+        } finally {
+            source.close();
+            this.isAnalyzingFile = false;
+        }
+    }
+
+    /**
+     * UI path for analyzeVideoFile(): progress on the welcome screen, then the results screen.
+     * The session's exported JSON report, selected with the recording, supplies the challenge history.
+     * @param {Array<File>} files - Selected recording, optionally with its report
+     */
+    async analyzeRecording(files) {
+        const file = files.find(f => f.type.startsWith('video/') || !/\.json$/i.test(f.name));
+        if (!file) return;
+        const reportFile = files.find(f => f !== file && (f.type === 'application/json' || /\.json$/i.test(f.name)));
+
+        const status = this.elements.recordingStatus;
+        status.classList.remove('success', 'error');
+
+        try {
+            let challenges = null;
+            if (reportFile) {
+                const report = JSON.parse(await reportFile.text());
+                if (!report || report.format !== ReportExporter.FORMAT) throw new Error('Not a verification report');
+                challenges = report.challenges || [];
+            }
+
+            const result = await this.analyzeVideoFile(file, {
+                challenges,
+                onProgress: (percent) => { status.textContent = this.t('recordingProgress', { percent }); }
+            });
+            // Without the original history the challenges rule cannot pass
+            status.textContent = challenges ? '' : this.t('recordingNoHistory');
+
+            // Share of sampled frames with a face stands in for the live detection confidence
+            const faceCoverage = result.frames.total > 0
+                ? Math.round((result.frames.withFace / result.frames.total) * 100)
+                : 0;
+            this.showResults(result.success, result.duration, faceCoverage, result.score);
+            this.emit('complete', result);
+        } catch (error) {
+            console.error('Error analyzing recording:', error);
+            status.textContent = this.t('recordingError');
+            status.classList.add('error');
+            this.emit('error', { stage: 'file', error });
         }
     }
 
     handleDetection(data) {
+        // Head pose from the latest FaceMesh keypoints (null when no mesh is available)
+        data.pose = data.faceDetected ? this.latestPose : null;
         this.detectionData = data;
 
+        // A different face than the one the session started with never counts toward challenges
+        const identityMismatch = !!(this.identityResult && this.identityResult.mismatch);
+
+        // Only announce transitions, not every detection tick
+        const faceVisible = data.faceDetected && !data.multipleFaces;
+        if (faceVisible !== this.faceVisible) {
+            this.faceVisible = faceVisible;
+            if (faceVisible) {
+                this.emit('faceDetected', { confidence: data.confidence, pose: data.pose });
+            }
+        }
+
         if (data.faceDetected) {
             if (data.multipleFaces) {
                 this.updateDetectionStatus(this.t('multipleFaces'));
+                this.announcer.guide(this.t('multipleFaces'));
+                this.elements.faceOutline.style.borderColor = '#ef4444';
+            } else if (identityMismatch) {
+                this.updateDetectionStatus(this.t('identityChanged'));
+                this.announcer.guide(this.t('identityChanged'));
                 this.elements.faceOutline.style.borderColor = '#ef4444';
             } else {
                 this.updateDetectionStatus(this.t('faceDetected'));
@@ -274,11 +834,16 @@ class LivenessApp {
             this.updateConfidence(data.confidence);
         } else {
             this.updateDetectionStatus(this.t('noFaceDetected'));
+            this.announcer.guide(this.t('noFaceDetected'));
             this.elements.faceOutline.style.borderColor = '#667eea';
             this.updateConfidence(0);
         }
 
-        if (this.livenessChallenger.isActive && data.faceDetected && !data.multipleFaces) {
+        if (this.awaitingQuality) {
+            this.checkFaceQuality(data);
+        }
+
+        if (this.livenessChallenger.isActive && data.faceDetected && !data.multipleFaces && !identityMismatch) {
             // USE HIGH-RES LANDMARKS IF AVAILABLE
             // Checks if depthEstimator has fresher/better keypoints
             const highResKeypoints = this.latestKeypoints;
@@ -292,7 +857,8 @@ class LivenessApp {
                 // DepthEstimator returns "keypoints" which are usually objects from TensorFlow models.
                 // We need to normalize or let Challenger handle both.
                 landmarks: highResKeypoints || data.landmarks,
-                isHighRes: !!highResKeypoints
+                isHighRes: !!highResKeypoints,
+                colorFlash: this.colorFlashResult
             };
 
             this.livenessChallenger.processDetection(challengeData, (result) => {
@@ -301,6 +867,35 @@ class LivenessApp {
         }
     }
 
+    /**
+     * Guide the user until the face is centered, sharp and well lit, then start the first challenge.
+     * Ends the session as failed if that does not happen within QUALITY_GATE_TIMEOUT.
+     * @param {Object} data - Detection data
+     */
+    checkFaceQuality(data) {
+        if (Date.now() - this.qualityWaitStartedAt > LivenessApp.QUALITY_GATE_TIMEOUT) {
+            this.awaitingQuality = false;
+            this.endReason = 'qualityTimeout';
+            this.announcer.announce(this.t('qualityTimeout'), { assertive: true });
+            this.completeVerification(false);
+            return;
+        }
+
+        const quality = data.quality;
+        if (!quality) return;
+        if (quality.issue) {
+            this.updateDetectionStatus(this.t(quality.issue));
+            this.announcer.guide(this.t(quality.issue));
+        }
+        this.elements.faceOutline.style.borderColor = quality.passing ? '#10b981' : '#f59e0b';
+
+        if (quality.ready) {
+            this.awaitingQuality = false;
+            this.analysis.request('configure', { qualityGate: false }).catch(() => {});
+            this.startNextChallenge();
+        }
+    }
+
     startNextChallenge(retryChallengeId = null) {
         if (this.completedChallenges >= this.requiredChallenges) {
             this.completeVerification(true);
@@ -320,7 +915,8 @@ class LivenessApp {
 
         this.livenessChallenger.startChallenge(
             (result) => this.handleChallengeComplete(result),
-            (progress) => this.updateChallengeProgress(progress)
+            (progress) => this.updateChallengeProgress(progress),
+            this.challengeSequence
         );
 
         const challenge = this.livenessChallenger.getCurrentChallenge();
@@ -331,7 +927,10 @@ class LivenessApp {
 
     handleChallengeComplete(result) {
         console.log('Challenge completed:', result);
+        this.captureKeyFrame(result);
         this.hideChallenge();
+        this.announcer.challengeCompleted(result.success, this.t(result.success ? 'a11yChallengePassed' : 'challengeFailedRetry'));
+        this.emit('challengeCompleted', result);
 
         if (result.success) {
             this.completedChallenges++;
@@ -351,19 +950,21 @@ class LivenessApp {
 
     async completeVerification(success) {
         this.isVerifying = false;
-        this.stopPassiveAnalysis();
+        this.awaitingQuality = false;
+        this.stopFrameLoop();
+        this.stopColorFlash();
 
         try {
             this.recordedVideoBlob = await this.videoRecorder.stopRecording();
+            this.videoChain = await this.videoRecorder.getEvidenceChain();
         } catch (error) {
             console.error('Error stopping recording:', error);
         }
 
         this.faceDetector.stopDetection();
+        this.camera.stop();
 
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-        }
+        this.analyzerResults = await this.fetchAnalyzerResults();
 
         // Calculate active liveness score
         this.securityScores.active = Math.round((this.completedChallenges / this.requiredChallenges) * 100);
@@ -373,34 +974,500 @@ class LivenessApp {
             ? Math.round(this.confidenceHistory.reduce((a, b) => a + b, 0) / this.confidenceHistory.length)
             : 0;
 
-        // Calculate combined score (Active + Passive + Anti-Spoof)
-        const combinedScore = this.calculateCombinedScore();
-        // Raised threshold from 55% to 80% for high security
-        const finalSuccess = success && combinedScore >= 80;
+        // Score fusion, vetoes and thresholds come from the loaded policy
+        // When a reference photo was provided, the live face must also match it
+        const faceMatch = this.referenceLoaded
+            ? (this.faceMatchResult || { isMatch: false, similarity: 0 })
+            : null;
+        this.policyDecision = this.policy.evaluate({
+            scores: this.securityScores,
+            attacksDetected: this.collectAttacks(),
+            challengesComplete: success,
+            faceMatch
+        });
+        if (this.endReason) {
+            this.policyDecision = { ...this.policyDecision, success: false, decidedBy: this.endReason, reviewRequired: false };
+        }
+        const combinedScore = this.policyDecision.combinedScore;
 
-        this.showResults(finalSuccess, verificationDuration, avgConfidence, combinedScore);
+        // Without a verifier service, check the challenge order/timing against the local provider
+        if (!this.resultSigner.endpoint && this.challengeSequence) {
+            const sequenceCheck = await this.challengeProvider.verifyResults(
+                this.challengeSequence.sequenceId,
+                this.livenessChallenger.getHistory()
+            );
+            if (!sequenceCheck.valid) this.overrideDecision('challengeSequence');
+        }
+
+        // The browser verdict is only advisory when a verifier service is configured
+        this.verificationResult = await this.signResult(this.policyDecision.success, combinedScore);
+        const { serverVerdict } = this.verificationResult;
+        if (serverVerdict && !serverVerdict.success) {
+            this.overrideDecision(`server:${serverVerdict.reasons.join(',')}`);
+        } else if (!serverVerdict && this.resultSigner.endpoint) {
+            this.overrideDecision('server:unreachable');
+        }
+
+        this.showResults(this.policyDecision.success, verificationDuration, avgConfidence, combinedScore);
+
+        this.sessionResult = this.getResult(verificationDuration);
+        this.recordSession(this.sessionResult);
+        this.emit('complete', this.sessionResult);
     }
 
-    calculateCombinedScore() {
-        // High security weights - focus more on passive checks that are harder to spoof
-        const weights = {
-            active: 0.30,      // 30% - Active challenges (Reduced from 45%)
-            passive: 0.25,     // 25% - Passive liveness (Increased from 20%)
-            antiSpoof: 0.25,   // 25% - Anti-spoofing (Increased from 15%)
-            depth: 0.10,       // 10% - Depth analysis (Increased from 8%)
-            eyeReflection: 0.05, // 5% - Eye reflection
-            microExpression: 0.05 // 5% - Micro-expressions
+    /**
+     * Public result object passed to `complete` listeners
+     * @param {Number} duration - Verification duration (ms)
+     * @param {Array} challenges - Challenge history
+     * @returns {Object} Result
+     */
+    getResult(duration, challenges = this.livenessChallenger.getHistory()) {
+        const { signed, serverVerdict } = this.verificationResult || {};
+        return {
+            source: 'camera',
+            success: this.policyDecision.success,
+            score: this.policyDecision.combinedScore,
+            policyId: this.policy.id,
+            decidedBy: this.policyDecision.decidedBy,
+            reviewRequired: !!this.policyDecision.reviewRequired,
+            scores: { ...this.securityScores },
+            scoreHistory: this.scoreHistory.map(sample => ({ ...sample, scores: { ...sample.scores } })),
+            attacksDetected: this.collectAttacks(),
+            faceMatch: this.faceMatchResult,
+            identity: this.identityResult,
+            challenges,
+            excludedChallenges: this.getExcludedChallenges(),
+            duration,
+            video: this.recordedVideoBlob,
+            videoChain: this.videoChain,
+            timeline: this.timeline.startedAt !== null ? this.timeline.toJSON() : null,
+            signed: signed || null,
+            resultHash: (this.verificationResult && this.verificationResult.resultHash) || null,
+            serverVerdict: serverVerdict || null
         };
+    }
+
+    /**
+     * Fail a decision that the policy passed, recording which check failed it
+     * @param {String} rule - Deciding rule
+     */
+    overrideDecision(rule) {
+        if (this.policyDecision.success) {
+            this.policyDecision = { ...this.policyDecision, success: false, decidedBy: rule, reviewRequired: false };
+        }
+    }
 
-        const score =
-            (this.securityScores.active * weights.active) +
-            (this.securityScores.passive * weights.passive) +
-            (this.securityScores.antiSpoof * weights.antiSpoof) +
-            (this.securityScores.depth * weights.depth) +
-            (this.securityScores.eyeReflection * weights.eyeReflection) +
-            (this.securityScores.microExpression * weights.microExpression);
+    /**
+     * Challenges the provider left out of this session's sequence at the user's request
+     * @returns {Array<String>} Challenge ids
+     */
+    getExcludedChallenges() {
+        return (this.challengeSequence && this.challengeSequence.excluded) || [];
+    }
+
+    /**
+     * Attack codes for the whole session
+     * @returns {Array<String>} Attack codes
+     */
+    collectAttacks() {
+        const attacks = new Set(this.analysisAttacks);
+        this.sessionAttacks.forEach(code => attacks.add(code));
+        return [...attacks];
+    }
+
+    async signResult(success, combinedScore) {
+        const result = { signed: null, resultHash: null, serverVerdict: null };
+
+        try {
+            const videoHash = await this.resultSigner.hashBlob(this.recordedVideoBlob);
+            result.signed = await this.resultSigner.sign({
+                success,
+                combinedScore,
+                policyId: this.policy.id,
+                decidedBy: this.policyDecision.decidedBy,
+                attacksDetected: this.collectAttacks(),
+                scores: { ...this.securityScores },
+                faceMatch: this.faceMatchResult,
+                challenges: this.livenessChallenger.getHistory(),
+                challengeSequenceId: this.challengeSequence ? this.challengeSequence.sequenceId : null,
+                excludedChallenges: this.getExcludedChallenges(),
+                requiredChallenges: this.requiredChallenges,
+                videoHash,
+                videoChain: this.videoChain ? EvidenceChain.summarize(this.videoChain) : null
+            });
+            result.resultHash = await this.resultSigner.hashPayload(result.signed.payload);
+            result.serverVerdict = await this.resultSigner.submit(result.signed);
+        } catch (error) {
+            console.error('Error signing verification result:', error);
+        }
 
-        return Math.round(score);
+        return result;
+    }
+
+    /**
+     * Snapshot the camera as a challenge completes: the report's evidence frames
+     * @param {Object} result - Challenge result
+     */
+    captureKeyFrame(result) {
+        const video = this.elements.videoElement;
+        if (!video.videoWidth) return;
+
+        const width = Math.min(LivenessApp.KEY_FRAME_WIDTH, video.videoWidth);
+        const height = Math.round(video.videoHeight * (width / video.videoWidth));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+        this.keyFrames.push({
+            challengeId: result.id,
+            name: result.name,
+            success: result.success,
+            timestamp: Date.now(),
+            width,
+            height,
+            image: canvas.toDataURL('image/jpeg', 0.85)
+        });
+    }
+
+    /**
+     * @returns {Promise<Object|null>} AnalysisEngine.getAnalyzerResults()
+     */
+    fetchAnalyzerResults() {
+        return this.analysis.request('getResults').catch(error => {
+            console.error('Error reading analyzer results:', error);
+            return null;
+        });
+    }
+
+    /**
+     * Verification report for the finished session
+     * @returns {Promise<Object>} ReportExporter.build() result
+     */
+    async buildReport() {
+        if (!this.sessionResult) throw new Error('No finished verification to report on');
+        return this.reportExporter.build({
+            result: this.sessionResult,
+            policyName: this.policy.name,
+            passThreshold: this.policy.passThreshold,
+            requiredChallenges: this.requiredChallenges,
+            analyzers: this.analyzerResults || {},
+            keyFrames: this.keyFrames,
+            timeline: this.sessionResult.timeline
+        });
+    }
+
+    /**
+     * Download the verification report
+     * @param {String} format - 'json' | 'pdf'
+     */
+    async downloadReport(format = 'json') {
+        try {
+            const report = await this.buildReport();
+            const blob = format === 'pdf' ? this.reportExporter.toPDF(report) : this.reportExporter.toJSON(report);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.videoRecorder.downloadVideo(blob, `liveness-report-${timestamp}.${format === 'pdf' ? 'pdf' : 'json'}`);
+        } catch (error) {
+            console.error('Error building the verification report:', error);
+        }
+    }
+
+    /**
+     * Download the challenge timeline sidecar for the recording
+     * @param {String} format - 'vtt' (WebVTT captions) | 'json'
+     */
+    downloadTimeline(format = 'vtt') {
+        if (this.timeline.startedAt === null) return;
+        const blob = format === 'json'
+            ? new Blob([JSON.stringify(this.timeline.toJSON(), null, 2)], { type: 'application/json' })
+            : new Blob([this.timeline.toWebVTT()], { type: 'text/vtt' });
+        this.videoRecorder.downloadVideo(blob, `${this.recordingBaseName()}.${format === 'json' ? 'json' : 'vtt'}`);
+    }
+
+    /**
+     * File name shared by the recording and its timeline, so players pick up the captions
+     * @returns {String} Name without extension
+     */
+    recordingBaseName() {
+        const startedAt = this.verificationStartTime || Date.now();
+        return `liveness-verification-${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}`;
+    }
+
+    /**
+     * Check that a recording and a JSON verification report belong together
+     * @param {Blob} video - Recording (downloadRecording() file)
+     * @param {Object|String} report - Report object or its JSON text
+     * @returns {Promise<Object>} EvidenceChain.verify() result
+     */
+    verifyEvidence(video, report) {
+        return EvidenceChain.verify(video, typeof report === 'string' ? JSON.parse(report) : report);
+    }
+
+    /**
+     * Store the finished session in the audit log (failures are logged, never thrown)
+     * @param {Object} result - `complete` event result
+     * @returns {Promise<Object|null>} Stored record
+     */
+    async recordSession(result) {
+        if (!this.auditLog) return null;
+        try {
+            return await this.auditLog.add(this.buildAuditRecord(result), result.video);
+        } catch (error) {
+            console.error('Error writing the audit log:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Audit record for a result: everything but the video, which AuditLog stores separately
+     * @param {Object} result - `complete` event result
+     * @returns {Object} Session record
+     */
+    buildAuditRecord(result) {
+        const { signed, serverVerdict } = this.verificationResult || {};
+        return {
+            source: result.source,
+            success: result.success,
+            score: result.score,
+            policyId: result.policyId,
+            decidedBy: result.decidedBy,
+            passThreshold: this.policy.passThreshold,
+            reviewRequired: result.reviewRequired,
+            review: null,
+            scores: result.scores,
+            scoreHistory: result.scoreHistory,
+            timeline: result.timeline,
+            attacksDetected: result.attacksDetected,
+            faceMatch: result.faceMatch,
+            identityEvents: result.identity ? result.identity.events : [],
+            duration: result.duration,
+            requiredChallenges: this.requiredChallenges,
+            challenges: (result.challenges || []).map(c => ({
+                id: c.id,
+                name: c.name,
+                success: c.success,
+                startedAt: c.startedAt,
+                duration: c.duration
+            })),
+            challengeSequenceId: this.challengeSequence ? this.challengeSequence.sequenceId : null,
+            excludedChallenges: result.excludedChallenges || [],
+            resultHash: result.resultHash,
+            videoChainDigest: result.videoChain ? result.videoChain.digest : null,
+            signature: {
+                signed: !!signed,
+                serverVerified: serverVerdict ? serverVerdict.success : null
+            },
+            device: this.getDeviceInfo()
+        };
+    }
+
+    getDeviceInfo() {
+        return {
+            userAgent: navigator.userAgent,
+            platform: navigator.platform || null,
+            language: navigator.language || null,
+            screen: typeof screen !== 'undefined' ? `${screen.width}x${screen.height}` : null,
+            camera: this.cameraInfo,
+            analysisMode: this.analysis.mode
+        };
+    }
+
+    async showHistory() {
+        this.showScreen('historyScreen');
+        await this.renderHistory();
+    }
+
+    /**
+     * List the stored sessions, newest first; clicking one shows its details
+     */
+    async renderHistory() {
+        const list = this.elements.historyList;
+        list.textContent = '';
+        this.elements.historyDetail.hidden = true;
+
+        let records = [];
+        try {
+            records = await this.auditLog.list();
+        } catch (error) {
+            console.error('Error reading the audit log:', error);
+        }
+        this.elements.historyEmpty.style.display = records.length ? 'none' : '';
+        this.elements.historyExportBtn.disabled = records.length === 0;
+        this.elements.historyClearBtn.disabled = records.length === 0;
+
+        records.forEach(record => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `history-item ${record.success ? 'success' : 'error'}`;
+
+            const date = document.createElement('span');
+            date.className = 'history-date';
+            date.textContent = new Date(record.createdAt).toLocaleString();
+            const verdict = document.createElement('span');
+            verdict.className = 'history-verdict';
+            verdict.textContent = `${this.t(record.success ? 'historyPassed' : 'historyFailed')} · ${record.score}%`;
+            item.append(date, verdict);
+
+            const reviewKey = this.getReviewKey(record);
+            if (reviewKey) {
+                const badge = document.createElement('span');
+                badge.className = `history-review ${record.review ? record.review.decision : 'pending'}`;
+                badge.textContent = this.t(reviewKey);
+                item.appendChild(badge);
+            }
+
+            item.addEventListener('click', () => this.showHistoryDetail(record));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * @param {Object} record - AuditLog session record
+     */
+    showHistoryDetail(record) {
+        const detail = this.elements.historyDetail;
+        detail.textContent = '';
+
+        const addRow = (labelKey, value) => {
+            const row = document.createElement('div');
+            row.className = 'detail-row';
+            const label = document.createElement('span');
+            label.className = 'detail-label';
+            label.textContent = this.t(labelKey);
+            const text = document.createElement('span');
+            text.className = 'detail-value';
+            text.textContent = value;
+            row.append(label, text);
+            detail.appendChild(row);
+        };
+
+        const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+        addRow('timestamp', new Date(record.createdAt).toLocaleString());
+        addRow('historySource', this.t(LivenessApp.SOURCE_LABELS[record.source] || 'historySourceCamera'));
+        addRow('historyResult', `${this.t(record.success ? 'historyPassed' : 'historyFailed')} · ${record.score}%`);
+        addRow('policyLabel', `${record.policyId} · ${record.decidedBy}`);
+        addRow('verificationTime', seconds(record.duration));
+        addRow('historyAttacks', record.attacksDetected.length ? record.attacksDetected.join(', ') : '--');
+        Object.entries(record.scores).forEach(([module, score]) => {
+            if (LivenessApp.SCORE_LABELS[module]) addRow(LivenessApp.SCORE_LABELS[module], `${score}%`);
+        });
+        record.challenges.forEach(challenge => {
+            addRow('historyChallenge', `${challenge.name} · ${challenge.success ? '✓' : '✗'} · ${seconds(challenge.duration)}`);
+        });
+        if (record.device) {
+            const camera = record.device.camera;
+            const cameraLabel = camera && camera.label && camera.virtual && camera.virtual.suspected
+                ? this.t('cameraVirtual', { label: camera.label })
+                : camera && camera.label;
+            addRow('historyDevice', [
+                record.device.platform,
+                cameraLabel,
+                camera ? `${camera.width}x${camera.height}` : null,
+                record.device.analysisMode
+            ].filter(Boolean).join(' · '));
+        }
+        addRow('historyVideo', record.video ? `${(record.video.size / (1024 * 1024)).toFixed(1)} MB` : '--');
+        if (record.review) {
+            addRow('reviewDecision', `${this.t(this.getReviewKey(record))} · ${record.review.reason}`);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'button-group';
+        const addAction = (labelKey, handler) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary';
+            button.textContent = this.t(labelKey);
+            button.addEventListener('click', handler);
+            actions.appendChild(button);
+        };
+        if (this.reviewConsole) addAction('reviewOpen', () => this.openReview(record));
+        addAction('historyExport', () => this.exportHistory([record.id]));
+        if (record.video) addAction('downloadBtn', () => this.downloadHistoryVideo(record));
+        addAction('historyDelete', () => this.deleteHistorySession(record.id));
+        detail.appendChild(actions);
+
+        detail.hidden = false;
+        detail.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    /**
+     * Download session records as JSON
+     * @param {Array<String>} ids - Sessions to export (default: all)
+     */
+    async exportHistory(ids = null) {
+        try {
+            const blob = await this.auditLog.export(ids);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.videoRecorder.downloadVideo(blob, `liveness-audit-${timestamp}.json`);
+        } catch (error) {
+            console.error('Error exporting the audit log:', error);
+        }
+    }
+
+    /**
+     * @param {Object} record - AuditLog session record
+     * @returns {String|null} Translation key of its review state (null when no review applies)
+     */
+    getReviewKey(record) {
+        if (record.review) return record.review.decision === 'approved' ? 'reviewApproved' : 'reviewRejected';
+        return record.reviewRequired ? 'reviewPending' : null;
+    }
+
+    /**
+     * Open a stored session in the review console
+     * @param {Object} record - AuditLog session record
+     */
+    async openReview(record) {
+        this.showScreen('reviewScreen');
+        await this.reviewConsole.openSession(record);
+    }
+
+    /**
+     * Open an exported JSON report (and optionally its recording) in the review console
+     * @param {Array<File>} files - Selected files
+     */
+    async openReviewFiles(files) {
+        const status = this.elements.reviewFileStatus;
+        const report = files.find(file => file.type === 'application/json' || file.name.endsWith('.json'));
+        const video = files.find(file => file.type.startsWith('video/') || file.name.endsWith('.webm'));
+        if (!report) {
+            status.textContent = this.t('reviewNoReport');
+            return;
+        }
+
+        status.textContent = '';
+        try {
+            this.showScreen('reviewScreen');
+            await this.reviewConsole.openReport(report, video || null);
+        } catch (error) {
+            console.error('Error opening the report for review:', error);
+            this.showScreen('historyScreen');
+            status.textContent = this.t('reviewOpenFailed');
+        }
+    }
+
+    async downloadHistoryVideo(record) {
+        const video = await this.auditLog.getVideo(record.id);
+        if (!video) return;
+        const extension = video.type.includes('mp4') ? 'mp4' : 'webm';
+        this.videoRecorder.downloadVideo(video, `liveness-verification-${record.id}.${extension}`);
+    }
+
+    async deleteHistorySession(id) {
+        if (!confirm(this.t('historyDeleteConfirm'))) return;
+        await this.auditLog.delete(id);
+        await this.renderHistory();
+    }
+
+    async clearHistory() {
+        if (!confirm(this.t('historyClearConfirm'))) return;
+        await this.auditLog.clear();
+        await this.renderHistory();
+    }
+
+    calculateCombinedScore() {
+        return this.policy.combine(this.securityScores);
     }
 
     showResults(success, duration, avgConfidence, combinedScore) {
@@ -415,13 +1482,15 @@ class LivenessApp {
             this.elements.resultIcon.classList.add('error');
             this.elements.resultIcon.classList.remove('success');
             this.elements.resultTitle.textContent = this.t('resultFailed');
-            this.elements.resultMessage.textContent = this.t('resultFailedMsg');
+            this.elements.resultMessage.textContent = this.t(this.endReason === 'qualityTimeout' ? 'qualityTimeout' : 'resultFailedMsg');
         }
 
         this.elements.verificationTime.textContent = `${(duration / 1000).toFixed(1)}s`;
         this.elements.challengesCompleted.textContent = `${this.completedChallenges}/${this.requiredChallenges}`;
         this.elements.avgConfidence.textContent = `${avgConfidence}%`;
         this.elements.timestamp.textContent = new Date().toLocaleString();
+        this.showSignatureStatus();
+        this.showPolicyDecision();
 
         // Update security scores display
         this.updateScoreDisplay('activeScore', 'activeScoreValue', this.securityScores.active);
@@ -430,6 +1499,7 @@ class LivenessApp {
         this.updateScoreDisplay('depthScore', 'depthScoreValue', this.securityScores.depth);
         this.updateScoreDisplay('eyeScore', 'eyeScoreValue', this.securityScores.eyeReflection);
         this.updateScoreDisplay('microScore', 'microScoreValue', this.securityScores.microExpression);
+        this.showFaceMatch();
 
         // Combined score
         if (this.elements.combinedScore) {
@@ -442,6 +1512,37 @@ class LivenessApp {
         }
 
         this.updateSystemStatus(success ? this.t('statusVerified') : this.t('statusFailed'), success ? 'success' : 'error');
+        this.announcer.announce(`${this.elements.resultTitle.textContent}. ${this.elements.resultMessage.textContent}`, { assertive: true });
+    }
+
+    showPolicyDecision() {
+        const decision = this.policyDecision;
+        this.elements.policyDecision.textContent = decision
+            ? `${this.policy.name} · ${decision.decidedBy}`
+            : '--';
+    }
+
+    showSignatureStatus() {
+        const { signed, serverVerdict } = this.verificationResult || {};
+        let key = 'signatureNone';
+        if (serverVerdict) key = serverVerdict.success ? 'signatureServerPass' : 'signatureServerFail';
+        else if (signed) key = this.resultSigner.isServerBacked() ? 'signatureUnverified' : 'signatureLocal';
+        this.elements.signatureStatus.textContent = this.t(key);
+    }
+
+    showFaceMatch() {
+        const hasReference = this.referenceLoaded;
+        this.elements.faceMatchItem.style.display = hasReference ? '' : 'none';
+        if (!hasReference) return;
+
+        const result = this.faceMatchResult;
+        this.updateScoreDisplay('faceMatchScore', 'faceMatchScoreValue', result ? result.similarity : 0);
+
+        const verdict = this.elements.faceMatchVerdict;
+        const isMatch = !!(result && result.isMatch);
+        verdict.textContent = this.t(isMatch ? 'faceMatchYes' : 'faceMatchNo');
+        verdict.classList.remove('success', 'error');
+        verdict.classList.add(isMatch ? 'success' : 'error');
     }
 
     updateScoreDisplay(barId, valueId, score) {
@@ -471,55 +1572,154 @@ class LivenessApp {
 
     downloadRecording() {
         if (this.recordedVideoBlob) {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            this.videoRecorder.downloadVideo(this.recordedVideoBlob, `liveness-verification-${timestamp}.webm`);
+            this.videoRecorder.downloadVideo(this.recordedVideoBlob, `${this.recordingBaseName()}.webm`);
         }
     }
 
     resetApp() {
+        this.stopColorFlash();
+        this.announcer.reset();
         this.faceDetector.stopDetection();
         this.videoRecorder.reset();
+        this.compositor = null;
         this.livenessChallenger.reset();
-        this.stopPassiveAnalysis();
-
-        // Reset enterprise modules
-        this.depthEstimator.reset();
-        this.passiveLiveness.reset();
-        this.antiSpoofing.reset();
-        this.eyeReflection.reset();
-        this.microExpression.reset();
+        this.stopFrameLoop();
+        this.resetAnalyzers();
+        this.resultSigner.reset();
 
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
+        this.camera.stop();
+        this.stream = null;
 
         this.isVerifying = false;
+        this.resetSessionState();
+
+        this.showScreen('welcomeScreen');
+        this.updateSystemStatus('Ready', 'success');
+        this.elements.recordingIndicator.classList.remove('active');
+    }
+
+    /**
+     * Clear the engine's per-session analyzer state (the reference photo is kept)
+     * @returns {Promise} Resolves once the engine has reset
+     */
+    resetAnalyzers() {
+        if (!this.isReady) return Promise.resolve(false);
+        return this.analysis.request('reset').catch(error => {
+            console.error('Error resetting analyzers:', error);
+            return false;
+        });
+    }
+
+    resetSessionState() {
         this.verificationStartTime = null;
         this.detectionData = null;
         this.recordedVideoBlob = null;
         this.confidenceHistory = [];
         this.completedChallenges = 0;
         this.securityScores = { active: 0, passive: 0, antiSpoof: 0, depth: 0, eyeReflection: 0, microExpression: 0 };
-
-        this.showScreen('welcomeScreen');
-        this.updateSystemStatus('Ready', 'success');
-        this.elements.recordingIndicator.classList.remove('active');
+        this.latestKeypoints = null;
+        this.latestPose = null;
+        this.faceMatchResult = null;
+        this.identityResult = null;
+        this.analysisAttacks = [];
+        this.cameraInfo = null;
+        this.keyFrames = [];
+        this.analyzerResults = null;
+        this.sessionResult = null;
+        this.videoChain = null;
+        this.timeline.reset();
+        this.scoreHistory = [];
+        this.colorFlashResult = null;
+        this.frameStats = null;
+        this.lastScoreUpdate = 0;
+        this.lastStreamTiming = 0;
+        this.verificationResult = null;
+        this.challengeSequence = null;
+        this.policyDecision = null;
+        this.sessionAttacks = new Set();
+        this.faceVisible = false;
+        this.awaitingQuality = false;
+        this.qualityWaitStartedAt = 0;
+        this.endReason = null;
     }
 
     showChallenge(challenge) {
+        const instruction = this.livenessChallenger.getInstruction(challenge);
         this.elements.challengeIcon.textContent = challenge.icon;
-        this.elements.challengeText.textContent = challenge.instruction;
+        this.elements.challengeText.textContent = instruction;
         this.elements.challengeProgress.style.width = '0%';
+        this.elements.challengeTimer.setAttribute('aria-valuenow', '0');
         this.elements.challengeOverlay.classList.add('active');
+        this.announcer.challengeStarted(instruction);
+        if (this.compositor) this.compositor.setChallenge({ name: challenge.name, instruction });
+        this.emit('challengeStarted', { id: challenge.id, name: challenge.name, instruction });
+
+        if (challenge.id === 'colorFlash') {
+            this.startColorFlash(this.livenessChallenger.getFlashSequence());
+        }
     }
 
     hideChallenge() {
         this.elements.challengeOverlay.classList.remove('active');
+        if (this.compositor) this.compositor.setChallenge(null);
+        this.stopColorFlash();
+    }
+
+    /**
+     * Light the screen with the challenge's color sequence and score the face's response at the end
+     * @param {Array} sequence - LivenessChallenger.getFlashSequence()
+     */
+    startColorFlash(sequence) {
+        this.stopColorFlash();
+        if (!sequence) return;
+
+        const flash = this.elements.screenFlash;
+        const startedAt = Date.now();
+        const end = sequence[sequence.length - 1].end;
+        this.colorFlashResult = null;
+        this.analysis.request('colorFlashStart', { sequence, startedAt }).catch(() => {});
+
+        const step = () => {
+            const elapsed = Date.now() - startedAt;
+            if (elapsed >= end) {
+                this.stopColorFlash();
+                // The engine scores the response and reports a mismatch to AntiSpoofing
+                this.analysis.request('colorFlashFinish')
+                    .then(result => { this.colorFlashResult = result; })
+                    .catch(error => console.error('Error scoring the color flash:', error));
+                return;
+            }
+
+            const segment = sequence.find(s => elapsed >= s.start && elapsed < s.end);
+            if (segment && segment.rgb) {
+                flash.style.background = `rgb(${segment.rgb.join(', ')})`;
+                flash.classList.add('active');
+            } else {
+                flash.classList.remove('active');
+            }
+            this.flashAnimation = requestAnimationFrame(step);
+        };
+        this.flashAnimation = requestAnimationFrame(step);
+    }
+
+    stopColorFlash() {
+        if (this.flashAnimation) {
+            cancelAnimationFrame(this.flashAnimation);
+            this.flashAnimation = null;
+        }
+        this.elements.screenFlash.classList.remove('active');
     }
 
     updateChallengeProgress(progress) {
         this.elements.challengeProgress.style.width = `${progress}%`;
+        this.elements.challengeTimer.setAttribute('aria-valuenow', String(Math.round(progress)));
+
+        const challenge = this.livenessChallenger.getCurrentChallenge();
+        if (challenge) {
+            const remaining = Math.ceil(challenge.duration * (1 - progress / 100) / 1000);
+            this.announcer.challengeProgress(progress, remaining, this.t('a11yTimeLeft', { count: remaining }));
+        }
+        if (this.compositor) this.compositor.setProgress(progress);
     }
 
     updateChallengeCounter() {
@@ -547,15 +1747,177 @@ class LivenessApp {
         this.elements.loadingText.textContent = text;
     }
 
+    /**
+     * @returns {Object} { enabled, exclude } saved on this device, or the `accessibility` option
+     */
+    loadAccessibilitySettings() {
+        const settings = { enabled: !!this.options.accessibility, exclude: [] };
+        try {
+            const saved = JSON.parse(localStorage.getItem(LivenessApp.ACCESSIBILITY_STORAGE_KEY));
+            if (saved) {
+                settings.enabled = !!saved.enabled;
+                settings.exclude = (Array.isArray(saved.exclude) ? saved.exclude : [])
+                    .filter(id => !LocalChallengeProvider.REQUIRED_CHALLENGES.includes(id));
+            }
+        } catch (error) {
+            // Storage unavailable (e.g. privacy mode): keep the defaults
+        }
+        return settings;
+    }
+
+    saveAccessibilitySettings() {
+        try {
+            localStorage.setItem(LivenessApp.ACCESSIBILITY_STORAGE_KEY, JSON.stringify(this.accessibility));
+        } catch (error) {
+            console.warn('Could not save accessibility settings:', error);
+        }
+    }
+
+    /**
+     * @param {Boolean} enabled - Spoken prompts, haptics and alternative challenges
+     */
+    setAccessibilityMode(enabled) {
+        this.accessibility.enabled = enabled;
+        this.announcer.configure({ speech: enabled, haptics: enabled });
+        this.saveAccessibilitySettings();
+        this.renderAlternativeChallenges();
+        if (enabled) this.announcer.announce(this.t('a11yEnabled'));
+    }
+
+    /**
+     * One checkbox per challenge the user can opt out of; the provider accepts a limited
+     * number and never excludes REQUIRED_CHALLENGES
+     */
+    renderAlternativeChallenges() {
+        const list = this.elements.alternativeChallengeList;
+        const max = LocalChallengeProvider.MAX_EXCLUSIONS;
+        this.elements.alternativeChallenges.hidden = !this.accessibility.enabled;
+        list.textContent = '';
+
+        this.livenessChallenger.challenges.forEach(challenge => {
+            if (LocalChallengeProvider.REQUIRED_CHALLENGES.includes(challenge.id)) return;
+            const excluded = this.accessibility.exclude.includes(challenge.id);
+            const label = document.createElement('label');
+            label.className = 'alternative-challenge';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = challenge.id;
+            input.checked = excluded;
+            input.disabled = !excluded && this.accessibility.exclude.length >= max;
+            input.addEventListener('change', () => {
+                this.accessibility.exclude = input.checked
+                    ? [...this.accessibility.exclude, challenge.id]
+                    : this.accessibility.exclude.filter(id => id !== challenge.id);
+                this.saveAccessibilitySettings();
+                // Update in place so keyboard focus stays on the checkbox
+                list.querySelectorAll('input').forEach(box => {
+                    box.disabled = !box.checked && this.accessibility.exclude.length >= max;
+                });
+            });
+            const text = document.createElement('span');
+            // Translations.updateUI() relabels it when the language changes
+            const params = challenge.i18nParams ? challenge.i18nParams() : {};
+            text.setAttribute('data-i18n', challenge.i18nKey);
+            text.setAttribute('data-i18n-params', JSON.stringify(params));
+            text.textContent = this.t(challenge.i18nKey, params);
+            label.append(input, text);
+            list.appendChild(label);
+        });
+    }
+
     showScreen(screenId) {
         this.elements.welcomeScreen.classList.remove('active');
         this.elements.cameraScreen.classList.remove('active');
         this.elements.resultsScreen.classList.remove('active');
-        const screenElement = document.getElementById(screenId);
+        this.elements.cameraErrorScreen.classList.remove('active');
+        this.elements.historyScreen.classList.remove('active');
+        this.elements.reviewScreen.classList.remove('active');
+        const screenElement = this.elements[screenId];
         if (screenElement) screenElement.classList.add('active');
     }
+
+    /**
+     * Stop the camera, all analysis and the analysis worker, and drop every listener
+     */
+    destroy() {
+        this.resetApp();
+        this.camera.destroy();
+        this.analysis.terminate();
+        this.listeners = {};
+        this.onComplete = null;
+    }
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-    window.livenessApp = new LivenessApp();
-});
+LivenessApp.EVENTS = [
+    'ready',
+    'faceDetected',
+    'challengeStarted',
+    'challengeCompleted',
+    'scoreUpdate',
+    'complete',
+    'error'
+];
+
+// Translation keys of the module scores
+LivenessApp.SCORE_LABELS = {
+    active: 'activeLiveness',
+    passive: 'passiveLiveness',
+    antiSpoof: 'antiSpoofing',
+    depth: 'depthAnalysis',
+    eyeReflection: 'eyeReflection',
+    microExpression: 'microExpressions'
+};
+
+// localStorage key of the accessibility mode settings
+LivenessApp.ACCESSIBILITY_STORAGE_KEY = 'livenessAccessibility';
+
+// localStorage key of the camera picked on this device
+LivenessApp.CAMERA_STORAGE_KEY = 'livenessCamera';
+
+// Translation key prefixes (plus Title / Msg) of the camera error screen, by CameraManager reason
+LivenessApp.CAMERA_ERROR_KEYS = {
+    permissionDenied: 'cameraErrorPermission',
+    noCamera: 'cameraErrorNoCamera',
+    cameraBusy: 'cameraErrorBusy',
+    disconnected: 'cameraErrorDisconnected',
+    unsupported: 'cameraErrorUnsupported',
+    unknown: 'cameraErrorUnknown'
+};
+
+// Automatic restarts on another camera before the disconnect is shown as an error
+LivenessApp.MAX_CAMERA_RECOVERIES = 1;
+
+// Translation keys of the session sources in the history
+LivenessApp.SOURCE_LABELS = {
+    camera: 'historySourceCamera',
+    file: 'historySourceFile',
+    report: 'historySourceReport'
+};
+
+// Width (px) of the key frames captured for the report
+LivenessApp.KEY_FRAME_WIDTH = 480;
+
+// Minimum ms between live `scoreUpdate` events
+LivenessApp.SCORE_UPDATE_INTERVAL = 200;
+
+// Minimum ms between camera frame-interval batches sent to the engine
+LivenessApp.STREAM_TIMING_INTERVAL = 1000;
+
+// Longest ms the face quality gate may take to pass before the session fails
+LivenessApp.QUALITY_GATE_TIMEOUT = 30000;
+
+// Seconds between the score samples kept for the review console
+LivenessApp.SCORE_SAMPLE_INTERVAL = 0.5;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LivenessApp;
+} else {
+    // Standalone page (index.html): start automatically. Pages embedding the
+    // flow through LivenessSDK have no markup of their own at this point.
+    document.addEventListener('DOMContentLoaded', () => {
+        const config = window.LivenessConfig || {};
+        const page = document.getElementById('welcomeScreen');
+        if (config.autoMount === false || !page || page.closest('[data-liveness-sdk]')) return;
+        window.livenessApp = new LivenessApp(config);
+    });
+}
@@ -10,6 +10,8 @@ class MicroExpression {
         this.lastResult = null;
         this.cachedResult = null;
         this.frameCount = 0;
+        this.frameSkip = 2; // analyze every 2nd call
+        this.realThreshold = 70; // isReal cut-off (0-100), set by the score policy
 
         // Track only key points (reduced from 9 regions to 5 key points)
         this.keyIndices = [1, 33, 263, 61, 291]; // nose, leftEye, rightEye, mouth corners
@@ -28,7 +30,7 @@ class MicroExpression {
 
         // Skip frames
         this.frameCount++;
-        if (this.frameCount % 2 !== 0 && this.cachedResult) {
+        if (this.frameCount % this.frameSkip !== 0 && this.cachedResult) {
             return this.cachedResult;
         }
 
@@ -47,7 +49,7 @@ class MicroExpression {
         const overallScore = naturalness * 0.35 + involuntaryScore * 0.35 + coordinationScore * 0.30;
 
         const result = {
-            isReal: overallScore > 0.7, // Raised from 0.5
+            isReal: overallScore * 100 > this.realThreshold,
             score: Math.round(overallScore * 100),
             naturalness: Math.round(naturalness * 100),
             involuntaryScore: Math.round(involuntaryScore * 100),
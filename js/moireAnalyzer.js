@@ -0,0 +1,311 @@
+/**
+ * Moire Analyzer Module
+ * Looks for the periodic patterns a recaptured face carries: the subpixel
+ * grid of an LCD/OLED screen (or the moire it beats into with the camera's
+ * own pixel grid) and the dot screen of a printed photo. A Hann-windowed 2D
+ * FFT of a full-resolution patch over the face is searched for isolated
+ * spectral peaks standing well above the natural 1/f falloff at their radius.
+ * Skin and face edges spread their energy over the spectrum; a grid puts it
+ * into a few sharp points.
+ */
+class MoireAnalyzer {
+    /**
+     * @param {Object} options - Threshold overrides
+     */
+    constructor(options = {}) {
+        this.minProminence = options.minProminence ?? 4.0;  // ln(power) above the ring median where a peak counts (~55x)
+        this.fullProminence = options.fullProminence ?? 7.0; // a peak this strong scores 0
+        this.minPitch = options.minPitch ?? 2.5;            // px; finer periods are sensor and demosaicing artifacts
+        this.maxPitch = options.maxPitch ?? 24;             // px; coarser ones are face structure and light banding
+        this.maxPeaks = options.maxPeaks ?? 4;              // strongest peaks reported
+    }
+
+    /**
+     * @param {FrameBuffer} frame - Shared frame (the patch is read at full resolution)
+     * @param {Array} keypoints - FaceMesh keypoints; without them the frame center is used
+     * @returns {Object|null} { score (0-1, 1 = no pattern), detected, pitch, orientation, kind, prominence, peaks, region }
+     */
+    analyze(frame, keypoints) {
+        const imageData = frame.getImageData(1);
+        const region = this.getRegion(imageData.width, imageData.height, keypoints);
+        if (!region) return null;
+
+        const { re, im } = this.readPatch(imageData, region);
+        MoireAnalyzer.fft2d(re, im, region.size);
+        const peaks = this.findPeaks(re, im, region.size);
+
+        const strongest = peaks[0] || null;
+        const prominence = strongest ? strongest.prominence : 0;
+        const detected = prominence >= this.minProminence;
+        const excess = (prominence - this.minProminence) / (this.fullProminence - this.minProminence);
+
+        return {
+            // 0.5 at the detection threshold down to 0 for a strong pattern
+            score: detected ? 0.5 * (1 - Math.min(excess, 1)) : 1,
+            detected,
+            pitch: detected ? strongest.pitch : null,
+            orientation: detected ? strongest.orientation : null,
+            kind: detected ? this.classify(peaks.filter(peak => peak.prominence >= this.minProminence)) : null,
+            prominence: Math.round(prominence * 100) / 100,
+            peaks: peaks.slice(0, this.maxPeaks),
+            region
+        };
+    }
+
+    /**
+     * Square, power-of-two patch centered on the face (cheeks, nose and forehead)
+     * @returns {Object|null} { x, y, size } in full-resolution pixels
+     */
+    getRegion(width, height, keypoints) {
+        let cx = width / 2;
+        let cy = height / 2;
+        let extent = Math.min(width, height) / 2;
+
+        if (keypoints && keypoints.length > 0) {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            keypoints.forEach(point => {
+                if (point.x < minX) minX = point.x;
+                if (point.x > maxX) maxX = point.x;
+                if (point.y < minY) minY = point.y;
+                if (point.y > maxY) maxY = point.y;
+            });
+            cx = (minX + maxX) / 2;
+            cy = (minY + maxY) / 2;
+            // Inner part of the face box, clear of hair and background
+            extent = Math.min(maxX - minX, maxY - minY) * 0.6;
+        }
+
+        let size = MoireAnalyzer.MAX_SIZE;
+        while (size > extent && size > MoireAnalyzer.MIN_SIZE) size >>= 1;
+        if (size > extent || size > width || size > height) return null;
+
+        const x = Math.round(Math.min(Math.max(cx - size / 2, 0), width - size));
+        const y = Math.round(Math.min(Math.max(cy - size / 2, 0), height - size));
+        return { x, y, size };
+    }
+
+    /**
+     * Luminance of the patch, mean removed and Hann windowed
+     * @returns {Object} { re, im } - Float64Array rows of size * size
+     */
+    readPatch(imageData, region) {
+        const { data, width } = imageData;
+        const { x: left, y: top, size } = region;
+        const re = new Float64Array(size * size);
+        const im = new Float64Array(size * size);
+
+        let mean = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const idx = ((top + y) * width + left + x) << 2;
+                const value = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+                re[y * size + x] = value;
+                mean += value;
+            }
+        }
+        mean /= size * size;
+
+        const window = MoireAnalyzer.hann(size);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                re[y * size + x] = (re[y * size + x] - mean) * window[x] * window[y];
+            }
+        }
+        return { re, im };
+    }
+
+    /**
+     * Local maxima of the log power spectrum that stand out from the median of
+     * their frequency ring. Only one half-plane is searched (the spectrum of a
+     * real patch is symmetric). MJPEG's 8x8 block edges put peaks on every
+     * harmonic of the block size (pitch 8, 4, 2.67); only when that whole
+     * series is there are the peaks on those rows or columns left out, so a
+     * pitch 4 or 8 screen grid on its own is still reported.
+     * @returns {Array} [{ pitch (px), orientation (deg, 0-180, direction across the stripes), prominence }], strongest first
+     */
+    findPeaks(re, im, size) {
+        const half = size / 2;
+        const logPower = new Float64Array(size * size);
+        for (let i = 0; i < logPower.length; i++) {
+            logPower[i] = Math.log(re[i] * re[i] + im[i] * im[i] + 1e-9);
+        }
+
+        // Frequency (u, v) in -half..half-1 -> FFT bin
+        const at = (u, v) => logPower[((v + size) % size) * size + ((u + size) % size)];
+
+        const minRadius = size / this.maxPitch;
+        const maxRadius = Math.min(size / this.minPitch, half - 1);
+
+        const rings = new Map();
+        for (let v = -half + 1; v < half; v++) {
+            for (let u = -half + 1; u < half; u++) {
+                const ring = Math.round(Math.sqrt(u * u + v * v));
+                if (ring < minRadius - 1 || ring > maxRadius + 1) continue;
+                if (!rings.has(ring)) rings.set(ring, []);
+                rings.get(ring).push(at(u, v));
+            }
+        }
+        const ringMedian = new Map();
+        rings.forEach((values, ring) => {
+            values.sort((a, b) => a - b);
+            ringMedian.set(ring, values[values.length >> 1]);
+        });
+
+        const peaks = [];
+        for (let v = 0; v < half; v++) {
+            for (let u = -half + 1; u < half; u++) {
+                if (v === 0 && u <= 0) continue;
+
+                const radius = Math.sqrt(u * u + v * v);
+                if (radius < minRadius || radius > maxRadius) continue;
+
+                const value = at(u, v);
+                let isMax = true;
+                for (let dv = -1; dv <= 1 && isMax; dv++) {
+                    for (let du = -1; du <= 1; du++) {
+                        if ((du || dv) && at(u + du, v + dv) > value) {
+                            isMax = false;
+                            break;
+                        }
+                    }
+                }
+                if (!isMax) continue;
+
+                const prominence = value - ringMedian.get(Math.round(radius));
+                if (prominence < this.minProminence / 2) continue;
+
+                const angle = Math.atan2(v, u) * 180 / Math.PI;
+                peaks.push({
+                    u,
+                    v,
+                    pitch: Math.round(size / radius * 100) / 100,
+                    orientation: Math.round((angle + 180) % 180),
+                    prominence: Math.round(prominence * 100) / 100
+                });
+            }
+        }
+
+        // Block edges vary along the edge, so their peaks sit anywhere on the line
+        const blockStep = size / MoireAnalyzer.BLOCK_SIZE;
+        const hasBlockSeries = (axis) => {
+            for (let f = blockStep; f <= maxRadius; f += blockStep) {
+                if (!peaks.some(peak => Math.abs(peak[axis]) === f)) return false;
+            }
+            return true;
+        };
+        const blockColumns = hasBlockSeries('u');
+        const blockRows = hasBlockSeries('v');
+        const onBlockLine = (f) => f !== 0 && f % blockStep === 0;
+
+        return peaks
+            .filter(peak => !(blockColumns && onBlockLine(peak.u)) && !(blockRows && onBlockLine(peak.v)))
+            .map(({ pitch, orientation, prominence }) => ({ pitch, orientation, prominence }))
+            .sort((a, b) => b.prominence - a.prominence);
+    }
+
+    /**
+     * Screen subpixel grids line up with the image axes (or near them); print
+     * halftones are screened at oblique angles (15, 45, 75 degrees)
+     * @param {Array} peaks - Detected peaks
+     * @returns {String} 'screen' | 'halftone'
+     */
+    classify(peaks) {
+        const axisAligned = peaks.filter(peak => {
+            const offAxis = Math.min(peak.orientation % 90, 90 - (peak.orientation % 90));
+            return offAxis <= MoireAnalyzer.AXIS_TOLERANCE;
+        });
+        return axisAligned.length * 2 >= peaks.length ? 'screen' : 'halftone';
+    }
+
+    static hann(size) {
+        if (!MoireAnalyzer.windows[size]) {
+            const window = new Float64Array(size);
+            for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+            MoireAnalyzer.windows[size] = window;
+        }
+        return MoireAnalyzer.windows[size];
+    }
+
+    /**
+     * In-place radix-2 FFT of a size x size array: rows, then columns
+     */
+    static fft2d(re, im, size) {
+        const rowRe = new Float64Array(size);
+        const rowIm = new Float64Array(size);
+
+        for (let y = 0; y < size; y++) {
+            const offset = y * size;
+            rowRe.set(re.subarray(offset, offset + size));
+            rowIm.set(im.subarray(offset, offset + size));
+            MoireAnalyzer.fft(rowRe, rowIm);
+            re.set(rowRe, offset);
+            im.set(rowIm, offset);
+        }
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                rowRe[y] = re[y * size + x];
+                rowIm[y] = im[y * size + x];
+            }
+            MoireAnalyzer.fft(rowRe, rowIm);
+            for (let y = 0; y < size; y++) {
+                re[y * size + x] = rowRe[y];
+                im[y * size + x] = rowIm[y];
+            }
+        }
+    }
+
+    /**
+     * In-place iterative radix-2 FFT (length must be a power of two)
+     */
+    static fft(re, im) {
+        const n = re.length;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = -2 * Math.PI / length;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let start = 0; start < n; start += length) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const a = start + k;
+                    const b = a + length / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+}
+
+// Patch sizes (px, powers of two) tried from the largest down
+MoireAnalyzer.MAX_SIZE = 256;
+MoireAnalyzer.MIN_SIZE = 64;
+
+// MJPEG / JPEG block size, whose edges show up as spectral lines
+MoireAnalyzer.BLOCK_SIZE = 8;
+
+// Degrees from the image axes a screen grid may be rotated
+MoireAnalyzer.AXIS_TOLERANCE = 10;
+
+// Hann windows by patch size
+MoireAnalyzer.windows = {};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MoireAnalyzer;
+}
@@ -9,7 +9,10 @@ class PassiveLiveness {
         this.maxFrames = 15; // Reduced from 30
         this.lastAnalysis = null;
         this.skipFrameCount = 0;
+        this.frameSkip = 2; // analyze every 2nd call
         this.cachedResult = null;
+        this.realThreshold = 80; // isReal cut-off (0-100), set by the score policy
+        this.moire = new MoireAnalyzer(); // screen grid / halftone spectrum over the face
 
         // Pre-allocated arrays for performance
         this.simplifiedFrame = new Float32Array(400); // 20x20 grid
@@ -21,31 +24,26 @@ class PassiveLiveness {
         return true;
     }
 
-    async analyze(videoElement, canvas) {
+    /**
+     * @param {FrameBuffer} frame - Shared frame (analyzed at 50% resolution; the moire patch at full)
+     * @param {Array} keypoints - FaceMesh keypoints locating the moire patch (frame center without them)
+     */
+    async analyze(frame, keypoints = null) {
         if (!this.isReady) return this.cachedResult;
 
-        // Skip every other frame for performance
+        // Skip frames for performance (1 when the frame scheduler sets the rate)
         this.skipFrameCount++;
-        if (this.skipFrameCount % 2 !== 0 && this.cachedResult) {
+        if (this.skipFrameCount % this.frameSkip !== 0 && this.cachedResult) {
             return this.cachedResult;
         }
 
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
-        // Use smaller resolution for analysis (50% of original)
-        const scale = 0.5;
-        const w = Math.floor(videoElement.videoWidth * scale);
-        const h = Math.floor(videoElement.videoHeight * scale);
-
-        canvas.width = w;
-        canvas.height = h;
-        ctx.drawImage(videoElement, 0, 0, w, h);
-
-        const imageData = ctx.getImageData(0, 0, w, h);
-        const data = imageData.data;
+        const imageData = frame.getImageData(0.5);
+        const { width: w, height: h, data } = imageData;
 
         // Run optimized checks (combined loops where possible)
         const scores = this.analyzeAllOptimized(data, w, h);
+        const moire = this.moire.analyze(frame, keypoints);
+        scores.moire = moire ? moire.score : 1.0;
 
         // Store simplified frame for temporal analysis
         this.addFrameToHistory(data, w, h);
@@ -57,6 +55,14 @@ class PassiveLiveness {
             edgeScore: Math.round(scores.edge * 100),
             temporalScore: Math.round(scores.temporal * 100),
             reflectionScore: Math.round(scores.reflection * 100),
+            // Strongest periodic pattern: pitch in full-resolution px, orientation in degrees across the stripes
+            moire: moire ? {
+                detected: moire.detected,
+                pitch: moire.pitch,
+                orientation: moire.orientation,
+                kind: moire.kind,
+                prominence: moire.prominence
+            } : null,
             overallScore: 0,
             isReal: false,
             issues: []
@@ -67,7 +73,10 @@ class PassiveLiveness {
                 scores.edge * 0.15 + scores.temporal * 0.20 + scores.reflection * 0.10) * 100
         );
 
-        result.isReal = result.overallScore > 80; // Raised from 50 to 80 for high security
+        result.isReal = result.overallScore > this.realThreshold;
+        if (moire && moire.detected) {
+            result.issues.push(`Periodic ${moire.kind} pattern (${moire.pitch} px at ${moire.orientation} deg)`);
+        }
         this.lastAnalysis = result;
         this.cachedResult = result;
         return result;
@@ -137,7 +146,6 @@ class PassiveLiveness {
 
         return {
             texture: this.scoreTexture(avgGradient),
-            moire: this.scoreMoire(data, width, height),
             color: this.scoreColor(histR, histG, histB),
             edge: this.scoreEdge(avgEdge),
             temporal: this.scoreTemporalFast(),
@@ -154,38 +162,6 @@ class PassiveLiveness {
         return avgGradient < 8 ? avgGradient / 16 : Math.max(0.2, 1.0 - (avgGradient - 30) / 40);
     }
 
-    scoreMoire(data, width, height) {
-        let periodicPatterns = 0, samples = 0;
-        const startY = height >> 2;
-        const endY = (height * 3) >> 2;
-
-        for (let y = startY; y < endY; y += 15) {
-            let oscillations = 0;
-            let prevGray = (data[(y * width + (width >> 2)) << 2] +
-                data[((y * width + (width >> 2)) << 2) + 1] +
-                data[((y * width + (width >> 2)) << 2) + 2]) * 0.333;
-            let increasing = true;
-
-            for (let x = (width >> 2) + 2; x < (width * 3) >> 2; x += 2) {
-                const idx = (y * width + x) << 2;
-                const gray = (data[idx] + data[idx + 1] + data[idx + 2]) * 0.333;
-                const nowIncreasing = gray > prevGray;
-                if (nowIncreasing !== increasing) oscillations++;
-                increasing = nowIncreasing;
-                prevGray = gray;
-            }
-
-            const lineLength = ((width * 3) >> 2) - (width >> 2);
-            const oscRatio = oscillations / (lineLength >> 1);
-            // Stricter moire detection
-            if (oscRatio > 0.3 && oscRatio < 0.6) periodicPatterns++;
-            samples++;
-        }
-
-        // Punish periodic patterns more heavily
-        return 1.0 - Math.min((periodicPatterns / samples) * 3, 1.0);
-    }
-
     scoreColor(histR, histG, histB) {
         let totalDiff = 0, count = 0;
         for (let i = 1; i < 64; i++) {
@@ -0,0 +1,169 @@
+/**
+ * PDF Writer Module
+ * Minimal PDF 1.4 generator for the verification report: A4 pages with
+ * Helvetica text, filled rectangles and embedded JPEG images (passed through
+ * as DCTDecode streams, so no image decoding is needed). Text is limited to
+ * the WinAnsi (Latin-1) range of the standard fonts; other characters print
+ * as '?'. Coordinates are in points from the top-left corner of the page.
+ */
+class PdfWriter {
+    constructor() {
+        this.pages = [];
+        this.images = [];
+        this.page = null;
+    }
+
+    addPage() {
+        this.page = { content: [], images: new Set() };
+        this.pages.push(this.page);
+        return this;
+    }
+
+    /**
+     * @param {String} text - Latin-1 text
+     * @param {Number} x - Left edge (pt)
+     * @param {Number} y - Baseline from the top of the page (pt)
+     * @param {Object} options - { size (default: 10), bold, color: [r, g, b] 0-1 }
+     */
+    text(text, x, y, options = {}) {
+        const { size = 10, bold = false, color = [0, 0, 0] } = options;
+        this.page.content.push(
+            `BT ${this.rgb(color)} rg /${bold ? 'F2' : 'F1'} ${size} Tf ` +
+            `${this.num(x)} ${this.num(PdfWriter.PAGE_HEIGHT - y)} Td (${this.escape(text)}) Tj ET`
+        );
+        return this;
+    }
+
+    /**
+     * @param {Number} x - Left edge (pt)
+     * @param {Number} y - Top edge (pt)
+     * @param {Number} width - Width (pt)
+     * @param {Number} height - Height (pt)
+     * @param {Array<Number>} color - [r, g, b] 0-1
+     */
+    rect(x, y, width, height, color) {
+        this.page.content.push(
+            `${this.rgb(color)} rg ${this.num(x)} ${this.num(PdfWriter.PAGE_HEIGHT - y - height)} ` +
+            `${this.num(width)} ${this.num(height)} re f`
+        );
+        return this;
+    }
+
+    /**
+     * @param {Uint8Array} jpeg - JPEG file bytes
+     * @param {Number} pixelWidth - Image width (px)
+     * @param {Number} pixelHeight - Image height (px)
+     * @param {Number} x - Left edge (pt)
+     * @param {Number} y - Top edge (pt)
+     * @param {Number} width - Drawn width (pt)
+     * @param {Number} height - Drawn height (pt)
+     */
+    image(jpeg, pixelWidth, pixelHeight, x, y, width, height) {
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, jpeg, width: pixelWidth, height: pixelHeight });
+        this.page.images.add(name);
+        this.page.content.push(
+            `q ${this.num(width)} 0 0 ${this.num(height)} ${this.num(x)} ` +
+            `${this.num(PdfWriter.PAGE_HEIGHT - y - height)} cm /${name} Do Q`
+        );
+        return this;
+    }
+
+    /**
+     * Assemble the file
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+        const objects = [];
+        const add = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const imageIds = {};
+        this.images.forEach(image => {
+            imageIds[image.name] = add({
+                dictionary: `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>`,
+                stream: image.jpeg
+            });
+        });
+
+        const pageIds = this.pages.map(page => {
+            const content = this.latin1(page.content.join('\n'));
+            const contentId = add({ dictionary: `<< /Length ${content.length} >>`, stream: content });
+            const xObjects = [...page.images].map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+            return add(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PdfWriter.PAGE_WIDTH} ${PdfWriter.PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> /XObject << ${xObjects} >> >> ` +
+                `/Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const chunks = [];
+        let offset = 0;
+        const write = (part) => {
+            const bytes = typeof part === 'string' ? this.latin1(part) : part;
+            chunks.push(bytes);
+            offset += bytes.length;
+        };
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        const offsets = objects.map((object, i) => {
+            const start = offset;
+            write(`${i + 1} 0 obj\n`);
+            if (typeof object === 'string') {
+                write(`${object}\n`);
+            } else {
+                write(`${object.dictionary}\nstream\n`);
+                write(object.stream);
+                write('\nendstream\n');
+            }
+            write('endobj\n');
+            return start;
+        });
+
+        const xrefOffset = offset;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(start => write(`${String(start).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return new Blob(chunks, { type: 'application/pdf' });
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+            .replace(/[\\()]/g, '\\$&');
+    }
+
+    latin1(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+
+    rgb(color) {
+        return color.map(c => this.num(c)).join(' ');
+    }
+
+    num(value) {
+        return Number(value.toFixed(2)).toString();
+    }
+}
+
+// A4 in points
+PdfWriter.PAGE_WIDTH = 595;
+PdfWriter.PAGE_HEIGHT = 842;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfWriter;
+}
@@ -0,0 +1,299 @@
+/**
+ * Report Exporter Module
+ * Builds the verification report: a machine-readable JSON document and a
+ * printable PDF with the same content. Both carry the module scores, every
+ * analyzer's getResults() sub-scores, the challenge history, the key frames
+ * captured as each challenge completed, the result hash (SHA-256 of the
+ * canonical signed payload, which the session HMAC also covers) and the
+ * recording's EvidenceChain manifest. The JSON report also carries the
+ * recording's ChallengeTimeline and the score samples behind the review
+ * console's curves.
+ */
+class ReportExporter {
+    /**
+     * Assemble the report
+     * @param {Object} data - Report inputs
+     * @param {Object} data.result - LivenessApp result (`complete` event payload)
+     * @param {String} data.policyName - Display name of the score policy
+     * @param {Number} data.passThreshold - Policy pass threshold for the combined score
+     * @param {Number} data.requiredChallenges - Challenges needed to pass
+     * @param {Object} data.analyzers - AnalysisEngine analyzer results ({ passive, antiSpoof, ... })
+     * @param {Array} data.keyFrames - [{ challengeId, name, success, timestamp, width, height, image (JPEG data URL) }]
+     * @param {Object} data.timeline - ChallengeTimeline.toJSON() of the recording (optional)
+     * @returns {Promise<Object>} Report
+     */
+    async build({ result, policyName, passThreshold, requiredChallenges, analyzers = {}, keyFrames = [], timeline = null }) {
+        const { signed } = result;
+        const summary = {
+            source: result.source,
+            success: result.success,
+            score: result.score,
+            policyId: result.policyId,
+            policyName: policyName || result.policyId,
+            decidedBy: result.decidedBy,
+            passThreshold,
+            reviewRequired: !!result.reviewRequired,
+            duration: result.duration,
+            requiredChallenges,
+            excludedChallenges: result.excludedChallenges || [],
+            attacksDetected: result.attacksDetected,
+            faceMatch: result.faceMatch,
+            identity: result.identity || null
+        };
+
+        // Unsigned results (e.g. re-scored recordings) are hashed as reported here
+        const resultHash = result.resultHash ||
+            await ReportExporter.sha256(ResultSigner.canonicalize({
+                summary, scores: result.scores, challenges: result.challenges
+            }));
+
+        return {
+            format: ReportExporter.FORMAT,
+            generatedAt: new Date().toISOString(),
+            summary,
+            securityScores: { ...result.scores },
+            scoreHistory: result.scoreHistory || [],
+            analyzers,
+            challenges: result.challenges,
+            timeline,
+            keyFrames,
+            integrity: {
+                resultHash,
+                hashOf: result.resultHash ? 'signedPayload' : 'report',
+                signature: signed ? signed.signature : null,
+                signedPayload: signed ? signed.payload : null,
+                videoHash: signed ? signed.payload.videoHash : null,
+                videoChain: result.videoChain || null,
+                sessionId: signed ? signed.payload.sessionId : null,
+                serverVerdict: result.serverVerdict || null
+            }
+        };
+    }
+
+    /**
+     * @param {Object} report - build() result
+     * @returns {Blob} application/json
+     */
+    toJSON(report) {
+        return new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    }
+
+    /**
+     * Printable version: summary, scores, analyzer details and challenges, then the key frames
+     * @param {Object} report - build() result
+     * @returns {Blob} application/pdf
+     */
+    toPDF(report) {
+        const pdf = new PdfWriter();
+        const margin = 48;
+        const width = PdfWriter.PAGE_WIDTH - margin * 2;
+        const bottom = PdfWriter.PAGE_HEIGHT - margin;
+        let y = margin;
+
+        const ensureSpace = (height) => {
+            if (y + height > bottom) {
+                pdf.addPage();
+                y = margin;
+            }
+        };
+        const heading = (text) => {
+            ensureSpace(36);
+            y += 22;
+            pdf.text(text, margin, y, { size: 13, bold: true });
+            pdf.rect(margin, y + 5, width, 0.75, ReportExporter.COLORS.rule);
+            y += 18;
+        };
+        const row = (label, value, options = {}) => {
+            const size = options.size || 10;
+            ensureSpace(size + 6);
+            pdf.text(label, margin, y, { size, color: ReportExporter.COLORS.label });
+            pdf.text(this.truncate(value, options.maxLength || 70), margin + 170, y, { size, bold: options.bold, color: options.color });
+            y += size + 6;
+        };
+
+        const { summary, integrity } = report;
+        pdf.addPage();
+        y += 8;
+        pdf.text('Liveness Verification Report', margin, y, { size: 20, bold: true });
+        y += 18;
+        pdf.text(`Generated ${report.generatedAt}`, margin, y, { size: 9, color: ReportExporter.COLORS.label });
+        y += 8;
+
+        heading('Summary');
+        row('Result', summary.success ? 'PASSED' : 'FAILED', {
+            bold: true,
+            color: summary.success ? ReportExporter.COLORS.pass : ReportExporter.COLORS.fail
+        });
+        row('Combined score', `${summary.score}%`);
+        row('Policy', summary.policyName);
+        row('Decided by', summary.decidedBy);
+        if (summary.reviewRequired) row('Manual review', `required (within review margin of ${summary.passThreshold}%)`);
+        row('Source', summary.source);
+        row('Duration', `${(summary.duration / 1000).toFixed(1)} s`);
+        row('Challenges passed', `${report.challenges.filter(c => c.success).length}/${summary.requiredChallenges}`);
+        if (summary.excludedChallenges && summary.excludedChallenges.length) {
+            row('Excluded challenges', `${summary.excludedChallenges.join(', ')} (accessibility mode)`);
+        }
+        row('Attacks detected', summary.attacksDetected.length ? summary.attacksDetected.join(', ') : 'none');
+        if (summary.faceMatch) {
+            row('Face match', `${summary.faceMatch.similarity}% (${summary.faceMatch.isMatch ? 'similar' : 'not similar'}; heuristic, uncalibrated)`);
+        }
+
+        heading('Security Scores');
+        Object.entries(report.securityScores).forEach(([module, score]) => {
+            ensureSpace(16);
+            pdf.text(ReportExporter.SCORE_LABELS[module] || module, margin, y, { size: 10, color: ReportExporter.COLORS.label });
+            const barX = margin + 170;
+            const barWidth = width - 170 - 40;
+            pdf.rect(barX, y - 8, barWidth, 8, ReportExporter.COLORS.barBackground);
+            pdf.rect(barX, y - 8, barWidth * Math.max(0, Math.min(100, score)) / 100, 8, this.scoreColor(score));
+            pdf.text(`${score}%`, barX + barWidth + 8, y, { size: 10, bold: true });
+            y += 16;
+        });
+
+        heading('Analyzer Details');
+        Object.entries(report.analyzers).forEach(([name, result]) => {
+            if (!result) return;
+            ensureSpace(30);
+            y += 4;
+            pdf.text(ReportExporter.ANALYZER_LABELS[name] || name, margin, y, { size: 11, bold: true });
+            y += 14;
+            this.flatten(result).slice(0, ReportExporter.MAX_ANALYZER_ROWS)
+                .forEach(([key, value]) => row(`   ${key}`, value, { size: 9 }));
+        });
+
+        heading('Challenge History');
+        if (report.challenges.length === 0) row('Challenges', 'none recorded');
+        report.challenges.forEach((challenge, i) => {
+            row(`${i + 1}. ${challenge.name}`, `${challenge.success ? 'passed' : 'failed'} in ` +
+                `${(challenge.duration / 1000).toFixed(1)} s at ${new Date(challenge.startedAt).toISOString()}`, {
+                color: challenge.success ? ReportExporter.COLORS.pass : ReportExporter.COLORS.fail
+            });
+        });
+
+        heading('Integrity');
+        row(`Result hash (${integrity.hashOf})`, integrity.resultHash, { size: 8, maxLength: 90 });
+        row('Session HMAC (browser key)', integrity.signature || 'not signed', { size: 8, maxLength: 90 });
+        row('Video SHA-256', integrity.videoHash || '--', { size: 8, maxLength: 90 });
+        row('Video chain digest', integrity.videoChain
+            ? `${integrity.videoChain.digest} (${integrity.videoChain.chunkCount} chunks)`
+            : '--', { size: 8, maxLength: 90 });
+        row('Session', integrity.sessionId || '--', { size: 8, maxLength: 90 });
+        if (integrity.serverVerdict) {
+            row('Server verdict', integrity.serverVerdict.success ? 'confirmed' : 'rejected');
+            const attestation = integrity.serverVerdict.attestation;
+            row('Server attestation', attestation ? attestation.signature : '--', { size: 8, maxLength: 90 });
+        } else {
+            row('Server verdict', 'none - the browser signature alone does not prove the result was not edited', { size: 9 });
+        }
+
+        if (report.keyFrames.length > 0) {
+            heading('Key Frames');
+            const columns = 2;
+            const gap = 16;
+            const frameWidth = (width - gap * (columns - 1)) / columns;
+            report.keyFrames.forEach((frame, i) => {
+                const frameHeight = frameWidth * frame.height / frame.width;
+                const column = i % columns;
+                if (column === 0) ensureSpace(frameHeight + 24);
+                const x = margin + column * (frameWidth + gap);
+                pdf.image(this.dataUrlToBytes(frame.image), frame.width, frame.height, x, y, frameWidth, frameHeight);
+                pdf.text(`${frame.name} - ${frame.success ? 'passed' : 'failed'} - ${new Date(frame.timestamp).toISOString()}`,
+                    x, y + frameHeight + 12, { size: 8, color: ReportExporter.COLORS.label });
+                if (column === columns - 1 || i === report.keyFrames.length - 1) y += frameHeight + 24;
+            });
+        }
+
+        return pdf.toBlob();
+    }
+
+    /**
+     * Printable [key, value] rows of an analyzer result (one level of nesting, long arrays skipped)
+     */
+    flatten(result, prefix = '') {
+        const rows = [];
+        Object.entries(result).forEach(([key, value]) => {
+            const name = prefix + key;
+            if (value === null || value === undefined) return;
+            if (typeof value === 'number') {
+                rows.push([name, Number.isInteger(value) ? String(value) : value.toFixed(3)]);
+            } else if (typeof value === 'boolean' || typeof value === 'string') {
+                rows.push([name, String(value)]);
+            } else if (Array.isArray(value)) {
+                if (value.length <= 8 && value.every(v => typeof v !== 'object')) {
+                    rows.push([name, value.length ? value.join(', ') : '--']);
+                }
+            } else if (typeof value === 'object' && !prefix) {
+                rows.push(...this.flatten(value, `${name}.`));
+            }
+        });
+        return rows;
+    }
+
+    truncate(value, maxLength) {
+        const text = String(value);
+        return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+    }
+
+    scoreColor(score) {
+        if (score >= 70) return ReportExporter.COLORS.pass;
+        if (score >= 50) return ReportExporter.COLORS.warn;
+        return ReportExporter.COLORS.fail;
+    }
+
+    dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * @param {String} text - Text to hash
+     * @returns {Promise<String>} Hex SHA-256
+     */
+    static async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return ResultSigner.toHex(new Uint8Array(digest));
+    }
+}
+
+ReportExporter.FORMAT = 'livenessguard-report/1';
+
+// Rows printed per analyzer in the PDF (the JSON report keeps everything)
+ReportExporter.MAX_ANALYZER_ROWS = 16;
+
+ReportExporter.SCORE_LABELS = {
+    active: 'Active liveness',
+    passive: 'Passive liveness',
+    antiSpoof: 'Anti-spoofing',
+    depth: 'Depth analysis',
+    eyeReflection: 'Eye reflection',
+    microExpression: 'Micro-expressions'
+};
+
+ReportExporter.ANALYZER_LABELS = {
+    passive: 'Passive liveness',
+    antiSpoof: 'Anti-spoofing',
+    depth: 'Depth',
+    eyeReflection: 'Eye reflection',
+    microExpression: 'Micro-expressions',
+    colorFlash: 'Screen light response',
+    faceMatch: 'Face match',
+    headPose: 'Head pose',
+    identity: 'Identity continuity',
+    streamIntegrity: 'Stream integrity'
+};
+
+ReportExporter.COLORS = {
+    label: [0.35, 0.35, 0.42],
+    rule: [0.8, 0.8, 0.85],
+    barBackground: [0.9, 0.9, 0.93],
+    pass: [0.06, 0.6, 0.42],
+    warn: [0.85, 0.55, 0.04],
+    fail: [0.85, 0.2, 0.2]
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportExporter;
+}
@@ -0,0 +1,158 @@
+/**
+ * Result Signer Module
+ * Binds the final verification result to a server-issued session nonce with
+ * HMAC-SHA256 and submits it to the verifier service, which re-checks scores
+ * and thresholds instead of trusting the browser's verdict. The page holds
+ * the session key, so this signature only ties a submission to its session;
+ * it does not stop the user from editing the result. The verifier's own
+ * attestation (serverVerdict.attestation) is what partners should trust.
+ */
+class ResultSigner {
+    /**
+     * @param {String|null} endpoint - Verifier service base URL (null = sign locally only)
+     */
+    constructor(endpoint = null) {
+        this.endpoint = endpoint ? endpoint.replace(/\/+$/, '') : null;
+        this.session = null;
+    }
+
+    /**
+     * Request a fresh session (id, nonce, signing key) from the verifier service
+     * @returns {Promise<Object>} Session
+     */
+    async startSession() {
+        if (this.endpoint) {
+            const response = await fetch(`${this.endpoint}/session`, { method: 'POST' });
+            if (!response.ok) {
+                throw new Error(`Verifier session request failed (${response.status})`);
+            }
+            this.session = await response.json();
+        } else {
+            // No backend configured: the result is still hashed and signed, but nothing vouches for it
+            this.session = {
+                sessionId: `local-${Date.now()}`,
+                nonce: ResultSigner.toHex(crypto.getRandomValues(new Uint8Array(16))),
+                key: ResultSigner.toBase64(crypto.getRandomValues(new Uint8Array(32))),
+                local: true
+            };
+        }
+        return this.session;
+    }
+
+    hasSession() {
+        return this.session !== null;
+    }
+
+    isServerBacked() {
+        return !!this.endpoint && !!this.session && !this.session.local;
+    }
+
+    /**
+     * SHA-256 of the recorded video
+     * @param {Blob|null} blob - Recorded video
+     * @returns {Promise<String|null>} Hex digest
+     */
+    async hashBlob(blob) {
+        if (!blob) return null;
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return ResultSigner.toHex(new Uint8Array(digest));
+    }
+
+    /**
+     * SHA-256 of a payload's canonical JSON: the result hash shown in reports
+     * @param {Object} payload - Signed payload
+     * @returns {Promise<String>} Hex digest
+     */
+    async hashPayload(payload) {
+        const data = new TextEncoder().encode(ResultSigner.canonicalize(payload));
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return ResultSigner.toHex(new Uint8Array(digest));
+    }
+
+    /**
+     * Sign a result payload with the session key
+     * @param {Object} result - Result fields (scores, challenges, videoHash, ...)
+     * @returns {Promise<Object>} { payload, signature }
+     */
+    async sign(result) {
+        if (!this.session) {
+            throw new Error('No signing session. Call startSession() first.');
+        }
+
+        const payload = {
+            ...result,
+            sessionId: this.session.sessionId,
+            nonce: this.session.nonce,
+            timestamp: Date.now()
+        };
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            ResultSigner.fromBase64(this.session.key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const data = new TextEncoder().encode(ResultSigner.canonicalize(payload));
+        const signature = await crypto.subtle.sign('HMAC', key, data);
+
+        return { payload, signature: ResultSigner.toHex(new Uint8Array(signature)) };
+    }
+
+    /**
+     * Submit a signed result to the verifier service
+     * @param {Object} signedResult - Output of sign()
+     * @returns {Promise<Object|null>} Server verdict, or null when running without a backend
+     */
+    async submit(signedResult) {
+        if (!this.isServerBacked()) return null;
+
+        const response = await fetch(`${this.endpoint}/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(signedResult)
+        });
+        // Rejections (400) still carry a verdict with reasons
+        const verdict = await response.json().catch(() => null);
+        if (!verdict) {
+            throw new Error(`Verifier returned no verdict (${response.status})`);
+        }
+        return verdict;
+    }
+
+    reset() {
+        this.session = null;
+    }
+
+    /**
+     * Deterministic JSON (sorted keys, undefined dropped) shared with the Node verifier
+     * @param {*} value - Value to serialize
+     * @returns {String} Canonical JSON
+     */
+    static canonicalize(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value);
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(v => ResultSigner.canonicalize(v === undefined ? null : v)).join(',')}]`;
+        }
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${ResultSigner.canonicalize(value[k])}`).join(',')}}`;
+    }
+
+    static toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultSigner;
+}
@@ -0,0 +1,509 @@
+/**
+ * Review Console Module
+ * Manual review of borderline sessions (see ScorePolicy reviewMargin). Loads
+ * a session from the audit log or an exported JSON report (plus, optionally,
+ * its recording), plays the recording with the challenge timeline as
+ * captions, draws the module score curves over the recording's time with
+ * the challenge windows shaded, and stores the reviewer's approve/reject
+ * decision and reason in the session's audit record as `review`.
+ *
+ * The decision is a note in this browser's IndexedDB: nothing authenticates
+ * the reviewer and anyone with the device can edit it, so it never changes
+ * the signed verdict. LivenessApp only offers the console with `reviewer: true`.
+ */
+class ReviewConsole {
+    /**
+     * @param {Object} options - Console options
+     * @param {HTMLElement|Document} options.root - Element containing the review screen markup
+     * @param {AuditLog} options.auditLog - Where sessions are read from and decisions written to
+     * @param {Function} options.t - Translation lookup
+     * @param {Object} options.scoreLabels - Translation keys of the module scores
+     */
+    constructor({ root = document, auditLog, t = (key) => key, scoreLabels = {} }) {
+        this.auditLog = auditLog;
+        this.t = t;
+        this.scoreLabels = scoreLabels;
+        this.session = null;
+        this.integrityCheck = null; // EvidenceChain.verify() result of the loaded recording
+        this.objectUrls = [];
+        this.onClose = null;
+
+        const $ = (id) => root.querySelector(`#${id}`);
+        this.elements = {
+            video: $('reviewVideo'),
+            noVideo: $('reviewNoVideo'),
+            chart: $('reviewChart'),
+            legend: $('reviewLegend'),
+            summary: $('reviewSummary'),
+            integrity: $('reviewIntegrity'),
+            reviewer: $('reviewerName'),
+            reason: $('reviewReason'),
+            status: $('reviewStatus'),
+            approveBtn: $('reviewApproveBtn'),
+            rejectBtn: $('reviewRejectBtn'),
+            backBtn: $('reviewBackBtn')
+        };
+
+        this.elements.approveBtn.addEventListener('click', () => this.decide('approved'));
+        this.elements.rejectBtn.addEventListener('click', () => this.decide('rejected'));
+        this.elements.backBtn.addEventListener('click', () => this.close());
+        this.elements.video.addEventListener('timeupdate', () => this.drawChart());
+        this.elements.video.addEventListener('seeked', () => this.drawChart());
+        this.elements.video.addEventListener('loadedmetadata', () => this.drawChart());
+        this.elements.chart.addEventListener('click', (e) => this.seekFromChart(e));
+    }
+
+    /**
+     * Review a session stored in the audit log
+     * @param {Object} record - AuditLog session record
+     */
+    async openSession(record) {
+        let video = null;
+        if (record.video) {
+            video = await this.auditLog.getVideo(record.id).catch(error => {
+                console.error('Error reading the session video:', error);
+                return null;
+            });
+        }
+        this.load(ReviewConsole.fromRecord(record), video);
+    }
+
+    /**
+     * Review an exported JSON report, optionally with its recording
+     * @param {File|Blob} reportFile - ReportExporter JSON
+     * @param {File|Blob} videoFile - Recording (optional)
+     */
+    async openReport(reportFile, videoFile = null) {
+        const report = JSON.parse(await reportFile.text());
+        if (!report || report.format !== ReportExporter.FORMAT) {
+            throw new Error('Not a verification report');
+        }
+
+        const session = ReviewConsole.fromReport(report);
+        // The decision goes into the stored record when this device kept the session
+        const records = await this.auditLog.list();
+        const stored = session.resultHash && records.find(record => record.resultHash === session.resultHash);
+        if (stored) {
+            session.recordId = stored.id;
+            session.review = stored.review || null;
+        }
+        this.load(session, videoFile);
+
+        if (videoFile && report.integrity && report.integrity.videoChain) {
+            this.showIntegrity(await EvidenceChain.verify(videoFile, report));
+        }
+    }
+
+    /**
+     * @param {Object} session - fromRecord() / fromReport() result
+     * @param {Blob} video - Recording, if available
+     */
+    load(session, video) {
+        this.releaseMedia();
+        this.session = session;
+        this.integrityCheck = null;
+
+        const { video: player, noVideo, integrity, reason, reviewer } = this.elements;
+        integrity.hidden = true;
+        reason.value = session.review ? session.review.reason : '';
+        reviewer.value = session.review && session.review.reviewer ? session.review.reviewer : '';
+        this.setStatus(session.review ? this.describeReview(session.review) : '', session.review ? 'info' : null);
+
+        if (video) {
+            player.src = this.createUrl(video);
+            if (session.timeline) {
+                const track = document.createElement('track');
+                track.kind = 'captions';
+                track.label = this.t('reviewTimelineTrack');
+                track.default = true;
+                track.src = this.createUrl(new Blob([ChallengeTimeline.fromJSON(session.timeline).toWebVTT()], { type: 'text/vtt' }));
+                player.appendChild(track);
+            }
+            player.hidden = false;
+            noVideo.hidden = true;
+        } else {
+            player.hidden = true;
+            noVideo.hidden = false;
+        }
+
+        this.renderSummary();
+        this.renderLegend();
+        this.drawChart();
+    }
+
+    close() {
+        this.releaseMedia();
+        this.session = null;
+        if (typeof this.onClose === 'function') this.onClose();
+    }
+
+    /**
+     * Store the reviewer's decision in the session record
+     * @param {String} decision - 'approved' | 'rejected'
+     * @returns {Promise<Object|null>} The review, or null when it was not saved
+     */
+    async decide(decision) {
+        if (!this.session) return null;
+
+        const reason = this.elements.reason.value.trim();
+        if (!reason) {
+            this.setStatus(this.t('reviewReasonRequired'), 'error');
+            this.elements.reason.focus();
+            return null;
+        }
+        // A recording that does not match its report is not evidence for the session
+        if (decision === 'approved' && this.integrityCheck && !this.integrityCheck.valid) {
+            this.setStatus(this.t('reviewIntegrityBlocked'), 'error');
+            return null;
+        }
+
+        const review = {
+            decision,
+            reason,
+            reviewer: this.elements.reviewer.value.trim() || null,
+            reviewedAt: new Date().toISOString(),
+            originalSuccess: this.session.success
+        };
+
+        try {
+            if (this.session.recordId) {
+                await this.auditLog.update(this.session.recordId, { review });
+            } else {
+                // Reports from elsewhere become a session record of their own
+                const stored = await this.auditLog.add({ ...ReviewConsole.recordFromReport(this.session.report), review });
+                this.session.recordId = stored.id;
+            }
+        } catch (error) {
+            console.error('Error saving the review:', error);
+            this.setStatus(this.t('reviewSaveFailed'), 'error');
+            return null;
+        }
+
+        this.session.review = review;
+        this.setStatus(this.describeReview(review), 'success');
+        this.renderSummary();
+        return review;
+    }
+
+    renderSummary() {
+        const { summary } = this.elements;
+        const session = this.session;
+        summary.textContent = '';
+
+        const addRow = (labelKey, value) => {
+            const row = document.createElement('div');
+            row.className = 'detail-row';
+            const label = document.createElement('span');
+            label.className = 'detail-label';
+            label.textContent = this.t(labelKey);
+            const text = document.createElement('span');
+            text.className = 'detail-value';
+            text.textContent = value;
+            row.append(label, text);
+            summary.appendChild(row);
+        };
+
+        const threshold = session.passThreshold !== null ? ` / ${session.passThreshold}%` : '';
+        addRow('timestamp', new Date(session.createdAt).toLocaleString());
+        addRow('historyResult', `${this.t(session.success ? 'historyPassed' : 'historyFailed')} · ${session.score}%${threshold}`);
+        addRow('policyLabel', `${session.policyId} · ${session.decidedBy}`);
+        addRow('historyAttacks', session.attacksDetected.length ? session.attacksDetected.join(', ') : '--');
+        session.challenges.forEach(challenge => {
+            addRow('historyChallenge', `${challenge.name} · ${challenge.success ? '✓' : '✗'} · ${(challenge.duration / 1000).toFixed(1)}s`);
+        });
+        addRow('reviewDecision', session.review
+            ? this.describeReview(session.review)
+            : this.t(session.reviewRequired ? 'reviewPending' : 'reviewNone'));
+    }
+
+    renderLegend() {
+        const { legend } = this.elements;
+        legend.textContent = '';
+        Object.entries(ReviewConsole.CURVE_COLORS).forEach(([module, color]) => {
+            const item = document.createElement('span');
+            item.className = 'review-legend-item';
+            const swatch = document.createElement('i');
+            swatch.style.background = color;
+            item.append(swatch, this.t(this.scoreLabels[module] || 'reviewCombined'));
+            legend.appendChild(item);
+        });
+    }
+
+    /**
+     * Score curves, challenge windows, pass threshold and the playback position
+     */
+    drawChart() {
+        const canvas = this.elements.chart;
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+        if (!this.session) return;
+
+        const { left, right, top, bottom } = ReviewConsole.CHART_MARGIN;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const duration = this.getDuration();
+        const x = (time) => left + (time / duration) * plotWidth;
+        const y = (score) => top + (1 - Math.max(0, Math.min(100, score)) / 100) * plotHeight;
+
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        // Challenge windows
+        this.getChallengeWindows().forEach(span => {
+            ctx.fillStyle = span.success === false ? 'rgba(239, 68, 68, 0.15)' : 'rgba(16, 185, 129, 0.15)';
+            ctx.fillRect(x(span.start), top, Math.max(1, x(span.end) - x(span.start)), plotHeight);
+            ctx.fillStyle = ReviewConsole.AXIS_COLOR;
+            ctx.textAlign = 'left';
+            ctx.fillText(span.name, x(span.start) + 3, top + 8);
+        });
+
+        // Grid and axis labels
+        ctx.strokeStyle = 'rgba(148, 163, 184, 0.25)';
+        ctx.fillStyle = ReviewConsole.AXIS_COLOR;
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        [0, 50, 100].forEach(score => {
+            ctx.beginPath();
+            ctx.moveTo(left, y(score));
+            ctx.lineTo(width - right, y(score));
+            ctx.stroke();
+            ctx.fillText(String(score), left - 6, y(score));
+        });
+        ctx.textAlign = 'center';
+        ctx.fillText('0s', left, height - bottom / 2);
+        ctx.fillText(`${duration.toFixed(1)}s`, width - right - 16, height - bottom / 2);
+
+        if (this.session.passThreshold !== null) {
+            ctx.setLineDash([6, 4]);
+            ctx.strokeStyle = ReviewConsole.CURVE_COLORS.combined;
+            ctx.beginPath();
+            ctx.moveTo(left, y(this.session.passThreshold));
+            ctx.lineTo(width - right, y(this.session.passThreshold));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // One curve per module, the combined score on top
+        const samples = this.session.scoreHistory;
+        Object.entries(ReviewConsole.CURVE_COLORS).forEach(([module, color]) => {
+            const value = (sample) => module === 'combined' ? sample.combined : sample.scores[module];
+            const points = samples.filter(sample => Number.isFinite(value(sample)));
+            if (points.length === 0) return;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = module === 'combined' ? 2.5 : 1.5;
+            ctx.beginPath();
+            points.forEach((sample, i) => {
+                if (i === 0) ctx.moveTo(x(sample.time), y(value(sample)));
+                else ctx.lineTo(x(sample.time), y(value(sample)));
+            });
+            ctx.stroke();
+        });
+
+        // Playback position
+        const { video } = this.elements;
+        if (!video.hidden && video.currentTime > 0) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x(Math.min(video.currentTime, duration)), top);
+            ctx.lineTo(x(Math.min(video.currentTime, duration)), height - bottom);
+            ctx.stroke();
+        }
+    }
+
+    seekFromChart(event) {
+        const { video, chart } = this.elements;
+        if (!this.session || video.hidden) return;
+        const rect = chart.getBoundingClientRect();
+        const { left, right } = ReviewConsole.CHART_MARGIN;
+        const scale = chart.width / rect.width;
+        const share = ((event.clientX - rect.left) * scale - left) / (chart.width - left - right);
+        video.currentTime = Math.max(0, Math.min(1, share)) * this.getDuration();
+    }
+
+    /**
+     * Seconds covered by the chart: the recording, or the last sample or event when its length is unknown
+     * (MediaRecorder WebM files often report an infinite duration)
+     */
+    getDuration() {
+        const { video } = this.elements;
+        const times = [1, ...this.session.scoreHistory.map(sample => sample.time)];
+        if (this.session.timeline) times.push(...this.session.timeline.events.map(event => event.time));
+        if (!video.hidden && Number.isFinite(video.duration)) times.push(video.duration);
+        return Math.max(...times);
+    }
+
+    /**
+     * @returns {Array} [{ name, start, end, success }] in seconds, from the timeline
+     */
+    getChallengeWindows() {
+        if (!this.session.timeline) return [];
+        const windows = [];
+        let open = null;
+        this.session.timeline.events.forEach(event => {
+            if (event.type === 'start') {
+                open = { name: event.name, start: event.time, end: event.time, success: null };
+                windows.push(open);
+            } else if (event.type === 'complete' && open) {
+                open.end = event.time;
+                open.success = event.success;
+                open = null;
+            }
+        });
+        if (open) open.end = this.getDuration();
+        return windows;
+    }
+
+    showIntegrity(check) {
+        this.integrityCheck = check;
+        const { integrity } = this.elements;
+        integrity.textContent = check.valid
+            ? this.t('reviewIntegrityOk')
+            : `${this.t('reviewIntegrityFailed')} (${check.reasons.join(', ')})`;
+        integrity.className = `review-integrity ${check.valid ? 'success' : 'error'}`;
+        integrity.hidden = false;
+    }
+
+    describeReview(review) {
+        const decision = this.t(review.decision === 'approved' ? 'reviewApproved' : 'reviewRejected');
+        const reviewer = review.reviewer ? ` · ${review.reviewer}` : '';
+        return `${decision}${reviewer} · ${new Date(review.reviewedAt).toLocaleString()}`;
+    }
+
+    /**
+     * @param {String} text - Status text
+     * @param {String|null} type - 'success' | 'error' | 'info'
+     */
+    setStatus(text, type) {
+        this.elements.status.textContent = text;
+        this.elements.status.className = `review-status${type ? ` ${type}` : ''}`;
+    }
+
+    createUrl(blob) {
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.push(url);
+        return url;
+    }
+
+    releaseMedia() {
+        const { video } = this.elements;
+        video.pause();
+        video.querySelectorAll('track').forEach(track => track.remove());
+        video.removeAttribute('src');
+        video.load();
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+    }
+
+    /**
+     * @param {Object} record - AuditLog session record
+     * @returns {Object} Session under review
+     */
+    static fromRecord(record) {
+        return {
+            recordId: record.id,
+            report: null,
+            createdAt: record.createdAt,
+            success: record.success,
+            score: record.score,
+            policyId: record.policyId,
+            decidedBy: record.decidedBy,
+            passThreshold: record.passThreshold ?? null,
+            reviewRequired: !!record.reviewRequired,
+            review: record.review || null,
+            attacksDetected: record.attacksDetected || [],
+            challenges: record.challenges || [],
+            scoreHistory: record.scoreHistory || [],
+            timeline: record.timeline || null,
+            resultHash: record.resultHash || null
+        };
+    }
+
+    /**
+     * @param {Object} report - ReportExporter JSON report
+     * @returns {Object} Session under review
+     */
+    static fromReport(report) {
+        const { summary, integrity = {} } = report;
+        return {
+            recordId: null,
+            report,
+            createdAt: Date.parse(report.generatedAt),
+            success: summary.success,
+            score: summary.score,
+            policyId: summary.policyId,
+            decidedBy: summary.decidedBy,
+            passThreshold: summary.passThreshold ?? null,
+            reviewRequired: !!summary.reviewRequired,
+            review: null,
+            attacksDetected: summary.attacksDetected || [],
+            challenges: report.challenges || [],
+            scoreHistory: report.scoreHistory || [],
+            timeline: report.timeline || null,
+            resultHash: integrity.resultHash || null
+        };
+    }
+
+    /**
+     * Audit record for a report that is not in this device's audit log
+     * @param {Object} report - ReportExporter JSON report
+     * @returns {Object} Session record (same fields as LivenessApp.buildAuditRecord)
+     */
+    static recordFromReport(report) {
+        const { summary, integrity = {} } = report;
+        return {
+            source: 'report',
+            success: summary.success,
+            score: summary.score,
+            policyId: summary.policyId,
+            decidedBy: summary.decidedBy,
+            passThreshold: summary.passThreshold ?? null,
+            reviewRequired: !!summary.reviewRequired,
+            scores: report.securityScores,
+            scoreHistory: report.scoreHistory || [],
+            timeline: report.timeline || null,
+            attacksDetected: summary.attacksDetected || [],
+            faceMatch: summary.faceMatch || null,
+            identityEvents: summary.identity ? summary.identity.events : [],
+            duration: summary.duration,
+            requiredChallenges: summary.requiredChallenges,
+            challenges: (report.challenges || []).map(c => ({
+                id: c.id,
+                name: c.name,
+                success: c.success,
+                startedAt: c.startedAt,
+                duration: c.duration
+            })),
+            challengeSequenceId: integrity.signedPayload ? integrity.signedPayload.challengeSequenceId : null,
+            excludedChallenges: summary.excludedChallenges || [],
+            resultHash: integrity.resultHash || null,
+            videoChainDigest: integrity.videoChain ? integrity.videoChain.digest : null,
+            signature: {
+                signed: !!integrity.signature,
+                serverVerified: integrity.serverVerdict ? integrity.serverVerdict.success : null
+            },
+            device: null
+        };
+    }
+}
+
+// Curve colors; `combined` is the policy's weighted score
+ReviewConsole.CURVE_COLORS = {
+    active: '#667eea',
+    passive: '#10b981',
+    antiSpoof: '#f59e0b',
+    depth: '#06b6d4',
+    eyeReflection: '#ec4899',
+    microExpression: '#8b5cf6',
+    combined: '#f8fafc'
+};
+
+ReviewConsole.AXIS_COLOR = '#94a3b8';
+
+// Chart padding (canvas px) around the plot area
+ReviewConsole.CHART_MARGIN = { left: 36, right: 12, top: 12, bottom: 22 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewConsole;
+}
@@ -0,0 +1,236 @@
+/**
+ * Score Policy Module
+ * Declarative score fusion: module weights, per-module minimums, veto rules,
+ * analyzer isReal cut-offs and the final pass threshold. Policies are plain
+ * objects so they can be shipped as JSON and shared with the Node verifier.
+ *
+ * Rules are evaluated in order; the first failing rule decides the outcome:
+ *   1. challenges  - required active challenges completed
+ *   2. veto        - e.g. any PHOTO_ATTACK in attacksDetected fails
+ *   3. minimum     - per-module score floors
+ *   4. identity    - reference photo match (only when a reference was given)
+ *   5. threshold   - weighted combined score >= passThreshold
+ *
+ * A session that fails only the threshold, by no more than `reviewMargin`
+ * points, is marked reviewRequired for the manual review console.
+ */
+class ScorePolicy {
+    /**
+     * @param {Object} definition - Policy definition (see ScorePolicy.PRESETS)
+     */
+    constructor(definition) {
+        const base = ScorePolicy.PRESETS.standard;
+        this.id = definition.id || 'custom';
+        this.name = definition.name || this.id;
+        this.weights = { ...(definition.weights || base.weights) };
+        this.minimums = { ...(definition.minimums || {}) };
+        this.vetoes = [...(definition.vetoes || [])];
+        this.moduleThresholds = { ...base.moduleThresholds, ...(definition.moduleThresholds || {}) };
+        this.passThreshold = definition.passThreshold ?? base.passThreshold;
+        this.reviewMargin = definition.reviewMargin ?? base.reviewMargin;
+
+        const totalWeight = Object.values(this.weights).reduce((a, b) => a + b, 0);
+        if (Math.abs(totalWeight - 1) > 0.001) {
+            throw new Error(`Policy "${this.id}" weights must sum to 1 (got ${totalWeight.toFixed(3)})`);
+        }
+    }
+
+    /**
+     * Load a policy from a preset id, a JSON URL or a definition object
+     * @param {String|Object} source - Preset id, URL, or definition
+     * @returns {Promise<ScorePolicy>} Policy
+     */
+    static async load(source) {
+        if (!source) return ScorePolicy.fromPreset('standard');
+        if (typeof source === 'object') return new ScorePolicy(source);
+        if (ScorePolicy.PRESETS[source]) return ScorePolicy.fromPreset(source);
+
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not load policy from ${source} (${response.status})`);
+        }
+        return new ScorePolicy(await response.json());
+    }
+
+    static fromPreset(id) {
+        const preset = ScorePolicy.PRESETS[id];
+        if (!preset) throw new Error(`Unknown policy preset "${id}"`);
+        return new ScorePolicy(preset);
+    }
+
+    /**
+     * Push the policy's isReal cut-offs into the analyzers
+     * @param {Object} analyzers - { passive, antiSpoof, depth, eyeReflection, microExpression }
+     */
+    applyTo(analyzers) {
+        for (const [module, analyzer] of Object.entries(analyzers)) {
+            if (analyzer && this.moduleThresholds[module] !== undefined) {
+                analyzer.realThreshold = this.moduleThresholds[module];
+            }
+        }
+    }
+
+    /**
+     * Weighted combined score (0-100)
+     * @param {Object} scores - Per-module scores (0-100)
+     * @returns {Number} Combined score
+     */
+    combine(scores) {
+        let score = 0;
+        for (const [module, weight] of Object.entries(this.weights)) {
+            const value = Number(scores[module]);
+            // Clamp so an edited payload cannot push a single module above 100
+            score += (Number.isFinite(value) ? Math.max(0, Math.min(100, value)) : 0) * weight;
+        }
+        return Math.round(score);
+    }
+
+    /**
+     * Evaluate a session against the policy
+     * @param {Object} input - { scores, attacksDetected, challengesComplete, faceMatch }
+     * @returns {Object} { success, combinedScore, policyId, decidedBy, reviewRequired, rules }
+     */
+    evaluate({ scores, attacksDetected = [], challengesComplete = true, faceMatch = null }) {
+        const combinedScore = this.combine(scores);
+        const rules = [];
+
+        rules.push({ rule: 'challenges', passed: !!challengesComplete });
+
+        for (const veto of this.vetoes) {
+            const hit = attacksDetected.includes(veto.attack);
+            rules.push({ rule: `veto:${veto.attack}`, passed: !hit });
+        }
+
+        for (const [module, minimum] of Object.entries(this.minimums)) {
+            const value = Number(scores[module]) || 0;
+            rules.push({ rule: `minimum:${module}`, passed: value >= minimum, value, minimum });
+        }
+
+        if (faceMatch) {
+            rules.push({ rule: 'identity', passed: !!faceMatch.isMatch, value: faceMatch.similarity });
+        }
+
+        rules.push({
+            rule: 'threshold',
+            passed: combinedScore >= this.passThreshold,
+            value: combinedScore,
+            minimum: this.passThreshold
+        });
+
+        const failed = rules.find(r => !r.passed);
+        return {
+            success: !failed,
+            combinedScore,
+            policyId: this.id,
+            decidedBy: failed ? failed.rule : 'threshold',
+            // Borderline: every other rule passed and the score is just short
+            reviewRequired: !!failed && failed.rule === 'threshold' &&
+                combinedScore >= this.passThreshold - this.reviewMargin,
+            rules
+        };
+    }
+
+    /**
+     * Evaluate a re-scored recording. Challenges cannot be replayed from video, so the
+     * active score and the challenges rule come from the original session's history.
+     * @param {Object} input - { scores, challenges, requiredChallenges, attacksDetected, faceMatch }
+     * @returns {Object} evaluate() result plus { scores (with active), completedChallenges }
+     */
+    evaluateRecording({ scores, challenges = [], requiredChallenges, attacksDetected = [], faceMatch = null }) {
+        const passed = (Array.isArray(challenges) ? challenges : []).filter(c => c && c.success === true).length;
+        const completedChallenges = Math.min(passed, requiredChallenges);
+        const rescored = { ...scores, active: Math.round((completedChallenges / requiredChallenges) * 100) };
+
+        return {
+            ...this.evaluate({
+                scores: rescored,
+                attacksDetected,
+                challengesComplete: completedChallenges >= requiredChallenges,
+                faceMatch
+            }),
+            scores: rescored,
+            completedChallenges
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            weights: this.weights,
+            minimums: this.minimums,
+            vetoes: this.vetoes,
+            moduleThresholds: this.moduleThresholds,
+            passThreshold: this.passThreshold,
+            reviewMargin: this.reviewMargin
+        };
+    }
+}
+
+ScorePolicy.PRESETS = {
+    // The original hard-coded behaviour
+    standard: {
+        id: 'standard',
+        name: 'Standard',
+        weights: {
+            active: 0.30,
+            passive: 0.25,
+            antiSpoof: 0.25,
+            depth: 0.10,
+            eyeReflection: 0.05,
+            microExpression: 0.05
+        },
+        minimums: {},
+        vetoes: [],
+        moduleThresholds: { passive: 80, antiSpoof: 80, depth: 60, eyeReflection: 70, microExpression: 70 },
+        passThreshold: 80,
+        reviewMargin: 5
+    },
+    lowFriction: {
+        id: 'lowFriction',
+        name: 'Low-friction onboarding',
+        weights: {
+            active: 0.35,
+            passive: 0.25,
+            antiSpoof: 0.20,
+            depth: 0.10,
+            eyeReflection: 0.05,
+            microExpression: 0.05
+        },
+        minimums: { antiSpoof: 50 },
+        vetoes: [{ attack: 'PHOTO_ATTACK' }],
+        moduleThresholds: { passive: 70, antiSpoof: 70, depth: 50, eyeReflection: 60, microExpression: 60 },
+        passThreshold: 70,
+        reviewMargin: 5
+    },
+    highSecurity: {
+        id: 'highSecurity',
+        name: 'High-security payout',
+        weights: {
+            active: 0.25,
+            passive: 0.25,
+            antiSpoof: 0.30,
+            depth: 0.10,
+            eyeReflection: 0.05,
+            microExpression: 0.05
+        },
+        minimums: { passive: 70, antiSpoof: 75, depth: 60 },
+        vetoes: [
+            { attack: 'PHOTO_ATTACK' },
+            { attack: 'SCREEN_REPLAY' },
+            { attack: 'MASK_DETECTED' },
+            { attack: 'DEEPFAKE_SUSPECTED' },
+            { attack: 'LIGHT_RESPONSE_MISMATCH' },
+            { attack: 'FACE_SWAP' },
+            { attack: 'MULTIPLE_FACES' },
+            { attack: 'VIRTUAL_CAMERA_SUSPECTED' }
+        ],
+        moduleThresholds: { passive: 85, antiSpoof: 85, depth: 70, eyeReflection: 75, microExpression: 75 },
+        passThreshold: 85,
+        reviewMargin: 3
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScorePolicy;
+}
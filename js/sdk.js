@@ -0,0 +1,222 @@
+/**
+ * LivenessGuard SDK
+ * Embeds the verification flow in a partner page:
+ *
+ *   const widget = await LivenessSDK.mount('#kyc', { policy: 'highSecurity' });
+ *   widget.on('complete', (result) => submitToBackend(result.signed));
+ *   widget.start();
+ *
+ * The built bundle (node tools/build-sdk.js) inlines the widget markup from
+ * index.html. Loaded from source, the markup is fetched from `templateUrl`.
+ */
+
+/**
+ * @typedef {Object} ReadyEvent
+ * @property {String} policy - Loaded score policy id
+ */
+
+/**
+ * @typedef {Object} FaceDetectedEvent
+ * @property {Number} confidence - Detection confidence (0-100)
+ * @property {Object|null} pose - { yaw, pitch, roll } in degrees
+ */
+
+/**
+ * @typedef {Object} ChallengeStartedEvent
+ * @property {String} id - Challenge id (e.g. 'blink')
+ * @property {String} name - Challenge name
+ * @property {String} instruction - Localized instruction shown to the user
+ */
+
+/**
+ * @typedef {Object} ChallengeCompletedEvent
+ * @property {String} id - Challenge id
+ * @property {Boolean} success - Whether the challenge passed
+ * @property {Number} startedAt - Start time (ms since epoch)
+ * @property {Number} duration - Time taken (ms)
+ * @property {Object} [details] - Challenge-specific measurements
+ */
+
+/**
+ * @typedef {Object} ScoreUpdateEvent
+ * @property {Object} scores - { active, passive, antiSpoof, depth, eyeReflection, microExpression }
+ * @property {Object|null} faceMatch - Reference photo match, when a reference was given
+ */
+
+/**
+ * @typedef {Object} CompleteEvent
+ * @property {String} source - 'camera', or 'file' for a re-scored recording
+ * @property {Boolean} success - Final verdict
+ * @property {Number} score - Combined score (0-100)
+ * @property {String} policyId - Score policy id
+ * @property {String} decidedBy - Policy rule or check that decided the verdict
+ * @property {Boolean} reviewRequired - Failed only the pass threshold, within the policy's reviewMargin
+ * @property {Object} scores - Per-module scores
+ * @property {Array} scoreHistory - [{ time (s into the recording), scores, combined }] every 0.5 s
+ * @property {Array<String>} attacksDetected - Attack codes
+ * @property {Object|null} faceMatch - Reference photo match
+ * @property {Object|null} identity - Identity continuity: { similarity, minSimilarity, events } (FACE_SWAP, MULTIPLE_FACES)
+ * @property {Array} challenges - Challenge history
+ * @property {Array<String>} excludedChallenges - Challenges left out of the sequence in accessibility mode
+ * @property {Number} duration - Verification duration (ms)
+ * @property {Blob|null} video - Recorded session
+ * @property {Object|null} videoChain - EvidenceChain manifest of the recording (chunk sizes and hashes, digest)
+ * @property {Object|null} timeline - ChallengeTimeline.toJSON(): challenge start/progress/complete times in the recording
+ * @property {Object|null} signed - { payload, signature } for the partner backend
+ * @property {String|null} resultHash - SHA-256 of the canonical signed payload
+ * @property {Object|null} serverVerdict - Verifier service response, when configured; its `attestation`
+ *   ({ statement, signature }) is signed with a server-only key and is what a backend should trust
+ * @property {Object} [frames] - { total, withFace } sampled frames (file source only)
+ */
+
+/**
+ * @typedef {Object} ErrorEvent
+ * @property {String} stage - 'models' | 'session' (verifier service or challenge provider) | 'camera' | 'file'
+ * @property {Error} error - Underlying error
+ * @property {String} [reason] - Camera errors: 'permissionDenied' | 'noCamera' | 'cameraBusy' | 'disconnected' |
+ *   'unsupported' | 'unknown' (see CameraManager.classifyError)
+ */
+
+class LivenessSDK {
+    /**
+     * Mount the verification flow into a container
+     * @param {HTMLElement|String} container - Element or selector
+     * @param {Object} options - LivenessApp options, plus:
+     * @param {String} options.templateUrl - Page to take the widget markup from (source builds only)
+     * @param {Boolean} options.loadDependencies - Inject TensorFlow.js scripts if missing (default: true)
+     * @returns {Promise<LivenessWidget>} Mounted widget
+     */
+    static async mount(container, options = {}) {
+        const root = typeof container === 'string' ? document.querySelector(container) : container;
+        if (!root) {
+            throw new Error(`LivenessSDK: container ${container} not found`);
+        }
+        if (root.livenessWidget) {
+            throw new Error('LivenessSDK: container already has a mounted widget');
+        }
+
+        const { templateUrl = 'index.html', loadDependencies = true, ...appOptions } = options;
+
+        if (loadDependencies) {
+            for (const src of LivenessSDK.DEPENDENCIES) {
+                await LivenessSDK.loadScript(src);
+            }
+        }
+
+        root.setAttribute('data-liveness-sdk', '');
+        root.innerHTML = await LivenessSDK.getTemplate(templateUrl);
+
+        const app = new LivenessApp({ ...appOptions, root });
+        const widget = new LivenessWidget(app, root);
+        root.livenessWidget = widget;
+        return widget;
+    }
+
+    /**
+     * Widget markup: inlined by the build, otherwise the <body> of templateUrl without its scripts
+     */
+    static async getTemplate(templateUrl) {
+        if (LivenessSDK.template) return LivenessSDK.template;
+
+        const response = await fetch(templateUrl);
+        if (!response.ok) {
+            throw new Error(`LivenessSDK: could not load template from ${templateUrl} (${response.status})`);
+        }
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+        if (!page.getElementById('welcomeScreen')) {
+            throw new Error(`LivenessSDK: ${templateUrl} has no LivenessGuard markup`);
+        }
+        page.body.querySelectorAll('script').forEach(script => script.remove());
+        return page.body.innerHTML;
+    }
+
+    static loadScript(src) {
+        if (document.querySelector(`script[src="${src}"]`)) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`LivenessSDK: could not load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+// Filled in by tools/build-sdk.js
+LivenessSDK.template = null;
+
+LivenessSDK.DEPENDENCIES = [
+    'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.11.0',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.0.7',
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/face-landmarks-detection@1.0.2'
+];
+
+LivenessSDK.EVENTS = LivenessApp.EVENTS;
+
+/**
+ * Handle returned by LivenessSDK.mount()
+ */
+class LivenessWidget {
+    constructor(app, root) {
+        this.app = app;
+        this.root = root;
+    }
+
+    /**
+     * @param {String} event - One of LivenessSDK.EVENTS
+     * @param {Function} handler - Receives the typed payload documented above
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        const unsubscribe = this.app.on(event, handler);
+        // Late subscribers still hear about models that finished loading
+        if (event === 'ready' && this.app.isReady) {
+            setTimeout(() => handler({ policy: this.app.policy.id }), 0);
+        }
+        return unsubscribe;
+    }
+
+    off(event, handler) {
+        this.app.off(event, handler);
+    }
+
+    /**
+     * Start verification (resolves once the camera is running)
+     */
+    start() {
+        return this.app.startVerification();
+    }
+
+    /**
+     * Use a reference ID photo for 1:1 matching
+     * @param {File|Blob} file - Reference image
+     */
+    setReference(file) {
+        return this.app.loadReferenceImage(file);
+    }
+
+    /**
+     * Re-score a recorded session with the current policy (no camera needed)
+     * @param {File|Blob} file - Recording
+     * @param {Object} options - { challenges, onProgress }
+     * @returns {Promise<CompleteEvent>} Result
+     */
+    analyzeFile(file, options) {
+        return this.app.analyzeVideoFile(file, options);
+    }
+
+    /**
+     * Stop the camera and remove the widget from the container
+     */
+    destroy() {
+        this.app.destroy();
+        this.root.innerHTML = '';
+        this.root.removeAttribute('data-liveness-sdk');
+        delete this.root.livenessWidget;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LivenessSDK, LivenessWidget };
+}
@@ -0,0 +1,386 @@
+/**
+ * Stream Integrity Analyzer Module
+ * Checks that the camera stream comes from a physical sensor rather than a
+ * virtual webcam driver feeding rendered or relayed video (a deepfake piped
+ * through OBS, a looped clip). Four kinds of evidence are combined:
+ *
+ * - track: the label and capabilities assessed by CameraManager
+ * - timing: frame intervals measured on the page; rendered streams are either
+ *   clocked too evenly or arrive in bursts when the renderer falls behind
+ * - pixels: exact duplicate frames, which a noisy sensor never produces, and
+ *   the pixel-phase pattern left by upscaling a lower resolution
+ * - noise: the sensor noise floor in flat image areas, missing from rendered frames
+ *
+ * A suspicious track or duplicate frames are enough on their own; the other
+ * signals take two different kinds. The outcome is VIRTUAL_CAMERA_SUSPECTED.
+ */
+class StreamIntegrityAnalyzer {
+    /**
+     * @param {Object} options - Threshold overrides
+     */
+    constructor(options = {}) {
+        this.minIntervals = options.minIntervals ?? 90;           // frame intervals before the cadence is judged
+        this.minJitter = options.minJitter ?? 0.01;               // capture-clock interval CV below this is a synthetic clock
+        this.maxBurstRatio = options.maxBurstRatio ?? 0.15;       // share of frames arriving right after the previous one
+        this.minComparisons = options.minComparisons ?? 20;       // frame pairs before duplicates are judged
+        this.maxDuplicateRatio = options.maxDuplicateRatio ?? 0.3;
+        this.detailInterval = options.detailInterval ?? 1000;     // ms between full-resolution checks
+        this.minDetailSamples = options.minDetailSamples ?? 5;
+        this.maxPeriodicity = options.maxPeriodicity ?? 1.5;      // pixel-phase energy ratio of an upscaled frame
+        this.minNoise = options.minNoise ?? 0.5;                  // sensor noise floor (8-bit levels)
+
+        this.reset();
+    }
+
+    /**
+     * Take the session camera's track details (a new camera restarts the sampling)
+     * @param {Object} info - CameraManager.getInfo(): { label, width, height, frameRate, virtual }
+     * @returns {Object} getResults()
+     */
+    setTrack(info) {
+        this.resetSamples();
+        this.track = info ? {
+            label: info.label || null,
+            width: info.width ?? null,
+            height: info.height ?? null,
+            frameRate: info.frameRate ?? null,
+            reasons: info.virtual ? [...info.virtual.reasons] : [],
+            suspected: !!(info.virtual && info.virtual.suspected)
+        } : null;
+        this.evaluate(Date.now());
+        return this.getResults();
+    }
+
+    /**
+     * Add frame intervals measured by the page's frame loop
+     * @param {Object} timing - FrameScheduler.takeFrameTimes(): { clock, intervals }
+     *   clock is 'capture' (camera timestamps), 'presentation' (video frame callbacks) or
+     *   'display' (animation frames, which repeat and skip camera frames)
+     * @returns {Object} getResults()
+     */
+    observeTiming(timing) {
+        this.clock = timing.clock;
+        if (this.clock !== 'display') {
+            this.intervals.push(...timing.intervals);
+            if (this.intervals.length > StreamIntegrityAnalyzer.MAX_INTERVALS) {
+                this.intervals.splice(0, this.intervals.length - StreamIntegrityAnalyzer.MAX_INTERVALS);
+            }
+        }
+        this.evaluate(Date.now());
+        return this.getResults();
+    }
+
+    /**
+     * Compare one camera frame with the previous one and, every detailInterval,
+     * check it at full resolution
+     * @param {FrameBuffer} frame - Current frame
+     * @returns {Object} getResults()
+     */
+    analyze(frame) {
+        // Animation-frame loops hand over the same camera frame twice
+        if (this.clock !== null && this.clock !== 'display') {
+            this.compareWithPrevious(frame.getImageData());
+        }
+
+        if (frame.timestamp - this.lastDetailAt >= this.detailInterval) {
+            this.lastDetailAt = frame.timestamp;
+            const luma = this.toLuma(frame.getImageData(1));
+            const upscale = this.measureUpscale(luma);
+            const noise = this.measureNoise(luma);
+            if (upscale) this.pushSample(this.upscaleSamples, upscale);
+            if (noise !== null) this.pushSample(this.noiseSamples, noise);
+        }
+
+        this.evaluate(frame.timestamp);
+        return this.getResults();
+    }
+
+    compareWithPrevious(imageData) {
+        const data = imageData.data;
+        const green = new Uint8Array(data.length / 4);
+        let min = 255;
+        let max = 0;
+        for (let i = 0, j = 1; i < green.length; i++, j += 4) {
+            const value = data[j];
+            green[i] = value;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+
+        // A covered lens or black frame repeats without being fake
+        const previous = this.previousFrame;
+        this.previousFrame = max - min >= StreamIntegrityAnalyzer.MIN_CONTRAST ? green : null;
+        if (!previous || !this.previousFrame || previous.length !== green.length) return;
+
+        this.comparisons++;
+        for (let i = 0; i < green.length; i++) {
+            if (green[i] !== previous[i]) return;
+        }
+        this.duplicates++;
+    }
+
+    toLuma(imageData) {
+        const { data, width, height } = imageData;
+        const luma = new Uint8Array(width * height);
+        for (let i = 0, j = 0; i < luma.length; i++, j += 4) {
+            luma[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+        }
+        return { data: luma, width, height };
+    }
+
+    /**
+     * Upscaled frames alternate between source pixels (sharp) and interpolated
+     * ones (smooth), so the second-difference energy depends on the pixel phase.
+     * A native frame's energy is the same at every phase.
+     * @param {Object} luma - { data, width, height }
+     * @returns {Object|null} { periodicity, factor } - strongest phase ratio and the scale it implies
+     */
+    measureUpscale(luma) {
+        const { data, width, height } = luma;
+        if (width < 64 || height < 64) return null;
+
+        let best = { periodicity: 1, factor: 1 };
+        StreamIntegrityAnalyzer.UPSCALE_PERIODS.forEach(({ period, factor }) => {
+            const rows = new Float64Array(period);
+            const cols = new Float64Array(period);
+            const rowCounts = new Float64Array(period);
+            const colCounts = new Float64Array(period);
+
+            for (let y = 0; y < height; y += StreamIntegrityAnalyzer.LINE_STEP) {
+                const row = y * width;
+                for (let x = 1; x < width - 1; x++) {
+                    const i = row + x;
+                    rows[x % period] += Math.abs(2 * data[i] - data[i - 1] - data[i + 1]);
+                    rowCounts[x % period]++;
+                }
+            }
+            for (let x = 0; x < width; x += StreamIntegrityAnalyzer.LINE_STEP) {
+                for (let y = 1; y < height - 1; y++) {
+                    const i = y * width + x;
+                    cols[y % period] += Math.abs(2 * data[i] - data[i - width] - data[i + width]);
+                    colCounts[y % period]++;
+                }
+            }
+
+            [[rows, rowCounts], [cols, colCounts]].forEach(([sums, counts]) => {
+                const means = Array.from(sums, (sum, phase) => sum / Math.max(counts[phase], 1));
+                const low = Math.min(...means);
+                const periodicity = low > 0 ? Math.max(...means) / low : 1;
+                if (periodicity > best.periodicity) best = { periodicity, factor };
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Sensor noise floor: Immerkaer's Laplacian estimate on the flattest blocks
+     * (clipped blocks are skipped, they carry no noise on any camera)
+     * @param {Object} luma - { data, width, height }
+     * @returns {Number|null} Noise standard deviation (8-bit levels)
+     */
+    measureNoise(luma) {
+        const { data, width, height } = luma;
+        const size = StreamIntegrityAnalyzer.NOISE_BLOCK;
+        const sigmas = [];
+
+        // Every other block in both directions is plenty for a floor estimate
+        for (let by = 0; by + size <= height; by += size * 2) {
+            for (let bx = 0; bx + size <= width; bx += size * 2) {
+                let sum = 0;
+                let total = 0;
+                for (let y = by + 1; y < by + size - 1; y++) {
+                    for (let x = bx + 1; x < bx + size - 1; x++) {
+                        const i = y * width + x;
+                        total += data[i];
+                        sum += Math.abs(
+                            data[i - width - 1] - 2 * data[i - width] + data[i - width + 1]
+                            - 2 * data[i - 1] + 4 * data[i] - 2 * data[i + 1]
+                            + data[i + width - 1] - 2 * data[i + width] + data[i + width + 1]
+                        );
+                    }
+                }
+                const pixels = (size - 2) * (size - 2);
+                const mean = total / pixels;
+                if (mean < 16 || mean > 239) continue;
+                sigmas.push(Math.sqrt(Math.PI / 2) * sum / (6 * pixels));
+            }
+        }
+        if (sigmas.length < 10) return null;
+
+        sigmas.sort((a, b) => a - b);
+        return sigmas[Math.floor(sigmas.length * StreamIntegrityAnalyzer.NOISE_PERCENTILE)];
+    }
+
+    pushSample(samples, sample) {
+        samples.push(sample);
+        if (samples.length > StreamIntegrityAnalyzer.MAX_DETAIL_SAMPLES) samples.shift();
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    /**
+     * @returns {Object|null} { fps, jitter (interval CV), burstRatio, expectedFps } once enough intervals are in
+     */
+    getTiming() {
+        const intervals = this.intervals;
+        if (intervals.length < this.minIntervals) return null;
+
+        const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+        const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+        const median = this.median(intervals);
+        const bursts = intervals.filter(value => value < median * 0.5).length;
+
+        return {
+            fps: 1000 / mean,
+            jitter: mean > 0 ? Math.sqrt(variance) / mean : 0,
+            burstRatio: bursts / intervals.length,
+            expectedFps: this.track ? this.track.frameRate : null
+        };
+    }
+
+    /**
+     * Signals currently observed, by name (see StreamIntegrityAnalyzer.SIGNAL_GROUPS)
+     * @returns {Array<String>} Signal names
+     */
+    getSignals() {
+        const signals = this.track ? [...this.track.reasons] : [];
+
+        const timing = this.getTiming();
+        if (timing) {
+            // Only camera timestamps are steady enough to tell a synthetic clock apart
+            if (this.clock === 'capture' && timing.jitter < this.minJitter) signals.push('syntheticTiming');
+            if (timing.burstRatio > this.maxBurstRatio) signals.push('burstyTiming');
+        }
+
+        if (this.comparisons >= this.minComparisons && this.duplicates / this.comparisons > this.maxDuplicateRatio) {
+            signals.push('duplicateFrames');
+        }
+        if (this.upscaleSamples.length >= this.minDetailSamples &&
+            this.median(this.upscaleSamples.map(sample => sample.periodicity)) > this.maxPeriodicity) {
+            signals.push('upscaled');
+        }
+        if (this.noiseSamples.length >= this.minDetailSamples && this.median(this.noiseSamples) < this.minNoise) {
+            signals.push('noSensorNoise');
+        }
+        return signals;
+    }
+
+    evaluate(timestamp) {
+        const signals = this.getSignals();
+        // Many real webcams expose no sensor controls, so that alone is not track evidence
+        const trackEvidence = signals.filter(signal => StreamIntegrityAnalyzer.SIGNAL_GROUPS[signal] === 'track');
+        const weakTrack = trackEvidence.length === 1 && trackEvidence[0] === 'noSensorControls';
+        const groups = new Set(signals
+            .filter(signal => !(weakTrack && signal === 'noSensorControls'))
+            .map(signal => StreamIntegrityAnalyzer.SIGNAL_GROUPS[signal]));
+        const strong = (this.track && this.track.suspected) || signals.includes('duplicateFrames');
+
+        this.reasons = signals;
+        this.suspected = strong || groups.size >= 2;
+        if (this.suspected && !this.attacksDetected.includes('VIRTUAL_CAMERA_SUSPECTED')) {
+            this.flag('VIRTUAL_CAMERA_SUSPECTED', timestamp, { reasons: [...signals] });
+        }
+    }
+
+    flag(type, timestamp, details) {
+        this.events.push({ type, timestamp, ...details });
+        if (!this.attacksDetected.includes(type)) {
+            this.attacksDetected.push(type);
+        }
+    }
+
+    /**
+     * @returns {Object} { suspected, reasons, track, timing, duplicates, upscale, noise, events, attacksDetected }
+     *   `reasons` lists the signals observed now; the attack code stays once raised
+     */
+    getResults() {
+        const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+        const timing = this.getTiming();
+        const upscale = this.upscaleSamples.length > 0
+            ? this.upscaleSamples.reduce((best, sample) => (sample.periodicity > best.periodicity ? sample : best))
+            : null;
+
+        return {
+            suspected: this.suspected,
+            reasons: [...this.reasons],
+            track: this.track ? { ...this.track, reasons: [...this.track.reasons] } : null,
+            timing: timing ? {
+                clock: this.clock,
+                intervals: this.intervals.length,
+                fps: round(timing.fps, 1),
+                expectedFps: timing.expectedFps,
+                jitter: round(timing.jitter, 3),
+                burstRatio: round(timing.burstRatio)
+            } : null,
+            duplicates: {
+                compared: this.comparisons,
+                duplicates: this.duplicates,
+                ratio: this.comparisons > 0 ? round(this.duplicates / this.comparisons) : 0
+            },
+            upscale: upscale ? {
+                samples: this.upscaleSamples.length,
+                periodicity: round(this.median(this.upscaleSamples.map(sample => sample.periodicity))),
+                factor: this.reasons.includes('upscaled') ? upscale.factor : null  // scale of the strongest pattern
+            } : null,
+            noise: this.noiseSamples.length > 0 ? {
+                samples: this.noiseSamples.length,
+                level: round(this.median(this.noiseSamples))
+            } : null,
+            events: this.events.map(event => ({ ...event })),
+            attacksDetected: [...this.attacksDetected]
+        };
+    }
+
+    resetSamples() {
+        this.clock = null;
+        this.intervals = [];
+        this.previousFrame = null;
+        this.comparisons = 0;
+        this.duplicates = 0;
+        this.lastDetailAt = -Infinity;
+        this.upscaleSamples = [];
+        this.noiseSamples = [];
+    }
+
+    reset() {
+        this.track = null;
+        this.resetSamples();
+        this.reasons = [];
+        this.suspected = false;
+        this.events = [];
+        this.attacksDetected = [];
+    }
+}
+
+// Signal -> kind of evidence; two kinds are needed unless the track or duplicates decide.
+// noSensorControls only counts toward 'track' together with another track signal
+StreamIntegrityAnalyzer.SIGNAL_GROUPS = {
+    label: 'track',
+    noSensorControls: 'track',
+    fixedResolution: 'track',
+    syntheticTiming: 'timing',
+    burstyTiming: 'timing',
+    duplicateFrames: 'pixels',
+    upscaled: 'pixels',
+    noSensorNoise: 'noise'
+};
+
+// Pixel periods left by common upscales: 2x (e.g. 640 -> 1280) and 1.5x (480 -> 720)
+StreamIntegrityAnalyzer.UPSCALE_PERIODS = [
+    { period: 2, factor: 2 },
+    { period: 3, factor: 1.5 }
+];
+
+StreamIntegrityAnalyzer.MAX_INTERVALS = 600;      // about 20 s of frames at 30 fps
+StreamIntegrityAnalyzer.MAX_DETAIL_SAMPLES = 30;
+StreamIntegrityAnalyzer.MIN_CONTRAST = 16;        // green-channel range of a frame worth comparing
+StreamIntegrityAnalyzer.LINE_STEP = 4;            // every 4th row and column for the upscale check
+StreamIntegrityAnalyzer.NOISE_BLOCK = 16;
+StreamIntegrityAnalyzer.NOISE_PERCENTILE = 0.1;   // the flattest tenth of the blocks gives the floor
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreamIntegrityAnalyzer;
+}
@@ -1,10 +1,31 @@
 /**
  * Translations Manager for Face Liveness Verification
- * Supports English and Arabic with RTL layout
+ * English is built in and ends every fallback chain. Other locales are JSON
+ * bundles (locales/<code>.json) fetched the first time they are selected, or
+ * catalogs registered by the host page with registerLocale(). Messages take
+ * ICU-style arguments: "{name}", "{count, plural, one {...} other {# ...}}"
+ * and "{kind, select, a {...} other {...}}".
  */
 const Translations = {
     currentLang: 'en',
+    defaultLang: 'en',
 
+    // Where bundles without their own `url` are fetched from
+    baseUrl: 'locales/',
+
+    /**
+     * Locales offered in the language picker: native name, text direction,
+     * optional `fallback` (default: the code without its last subtag, then
+     * English) and optional bundle `url`
+     */
+    locales: {
+        en: { name: 'English', dir: 'ltr' },
+        ar: { name: 'العربية', dir: 'rtl' },
+        fr: { name: 'Français', dir: 'ltr' },
+        es: { name: 'Español', dir: 'ltr' }
+    },
+
+    // Loaded catalogs by locale code; bundles are added as they load
     translations: {
         en: {
             // Header
@@ -29,6 +50,15 @@ const Translations = {
             featureInstant: 'Instant Results',
             featureInstantDesc: 'Fast and accurate verification',
             startBtn: 'Start Verification',
+            referenceUpload: 'Upload ID Photo (optional)',
+            referenceProcessing: 'Analyzing reference photo...',
+            referenceReady: 'Reference photo ready',
+            referenceNoFace: 'No face found in the reference photo',
+            recordingUpload: 'Analyze a Recording',
+            recordingAnalyzing: 'Analyzing recording...',
+            recordingProgress: 'Analyzing recording... {percent}%',
+            recordingError: 'This video could not be analyzed',
+            recordingNoHistory: 'Select the session report with the recording: without its challenge history the session cannot pass',
 
             // Camera Screen
             challengePosition: 'Position your face in the frame',
@@ -40,26 +70,76 @@ const Translations = {
             faceDetected: 'Face detected',
             noFaceDetected: 'No face detected',
             multipleFaces: 'Multiple faces detected!',
+            identityChanged: 'A different person is in front of the camera',
+            qualityMoveCloser: 'Move closer to the camera',
+            qualityMoveBack: 'Move back a little',
+            qualityCenter: 'Center your face in the frame',
+            qualityTooDark: 'Too dark - find more light',
+            qualityTooBright: 'Too bright - avoid direct light on your face',
+            qualityBacklight: 'Face the light - there is bright light behind you',
+            qualityUnevenLight: 'Face the light so both sides of your face are lit',
+            qualityBlurry: 'Image is blurry - hold still or clean the camera',
+            qualityHoldStill: 'Great, hold still...',
             cancelBtn: 'Cancel',
             retryBtn: 'Retry',
 
+            // Camera
+            cameraLabel: 'Camera',
+            cameraDefault: 'Default camera',
+            cameraUnnamed: 'Camera {index}',
+            cameraVirtual: '{label} (virtual)',
+            cameraReconnecting: 'Camera disconnected - restarting with another camera',
+            cameraErrorPermissionTitle: 'Camera access blocked',
+            cameraErrorPermissionMsg: 'Allow camera access for this site in your browser settings, then try again.',
+            cameraErrorNoCameraTitle: 'No camera found',
+            cameraErrorNoCameraMsg: 'Connect a camera, or pick another one on the start screen, and try again.',
+            cameraErrorBusyTitle: 'Camera in use',
+            cameraErrorBusyMsg: 'Another app or browser tab is using the camera. Close it and try again.',
+            cameraErrorDisconnectedTitle: 'Camera disconnected',
+            cameraErrorDisconnectedMsg: 'The camera stopped during verification. Reconnect it or pick another camera, then try again.',
+            cameraErrorUnsupportedTitle: 'Camera not available',
+            cameraErrorUnsupportedMsg: 'This browser cannot use the camera here. Open the page over HTTPS in an up-to-date browser.',
+            cameraErrorUnknownTitle: 'Could not start verification',
+            cameraErrorUnknownMsg: 'Something went wrong while starting. Check your connection and try again.',
+            sessionErrorTitle: 'Verification service unavailable',
+            sessionErrorMsg: 'The verification service could not start a session. Check your connection and try again later.',
+
             // Challenges
-            challengeBlink: 'Please blink your eyes',
+            challengeBlink: 'Please blink your eyes {count, plural, one {once} =2 {twice} other {# times}}',
             challengeSmile: 'Please smile naturally',
             challengeHeadTurn: 'Turn your head slowly left, then right',
+            challengeNod: 'Nod your head slowly up, then down',
+            challengeTilt: 'Tilt your head toward one shoulder, then the other',
+            challengeColorFlash: 'Hold still and look at the screen while it changes color',
             challengeMouthOpen: 'Please open your mouth',
             challengeEyebrowRaise: 'Please raise your eyebrows',
             challengeEyeMovement: 'Look left, then right with your eyes',
+            challengeFailedRetry: 'Challenge failed - try again',
+
+            // Accessibility
+            a11yMode: 'Accessibility mode (spoken prompts and vibration)',
+            a11yEnabled: 'Accessibility mode on. Prompts will be spoken.',
+            a11yExcludeLegend: 'Challenges I cannot do',
+            a11yTimeLeft: '{count, plural, one {# second left} other {# seconds left}}',
+            a11yChallengePassed: 'Challenge passed',
 
             // Results Screen
             resultSuccess: 'Verification Successful!',
             resultFailed: 'Verification Failed',
             resultSuccessMsg: 'Your identity has been verified successfully.',
             resultFailedMsg: 'Liveness check failed. Please try again.',
+            qualityTimeout: 'Your face could not be seen clearly in time. Check the lighting and try again.',
             verificationTime: 'Verification Time:',
             challengesCompleted: 'Challenges Completed:',
             avgConfidence: 'Average Confidence:',
             timestamp: 'Timestamp:',
+            policyLabel: 'Policy / Deciding Rule:',
+            signatureLabel: 'Result Signature:',
+            signatureServerPass: 'Confirmed by server',
+            signatureServerFail: 'Rejected by server',
+            signatureUnverified: 'Not verified - server unreachable',
+            signatureLocal: 'Not verified (no server)',
+            signatureNone: 'Not signed',
             securityAnalysis: '🛡️ Security Analysis',
             activeLiveness: 'Active Liveness',
             passiveLiveness: 'Passive Liveness',
@@ -67,10 +147,65 @@ const Translations = {
             depthAnalysis: 'Depth Analysis',
             eyeReflection: 'Eye Reflection',
             microExpressions: 'Micro-Expressions',
+            faceMatch: 'Face Match',
+            faceMatchYes: 'Similar to ID photo (heuristic)',
+            faceMatchNo: 'Not similar to ID photo (heuristic)',
             combinedScore: 'Combined Security Score:',
             downloadBtn: 'Download Video',
+            reportJsonBtn: 'Report (JSON)',
+            reportPdfBtn: 'Report (PDF)',
+            timelineBtn: 'Timeline (VTT)',
             newVerificationBtn: 'New Verification',
 
+            // History Screen
+            historyBtn: 'Session History',
+            historyTitle: 'Session History',
+            historySubtitle: 'Verification sessions stored on this device',
+            historyEmpty: 'No sessions recorded yet',
+            historyBack: 'Back',
+            historyExportAll: 'Export All',
+            historyClear: 'Delete All',
+            historyExport: 'Export',
+            historyDelete: 'Delete',
+            historyDeleteConfirm: 'Delete this session record?',
+            historyClearConfirm: 'Delete all stored session records?',
+            historyPassed: 'Passed',
+            historyFailed: 'Failed',
+            historySource: 'Source:',
+            historySourceCamera: 'Camera',
+            historySourceFile: 'Recording',
+            historySourceReport: 'Imported report',
+            historyResult: 'Result:',
+            historyAttacks: 'Attacks Detected:',
+            historyChallenge: 'Challenge:',
+            historyDevice: 'Device:',
+            historyVideo: 'Video:',
+
+            // Review Screen
+            reviewFileUpload: 'Review a Report',
+            reviewNoReport: 'Select a JSON verification report (and optionally its recording)',
+            reviewOpenFailed: 'Could not open this report',
+            reviewOpen: 'Review',
+            reviewTitle: 'Manual Review',
+            reviewSubtitle: 'Play back the session and approve or reject it',
+            reviewNoVideo: 'No recording available for this session',
+            reviewTimelineTrack: 'Challenges',
+            reviewCombined: 'Combined Score',
+            reviewIntegrityOk: 'Recording matches the report',
+            reviewIntegrityFailed: 'Recording does not match the report',
+            reviewerPlaceholder: 'Reviewer (optional)',
+            reviewReasonPlaceholder: 'Reason for the decision',
+            reviewApprove: 'Approve',
+            reviewReject: 'Reject',
+            reviewDecision: 'Review:',
+            reviewApproved: 'Approved by reviewer',
+            reviewRejected: 'Rejected by reviewer',
+            reviewPending: 'Needs review',
+            reviewNone: 'Not required',
+            reviewReasonRequired: 'Enter a reason for the decision',
+            reviewSaveFailed: 'Could not save the decision',
+            reviewIntegrityBlocked: 'A session whose recording does not match the report cannot be approved',
+
             // Footer
             footer: 'Powered by TensorFlow.js • Secure & Privacy-First',
 
@@ -82,114 +217,223 @@ const Translations = {
             loadingError: 'Error loading models. Please refresh the page.',
 
             // Language
-            langToggle: 'العربية'
-        },
+            langLabel: 'Language'
+        }
+    },
 
-        ar: {
-            // Header
-            appTitle: 'حارس الهوية',
-            statusInitializing: 'جاري التهيئة...',
-            statusReady: 'جاهز',
-            statusVerifying: 'جاري التحقق...',
-            statusStartingCamera: 'تشغيل الكاميرا...',
-            statusVerified: 'تم التحقق',
-            statusFailed: 'فشل',
-            statusError: 'خطأ',
 
-            // Welcome Screen
-            welcomeTitle: 'التحقق من الهوية الحية',
-            welcomeSubtitle: 'التحقق الآمن من الهوية باستخدام تقنية مكافحة الانتحال المتقدمة',
-            featureRealtime: 'الكشف الفوري',
-            featureRealtimeDesc: 'كشف الوجه بالذكاء الاصطناعي',
-            featureAntiSpoof: 'مكافحة الانتحال',
-            featureAntiSpoofDesc: 'تحديات حية لمنع الاحتيال',
-            featureVideo: 'تسجيل الفيديو',
-            featureVideoDesc: 'دليل التحقق الآمن',
-            featureInstant: 'نتائج فورية',
-            featureInstantDesc: 'تحقق سريع ودقيق',
-            startBtn: 'بدء التحقق',
+    // In-flight bundle requests by locale code
+    loading: {},
 
-            // Camera Screen
-            challengePosition: 'ضع وجهك في الإطار',
-            recording: 'جاري التسجيل',
-            statusLabel: 'الحالة:',
-            confidenceLabel: 'الثقة:',
-            challengeLabel: 'التحدي:',
-            detecting: 'جاري الكشف...',
-            faceDetected: 'تم اكتشاف الوجه',
-            noFaceDetected: 'لم يتم اكتشاف وجه',
-            multipleFaces: 'تم اكتشاف عدة وجوه!',
-            cancelBtn: 'إلغاء',
-            retryBtn: 'إعادة المحاولة',
+    // Locale of the latest setLanguage() call, so a slower earlier load cannot override it
+    requestedLang: null,
 
-            // Challenges
-            challengeBlink: 'يرجى رمش عينيك',
-            challengeSmile: 'يرجى الابتسام بشكل طبيعي',
-            challengeHeadTurn: 'أدر رأسك ببطء لليسار ثم اليمين',
-            challengeMouthOpen: 'يرجى فتح فمك',
-            challengeEyebrowRaise: 'يرجى رفع حاجبيك',
-            challengeEyeMovement: 'انظر لليسار ثم اليمين بعينيك',
+    // Intl.PluralRules by locale code
+    pluralRules: {},
 
-            // Results Screen
-            resultSuccess: 'تم التحقق بنجاح!',
-            resultFailed: 'فشل التحقق',
-            resultSuccessMsg: 'تم التحقق من هويتك بنجاح.',
-            resultFailedMsg: 'فشل فحص الحيوية. يرجى المحاولة مرة أخرى.',
-            verificationTime: 'وقت التحقق:',
-            challengesCompleted: 'التحديات المكتملة:',
-            avgConfidence: 'متوسط الثقة:',
-            timestamp: 'الطابع الزمني:',
-            securityAnalysis: '🛡️ تحليل الأمان',
-            activeLiveness: 'الحيوية النشطة',
-            passiveLiveness: 'الحيوية السلبية',
-            antiSpoofing: 'مكافحة الانتحال',
-            depthAnalysis: 'تحليل العمق',
-            eyeReflection: 'انعكاس العين',
-            microExpressions: 'التعبيرات الدقيقة',
-            combinedScore: 'النتيجة الأمنية الإجمالية:',
-            downloadBtn: 'تحميل الفيديو',
-            newVerificationBtn: 'تحقق جديد',
+    /**
+     * Add a locale, or extend an existing one
+     * @param {String} code - BCP 47 code (e.g. 'de', 'ar-EG')
+     * @param {Object} meta - { name, dir, fallback, url }
+     * @param {Object} messages - Catalog to use instead of fetching a bundle (optional)
+     */
+    registerLocale(code, meta = {}, messages = null) {
+        this.locales[code] = { dir: 'ltr', ...this.locales[code], ...meta };
+        if (messages) {
+            this.translations[code] = { ...this.translations[code], ...messages };
+        }
+        this.renderPicker();
+    },
 
-            // Footer
-            footer: 'مدعوم بـ TensorFlow.js • آمن وخاص',
+    /**
+     * Fetch a locale's bundle unless it is already loaded
+     * @param {String} code - Registered locale code
+     * @returns {Promise<Object>} The locale's catalog
+     */
+    async loadLocale(code) {
+        if (this.translations[code]) return this.translations[code];
+        const meta = this.locales[code];
+        if (!meta) {
+            throw new Error(`Unknown locale "${code}"`);
+        }
 
-            // Loading
-            loadingText: 'جاري تحميل نماذج الذكاء الاصطناعي...',
-            loadingDepth: 'جاري تحميل نموذج تقدير العمق...',
-            loadingPassive: 'جاري تحميل محلل الحيوية السلبية...',
-            loadingComplete: 'تم تحميل جميع النماذج بنجاح!',
-            loadingError: 'خطأ في تحميل النماذج. يرجى تحديث الصفحة.',
+        if (!this.loading[code]) {
+            const url = meta.url || `${this.baseUrl}${code}.json`;
+            this.loading[code] = fetch(url)
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load locale "${code}" from ${url} (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then((messages) => {
+                    this.translations[code] = messages;
+                    return messages;
+                })
+                .finally(() => { delete this.loading[code]; });
+        }
+        return this.loading[code];
+    },
 
-            // Language
-            langToggle: 'English'
+    /**
+     * Locales to look a key up in, most specific first, e.g. 'ar-EG' -> ['ar-EG', 'ar', 'en']
+     * @param {String} code - Locale code
+     * @returns {Array<String>}
+     */
+    getFallbackChain(code) {
+        const chain = [];
+        let current = code;
+        while (current && !chain.includes(current)) {
+            chain.push(current);
+            const meta = this.locales[current];
+            if (meta && meta.fallback) {
+                current = meta.fallback;
+            } else {
+                current = current.includes('-') ? current.slice(0, current.lastIndexOf('-')) : null;
+            }
         }
+        if (!chain.includes(this.defaultLang)) chain.push(this.defaultLang);
+        return chain;
+    },
+
+    /**
+     * Closest registered locale for a requested code ('fr-CA' -> 'fr' when only 'fr' exists)
+     */
+    resolveLocale(code) {
+        return this.getFallbackChain(code).find(lang => this.locales[lang]) || this.defaultLang;
     },
 
     /**
      * Get translation for a key
+     * @param {String} key - Message key
+     * @param {Object} params - Values for the message arguments (optional)
      */
-    t(key) {
-        return this.translations[this.currentLang][key] || this.translations['en'][key] || key;
+    t(key, params) {
+        for (const lang of this.getFallbackChain(this.currentLang)) {
+            const messages = this.translations[lang];
+            if (messages && messages[key] !== undefined) {
+                return params ? this.format(messages[key], params, lang) : messages[key];
+            }
+        }
+        return key;
     },
 
     /**
-     * Set current language
+     * Fill in a message's ICU-style arguments
+     * @param {String} message - Message pattern
+     * @param {Object} params - Argument values
+     * @param {String} lang - Locale whose plural rules apply
      */
-    setLanguage(lang) {
-        if (this.translations[lang]) {
-            this.currentLang = lang;
-            localStorage.setItem('livenessLang', lang);
-            this.updateUI();
-            this.updateDirection();
+    format(message, params = {}, lang = this.currentLang) {
+        let output = '';
+        let index = 0;
+        while (index < message.length) {
+            const open = message.indexOf('{', index);
+            const close = open === -1 ? -1 : this.findClosingBrace(message, open);
+            if (close === -1) {
+                output += message.slice(index);
+                break;
+            }
+            output += message.slice(index, open) + this.formatArgument(message.slice(open + 1, close), params, lang);
+            index = close + 1;
         }
+        return output;
+    },
+
+    findClosingBrace(message, open) {
+        let depth = 0;
+        for (let i = open; i < message.length; i++) {
+            if (message[i] === '{') depth++;
+            if (message[i] === '}' && --depth === 0) return i;
+        }
+        return -1;
+    },
+
+    /**
+     * @param {String} argument - Text between the braces, e.g. "count, plural, one {...} other {...}"
+     */
+    formatArgument(argument, params, lang) {
+        const [name, type] = argument.split(',', 2).map(part => part.trim());
+        const value = params[name];
+        if (value === undefined) return `{${argument}}`;
+        if (type !== 'plural' && type !== 'select') return String(value);
+
+        const options = this.parseOptions(argument.slice(argument.indexOf(',', argument.indexOf(',') + 1) + 1));
+        if (type === 'select') {
+            const selected = options[String(value)] !== undefined ? options[String(value)] : options.other;
+            return selected === undefined ? String(value) : this.format(selected, params, lang);
+        }
+
+        const count = Number(value);
+        let selected = options[`=${count}`];
+        if (selected === undefined) {
+            if (!this.pluralRules[lang]) this.pluralRules[lang] = new Intl.PluralRules(lang);
+            const category = this.pluralRules[lang].select(count);
+            selected = options[category] !== undefined ? options[category] : options.other;
+        }
+        if (selected === undefined) return String(value);
+        return this.format(selected.replace(/#/g, count.toLocaleString(lang)), params, lang);
+    },
+
+    /**
+     * "one {a} other {b}" -> { one: 'a', other: 'b' }
+     */
+    parseOptions(text) {
+        const options = {};
+        const selector = /\s*(=?[\w-]+)\s*\{/y;
+        let index = 0;
+        while (index < text.length) {
+            selector.lastIndex = index;
+            const match = selector.exec(text);
+            if (!match) break;
+            const open = selector.lastIndex - 1;
+            const close = this.findClosingBrace(text, open);
+            if (close === -1) break;
+            options[match[1]] = text.slice(open + 1, close);
+            index = close + 1;
+        }
+        return options;
+    },
+
+    /**
+     * Keys of the English catalog that `code` and its fallbacks (other than English) do not translate
+     * @param {String} code - Loaded locale code
+     * @returns {Array<String>}
+     */
+    missingKeys(code) {
+        const chain = this.getFallbackChain(code).filter(lang => lang !== this.defaultLang);
+        return Object.keys(this.translations[this.defaultLang])
+            .filter(key => !chain.some(lang => this.translations[lang] && this.translations[lang][key] !== undefined));
     },
 
     /**
-     * Toggle between languages
+     * Set current language, loading its bundles first
+     * @param {String} lang - Locale code; unknown codes fall back to the closest registered locale
+     * @returns {Promise<String>} The locale now in use
+     */
+    async setLanguage(lang) {
+        const resolved = this.resolveLocale(lang);
+        this.requestedLang = resolved;
+
+        const chain = this.getFallbackChain(resolved).filter(code => this.locales[code]);
+        await Promise.all(chain.map(code => this.loadLocale(code)));
+        // A later call won the race
+        if (this.requestedLang !== resolved) return this.currentLang;
+
+        this.currentLang = resolved;
+        localStorage.setItem('livenessLang', resolved);
+        this.updateDirection();
+        this.updateUI();
+        return resolved;
+    },
+
+    /**
+     * Switch to the next locale in the picker (kept for pages that bound the old toggle button)
      */
     toggle() {
-        const newLang = this.currentLang === 'en' ? 'ar' : 'en';
-        this.setLanguage(newLang);
+        const codes = Object.keys(this.locales);
+        const next = codes[(codes.indexOf(this.currentLang) + 1) % codes.length];
+        return this.setLanguage(next);
     },
 
     /**
@@ -197,14 +441,38 @@ const Translations = {
      */
     updateDirection() {
         const html = document.documentElement;
-        if (this.currentLang === 'ar') {
-            html.setAttribute('dir', 'rtl');
-            html.setAttribute('lang', 'ar');
-            document.body.classList.add('rtl');
-        } else {
-            html.setAttribute('dir', 'ltr');
-            html.setAttribute('lang', 'en');
-            document.body.classList.remove('rtl');
+        const rtl = (this.locales[this.currentLang] || {}).dir === 'rtl';
+        html.setAttribute('dir', rtl ? 'rtl' : 'ltr');
+        html.setAttribute('lang', this.currentLang);
+        document.body.classList.toggle('rtl', rtl);
+    },
+
+    /**
+     * Fill the language picker with the registered locales, in their own language
+     */
+    renderPicker() {
+        if (typeof document === 'undefined') return;
+        const select = document.getElementById('langSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(this.locales).forEach(([code, meta]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = meta.name || code;
+            select.appendChild(option);
+        });
+        select.value = this.currentLang;
+
+        if (!select.dataset.bound) {
+            select.dataset.bound = 'true';
+            select.addEventListener('change', () => {
+                this.setLanguage(select.value).catch((error) => {
+                    console.warn('Language change failed:', error);
+                    select.value = this.currentLang;
+                });
+            });
         }
     },
 
@@ -212,11 +480,12 @@ const Translations = {
      * Update all UI elements with translations
      */
     updateUI() {
-        // Update all elements with data-i18n attribute
+        // Update all elements with data-i18n attribute (arguments as JSON in data-i18n-params)
         document.querySelectorAll('[data-i18n]').forEach(el => {
             const key = el.getAttribute('data-i18n');
             if (key) {
-                el.textContent = this.t(key);
+                const params = el.getAttribute('data-i18n-params');
+                el.textContent = this.t(key, params ? JSON.parse(params) : undefined);
             }
         });
 
@@ -228,21 +497,30 @@ const Translations = {
             }
         });
 
+        const select = document.getElementById('langSelect');
+        if (select) select.value = this.currentLang;
+
         // Update page title
         document.title = this.t('welcomeTitle');
     },
 
     /**
      * Initialize translations
+     * @param {String} lang - Language to start in (default: the saved preference, then English)
+     * @returns {Promise<String>} The locale in use
      */
-    init() {
-        // Check for saved language preference
-        const savedLang = localStorage.getItem('livenessLang');
-        if (savedLang && this.translations[savedLang]) {
-            this.currentLang = savedLang;
+    async init(lang) {
+        this.renderPicker();
+        const requested = lang || localStorage.getItem('livenessLang') || this.currentLang;
+        try {
+            return await this.setLanguage(requested);
+        } catch (error) {
+            console.warn(`Could not load language "${requested}", using English:`, error);
+            this.currentLang = this.defaultLang;
+            this.updateDirection();
+            this.updateUI();
+            return this.currentLang;
         }
-        this.updateDirection();
-        this.updateUI();
     }
 };
 
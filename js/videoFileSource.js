@@ -0,0 +1,122 @@
+/**
+ * Video File Source Module
+ * Plays a recorded file into an offscreen <video> one frame at a time so the
+ * analyzers can read it exactly as they read the live camera. Frames are
+ * sampled on the media timeline (not wall-clock), at a fixed interval.
+ */
+class VideoFileSource {
+    /**
+     * @param {Object} options - { frameInterval (ms of media time between frames) }
+     */
+    constructor(options = {}) {
+        // Half the live passive interval (AnalysisEngine.FRAME_RATES.passive); detection runs on every sampled frame
+        this.frameInterval = options.frameInterval ?? 200;
+        this.seekTimeout = options.seekTimeout ?? 5000;
+        this.video = null;
+        this.url = null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Load a file and wait for its metadata
+     * @param {File|Blob} file - Video file (e.g. a liveness-verification-*.webm)
+     * @returns {Promise<Object>} { duration (s), width, height }
+     */
+    async open(file) {
+        this.close();
+        this.cancelled = false;
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        this.video = video;
+        this.url = URL.createObjectURL(file);
+
+        await this.waitFor('loadedmetadata', () => { video.src = this.url; });
+
+        // MediaRecorder output has no duration header; seeking far past the end makes the browser compute it
+        if (!Number.isFinite(video.duration)) {
+            await this.waitFor('durationchange', () => { video.currentTime = Number.MAX_SAFE_INTEGER; });
+            await this.seek(0);
+        }
+
+        if (!video.videoWidth || !video.videoHeight || !Number.isFinite(video.duration)) {
+            throw new Error('Video file has no decodable video track');
+        }
+
+        // Size attributes are what the TF.js models read from a <video> that is not laid out
+        video.width = video.videoWidth;
+        video.height = video.videoHeight;
+
+        return { duration: video.duration, width: video.videoWidth, height: video.videoHeight };
+    }
+
+    /**
+     * Visit every sampled frame in order
+     * @param {Function} callback - async (videoElement, { time, index, progress }) => void
+     * @returns {Promise<Number>} Frames visited
+     */
+    async forEachFrame(callback) {
+        const video = this.video;
+        const step = this.frameInterval / 1000;
+        const total = Math.max(1, Math.floor(video.duration / step) + 1);
+
+        for (let index = 0; index < total && !this.cancelled; index++) {
+            const time = Math.min(index * step, video.duration);
+            await this.seek(time);
+            await callback(video, { time, index, progress: Math.round(((index + 1) / total) * 100) });
+        }
+
+        return this.cancelled ? 0 : total;
+    }
+
+    async seek(time) {
+        if (Math.abs(this.video.currentTime - time) < 0.001 && this.video.readyState >= 2) return;
+        await this.waitFor('seeked', () => { this.video.currentTime = time; });
+    }
+
+    /**
+     * Run an action and resolve on the given media event (rejects on error or timeout)
+     */
+    waitFor(eventName, action) {
+        const video = this.video;
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timer);
+                video.removeEventListener(eventName, onEvent);
+                video.removeEventListener('error', onError);
+            };
+            const onEvent = () => { cleanup(); resolve(); };
+            const onError = () => { cleanup(); reject(new Error('Video file could not be decoded')); };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timed out waiting for "${eventName}"`));
+            }, this.seekTimeout);
+
+            video.addEventListener(eventName, onEvent);
+            video.addEventListener('error', onError);
+            action();
+        });
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    close() {
+        if (this.video) {
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.video = null;
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VideoFileSource;
+}
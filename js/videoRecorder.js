@@ -7,25 +7,29 @@ class VideoRecorder {
         this.stream = null;
         this.startTime = null;
         this.recordingDuration = 0;
+        this.evidenceChain = new EvidenceChain();
+        this.compositor = null;
     }
 
     /**
      * Initialize recorder with media stream
      * @param {MediaStream} stream - Media stream from webcam
+     * @param {Object} options - { compositor: EvidenceCompositor whose annotated stream is recorded instead }
      */
-    initialize(stream) {
-        this.stream = stream;
-
+    initialize(stream, options = {}) {
         // Check for MediaRecorder support
         if (!window.MediaRecorder) {
             throw new Error('MediaRecorder is not supported in this browser');
         }
 
+        this.compositor = options.compositor || null;
+        this.stream = this.compositor ? this.compositor.start() : stream;
+
         // Determine supported MIME type
         const mimeType = this.getSupportedMimeType();
 
         try {
-            this.mediaRecorder = new MediaRecorder(stream, {
+            this.mediaRecorder = new MediaRecorder(this.stream, {
                 mimeType: mimeType,
                 videoBitsPerSecond: 2500000 // 2.5 Mbps for good quality
             });
@@ -67,6 +71,7 @@ class VideoRecorder {
         this.mediaRecorder.ondataavailable = (event) => {
             if (event.data && event.data.size > 0) {
                 this.recordedChunks.push(event.data);
+                this.evidenceChain.append(event.data);
             }
         };
 
@@ -91,8 +96,9 @@ class VideoRecorder {
     /**
      * Start recording
      * @param {Number} timeslice - Optional timeslice in milliseconds
+     * @param {String} chainSeed - Session nonce the chunk hash chain starts from
      */
-    startRecording(timeslice = 1000) {
+    startRecording(timeslice = 1000, chainSeed = '') {
         if (!this.mediaRecorder) {
             throw new Error('MediaRecorder not initialized');
         }
@@ -103,6 +109,7 @@ class VideoRecorder {
         }
 
         this.recordedChunks = [];
+        this.evidenceChain.start(chainSeed);
         this.mediaRecorder.start(timeslice);
     }
 
@@ -120,6 +127,7 @@ class VideoRecorder {
             this.mediaRecorder.onstop = () => {
                 this.isRecording = false;
                 this.recordingDuration = Date.now() - this.startTime;
+                this.stopCompositor();
 
                 if (this.recordedChunks.length === 0) {
                     reject(new Error('No data recorded'));
@@ -138,6 +146,21 @@ class VideoRecorder {
         });
     }
 
+    stopCompositor() {
+        if (this.compositor) {
+            this.compositor.stop();
+            this.compositor = null;
+        }
+    }
+
+    /**
+     * Hash chain over the recorded chunks (call after stopRecording())
+     * @returns {Promise<Object>} EvidenceChain manifest
+     */
+    getEvidenceChain() {
+        return this.evidenceChain.finalize();
+    }
+
     /**
      * Pause recording
      */
@@ -221,8 +244,10 @@ class VideoRecorder {
         if (this.isRecording) {
             this.mediaRecorder.stop();
         }
+        this.stopCompositor();
 
         this.recordedChunks = [];
+        this.evidenceChain.reset();
         this.isRecording = false;
         this.startTime = null;
         this.recordingDuration = 0;
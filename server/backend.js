@@ -0,0 +1,111 @@
+/**
+ * Local stand-in backend for the verification service.
+ * Runs offline with no dependencies:
+ *
+ *   node server/backend.js                     # listens on http://localhost:8787
+ *   PORT=9000 node server/backend.js
+ *   POLICY=highSecurity node server/backend.js # score policy preset
+ *   ATTESTATION_KEY=<base64> node server/backend.js # keeps attestations verifiable across restarts
+ *
+ * Routes:
+ *   POST /session            -> { sessionId, nonce, key, expiresAt }
+ *   POST /verify             -> { valid, success, combinedScore, reasons, attestation }
+ *   POST /attestation/verify -> { valid } (body: the attestation from /verify)
+ *   POST /challenges         -> { sequenceId, sequence, seed, issuedAt, expiresAt, excluded }
+ *                               (body: { count, exclude: challenge ids the user cannot perform })
+ *   POST /challenges/verify  -> { valid, reasons }
+ */
+const http = require('http');
+const { VerificationService } = require('./verifier.js');
+const { LocalChallengeProvider } = require('../js/challengeProvider.js');
+const LivenessChallenger = require('../js/livenessChallenger.js');
+const ScorePolicy = require('../js/scorePolicy.js');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Payload too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Create the HTTP server around a VerificationService
+ * @param {VerificationService} service - Verifier instance
+ * @returns {http.Server} Server (not yet listening)
+ */
+function createBackend(service = createDefaultService()) {
+    return http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204, {});
+            return;
+        }
+
+        try {
+            if (req.method === 'POST' && req.url === '/session') {
+                sendJson(res, 200, service.issueSession());
+            } else if (req.method === 'POST' && req.url === '/verify') {
+                const result = service.verify(await readJson(req));
+                sendJson(res, result.valid ? 200 : 400, result);
+            } else if (req.method === 'POST' && req.url === '/attestation/verify') {
+                sendJson(res, 200, { valid: service.verifyAttestation(await readJson(req)) });
+            } else if (req.method === 'POST' && req.url === '/challenges' && service.challengeProvider) {
+                const { count, exclude } = await readJson(req);
+                sendJson(res, 200, service.challengeProvider.issue(Number(count) || service.requiredChallenges, { exclude }));
+            } else if (req.method === 'POST' && req.url === '/challenges/verify' && service.challengeProvider) {
+                const { sequenceId, history } = await readJson(req);
+                const result = service.challengeProvider.validate(sequenceId, history);
+                sendJson(res, result.valid ? 200 : 400, result);
+            } else {
+                sendJson(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            console.error('Verifier backend error:', error);
+            sendJson(res, 400, { error: 'Bad request' });
+        }
+    });
+}
+
+function createDefaultService() {
+    // Challenge pool and durations come from the same definitions the browser uses
+    const pool = new LivenessChallenger().challenges;
+    return new VerificationService({
+        policy: ScorePolicy.fromPreset(process.env.POLICY || 'standard'),
+        attestationKey: process.env.ATTESTATION_KEY || null,
+        challengeProvider: new LocalChallengeProvider(pool)
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    createBackend().listen(port, () => {
+        console.log(`Verifier backend listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createBackend, createDefaultService };
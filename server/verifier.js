@@ -0,0 +1,209 @@
+/**
+ * Verification Service (Node)
+ * Issues signing sessions and validates signed results from the browser.
+ * The browser's own `success` flag is never trusted: the verdict is recomputed
+ * here from the signed module scores with the server's own score policy.
+ * When a challenge provider is attached, the signed challenge history must
+ * also match the sequence that provider issued.
+ *
+ * The session key is handed to the browser, so the browser's HMAC only binds a
+ * submission to its session: whoever runs the page can sign any payload. What
+ * partners can rely on is the attestation this service signs over its own
+ * verdict with a key that never leaves the server (see verifyAttestation).
+ */
+const crypto = require('crypto');
+const ResultSigner = require('../js/resultSigner.js');
+const ScorePolicy = require('../js/scorePolicy.js');
+
+// Failed policy rules -> rejection reasons
+const RULE_REASONS = {
+    challenges: 'CHALLENGES_INCOMPLETE',
+    identity: 'IDENTITY_MISMATCH',
+    threshold: 'SCORE_BELOW_THRESHOLD'
+};
+
+class VerificationService {
+    constructor(options = {}) {
+        this.policy = options.policy || ScorePolicy.fromPreset('standard');
+        this.requiredChallenges = options.requiredChallenges ?? 2;
+        this.sessionTtl = options.sessionTtl ?? 5 * 60 * 1000; // 5 minutes
+        this.clockSkew = options.clockSkew ?? 2 * 60 * 1000;   // tolerated browser clock error
+        this.now = options.now || (() => Date.now());
+        this.challengeProvider = options.challengeProvider || null;
+        // Server-only key for verdict attestations; pass one in to verify across restarts
+        this.attestationKey = options.attestationKey
+            ? Buffer.from(options.attestationKey, 'base64')
+            : crypto.randomBytes(32);
+        this.sessions = new Map();
+    }
+
+    /**
+     * Issue a one-time signing session
+     * @returns {Object} { sessionId, nonce, key, expiresAt }
+     */
+    issueSession() {
+        this.pruneExpired();
+
+        const issuedAt = this.now();
+        const session = {
+            sessionId: crypto.randomUUID(),
+            nonce: crypto.randomBytes(16).toString('hex'),
+            key: crypto.randomBytes(32).toString('base64'),
+            issuedAt,
+            expiresAt: issuedAt + this.sessionTtl,
+            used: false
+        };
+        this.sessions.set(session.sessionId, session);
+
+        return {
+            sessionId: session.sessionId,
+            nonce: session.nonce,
+            key: session.key,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    /**
+     * Validate a signed result and recompute the verdict
+     * @param {Object} signedResult - { payload, signature }
+     * @returns {Object} { valid, success, combinedScore, policyId, decidedBy, reasons, attestation }
+     */
+    verify(signedResult) {
+        const reasons = [];
+        const payload = signedResult && signedResult.payload;
+        const signature = signedResult && signedResult.signature;
+
+        if (!payload || typeof signature !== 'string') {
+            return this.reject(['MALFORMED_RESULT']);
+        }
+
+        const session = this.sessions.get(payload.sessionId);
+        if (!session) return this.reject(['UNKNOWN_SESSION']);
+        if (session.used) return this.reject(['SESSION_REUSED']);
+
+        // One submission per session, whether it passes or not
+        session.used = true;
+
+        if (this.now() > session.expiresAt) return this.reject(['SESSION_EXPIRED']);
+        if (payload.nonce !== session.nonce) return this.reject(['NONCE_MISMATCH']);
+
+        if (!this.checkSignature(session.key, payload, signature)) {
+            return this.reject(['BAD_SIGNATURE']);
+        }
+
+        // The payload timestamp comes from the browser's clock; expiry above uses the server's own
+        if (typeof payload.timestamp !== 'number' ||
+            payload.timestamp < session.issuedAt - this.clockSkew ||
+            payload.timestamp > this.now() + this.clockSkew) {
+            reasons.push('TIMESTAMP_OUT_OF_RANGE');
+        }
+
+        if (typeof payload.videoHash !== 'string' || !/^[0-9a-f]{64}$/.test(payload.videoHash)) {
+            reasons.push('MISSING_VIDEO_HASH');
+        }
+
+        const videoChain = payload.videoChain;
+        if (!videoChain || typeof videoChain.digest !== 'string' || !/^[0-9a-f]{64}$/.test(videoChain.digest)) {
+            reasons.push('MISSING_VIDEO_CHAIN');
+        }
+
+        if (payload.policyId !== this.policy.id) reasons.push('POLICY_MISMATCH');
+
+        const challenges = Array.isArray(payload.challenges) ? payload.challenges : [];
+        const passed = challenges.filter(c => c && c.success === true).length;
+
+        const decision = this.policy.evaluate({
+            scores: payload.scores || {},
+            attacksDetected: Array.isArray(payload.attacksDetected) ? payload.attacksDetected : [],
+            challengesComplete: passed >= this.requiredChallenges,
+            faceMatch: payload.faceMatch || null
+        });
+        for (const rule of decision.rules.filter(r => !r.passed)) {
+            reasons.push(RULE_REASONS[rule.rule] || rule.rule.toUpperCase());
+        }
+
+        const combinedScore = decision.combinedScore;
+        if (typeof payload.combinedScore === 'number' && payload.combinedScore !== combinedScore) {
+            reasons.push('COMBINED_SCORE_MISMATCH');
+        }
+
+        if (this.challengeProvider) {
+            const sequenceCheck = this.challengeProvider.validate(payload.challengeSequenceId, challenges);
+            reasons.push(...sequenceCheck.reasons);
+            const excluded = Array.isArray(payload.excludedChallenges) ? payload.excludedChallenges : [];
+            if (sequenceCheck.excluded && excluded.join() !== sequenceCheck.excluded.join()) {
+                reasons.push('EXCLUSIONS_MISMATCH');
+            }
+        }
+
+        const verdict = {
+            valid: true,
+            success: reasons.length === 0,
+            combinedScore,
+            policyId: this.policy.id,
+            decidedBy: decision.decidedBy,
+            reasons
+        };
+        verdict.attestation = this.attest(payload, verdict);
+        return verdict;
+    }
+
+    /**
+     * Sign the verdict with the server-only key. The statement names the exact
+     * payload it judged (resultHash) and when this service received it.
+     * @param {Object} payload - Submitted payload
+     * @param {Object} verdict - verify() result
+     * @returns {Object} { statement, signature }
+     */
+    attest(payload, verdict) {
+        const statement = {
+            sessionId: payload.sessionId,
+            nonce: payload.nonce,
+            resultHash: crypto.createHash('sha256').update(ResultSigner.canonicalize(payload)).digest('hex'),
+            success: verdict.success,
+            combinedScore: verdict.combinedScore,
+            policyId: verdict.policyId,
+            decidedBy: verdict.decidedBy,
+            reasons: verdict.reasons,
+            excludedChallenges: Array.isArray(payload.excludedChallenges) ? payload.excludedChallenges : [],
+            verifiedAt: this.now()
+        };
+        return { statement, signature: this.hmac(this.attestationKey, statement).toString('hex') };
+    }
+
+    /**
+     * Check an attestation issued by this service (partner backends call this,
+     * or share attestationKey with it)
+     * @param {Object} attestation - { statement, signature } from verify()
+     * @returns {Boolean} True if this service signed exactly this statement
+     */
+    verifyAttestation(attestation) {
+        if (!attestation || !attestation.statement || typeof attestation.signature !== 'string') return false;
+        const expected = this.hmac(this.attestationKey, attestation.statement);
+        const received = Buffer.from(attestation.signature, 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    hmac(key, value) {
+        return crypto.createHmac('sha256', key).update(ResultSigner.canonicalize(value)).digest();
+    }
+
+    checkSignature(key, payload, signature) {
+        const expected = this.hmac(Buffer.from(key, 'base64'), payload);
+        const received = Buffer.from(signature, 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    reject(reasons) {
+        return { valid: false, success: false, combinedScore: 0, reasons };
+    }
+
+    pruneExpired() {
+        const now = this.now();
+        for (const [id, session] of this.sessions) {
+            if (now > session.expiresAt) this.sessions.delete(id);
+        }
+    }
+}
+
+module.exports = { VerificationService };
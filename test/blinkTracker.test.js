@@ -0,0 +1,117 @@
+/**
+ * LivenessChallenger EAR blink state machine (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const LivenessChallenger = require('../js/livenessChallenger.js');
+
+const OPEN = 0.30;
+const FRAME_MS = 33;
+
+// FaceMesh landmarks whose eyes have the given aspect ratio (corners 1 apart, lids `ear` apart)
+function landmarksFor(ear) {
+    const lm = Array.from({ length: 468 }, () => ({ x: 0, y: 0 }));
+    for (const [outer, inner, top, bottom, top2, bottom2] of [[33, 133, 159, 145, 158, 153], [362, 263, 386, 374, 385, 380]]) {
+        lm[outer] = { x: 0, y: 0 };
+        lm[inner] = { x: 1, y: 0 };
+        lm[top] = lm[top2] = { x: 0.5, y: -ear / 2 };
+        lm[bottom] = lm[bottom2] = { x: 0.5, y: ear / 2 };
+    }
+    return lm;
+}
+
+// Feed an EAR series, one FaceMesh result per video frame, with Date.now() under test control
+function createTracker(t) {
+    let clock = 1_000_000;
+    t.mock.method(Date, 'now', () => clock);
+    t.mock.method(console, 'log', () => {});
+
+    const challenger = new LivenessChallenger();
+    challenger.startTime = clock;
+    challenger.blinkTracker = challenger.createBlinkTracker();
+
+    const feed = (ear, ms) => {
+        const end = clock + ms;
+        for (; clock < end; clock += FRAME_MS) {
+            challenger.updateBlinkTracker(landmarksFor(ear));
+        }
+    };
+    feed(OPEN, 1100);
+    return { challenger, tracker: challenger.blinkTracker, feed };
+}
+
+test('calibration takes the median open-eye EAR and sets the 0.6x / 0.8x thresholds', (t) => {
+    let clock = 1_000_000;
+    t.mock.method(Date, 'now', () => clock);
+    t.mock.method(console, 'log', () => {});
+    const challenger = new LivenessChallenger();
+    challenger.startTime = clock;
+    challenger.blinkTracker = challenger.createBlinkTracker();
+
+    // A blink during the first second does not drag the baseline down
+    const series = [OPEN, OPEN, 0.05, 0.05, OPEN, OPEN, OPEN, OPEN];
+    for (let i = 0; challenger.blinkTracker.state === 'CALIBRATING'; i++, clock += 150) {
+        challenger.updateBlinkTracker(landmarksFor(series[i % series.length]));
+    }
+
+    const tracker = challenger.blinkTracker;
+    assert.strictEqual(tracker.state, 'OPEN');
+    assert.ok(Math.abs(tracker.baseline - OPEN) < 1e-9);
+    assert.ok(Math.abs(tracker.closeThreshold - OPEN * 0.6) < 1e-9);
+    assert.ok(Math.abs(tracker.openThreshold - OPEN * 0.8) < 1e-9);
+    assert.strictEqual(challenger.blinkCount, 0);
+});
+
+test('a normal blink is counted', (t) => {
+    const { challenger, tracker, feed } = createTracker(t);
+    feed(0.08, 150);
+    feed(OPEN, 500);
+
+    assert.strictEqual(challenger.blinkCount, 1);
+    assert.strictEqual(tracker.durations.length, 1);
+    assert.ok(tracker.durations[0] >= 40 && tracker.durations[0] <= 1000);
+});
+
+test('the eye only reopens above the 0.8x threshold', (t) => {
+    const { challenger, tracker, feed } = createTracker(t);
+    feed(0.08, 100);
+    // Between the close and open thresholds: still closed
+    feed(OPEN * 0.7, 200);
+    assert.strictEqual(tracker.state, 'CLOSED');
+    assert.strictEqual(challenger.blinkCount, 0);
+
+    feed(OPEN, 300);
+    assert.strictEqual(challenger.blinkCount, 1);
+});
+
+test('eyes held closed for more than a second are not a blink', (t) => {
+    const { challenger, tracker, feed } = createTracker(t);
+    feed(0.08, 1500);
+    feed(OPEN, 500);
+
+    assert.strictEqual(tracker.state, 'OPEN');
+    assert.strictEqual(challenger.blinkCount, 0);
+});
+
+test('a single-frame dip shorter than 40 ms is landmark jitter', (t) => {
+    const { challenger, feed } = createTracker(t);
+    feed(0.08, FRAME_MS);
+    feed(OPEN, 500);
+
+    assert.strictEqual(challenger.blinkCount, 0);
+});
+
+test('a flutter inside the 150 ms refractory period is not counted twice', (t) => {
+    const { challenger, feed } = createTracker(t);
+    feed(0.08, 150);
+    feed(OPEN, 66);
+    feed(0.08, 66);
+    feed(OPEN, 500);
+    assert.strictEqual(challenger.blinkCount, 1);
+
+    // A second blink after the refractory period completes the challenge
+    feed(0.08, 150);
+    feed(OPEN, FRAME_MS);
+    assert.strictEqual(challenger.blinkCount, 2);
+    assert.strictEqual(challenger.updateBlinkTracker(landmarksFor(OPEN)), true);
+});
@@ -0,0 +1,100 @@
+/**
+ * LocalChallengeProvider one-time sequences (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { LocalChallengeProvider } = require('../js/challengeProvider.js');
+
+const POOL = ['blink', 'smile', 'turnLeft', 'turnRight', 'nod', 'colorFlash'].map(id => ({ id, duration: 5000 }));
+
+function createProvider() {
+    let clock = 1000000;
+    const provider = new LocalChallengeProvider(POOL, { now: () => clock });
+    return { provider, advance: (ms) => { clock += ms; } };
+}
+
+// A plausible history for the issued order: each challenge passed 1.5 s after the previous one ended
+function historyFor(sequence) {
+    return sequence.map((id, i) => ({ id, success: true, startedAt: i * 2000, duration: 1500 }));
+}
+
+test('a history that follows the issued sequence is valid', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(10000);
+    assert.deepStrictEqual(provider.validate(issued.sequenceId, historyFor(issued.sequence)),
+        { valid: true, reasons: [], excluded: [] });
+});
+
+test('challenges in another order are ORDER_MISMATCH', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(10000);
+    const result = provider.validate(issued.sequenceId, historyFor([...issued.sequence].reverse()));
+    assert.deepStrictEqual(result.reasons, ['ORDER_MISMATCH']);
+});
+
+test('a challenge passed faster than a human can react is TIMING_MISMATCH', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(10000);
+    const history = historyFor(issued.sequence);
+    history[0].duration = 100;
+    assert.deepStrictEqual(provider.validate(issued.sequenceId, history).reasons, ['TIMING_MISMATCH']);
+});
+
+test('a history longer than the time since issue is TIMING_MISMATCH', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(1000);
+    assert.deepStrictEqual(provider.validate(issued.sequenceId, historyFor(issued.sequence)).reasons, ['TIMING_MISMATCH']);
+});
+
+test('stopping before the last challenge is SEQUENCE_INCOMPLETE', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(10000);
+    const result = provider.validate(issued.sequenceId, historyFor(issued.sequence.slice(0, 1)));
+    assert.deepStrictEqual(result.reasons, ['SEQUENCE_INCOMPLETE']);
+});
+
+test('a sequence can only be validated once', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(10000);
+    const history = historyFor(issued.sequence);
+    assert.strictEqual(provider.validate(issued.sequenceId, history).valid, true);
+    assert.deepStrictEqual(provider.validate(issued.sequenceId, history), { valid: false, reasons: ['SEQUENCE_REUSED'] });
+});
+
+test('an expired or unknown sequence is rejected', () => {
+    const { provider, advance } = createProvider();
+    const issued = provider.issue(2);
+    advance(5 * 60 * 1000 + 1);
+    assert.deepStrictEqual(provider.validate(issued.sequenceId, []).reasons, ['SEQUENCE_EXPIRED']);
+    assert.deepStrictEqual(provider.validate('not-issued', []).reasons, ['UNKNOWN_SEQUENCE']);
+});
+
+test('the shuffle keeps required challenges and leaves out excluded ones', () => {
+    const { provider } = createProvider();
+    const exclude = ['blink', 'smile', 'nod'];
+    for (let i = 0; i < 50; i++) {
+        const issued = provider.issue(POOL.length - exclude.length, { exclude });
+        assert.deepStrictEqual([...issued.sequence].sort(), ['colorFlash', 'turnLeft', 'turnRight']);
+        assert.deepStrictEqual(issued.excluded, exclude);
+    }
+});
+
+test('required challenges cannot be excluded', () => {
+    const { provider } = createProvider();
+    for (const id of LocalChallengeProvider.REQUIRED_CHALLENGES) {
+        assert.throws(() => provider.issue(2, { exclude: [id] }), /cannot be excluded/);
+    }
+});
+
+test(`at most MAX_EXCLUSIONS (${LocalChallengeProvider.MAX_EXCLUSIONS}) challenges can be excluded`, () => {
+    const { provider } = createProvider();
+    const ids = ['blink', 'smile', 'turnLeft', 'turnRight'].slice(0, LocalChallengeProvider.MAX_EXCLUSIONS + 1);
+    assert.strictEqual(provider.issue(2, { exclude: ids.slice(0, -1) }).excluded.length, LocalChallengeProvider.MAX_EXCLUSIONS);
+    assert.throws(() => provider.issue(2, { exclude: ids }), /At most/);
+});
@@ -0,0 +1,144 @@
+/**
+ * EvidenceChain recording hash chain and tools/verify-evidence.js (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ResultSigner = require('../js/resultSigner.js');
+const EvidenceChain = require('../js/evidenceChain.js');
+
+// EvidenceChain expects the browser global
+global.ResultSigner = ResultSigner;
+
+const NONCE = '0123456789abcdef0123456789abcdef';
+
+// Four equal-sized chunks, so reordering them keeps every size in place
+const CHUNKS = [0, 1, 2, 3].map(i => new Uint8Array(256).map((_, j) => (i * 31 + j * 7) & 0xff));
+
+async function record(chunks = CHUNKS, nonce = NONCE) {
+    const chain = new EvidenceChain();
+    chain.start(nonce);
+    chunks.forEach(chunk => chain.append(new Blob([chunk])));
+    return chain.finalize();
+}
+
+// A signed report for the recording, as ReportExporter builds it
+async function reportFor(manifest, video) {
+    const signedPayload = {
+        nonce: NONCE,
+        videoHash: await EvidenceChain.sha256(await video.arrayBuffer()),
+        videoChain: EvidenceChain.summarize(manifest)
+    };
+    return {
+        integrity: {
+            videoChain: manifest,
+            signedPayload,
+            resultHash: await EvidenceChain.sha256Text(ResultSigner.canonicalize(signedPayload)),
+            hashOf: 'signedPayload'
+        }
+    };
+}
+
+const video = (chunks) => new Blob(chunks);
+const swap = (list, a, b) => list.map((item, i) => (i === a ? list[b] : i === b ? list[a] : item));
+
+test('an untouched recording matches its report', async () => {
+    const manifest = await record();
+    const file = video(CHUNKS);
+    const result = await EvidenceChain.verify(file, await reportFor(manifest, file));
+    assert.deepStrictEqual(result, {
+        valid: true,
+        reasons: [],
+        checks: { chain: true, signedDigest: true, videoHash: true, resultHash: true },
+        firstBadChunk: null
+    });
+});
+
+test('reordered chunks break the chain', async () => {
+    const manifest = await record();
+    const inFile = await EvidenceChain.verifyChain(video(swap(CHUNKS, 1, 2)), manifest);
+    assert.deepStrictEqual([inFile.reason, inFile.firstBadChunk], ['CHUNK_MISMATCH', 1]);
+
+    // Reordering the manifest along with the file still changes the digest
+    const reordered = { ...manifest, chunks: swap(manifest.chunks, 1, 2) };
+    const both = await EvidenceChain.verifyChain(video(swap(CHUNKS, 1, 2)), reordered);
+    assert.strictEqual(both.reason, 'DIGEST_MISMATCH');
+});
+
+test('a dropped chunk breaks the chain', async () => {
+    const manifest = await record();
+    const dropped = CHUNKS.filter((_, i) => i !== 2);
+    assert.strictEqual((await EvidenceChain.verifyChain(video(dropped), manifest)).reason, 'SIZE_MISMATCH');
+
+    const trimmed = { ...manifest, chunks: manifest.chunks.filter((_, i) => i !== 2) };
+    assert.strictEqual((await EvidenceChain.verifyChain(video(dropped), trimmed)).reason, 'DIGEST_MISMATCH');
+});
+
+test('a modified chunk breaks the chain', async () => {
+    const manifest = await record();
+    const modified = CHUNKS.map((chunk, i) => (i === 3 ? chunk.map((b, j) => (j === 10 ? b ^ 1 : b)) : chunk));
+    const result = await EvidenceChain.verifyChain(video(modified), manifest);
+    assert.deepStrictEqual([result.reason, result.firstBadChunk], ['CHUNK_MISMATCH', 3]);
+
+    // Updating the chunk's hash in the manifest still changes the digest
+    const rehashed = {
+        ...manifest,
+        chunks: await Promise.all(modified.map(async chunk => ({ size: chunk.length, hash: await EvidenceChain.sha256(chunk) })))
+    };
+    assert.strictEqual((await EvidenceChain.verifyChain(video(modified), rehashed)).reason, 'DIGEST_MISMATCH');
+});
+
+test('a chain seeded with another nonce does not verify', async () => {
+    const manifest = await record();
+    const result = await EvidenceChain.verifyChain(video(CHUNKS), { ...manifest, seed: 'f'.repeat(32) });
+    assert.strictEqual(result.reason, 'DIGEST_MISMATCH');
+
+    // A recording from another session does not match this session's signed result
+    const other = await record(CHUNKS, 'f'.repeat(32));
+    const file = video(CHUNKS);
+    const report = await reportFor(await record(), file);
+    report.integrity.videoChain = other;
+    const check = await EvidenceChain.verify(file, report);
+    assert.strictEqual(check.checks.chain, true);
+    assert.deepStrictEqual(check.reasons, ['SIGNED_DIGEST_MISMATCH']);
+});
+
+test('a mismatched videoHash or resultHash is reported', async () => {
+    const file = video(CHUNKS);
+    const report = await reportFor(await record(), file);
+    report.integrity.signedPayload.videoHash = '0'.repeat(64);
+    const videoCheck = await EvidenceChain.verify(file, report);
+    assert.deepStrictEqual(videoCheck.reasons, ['VIDEO_HASH_MISMATCH', 'RESULT_HASH_MISMATCH']);
+
+    const intact = await reportFor(await record(), file);
+    intact.integrity.resultHash = '0'.repeat(64);
+    const resultCheck = await EvidenceChain.verify(file, intact);
+    assert.deepStrictEqual(resultCheck.reasons, ['RESULT_HASH_MISMATCH']);
+    assert.strictEqual(resultCheck.checks.videoHash, true);
+});
+
+test('tools/verify-evidence.js exits with 1 on a modified recording', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+    try {
+        const file = video(CHUNKS);
+        const videoPath = path.join(dir, 'recording.webm');
+        const reportPath = path.join(dir, 'report.json');
+        fs.writeFileSync(videoPath, Buffer.concat(CHUNKS));
+        fs.writeFileSync(reportPath, JSON.stringify(await reportFor(await record(), file)));
+
+        const tool = path.join(__dirname, '..', 'tools', 'verify-evidence.js');
+        assert.match(execFileSync(process.execPath, [tool, videoPath, reportPath], { encoding: 'utf8' }),
+            /Recording matches the report/);
+
+        const bytes = fs.readFileSync(videoPath);
+        bytes[300] ^= 1;
+        fs.writeFileSync(videoPath, bytes);
+        assert.throws(() => execFileSync(process.execPath, [tool, videoPath, reportPath], { stdio: 'pipe' }),
+            error => error.status === 1 && /First modified chunk: #1/.test(error.stdout));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
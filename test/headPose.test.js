@@ -0,0 +1,84 @@
+/**
+ * HeadPoseEstimator POSIT solver (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const HeadPoseEstimator = require('../js/headPose.js');
+
+const WIDTH = 640;
+const HEIGHT = 480;
+
+// R = Rz(roll) * Ry(yaw) * Rx(pitch) in the solver's internal signs (see toEuler)
+function rotation({ yaw, pitch, roll }) {
+    const rad = Math.PI / 180;
+    const [y, p, r] = [-yaw * rad, -pitch * rad, roll * rad];
+    const Rx = [[1, 0, 0], [0, Math.cos(p), -Math.sin(p)], [0, Math.sin(p), Math.cos(p)]];
+    const Ry = [[Math.cos(y), 0, Math.sin(y)], [0, 1, 0], [-Math.sin(y), 0, Math.cos(y)]];
+    const Rz = [[Math.cos(r), -Math.sin(r), 0], [Math.sin(r), Math.cos(r), 0], [0, 0, 1]];
+    const mul = (A, B) => A.map(row => [0, 1, 2].map(c => row.reduce((sum, v, k) => sum + v * B[k][c], 0)));
+    return mul(Rz, mul(Ry, Rx));
+}
+
+// Pinhole projection of the six model points, focal length = image width as in estimate()
+function project(estimator, pose, translation = { x: 40, y: -30, z: 3000 }) {
+    const R = rotation(pose);
+    const origin = estimator.modelPoints[0];
+    const keypoints = Array.from({ length: 468 }, () => ({ x: WIDTH / 2, y: HEIGHT / 2 }));
+    for (const p of estimator.modelPoints) {
+        const d = [p.x - origin.x, p.y - origin.y, p.z - origin.z];
+        const [X, Y, Z] = R.map(row => row[0] * d[0] + row[1] * d[1] + row[2] * d[2]);
+        const z = Z + translation.z;
+        keypoints[p.index] = {
+            x: WIDTH / 2 + WIDTH * (X + translation.x) / z,
+            y: HEIGHT / 2 + WIDTH * (Y + translation.y) / z
+        };
+    }
+    return keypoints;
+}
+
+const POSES = [
+    { yaw: 0, pitch: 0, roll: 0 },
+    { yaw: 25, pitch: 0, roll: 0 },
+    { yaw: -25, pitch: 0, roll: 0 },
+    { yaw: 0, pitch: 15, roll: 0 },
+    { yaw: 0, pitch: -15, roll: 0 },
+    { yaw: 0, pitch: 0, roll: 20 },
+    { yaw: 20, pitch: -10, roll: 8 },
+    { yaw: -30, pitch: 12, roll: -15 }
+];
+
+for (const pose of POSES) {
+    test(`recovers yaw ${pose.yaw}, pitch ${pose.pitch}, roll ${pose.roll}`, () => {
+        const estimator = new HeadPoseEstimator();
+        const result = estimator.estimate(project(estimator, pose), WIDTH, HEIGHT);
+        for (const axis of ['yaw', 'pitch', 'roll']) {
+            assert.ok(Math.abs(result[axis] - pose[axis]) <= 1,
+                `${axis}: expected ${pose[axis]}, got ${result[axis]}`);
+        }
+    });
+}
+
+test('the recovered rotation stays orthonormal with noisy landmarks', () => {
+    const estimator = new HeadPoseEstimator();
+    const image = project(estimator, { yaw: -30, pitch: 12, roll: -15 });
+    // Landmark jitter: the scaled orthographic rows are no longer orthogonal
+    image[152] = { x: image[152].x + 6, y: image[152].y - 4 };
+    image[291] = { x: image[291].x - 5, y: image[291].y + 3 };
+    const { rotation: R } = estimator.posit(estimator.modelPoints.map(p => ({
+        x: image[p.index].x - WIDTH / 2,
+        y: image[p.index].y - HEIGHT / 2
+    })), WIDTH);
+
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            assert.ok(Math.abs(dot(R[i], R[j]) - (i === j ? 1 : 0)) < 1e-9, `rows ${i}, ${j}`);
+        }
+    }
+});
+
+test('too few keypoints or no frame size gives null', () => {
+    const estimator = new HeadPoseEstimator();
+    assert.strictEqual(estimator.estimate([], WIDTH, HEIGHT), null);
+    assert.strictEqual(estimator.estimate(project(estimator, POSES[0]), 0, HEIGHT), null);
+});
@@ -0,0 +1,71 @@
+/**
+ * ISO/IEC 30107-3 metrics of the evaluation harness (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { BONA_FIDE, ATTACK, errorRates, rocCurve, bestThresholds, areaUnderCurve } = require('../tools/eval/metrics.js');
+
+// Accepted when score >= threshold. By threshold t:
+//   BPCER   t <= 30: 0, 31-60: 1/4, 61-80: 2/4, 81-90: 3/4, 91+: 1
+//   PRINT   t <= 20: 1, 21-50: 1/2, 51+: 0
+//   REPLAY  t <= 10: 1, 11-40: 3/4, 41-45: 2/4, 46-70: 1/4, 71+: 0
+const SAMPLES = [
+    { label: BONA_FIDE, score: 90 },
+    { label: BONA_FIDE, score: 80 },
+    { label: BONA_FIDE, score: 60 },
+    { label: BONA_FIDE, score: 30 },
+    { label: ATTACK, attackType: 'PRINT', score: 20 },
+    { label: ATTACK, attackType: 'PRINT', score: 50 },
+    { label: ATTACK, attackType: 'REPLAY', score: 10 },
+    { label: ATTACK, attackType: 'REPLAY', score: 40 },
+    { label: ATTACK, attackType: 'REPLAY', score: 45 },
+    { label: ATTACK, attackType: 'REPLAY', score: 70 }
+];
+
+test('error rates at one threshold use the worst attack species', () => {
+    const rates = errorRates(SAMPLES, 50);
+    assert.deepStrictEqual(rates.apcerBySpecies, { PRINT: 0.5, REPLAY: 0.25 });
+    assert.strictEqual(rates.apcer, 0.5);
+    assert.strictEqual(rates.bpcer, 0.25);
+    assert.strictEqual(rates.acer, 0.375);
+});
+
+test('a score equal to the threshold is accepted', () => {
+    assert.strictEqual(errorRates(SAMPLES, 30).bpcer, 0);
+    assert.strictEqual(errorRates(SAMPLES, 31).bpcer, 0.25);
+});
+
+test('attacks without a type are grouped as UNSPECIFIED', () => {
+    const rates = errorRates([{ label: ATTACK, score: 80 }, { label: ATTACK, score: 10 }], 50);
+    assert.deepStrictEqual(rates.apcerBySpecies, { UNSPECIFIED: 0.5 });
+});
+
+test('rates are 0 when a class has no samples', () => {
+    const rates = errorRates([{ label: BONA_FIDE, score: 10 }], 50);
+    assert.strictEqual(rates.apcer, 0);
+    assert.strictEqual(rates.bpcer, 1);
+});
+
+test('the ROC sweep runs from accept-all to reject-all', () => {
+    const curve = rocCurve(SAMPLES);
+    assert.strictEqual(curve.length, 102);
+    assert.deepStrictEqual([curve[0].apcer, curve[0].bpcer], [1, 0]);
+    assert.deepStrictEqual([curve[101].apcer, curve[101].bpcer], [0, 1]);
+});
+
+test('best thresholds pick the first minimum ACER and the equal error point', () => {
+    // ACER is 0.25 at t = 51-60 and 71-80; APCER = BPCER = 0.25 at t = 51-60
+    const best = bestThresholds(rocCurve(SAMPLES));
+    assert.deepStrictEqual(best.minAcer, { threshold: 51, apcer: 0.25, bpcer: 0.25, acer: 0.25 });
+    assert.deepStrictEqual(best.eer, { threshold: 51, rate: 0.25 });
+});
+
+test('area under the ROC', () => {
+    // 1 - BPCER over the four APCER steps of 0.25: 0.5, 0.75, 0.75, 1
+    // -> 0.25 * (0.5 + 0.75 + 0.75 + 1) = 0.75
+    assert.strictEqual(areaUnderCurve(rocCurve(SAMPLES)), 0.75);
+    assert.strictEqual(areaUnderCurve(rocCurve([
+        { label: BONA_FIDE, score: 90 },
+        { label: ATTACK, attackType: 'PRINT', score: 10 }
+    ])), 1);
+});
@@ -0,0 +1,84 @@
+/**
+ * MoireAnalyzer on synthetic patches (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Frame, FrameCanvas } = require('../tools/eval/frames.js');
+const FrameBuffer = require('../js/frameBuffer.js');
+const MoireAnalyzer = require('../js/moireAnalyzer.js');
+
+const SIZE = 320;
+
+// Deterministic noise so runs are repeatable
+function noise(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 0x100000000 - 0.5;
+    };
+}
+
+/**
+ * Smooth "skin" with mild sensor noise, plus an optional pattern
+ * @param {Function} pattern - (x, y) -> luminance offset
+ */
+function makeFrame(pattern = () => 0) {
+    const random = noise(7);
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const shade = 140 + 30 * Math.sin(x / 53) * Math.cos(y / 71) + 6 * random() + pattern(x, y);
+            const idx = (y * SIZE + x) * 4;
+            data[idx] = data[idx + 1] = data[idx + 2] = shade;
+            data[idx + 3] = 255;
+        }
+    }
+    return new FrameBuffer(new Frame(SIZE, SIZE, data), new FrameCanvas());
+}
+
+// Screen pixel grid: dark rows and columns between the pixels
+const grid = (pitch) => (x, y) => 10 * (Math.cos(2 * Math.PI * x / pitch) + Math.cos(2 * Math.PI * y / pitch));
+
+test('finds no pattern in a plain face patch', () => {
+    const result = new MoireAnalyzer().analyze(makeFrame());
+    assert.strictEqual(result.detected, false);
+    assert.strictEqual(result.score, 1);
+});
+
+for (const pitch of [4, 6, 8]) {
+    test(`detects an axis-aligned screen grid with a ${pitch} px pitch`, () => {
+        const result = new MoireAnalyzer().analyze(makeFrame(grid(pitch)));
+        assert.strictEqual(result.detected, true);
+        assert.strictEqual(result.kind, 'screen');
+        assert.ok(result.score < 0.5);
+        assert.ok([pitch, pitch / 2].includes(Math.round(result.pitch * 2) / 2), `pitch ${result.pitch}`);
+    });
+}
+
+test('ignores MJPEG 8x8 block edges', () => {
+    const random = noise(11);
+    const steps = Array.from({ length: SIZE }, () => 12 * random());
+    // A step at every block edge whose size changes from block row to block row
+    const blocking = (x, y) => (x % 8 === 0 ? steps[y >> 3] : 0) + (y % 8 === 0 ? steps[(x >> 3) + 40] : 0);
+    const result = new MoireAnalyzer().analyze(makeFrame(blocking));
+    assert.strictEqual(result.detected, false, `prominence ${result.prominence}`);
+});
+
+// Printed photo: round dots on a screen rotated to 45 degrees
+const dotScreen = (pitch, angle) => {
+    const [c, s] = [Math.cos(angle * Math.PI / 180), Math.sin(angle * Math.PI / 180)];
+    return (x, y) => {
+        const u = (x * c + y * s) / pitch;
+        const v = (-x * s + y * c) / pitch;
+        return 10 * (Math.cos(2 * Math.PI * u) + Math.cos(2 * Math.PI * v));
+    };
+};
+
+for (const pitch of [5, 7]) {
+    test(`classifies a 45 degree dot screen with a ${pitch} px pitch as halftone`, () => {
+        const result = new MoireAnalyzer().analyze(makeFrame(dotScreen(pitch, 45)));
+        assert.strictEqual(result.detected, true);
+        assert.strictEqual(result.kind, 'halftone', `orientations ${result.peaks.map(p => p.orientation)}`);
+        assert.ok(result.score < 0.5);
+    });
+}
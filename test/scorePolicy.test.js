@@ -0,0 +1,90 @@
+/**
+ * ScorePolicy decisions (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const ScorePolicy = require('../js/scorePolicy.js');
+
+// Passive module scores of a clean recording; `active` is filled in from the challenge history
+const FILE_SCORES = { active: 0, passive: 90, antiSpoof: 90, depth: 80, eyeReflection: 80, microExpression: 80 };
+const HISTORY = [
+    { id: 'blink', success: false, startedAt: 1000, duration: 6000 },
+    { id: 'blink', success: true, startedAt: 7500, duration: 1200 },
+    { id: 'smile', success: true, startedAt: 9500, duration: 1500 }
+];
+
+test('a re-scored recording with a complete challenge history can pass', () => {
+    const result = ScorePolicy.fromPreset('standard').evaluateRecording({
+        scores: FILE_SCORES, challenges: HISTORY, requiredChallenges: 2
+    });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.completedChallenges, 2);
+    assert.strictEqual(result.scores.active, 100);
+    assert.strictEqual(result.combinedScore, 91);
+});
+
+test('a re-scored recording without its challenge history fails on the challenges rule', () => {
+    const result = ScorePolicy.fromPreset('standard').evaluateRecording({
+        scores: FILE_SCORES, challenges: [], requiredChallenges: 2
+    });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.decidedBy, 'challenges');
+    assert.strictEqual(result.scores.active, 0);
+});
+
+const PERFECT = { active: 100, passive: 100, antiSpoof: 100, depth: 100, eyeReflection: 100, microExpression: 100 };
+
+// Every module at `value`, so the combined score is `value` under any weights
+const uniform = (value) => Object.fromEntries(Object.keys(PERFECT).map(module => [module, value]));
+
+test('the standard preset reproduces the original hard-coded cut-offs and weights', () => {
+    const policy = ScorePolicy.fromPreset('standard');
+    assert.deepStrictEqual(policy.moduleThresholds,
+        { passive: 80, antiSpoof: 80, depth: 60, eyeReflection: 70, microExpression: 70 });
+    assert.deepStrictEqual(policy.weights,
+        { active: 0.30, passive: 0.25, antiSpoof: 0.25, depth: 0.10, eyeReflection: 0.05, microExpression: 0.05 });
+    assert.deepStrictEqual(policy.vetoes, []);
+
+    const analyzers = { passive: {}, antiSpoof: {}, depth: {}, eyeReflection: {}, microExpression: {} };
+    policy.applyTo(analyzers);
+    assert.deepStrictEqual(Object.fromEntries(Object.entries(analyzers).map(([id, a]) => [id, a.realThreshold])),
+        policy.moduleThresholds);
+
+    // The original verdict: challenges done and combined score >= 80
+    assert.strictEqual(policy.evaluate({ scores: uniform(80) }).success, true);
+    assert.strictEqual(policy.evaluate({ scores: uniform(79) }).success, false);
+});
+
+test('the first failing rule decides, in order', () => {
+    const policy = ScorePolicy.fromPreset('highSecurity');
+    const decide = (input) => policy.evaluate({ scores: PERFECT, ...input }).decidedBy;
+
+    assert.strictEqual(decide({}), 'threshold');
+    assert.strictEqual(decide({ challengesComplete: false, attacksDetected: ['FACE_SWAP'] }), 'challenges');
+    assert.strictEqual(decide({ scores: { ...PERFECT, antiSpoof: 70 } }), 'minimum:antiSpoof');
+    assert.strictEqual(decide({ faceMatch: { isMatch: false, similarity: 40 } }), 'identity');
+});
+
+for (const attack of ['FACE_SWAP', 'VIRTUAL_CAMERA_SUSPECTED']) {
+    test(`a highSecurity ${attack} veto fails even a perfect score`, () => {
+        const decision = ScorePolicy.fromPreset('highSecurity').evaluate({ scores: PERFECT, attacksDetected: [attack] });
+        assert.strictEqual(decision.success, false);
+        assert.strictEqual(decision.combinedScore, 100);
+        assert.strictEqual(decision.decidedBy, `veto:${attack}`);
+        assert.strictEqual(decision.reviewRequired, false);
+    });
+}
+
+test('only a threshold miss within reviewMargin needs review', () => {
+    const policy = ScorePolicy.fromPreset('standard'); // passThreshold 80, reviewMargin 5
+    assert.strictEqual(policy.evaluate({ scores: uniform(80) }).reviewRequired, false);
+    assert.strictEqual(policy.evaluate({ scores: uniform(79) }).reviewRequired, true);
+    assert.strictEqual(policy.evaluate({ scores: uniform(75) }).reviewRequired, true);
+    assert.strictEqual(policy.evaluate({ scores: uniform(74) }).reviewRequired, false);
+    assert.strictEqual(policy.evaluate({ scores: uniform(79), challengesComplete: false }).reviewRequired, false);
+});
+
+test('module scores are clamped to 0-100', () => {
+    const policy = ScorePolicy.fromPreset('standard');
+    assert.strictEqual(policy.combine({ ...uniform(0), passive: 1000 }), 25);
+});
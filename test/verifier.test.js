@@ -0,0 +1,143 @@
+/**
+ * VerificationService behind the local stand-in backend (node --test)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { VerificationService } = require('../server/verifier.js');
+const { createBackend } = require('../server/backend.js');
+const ResultSigner = require('../js/resultSigner.js');
+
+const SCORES = { active: 100, passive: 90, antiSpoof: 90, depth: 80, eyeReflection: 80, microExpression: 80 };
+
+// What LivenessApp.signResult() sends for a passing session under the standard policy
+function resultFields(overrides = {}) {
+    return {
+        success: true,
+        combinedScore: 91,
+        policyId: 'standard',
+        decidedBy: 'threshold',
+        attacksDetected: [],
+        scores: { ...SCORES },
+        faceMatch: null,
+        challenges: [
+            { id: 'blink', success: true, startedAt: 1000, duration: 1200 },
+            { id: 'smile', success: true, startedAt: 3000, duration: 1500 }
+        ],
+        videoHash: 'a'.repeat(64),
+        videoChain: { digest: 'b'.repeat(64) },
+        ...overrides
+    };
+}
+
+// Sign a payload the way the browser does, without ResultSigner's own timestamp
+function signPayload(session, payload) {
+    const signature = crypto.createHmac('sha256', Buffer.from(session.key, 'base64'))
+        .update(ResultSigner.canonicalize(payload))
+        .digest('hex');
+    return { payload, signature };
+}
+
+async function withBackend(run) {
+    let clock = Date.now();
+    const service = new VerificationService({ now: () => clock });
+    const server = createBackend(service);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+    const post = async (path, body) => {
+        const response = await fetch(`${endpoint}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        });
+        return response.json();
+    };
+    try {
+        await run({ endpoint, post, service, advance: (ms) => { clock += ms; } });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('a valid signed result is accepted and attested', () => withBackend(async ({ endpoint, post }) => {
+    const signer = new ResultSigner(endpoint);
+    await signer.startSession();
+    const verdict = await signer.submit(await signer.sign(resultFields()));
+
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.success, true);
+    assert.deepStrictEqual(verdict.reasons, []);
+    assert.strictEqual(verdict.combinedScore, 91);
+    assert.deepStrictEqual(await post('/attestation/verify', verdict.attestation), { valid: true });
+}));
+
+test('a payload edited after signing is rejected with BAD_SIGNATURE', () => withBackend(async ({ endpoint }) => {
+    const signer = new ResultSigner(endpoint);
+    await signer.startSession();
+    const signed = await signer.sign(resultFields({ success: false }));
+    signed.payload.success = true;
+
+    const verdict = await signer.submit(signed);
+    assert.strictEqual(verdict.valid, false);
+    assert.deepStrictEqual(verdict.reasons, ['BAD_SIGNATURE']);
+}));
+
+test('a session can only be used once', () => withBackend(async ({ endpoint }) => {
+    const signer = new ResultSigner(endpoint);
+    await signer.startSession();
+    const signed = await signer.sign(resultFields());
+
+    assert.strictEqual((await signer.submit(signed)).success, true);
+    const replay = await signer.submit(signed);
+    assert.strictEqual(replay.valid, false);
+    assert.deepStrictEqual(replay.reasons, ['SESSION_REUSED']);
+}));
+
+test('an expired session is rejected', () => withBackend(async ({ endpoint, advance }) => {
+    const signer = new ResultSigner(endpoint);
+    await signer.startSession();
+    const signed = await signer.sign(resultFields());
+    advance(5 * 60 * 1000 + 1);
+
+    const verdict = await signer.submit(signed);
+    assert.strictEqual(verdict.valid, false);
+    assert.deepStrictEqual(verdict.reasons, ['SESSION_EXPIRED']);
+}));
+
+test('browser clock skew is tolerated up to clockSkew', () => withBackend(async ({ post }) => {
+    const inRange = await post('/session');
+    const skewed = await post('/verify', signPayload(inRange, {
+        ...resultFields(), sessionId: inRange.sessionId, nonce: inRange.nonce, timestamp: Date.now() + 60 * 1000
+    }));
+    assert.strictEqual(skewed.success, true);
+
+    const session = await post('/session');
+    const verdict = await post('/verify', signPayload(session, {
+        ...resultFields(), sessionId: session.sessionId, nonce: session.nonce, timestamp: Date.now() + 10 * 60 * 1000
+    }));
+    assert.strictEqual(verdict.valid, true);
+    assert.strictEqual(verdict.success, false);
+    assert.deepStrictEqual(verdict.reasons, ['TIMESTAMP_OUT_OF_RANGE']);
+}));
+
+test('a combined score that does not follow from the module scores is reported', () => withBackend(async ({ endpoint }) => {
+    const signer = new ResultSigner(endpoint);
+    await signer.startSession();
+    const verdict = await signer.submit(await signer.sign(resultFields({ combinedScore: 99 })));
+
+    assert.strictEqual(verdict.success, false);
+    assert.deepStrictEqual(verdict.reasons, ['COMBINED_SCORE_MISMATCH']);
+    assert.strictEqual(verdict.combinedScore, 91);
+}));
+
+test('an altered attestation does not verify', () => withBackend(async ({ endpoint, post, service }) => {
+    const signer = new ResultSigner(endpoint);
+    await signer.startSession();
+    const { attestation } = await signer.submit(await signer.sign(resultFields({ scores: { ...SCORES, passive: 0 }, combinedScore: 69 })));
+    assert.strictEqual(attestation.statement.success, false);
+
+    const forged = { ...attestation, statement: { ...attestation.statement, success: true } };
+    assert.strictEqual(service.verifyAttestation(attestation), true);
+    assert.strictEqual(service.verifyAttestation(forged), false);
+    assert.deepStrictEqual(await post('/attestation/verify', forged), { valid: false });
+}));
@@ -0,0 +1,74 @@
+/**
+ * Builds the embeddable SDK bundle (no dependencies):
+ *
+ *   node tools/build-sdk.js    # -> dist/liveness-sdk.js, dist/liveness-sdk.css, dist/liveness-worker.js, dist/locales/
+ *
+ * Scripts are concatenated in the order index.html loads them, followed by
+ * js/sdk.js, and the widget markup from index.html is inlined so partner pages
+ * only need the dist files. The analysis worker gets its own bundle, which the
+ * SDK finds next to liveness-sdk.js, as it does the locale bundles.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+
+function read(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function buildSdk() {
+    const page = read('index.html');
+
+    // Local application scripts, in load order (CDN dependencies are loaded by the SDK at mount time)
+    const scripts = [...page.matchAll(/<script src="(js\/[^"]+)"><\/script>/g)].map(m => m[1]);
+    if (!scripts.includes('js/main.js')) {
+        throw new Error('index.html does not load js/main.js');
+    }
+
+    // Everything in <body> before the first script tag
+    const body = page.match(/<body>([\s\S]*?)<!-- TensorFlow\.js -->/);
+    if (!body) {
+        throw new Error('Could not find the widget markup in index.html');
+    }
+    const template = body[1].trim();
+
+    const parts = [...scripts, 'js/sdk.js'].map(file => `// ---- ${file} ----\n${read(file)}`);
+    parts.push(`LivenessSDK.template = ${JSON.stringify(template)};`);
+    parts.push("if (document.currentScript) AnalysisClient.WORKER_URL = new URL('liveness-worker.js', document.currentScript.src).href;");
+    parts.push("if (document.currentScript) Translations.baseUrl = new URL('locales/', document.currentScript.src).href;");
+
+    fs.mkdirSync(DIST, { recursive: true });
+    fs.writeFileSync(path.join(DIST, 'liveness-sdk.js'), parts.join('\n\n'));
+    fs.writeFileSync(path.join(DIST, 'liveness-sdk.css'), read('css/styles.css'));
+    fs.writeFileSync(path.join(DIST, 'liveness-worker.js'), buildWorker());
+
+    const locales = fs.readdirSync(path.join(ROOT, 'locales')).filter(file => file.endsWith('.json'));
+    fs.mkdirSync(path.join(DIST, 'locales'), { recursive: true });
+    locales.forEach(file => fs.copyFileSync(path.join(ROOT, 'locales', file), path.join(DIST, 'locales', file)));
+
+    return { scripts: scripts.length + 1, templateBytes: template.length, locales: locales.length };
+}
+
+/**
+ * Engine scripts listed in js/analysisWorker.js, inlined ahead of the worker itself
+ */
+function buildWorker() {
+    const worker = read('js/analysisWorker.js');
+    const list = worker.match(/const ENGINE_SCRIPTS = \[([\s\S]*?)\];/);
+    if (!list) {
+        throw new Error('Could not find ENGINE_SCRIPTS in js/analysisWorker.js');
+    }
+
+    const files = [...list[1].matchAll(/'([^']+)'/g)].map(m => `js/${m[1]}`);
+    const parts = [...files, 'js/analysisWorker.js'].map(file => `// ---- ${file} ----\n${read(file)}`);
+    return parts.join('\n\n');
+}
+
+if (require.main === module) {
+    const { scripts, templateBytes, locales } = buildSdk();
+    console.log(`Built dist/liveness-sdk.js (${scripts} scripts, ${templateBytes} bytes of markup), dist/liveness-worker.js and ${locales} locale bundles`);
+}
+
+module.exports = { buildSdk };
@@ -0,0 +1,117 @@
+/**
+ * Checks the locale bundles against the built-in English catalog (Node, no
+ * dependencies):
+ *
+ *   node tools/check-locales.js        # every locale in Translations.locales
+ *   node tools/check-locales.js ar fr  # only these
+ *
+ * Reports, per locale, keys that fall back to English, keys English does not
+ * have, and translations whose arguments ({count}, {percent}, ...) differ from
+ * the English message. Also reports keys used by index.html and js/ that are
+ * missing from English. Exits with 1 if any key is missing.
+ */
+const fs = require('fs');
+const path = require('path');
+const Translations = require('../js/translations.js');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+
+// data-i18n="key", data-i18n-placeholder="key", t('key') and i18nKey: 'key'
+const KEY_PATTERNS = [
+    /data-i18n(?:-placeholder)?="([\w]+)"/g,
+    /\bt\('([\w]+)'/g,
+    /i18nKey: '([\w]+)'/g
+];
+
+/**
+ * Top-level argument names of a message, e.g. "{count, plural, ...}" -> ['count']
+ */
+function argumentNames(message) {
+    const names = new Set();
+    let index = 0;
+    while (index < message.length) {
+        const open = message.indexOf('{', index);
+        if (open === -1) break;
+        const close = Translations.findClosingBrace(message, open);
+        if (close === -1) break;
+        names.add(message.slice(open + 1, close).split(',')[0].trim());
+        index = close + 1;
+    }
+    return [...names].sort();
+}
+
+function loadBundle(code) {
+    const meta = Translations.locales[code] || {};
+    const file = path.join(LOCALES_DIR, path.basename(meta.url || `${code}.json`));
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function sourceKeys() {
+    const files = ['index.html', ...fs.readdirSync(path.join(ROOT, 'js')).map(file => `js/${file}`)];
+    const keys = new Set();
+    files.forEach((file) => {
+        const text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        KEY_PATTERNS.forEach(pattern => [...text.matchAll(pattern)].forEach(m => keys.add(m[1])));
+    });
+    return keys;
+}
+
+function checkLocale(code) {
+    const english = Translations.translations[Translations.defaultLang];
+    const messages = Translations.translations[code];
+    const missing = Translations.missingKeys(code);
+    const extra = Object.keys(messages).filter(key => english[key] === undefined);
+    const mismatched = Object.keys(messages)
+        .filter(key => english[key] !== undefined)
+        .filter(key => argumentNames(messages[key]).join() !== argumentNames(english[key]).join());
+
+    console.log(`${code} (${Translations.locales[code].name}): ${Object.keys(messages).length} keys`);
+    if (missing.length) console.log(`  Missing, falls back to English (${missing.length}): ${missing.join(', ')}`);
+    if (extra.length) console.log(`  Not in English (${extra.length}): ${extra.join(', ')}`);
+    mismatched.forEach((key) => {
+        console.log(`  Arguments differ in ${key}: {${argumentNames(messages[key]).join('}, {')}} vs English {${argumentNames(english[key]).join('}, {')}}`);
+    });
+    if (!missing.length && !extra.length && !mismatched.length) console.log('  ok');
+    return missing.length;
+}
+
+function main() {
+    const requested = process.argv.slice(2);
+    const codes = (requested.length ? requested : Object.keys(Translations.locales))
+        .filter(code => code !== Translations.defaultLang);
+
+    // Bundles first, so regional locales can fall back on their parents
+    codes.forEach((code) => {
+        if (!Translations.locales[code]) {
+            throw new Error(`Unknown locale "${code}" (not in Translations.locales)`);
+        }
+        const bundle = loadBundle(code);
+        if (!bundle) {
+            throw new Error(`No bundle for "${code}" in ${path.relative(ROOT, LOCALES_DIR)}/`);
+        }
+        Translations.translations[code] = bundle;
+    });
+
+    let missing = codes.reduce((sum, code) => sum + checkLocale(code), 0);
+
+    const english = Translations.translations[Translations.defaultLang];
+    const undefinedKeys = [...sourceKeys()].filter(key => english[key] === undefined);
+    if (undefinedKeys.length) {
+        console.log(`\nUsed in the source but missing from English: ${undefinedKeys.join(', ')}`);
+        missing += undefinedKeys.length;
+    }
+
+    console.log(missing ? `\n${missing} missing key(s).` : '\nAll locales complete.');
+    if (missing) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
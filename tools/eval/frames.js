@@ -0,0 +1,253 @@
+/**
+ * Frame sources for the evaluation harness (Node, no dependencies)
+ *
+ * The analyzers only touch a small part of the browser API: `videoWidth` /
+ * `videoHeight` on the source and `getContext('2d')`, `drawImage()` and
+ * `getImageData()` on the canvas. Frame and FrameCanvas provide exactly that
+ * over plain RGBA buffers, so the analyzer classes run unmodified.
+ *
+ * PNG frames are decoded here; videos and other image formats go through
+ * `ffmpeg` when it is on the PATH.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn, spawnSync } = require('child_process');
+
+class Frame {
+    /**
+     * @param {Number} width - Pixels
+     * @param {Number} height - Pixels
+     * @param {Uint8ClampedArray} data - RGBA
+     * @param {Array|null} keypoints - FaceMesh keypoints for this frame, if known
+     */
+    constructor(width, height, data, keypoints = null) {
+        this.videoWidth = width;
+        this.videoHeight = height;
+        this.width = width;
+        this.height = height;
+        this.data = data;
+        this.keypoints = keypoints;
+    }
+}
+
+class FrameCanvas {
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.pixels = new Uint8ClampedArray(0);
+    }
+
+    getContext() {
+        return this;
+    }
+
+    /**
+     * Bilinear resample of a Frame into the canvas (browsers smooth drawImage the same way)
+     */
+    drawImage(frame, dx, dy, dw, dh) {
+        if (this.pixels.length !== this.width * this.height * 4) {
+            this.pixels = new Uint8ClampedArray(this.width * this.height * 4);
+        }
+
+        const sx = frame.videoWidth / dw;
+        const sy = frame.videoHeight / dh;
+        const src = frame.data;
+        const srcW = frame.videoWidth;
+        const maxX = frame.videoWidth - 1;
+        const maxY = frame.videoHeight - 1;
+
+        for (let y = 0; y < dh; y++) {
+            const fy = Math.min(maxY, Math.max(0, (y + 0.5) * sy - 0.5));
+            const y0 = Math.floor(fy), y1 = Math.min(maxY, y0 + 1), wy = fy - y0;
+
+            for (let x = 0; x < dw; x++) {
+                const fx = Math.min(maxX, Math.max(0, (x + 0.5) * sx - 0.5));
+                const x0 = Math.floor(fx), x1 = Math.min(maxX, x0 + 1), wx = fx - x0;
+
+                const i00 = (y0 * srcW + x0) * 4, i01 = (y0 * srcW + x1) * 4;
+                const i10 = (y1 * srcW + x0) * 4, i11 = (y1 * srcW + x1) * 4;
+                const out = ((y + dy) * this.width + (x + dx)) * 4;
+
+                for (let c = 0; c < 4; c++) {
+                    const top = src[i00 + c] * (1 - wx) + src[i01 + c] * wx;
+                    const bottom = src[i10 + c] * (1 - wx) + src[i11 + c] * wx;
+                    this.pixels[out + c] = top * (1 - wy) + bottom * wy;
+                }
+            }
+        }
+    }
+
+    getImageData(x, y, w, h) {
+        const data = new Uint8ClampedArray(w * h * 4);
+        for (let row = 0; row < h; row++) {
+            const start = ((row + y) * this.width + x) * 4;
+            data.set(this.pixels.subarray(start, start + w * 4), row * w * 4);
+        }
+        return { width: w, height: h, data };
+    }
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG (grayscale, RGB, gray+alpha or RGBA)
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { width, height, data (RGBA) }
+ */
+function decodePng(buffer) {
+    const SIGNATURE = '89504e470d0a1a0a';
+    if (buffer.subarray(0, 8).toString('hex') !== SIGNATURE) {
+        throw new Error('Not a PNG file');
+    }
+
+    let offset = 8;
+    let header = null;
+    const idat = [];
+
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += length + 12;
+    }
+
+    const channelsByType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+    const channels = header && channelsByType[header.colorType];
+    if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !channels) {
+        throw new Error('Unsupported PNG (8-bit, non-interlaced, non-palette only)');
+    }
+
+    const { width, height } = header;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const stride = width * channels;
+    const pixels = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[out + x - channels] : 0;
+            const up = y > 0 ? pixels[out - stride + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[out - stride + x - channels] : 0;
+            let value = line[x];
+
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) {
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                value += (pa <= pb && pa <= pc) ? left : (pb <= pc ? up : upLeft);
+            }
+            pixels[out + x] = value & 0xff;
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, j = 0; i < width * height; i++, j += channels) {
+        const gray = channels <= 2;
+        data[i * 4] = pixels[j];
+        data[i * 4 + 1] = gray ? pixels[j] : pixels[j + 1];
+        data[i * 4 + 2] = gray ? pixels[j] : pixels[j + 2];
+        data[i * 4 + 3] = channels === 2 ? pixels[j + 1] : (channels === 4 ? pixels[j + 3] : 255);
+    }
+
+    return { width, height, data };
+}
+
+function hasFfmpeg() {
+    const probe = spawnSync('ffprobe', ['-version'], { stdio: 'ignore' });
+    return probe.status === 0;
+}
+
+function probeSize(file) {
+    const probe = spawnSync('ffprobe', [
+        '-v', 'error', '-select_streams', 'v:0',
+        '-show_entries', 'stream=width,height', '-of', 'csv=p=0:s=x', file
+    ], { encoding: 'utf8' });
+    const match = probe.status === 0 && probe.stdout.trim().match(/^(\d+)x(\d+)/);
+    if (!match) throw new Error(`ffprobe could not read ${file}`);
+    return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Decode a video (or non-PNG image) with ffmpeg, one RGBA frame at a time
+ * @param {String} file - Path
+ * @param {Number} fps - Sampling rate (5 fps = the live 200 ms analysis cadence)
+ */
+async function* decodeWithFfmpeg(file, fps) {
+    const { width, height } = probeSize(file);
+    const frameBytes = width * height * 4;
+    const ffmpeg = spawn('ffmpeg', [
+        '-v', 'error', '-i', file,
+        '-vf', `fps=${fps}`, '-f', 'rawvideo', '-pix_fmt', 'rgba', 'pipe:1'
+    ], { stdio: ['ignore', 'pipe', 'inherit'] });
+
+    let pending = Buffer.alloc(0);
+    for await (const chunk of ffmpeg.stdout) {
+        pending = Buffer.concat([pending, chunk]);
+        while (pending.length >= frameBytes) {
+            yield { width, height, data: new Uint8ClampedArray(pending.subarray(0, frameBytes)) };
+            pending = pending.subarray(frameBytes);
+        }
+    }
+}
+
+function normalizeKeypoints(points) {
+    if (!Array.isArray(points)) return null;
+    return points.map(p => (Array.isArray(p) ? { x: p[0], y: p[1], z: p[2] || 0 } : p));
+}
+
+/**
+ * Frames of one dataset sample, in order
+ * @param {Object} sample - Manifest entry: { frames (directory) | video (file), landmarks (JSON file) }
+ * @param {String} baseDir - Dataset directory
+ * @param {Object} options - { fps }
+ */
+async function* readSampleFrames(sample, baseDir, options = {}) {
+    const fps = options.fps || 5;
+    const landmarks = sample.landmarks
+        ? JSON.parse(fs.readFileSync(path.join(baseDir, sample.landmarks), 'utf8'))
+        : [];
+    let index = 0;
+
+    const sources = [];
+    if (sample.video) {
+        sources.push(path.join(baseDir, sample.video));
+    } else if (sample.frames) {
+        const dir = path.join(baseDir, sample.frames);
+        fs.readdirSync(dir)
+            .filter(name => /\.(png|jpe?g|bmp|webp)$/i.test(name))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .forEach(name => sources.push(path.join(dir, name)));
+    } else {
+        throw new Error(`Sample ${sample.id} has neither "frames" nor "video"`);
+    }
+
+    for (const file of sources) {
+        const decoded = /\.png$/i.test(file)
+            ? [decodePng(fs.readFileSync(file))]
+            : decodeWithFfmpeg(file, fps);
+
+        for await (const image of decoded) {
+            yield new Frame(image.width, image.height, image.data, normalizeKeypoints(landmarks[index]));
+            index++;
+        }
+    }
+}
+
+module.exports = { Frame, FrameCanvas, decodePng, hasFfmpeg, readSampleFrames };
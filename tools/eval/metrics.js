@@ -0,0 +1,98 @@
+/**
+ * Presentation attack detection metrics (ISO/IEC 30107-3)
+ *
+ * Scores are 0-100 with higher meaning "more likely bona fide"; a sample is
+ * classified as an attack when its score is below the threshold.
+ *
+ *   APCER  share of attack presentations accepted as bona fide, per attack
+ *          type (PAI species); the headline value is the worst species
+ *   BPCER  share of bona fide presentations rejected as attacks
+ *   ACER   (APCER + BPCER) / 2
+ */
+
+const BONA_FIDE = 'bona-fide';
+const ATTACK = 'attack';
+
+/**
+ * Error rates at one threshold
+ * @param {Array} samples - [{ label, attackType, score }]
+ * @param {Number} threshold - Accept when score >= threshold
+ * @returns {Object} { threshold, apcer, apcerBySpecies, bpcer, acer }
+ */
+function errorRates(samples, threshold) {
+    const bonaFide = samples.filter(s => s.label === BONA_FIDE);
+    const bySpecies = {};
+
+    for (const sample of samples) {
+        if (sample.label !== ATTACK) continue;
+        const species = sample.attackType || 'UNSPECIFIED';
+        bySpecies[species] = bySpecies[species] || { total: 0, accepted: 0 };
+        bySpecies[species].total++;
+        if (sample.score >= threshold) bySpecies[species].accepted++;
+    }
+
+    const apcerBySpecies = {};
+    for (const [species, counts] of Object.entries(bySpecies)) {
+        apcerBySpecies[species] = counts.accepted / counts.total;
+    }
+
+    const speciesRates = Object.values(apcerBySpecies);
+    const apcer = speciesRates.length > 0 ? Math.max(...speciesRates) : 0;
+    const bpcer = bonaFide.length > 0
+        ? bonaFide.filter(s => s.score < threshold).length / bonaFide.length
+        : 0;
+
+    return { threshold, apcer, apcerBySpecies, bpcer, acer: (apcer + bpcer) / 2 };
+}
+
+/**
+ * ROC sweep over integer thresholds 0..101 (101 rejects everything)
+ * @param {Array} samples - [{ label, attackType, score }]
+ * @returns {Array} errorRates() per threshold
+ */
+function rocCurve(samples) {
+    const curve = [];
+    for (let threshold = 0; threshold <= 101; threshold++) {
+        curve.push(errorRates(samples, threshold));
+    }
+    return curve;
+}
+
+/**
+ * Operating points worth tuning to
+ * @param {Array} curve - rocCurve() output
+ * @returns {Object} { minAcer, eer }
+ */
+function bestThresholds(curve) {
+    let minAcer = curve[0];
+    let eer = curve[0];
+
+    for (const point of curve) {
+        if (point.acer < minAcer.acer) minAcer = point;
+        if (Math.abs(point.apcer - point.bpcer) < Math.abs(eer.apcer - eer.bpcer)) eer = point;
+    }
+
+    return {
+        minAcer: { threshold: minAcer.threshold, apcer: minAcer.apcer, bpcer: minAcer.bpcer, acer: minAcer.acer },
+        eer: { threshold: eer.threshold, rate: (eer.apcer + eer.bpcer) / 2 }
+    };
+}
+
+/**
+ * Area under the ROC: bona fide accepted (1 - BPCER) against attacks accepted (worst-species APCER)
+ * @param {Array} curve - rocCurve() output
+ * @returns {Number} AUC (0.5 = chance, 1 = perfect separation)
+ */
+function areaUnderCurve(curve) {
+    const points = curve
+        .map(p => ({ x: p.apcer, y: 1 - p.bpcer }))
+        .sort((a, b) => a.x - b.x || a.y - b.y);
+
+    let area = 0;
+    for (let i = 1; i < points.length; i++) {
+        area += (points[i].x - points[i - 1].x) * (points[i].y + points[i - 1].y) / 2;
+    }
+    return area;
+}
+
+module.exports = { BONA_FIDE, ATTACK, errorRates, rocCurve, bestThresholds, areaUnderCurve };
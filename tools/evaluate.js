@@ -0,0 +1,324 @@
+/**
+ * Offline evaluation harness (Node, no dependencies)
+ * Runs labeled bona fide / attack samples through the analyzer classes and
+ * reports ISO/IEC 30107-3 error rates, ROC curves and the best threshold per
+ * module, so score policies can be tuned from evidence:
+ *
+ *   node tools/evaluate.js datasets/lab-2026/dataset.json
+ *   node tools/evaluate.js dataset.json --policy highSecurity --out report.json
+ *   node tools/evaluate.js dataset.json --policy ./policies/bank.json --fps 5 --active 100
+ *
+ * dataset.json:
+ *   {
+ *     "name": "lab-2026",
+ *     "samples": [
+ *       { "id": "p01", "label": "bona-fide", "frames": "p01/", "landmarks": "p01/landmarks.json" },
+ *       { "id": "a07", "label": "attack", "attackType": "PRINT", "video": "a07.webm" }
+ *     ]
+ *   }
+ *
+ * `frames` is a directory of images (PNG natively, other formats via ffmpeg);
+ * `video` needs ffmpeg. `landmarks` holds FaceMesh keypoints per frame
+ * ([[x, y, z], ...] or null), which the depth, eye reflection and
+ * micro-expression analyzers need; pass --facemesh instead to run the model
+ * with @tensorflow/tfjs-node if it is installed.
+ */
+const fs = require('fs');
+const path = require('path');
+const { FrameCanvas, hasFfmpeg, readSampleFrames } = require('./eval/frames.js');
+const { BONA_FIDE, ATTACK, errorRates, rocCurve, bestThresholds, areaUnderCurve } = require('./eval/metrics.js');
+const MoireAnalyzer = require('../js/moireAnalyzer.js');
+const PassiveLiveness = require('../js/passiveLiveness.js');
+const AntiSpoofing = require('../js/antiSpoofing.js');
+const DepthEstimator = require('../js/depthEstimator.js');
+const EyeReflection = require('../js/eyeReflection.js');
+const MicroExpression = require('../js/microExpression.js');
+const ScorePolicy = require('../js/scorePolicy.js');
+const FrameBuffer = require('../js/frameBuffer.js');
+
+// PassiveLiveness expects the browser global
+global.MoireAnalyzer = MoireAnalyzer;
+
+const MODULES = ['passive', 'antiSpoof', 'depth', 'eyeReflection', 'microExpression'];
+
+function parseArgs(argv) {
+    const args = { dataset: null, policy: 'standard', fps: 5, active: 100, out: null, facemesh: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--policy') args.policy = argv[++i];
+        else if (arg === '--fps') args.fps = Number(argv[++i]);
+        else if (arg === '--active') args.active = Number(argv[++i]);
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--facemesh') args.facemesh = true;
+        else if (!arg.startsWith('--')) args.dataset = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if (!args.dataset) {
+        throw new Error('Usage: node tools/evaluate.js <dataset.json> [--policy id|file] [--fps n] [--active n] [--out file] [--facemesh]');
+    }
+    return args;
+}
+
+function loadPolicy(source) {
+    if (ScorePolicy.PRESETS[source]) return ScorePolicy.fromPreset(source);
+    return new ScorePolicy(JSON.parse(fs.readFileSync(source, 'utf8')));
+}
+
+/**
+ * FaceMesh stand-in for DepthEstimator: landmarks recorded with the dataset,
+ * or the real model when --facemesh is given and tfjs-node is installed
+ */
+async function createFaceMesh(useModel) {
+    if (!useModel) {
+        return { estimateFaces: async (frame) => (frame.keypoints ? [{ keypoints: frame.keypoints }] : []) };
+    }
+
+    let tf, faceLandmarksDetection;
+    try {
+        tf = require('@tensorflow/tfjs-node');
+        faceLandmarksDetection = require('@tensorflow-models/face-landmarks-detection');
+    } catch (error) {
+        throw new Error('--facemesh needs @tensorflow/tfjs-node and @tensorflow-models/face-landmarks-detection');
+    }
+
+    const detector = await faceLandmarksDetection.createDetector(
+        faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+        { runtime: 'tfjs', refineLandmarks: true, maxFaces: 1 }
+    );
+    return {
+        estimateFaces: async (frame) => {
+            const pixels = tf.tensor3d(frame.data, [frame.videoHeight, frame.videoWidth, 4], 'int32');
+            const rgb = pixels.slice([0, 0, 0], [-1, -1, 3]);
+            try {
+                return await detector.estimateFaces(rgb);
+            } finally {
+                pixels.dispose();
+                rgb.dispose();
+            }
+        }
+    };
+}
+
+async function createAnalyzers(policy, faceMesh) {
+    const analyzers = {
+        passive: new PassiveLiveness(),
+        antiSpoof: new AntiSpoofing(),
+        depth: new DepthEstimator(),
+        eyeReflection: new EyeReflection(),
+        microExpression: new MicroExpression()
+    };
+    await analyzers.passive.initialize();
+    await analyzers.antiSpoof.initialize();
+    await analyzers.eyeReflection.initialize();
+    await analyzers.microExpression.initialize();
+
+    analyzers.depth.faceMesh = faceMesh;
+    analyzers.depth.isModelLoaded = true;
+
+    policy.applyTo(analyzers);
+    return analyzers;
+}
+
+/**
+ * Score one sample the way the live frame loop scores a session: frames at
+ * 5 fps with the analyzers' own frame skipping reproduce AnalysisEngine.FRAME_RATES;
+ * final scores are the end-of-session values
+ */
+async function scoreSample(sample, baseDir, analyzers, options) {
+    Object.values(analyzers).forEach(analyzer => analyzer.reset());
+
+    const canvas = new FrameCanvas();
+    const scores = { passive: 0, antiSpoof: 0, depth: 0, eyeReflection: 0, microExpression: 0 };
+    let antiSpoofResult = null;
+    let frames = 0, framesWithFace = 0;
+
+    for await (const image of readSampleFrames(sample, baseDir, options)) {
+        const frame = new FrameBuffer(image, canvas);
+        const depthResult = await analyzers.depth.estimateDepth(image);
+        if (depthResult) scores.depth = depthResult.score;
+
+        const passiveResult = await analyzers.passive.analyze(frame, depthResult && depthResult.keypoints);
+        if (passiveResult) scores.passive = passiveResult.overallScore;
+
+        antiSpoofResult = await analyzers.antiSpoof.analyze(frame, depthResult, passiveResult) || antiSpoofResult;
+        if (antiSpoofResult) scores.antiSpoof = antiSpoofResult.overallScore;
+
+        if (depthResult && depthResult.keypoints) {
+            framesWithFace++;
+            const eyeResult = analyzers.eyeReflection.analyze(frame, depthResult.keypoints);
+            if (eyeResult) scores.eyeReflection = eyeResult.score;
+
+            const microResult = analyzers.microExpression.analyze(depthResult.keypoints);
+            if (microResult) scores.microExpression = microResult.score;
+        }
+        frames++;
+    }
+
+    return {
+        id: sample.id,
+        label: sample.label,
+        attackType: sample.label === ATTACK ? (sample.attackType || 'UNSPECIFIED') : null,
+        frames,
+        framesWithFace,
+        scores,
+        attacksDetected: antiSpoofResult ? antiSpoofResult.attacksDetected : []
+    };
+}
+
+/**
+ * Metrics for one score column
+ * @param {Array} results - Scored samples
+ * @param {Function} getScore - result -> score (0-100)
+ * @param {Number} acceptAt - Configured accept threshold (score >= acceptAt)
+ */
+function evaluateScores(results, getScore, acceptAt) {
+    // Clamp like ScorePolicy.combine() so the 0..101 sweep covers every score
+    const samples = results.map(r => ({
+        label: r.label,
+        attackType: r.attackType,
+        score: Math.max(0, Math.min(100, Number(getScore(r)) || 0))
+    }));
+    const roc = rocCurve(samples);
+    return {
+        configured: errorRates(samples, acceptAt),
+        best: bestThresholds(roc),
+        auc: areaUnderCurve(roc),
+        roc: roc.map(({ threshold, apcer, bpcer }) => ({ threshold, apcer, bpcer }))
+    };
+}
+
+function evaluateDataset(results, policy, active) {
+    const report = { modules: {}, combined: null, decision: null };
+
+    for (const module of MODULES) {
+        // Analyzers use isReal = score > realThreshold, i.e. accept at realThreshold + 1
+        report.modules[module] = evaluateScores(
+            results,
+            r => r.scores[module],
+            policy.moduleThresholds[module] + 1
+        );
+    }
+
+    report.combined = evaluateScores(
+        results,
+        r => policy.combine({ ...r.scores, active }),
+        policy.passThreshold
+    );
+
+    // The full decision (vetoes and minimums included) is pass/fail, so it has one operating point
+    const decisions = results.map(r => {
+        const decision = policy.evaluate({
+            scores: { ...r.scores, active },
+            attacksDetected: r.attacksDetected,
+            challengesComplete: true
+        });
+        return { label: r.label, attackType: r.attackType, score: decision.success ? 1 : 0 };
+    });
+    report.decision = errorRates(decisions, 1);
+
+    // Minimum-ACER operating points, in policy terms
+    report.suggested = {
+        moduleThresholds: Object.fromEntries(MODULES.map(m => [m, Math.max(0, report.modules[m].best.minAcer.threshold - 1)])),
+        passThreshold: report.combined.best.minAcer.threshold
+    };
+
+    return report;
+}
+
+const percent = (rate) => `${(rate * 100).toFixed(1)}%`.padStart(7);
+
+function printReport(name, results, report, policy) {
+    const bonaFide = results.filter(r => r.label === BONA_FIDE).length;
+    console.log(`\nDataset ${name}: ${bonaFide} bona fide, ${results.length - bonaFide} attack samples`);
+    console.log(`Policy ${policy.id} (APCER is the worst attack type)\n`);
+    console.log('module            APCER   BPCER    ACER | best thr   ACER |  EER thr   rate |   AUC');
+
+    const rows = [...MODULES.map(m => [m, report.modules[m]]), ['combined', report.combined]];
+    for (const [module, metrics] of rows) {
+        const { configured, best, auc } = metrics;
+        console.log(
+            `${module.padEnd(15)} ${percent(configured.apcer)} ${percent(configured.bpcer)} ${percent(configured.acer)} |` +
+            ` ${String(best.minAcer.threshold).padStart(8)} ${percent(best.minAcer.acer)} |` +
+            ` ${String(best.eer.threshold).padStart(8)} ${percent(best.eer.rate)} | ${auc.toFixed(3)}`
+        );
+    }
+
+    const decision = report.decision;
+    console.log(`${'policy decision'.padEnd(15)} ${percent(decision.apcer)} ${percent(decision.bpcer)} ${percent(decision.acer)}`);
+
+    for (const [species, rate] of Object.entries(decision.apcerBySpecies)) {
+        console.log(`  APCER ${species}: ${percent(rate).trim()}`);
+    }
+
+    console.log(`\nSuggested policy thresholds (min ACER): ${JSON.stringify(report.suggested)}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const manifestPath = path.resolve(args.dataset);
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const baseDir = path.dirname(manifestPath);
+    const samples = manifest.samples || [];
+
+    const unlabeled = samples.filter(s => s.label !== BONA_FIDE && s.label !== ATTACK);
+    if (unlabeled.length > 0) {
+        throw new Error(`Samples need label "${BONA_FIDE}" or "${ATTACK}": ${unlabeled.map(s => s.id).join(', ')}`);
+    }
+    const needsFfmpeg = samples.some(s => s.video) ||
+        samples.some(s => s.frames && fs.readdirSync(path.join(baseDir, s.frames)).some(f => /\.(jpe?g|bmp|webp)$/i.test(f)));
+    if (needsFfmpeg && !hasFfmpeg()) {
+        throw new Error('This dataset has videos or non-PNG images; install ffmpeg or convert frames to PNG');
+    }
+
+    const policy = loadPolicy(args.policy);
+    const analyzers = await createAnalyzers(policy, await createFaceMesh(args.facemesh));
+
+    // "Scored n/N" is redrawn in place; end that line before anything else is printed
+    const results = [];
+    let progressOpen = false;
+    const endProgress = () => {
+        if (progressOpen) process.stdout.write('\n');
+        progressOpen = false;
+    };
+    for (const sample of samples) {
+        let result;
+        try {
+            result = await scoreSample(sample, baseDir, analyzers, { fps: args.fps });
+        } catch (error) {
+            endProgress();
+            throw error;
+        }
+        if (result.framesWithFace === 0) {
+            endProgress();
+            console.warn(`${sample.id}: no landmarks, depth/eye/micro-expression scores stay at 0`);
+        }
+        results.push(result);
+        process.stdout.write(`\rScored ${results.length}/${samples.length}`);
+        progressOpen = true;
+    }
+    endProgress();
+
+    const report = evaluateDataset(results, policy, args.active);
+    printReport(manifest.name || path.basename(baseDir), results, report, policy);
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify({
+            dataset: manifest.name || null,
+            policy: policy.toJSON(),
+            options: { fps: args.fps, active: args.active, facemesh: args.facemesh },
+            generatedAt: new Date().toISOString(),
+            samples: results,
+            ...report
+        }, null, 2));
+        console.log(`\nReport written to ${args.out}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { scoreSample, evaluateDataset, createAnalyzers, createFaceMesh };
@@ -0,0 +1,56 @@
+/**
+ * Checks that a session recording and its JSON verification report belong
+ * together (Node, no dependencies):
+ *
+ *   node tools/verify-evidence.js liveness-verification-....webm liveness-report-....json
+ *
+ * Recomputes the recording's chunk hash chain from the report's manifest,
+ * compares the digest with the one in the signed payload, and re-checks the
+ * whole-file video hash and the result hash. Exits with 1 if anything differs.
+ */
+const fs = require('fs');
+const path = require('path');
+const ResultSigner = require('../js/resultSigner.js');
+const EvidenceChain = require('../js/evidenceChain.js');
+
+// EvidenceChain expects the browser global
+global.ResultSigner = ResultSigner;
+
+const CHECK_LABELS = {
+    chain: 'Chunk hash chain',
+    signedDigest: 'Digest in signed result',
+    videoHash: 'Whole-file SHA-256',
+    resultHash: 'Result hash'
+};
+
+async function main() {
+    const [videoPath, reportPath] = process.argv.slice(2);
+    if (!videoPath || !reportPath) {
+        throw new Error('Usage: node tools/verify-evidence.js <recording.webm> <report.json>');
+    }
+
+    const video = new Blob([fs.readFileSync(videoPath)]);
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    const result = await EvidenceChain.verify(video, report);
+
+    console.log(`${path.basename(videoPath)} <-> ${path.basename(reportPath)}`);
+    Object.entries(result.checks).forEach(([check, passed]) => {
+        const status = passed === null ? 'skipped' : (passed ? 'ok' : 'FAILED');
+        console.log(`  ${CHECK_LABELS[check].padEnd(24)} ${status}`);
+    });
+    if (result.firstBadChunk !== null) {
+        const manifest = report.integrity.videoChain;
+        const offset = manifest.chunks.slice(0, result.firstBadChunk).reduce((sum, chunk) => sum + chunk.size, 0);
+        console.log(`  First modified chunk: #${result.firstBadChunk} (byte offset ${offset})`);
+    }
+
+    console.log(result.valid ? '\nRecording matches the report.' : `\nMismatch: ${result.reasons.join(', ')}`);
+    if (!result.valid) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}